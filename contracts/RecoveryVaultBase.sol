@@ -0,0 +1,834 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+// @dev State, events, errors and shared internals of RecoveryVault. RecoveryVault (redeem paths), RecoveryVaultExtension
+//      (admin, treasury, rounds) and RecoveryVaultViews (quotes and other views) all inherit this contract, so they share
+//      one storage layout; the vault delegatecalls the extension for every selector it does not implement, and the
+//      extension delegatecalls the views the same way. New storage goes here, never into a child, or the parts drift
+//      apart (VaultStorageLayout.test.js checks it).
+import {Ownable} from "./hub/access/Ownable.sol";
+import {IERC20} from "./hub/token/ERC20/IERC20.sol";
+import {IERC20Metadata} from "./hub/token/ERC20/extensions/IERC20Metadata.sol";
+import {MerkleProof} from "./hub/utils/cryptography/MerkleProof.sol";
+import {ReentrancyGuard} from "./hub/security/ReentrancyGuard.sol";
+import {SafeERC20} from "./hub/token/ERC20/utils/SafeERC20.sol";
+import {IWalletMigration} from "./hub/interfaces/IWalletMigration.sol";
+
+/// @notice Oracle must return price of ONE in USD with `decimals` precision and the feed's last update time
+interface IOracle {
+    function latestPrice() external view returns (int256 price, uint8 decimals, uint256 updatedAt);
+}
+
+/// @notice Minimal wONE interface to wrap and unwrap native ONE
+interface IWETH {
+    function deposit() external payable;
+    function withdraw(uint256 amount) external;
+}
+
+/// @dev Optional burnable interface. Many tokens expose `burn(uint256)` on holder balance.
+interface IERC20Burnable {
+    function burn(uint256 value) external;
+}
+
+abstract contract RecoveryVaultBase is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // =====================
+    // ====== Events  ======
+    // =====================
+    /// @dev `outputToken` is the asset sent to the user (wONE or USDC)
+    event BurnToken(address indexed tokenIn, uint256 amountIn, address outputToken, uint256 amountOut);
+    event NewRoundStarted(uint256 roundId, uint256 woneBalance, uint256 usdcBalance, uint256 startTime);
+    event RedeemProcessed(address indexed user, address indexed tokenIn, uint256 amountIn, uint256 amountOut);
+    event RedeemRecipient(address indexed user, address indexed recipient, address redeemIn, uint256 amountOut);
+    /// @dev Split payout (`redeemSplit`): `primaryOut` of the preferred token plus `secondaryOut` of the other one
+    event PayoutSplit(address indexed user, address indexed primaryToken, uint256 primaryOut, address secondaryToken, uint256 secondaryOut);
+    /// @dev Native payout (`redeemNative`): `amount` wONE was unwrapped and sent as ONE
+    event PayoutNative(address indexed user, uint256 amount);
+    event VaultPaused(bool isPaused);
+    event SupportedTokenUpdated(address token, bool allowed);
+    event FeeTiersUpdated(uint256[] thresholds, uint16[] bps);
+    /// @dev Empty arrays = the whole fee goes to `devWallet`
+    event FeeRecipientsUpdated(address[] wallets, uint16[] bps);
+    /// @dev One per redeem leg: `amount` of `token` (tokenIn) taken as fee in `roundId` and split across the fee recipients
+    event FeeCollected(uint256 indexed roundId, address indexed token, uint256 amount);
+    event RoundFeeLocked(uint256 indexed roundId, uint16 bps, uint256 basisUsd);
+    /// @dev `endTime` 0 = runs until the next round starts; `dailyLimitUsd18` 0 = the vault-wide daily limit
+    event RoundScheduled(uint256 indexed roundId, uint256 startTime, uint256 endTime, uint256 dailyLimitUsd18, uint16 feeBps);
+    event RoundDelayToggled(bool enabled);
+    /// @dev `maxAge` in seconds; bounds are USD18 per ONE. Zero disables the respective guard.
+    event OracleGuardsUpdated(uint256 maxAge, uint256 minPrice18, uint256 maxPrice18);
+    /// @dev Analytics/debug helper: emits precise USD values and remaining allowance
+    event RedeemValuationUSD18(
+        address indexed user,
+        address indexed tokenIn,
+        uint256 usdIn18,
+        uint256 usdNet18,
+        uint256 remainingBefore18,
+        uint256 remainingAfter18
+    );
+    /// @dev Emitted when a token does not support `burn(uint256)` and the amount is sent to the sink instead
+    event TokenSinkFallback(address indexed token, uint256 amount);
+    /// @dev Same signatures as OpenZeppelin AccessControl, so existing indexers/tools pick them up
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OracleUpdated(address oracle);
+    event MerkleRootUpdated(bytes32 root);
+    event DailyLimitUpdated(uint256 usdAmount18);
+    event ResetWindowUpdated(uint256 interval, ResetMode mode);
+    event DevWalletUpdated(address wallet);
+    /// @dev WalletMigration registry set by `setMigration` (zero = migrations disabled)
+    event MigrationSet(address registry);
+    /// @dev Zero disables the respective round budget / per-token cap
+    event RoundBudgetUpdated(uint256 usdAmount18);
+    event RoundTokenCapUpdated(address indexed token, uint256 amount);
+    event LiquidityReleased(address indexed module, address indexed token, uint256 amount);
+    /// @notice A settlement module booked a request against `account`'s limits (`reserveUsage`)
+    event UsageReserved(uint256 indexed id, address indexed module, address indexed account, address tokenIn, uint256 amountIn, uint256 usdAmount18);
+    /// @notice A module handed back the part of reservation `id` it will not settle (`releaseUsage`)
+    event UsageReleased(uint256 indexed id, uint256 amountIn, uint256 usdAmount18);
+    /// @notice Output `module` holds back for its pending payouts (`reserveOutput`), and holds dropped or paid out
+    event OutputReserved(address indexed module, address indexed token, uint256 amount);
+    event OutputUnreserved(address indexed module, address indexed token, uint256 amount);
+    /// @dev Treasury moves: output tokens (`withdrawFunds`/`withdrawTo`) and stray tokens or ONE (`rescueToken`, address(0) = ONE)
+    event FundsWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event TokenRescued(address indexed token, address indexed to, uint256 amount);
+    /// @dev `pricing` is an OutputPricing value (0 = removed); `price18` only applies to Fixed
+    event OutputTokenUpdated(address indexed token, uint8 pricing, uint256 price18);
+
+    // =====================
+    // ====== Errors  ======
+    // =====================
+    // USD amounts are USD18; token amounts are in that token's units; times are unix seconds.
+    error NotWhitelisted();
+    error RoundNotInitialized();
+    error ContractLocked();
+    error RoundNotStarted(uint256 startTime);
+    error RoundEnded(uint256 endTime);
+    error InvalidRoundSchedule();
+    error InvalidResetWindow();
+    error NoFunds();
+    error DeadlineExpired(uint256 deadline);
+    error PermitRequiresERC20();
+    error PermitFailed();
+    error InvalidRecipient();
+    error InvalidBatch();
+    error InvalidRedeemToken();
+    error DailyLimitLocked(uint256 unlockAt);
+    error DailyLimitExceeded(uint256 remaining, uint256 requested);
+    error DuplicateToken(address token);
+    error MismatchONEAmount();
+    error DoNotSendONEWithERC20();
+    error TokenNotSupported(address token);
+    error InvalidClaimCap(address token);
+    error ClaimCapExceeded(address token, uint256 remaining, uint256 requested);
+    error RoundBudgetExceeded(uint256 remaining, uint256 requested);
+    error RoundTokenCapExceeded(address token, uint256 remaining, uint256 requested);
+    error SlippageExceeded(uint256 amountOut, uint256 minAmountOut);
+    error InsufficientLiquidity(address token, uint256 available, uint256 requested);
+    error InvalidOracle();
+    error StaleOracle(uint256 updatedAt);
+    error OraclePriceOutOfBounds(uint256 price18);
+    error UnsupportedValuation(address token);
+    error UnsupportedRedeemToken();
+    error InvalidPriceBounds();
+    error InvalidFeeConfig();
+    error TokenNotAllowed();
+    error NothingToWithdraw();
+    error RoundIdMustIncrease(uint256 currentRound);
+    error MissingRole(bytes32 role, address account);
+    error InvalidOutputConfig();
+    error NativeTransferFailed();
+    error UnexpectedNativeSender();
+    error InvalidExtension();
+    error InvalidReservation();
+
+    // =====================
+    // ===== Constants =====
+    // =====================
+    uint256 public constant ROUND_DELAY = 24 hours;
+    uint256 public constant WALLET_RESET_INTERVAL = 24 hours; // default `resetInterval`
+    uint256 public constant MIN_RESET_INTERVAL = 1 hours;
+    uint256 public constant MAX_RESET_INTERVAL = 7 days;
+    uint256 public constant MAX_BATCH = 8; // max input tokens per redeemMany
+    uint256 public constant MAX_OUTPUTS = 8; // max output tokens (bounds the loops over `outputTokenList`)
+    uint256 public constant MAX_FEE_RECIPIENTS = 5;
+    uint256 public constant MAX_SCHEDULED_ROUNDS = 8; // rounds waiting to start (bounds `_roundNow`)
+    address public constant DEAD_BURN_ADDRESS = 0x000000000000000000000000000000000000dEaD; // sink address
+
+    // Operational roles; the owner grants/revokes them and keeps config such as fees, wallets and tokens.
+    // Daily limit, reset window, dev wallet, fee split, fee tiers and migration registry are owner-only so a VaultTimelock
+    // owner can delay them; the oracle and the whitelist root are delayed by letting the timelock hold their roles.
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");                       // setLocked
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");                 // withdrawFunds
+    bytes32 public constant PRICE_SETTER_ROLE = keccak256("PRICE_SETTER_ROLE");           // oracle + guards + fixed prices
+    bytes32 public constant WHITELIST_MANAGER_ROLE = keccak256("WHITELIST_MANAGER_ROLE"); // merkle/cap roots
+    bytes32 public constant ROUND_OPERATOR_ROLE = keccak256("ROUND_OPERATOR_ROLE");       // rounds
+    // Settlement modules (hub/ClaimWindow) that pay redemptions out of vault liquidity; never granted by default
+    bytes32 public constant SETTLEMENT_ROLE = keccak256("SETTLEMENT_ROLE");               // release
+
+    // =====================
+    // =====  Storage  =====
+    // =====================
+    address public immutable wONE;
+    address public immutable usdc;
+    uint8 public immutable WONE_DECIMALS;
+    uint8 public immutable USDC_DECIMALS;
+
+    address public devWallet;
+    address public rmcWallet; // kept for withdrawals / ops, not used for burning anymore
+    bytes32 public merkleRoot;
+    uint256 public currentRound;
+    uint256 public roundStart;
+    uint256 public dailyLimitUsd; // USD18 (USD * 1e18)
+    bool public isLocked;
+
+    // Round config
+    bool public roundDelayEnabled = true; // owner can toggle
+    uint16 public roundBps;              // fixed fee for current round
+    bool public roundFeeLocked;          // true after startNewRound sets roundBps
+    uint256 public roundFeeBasisUsd;     // USD (integer) basis used to pick the tier at round start
+    // Per-round config, written by `startNewRound` (now or after ROUND_DELAY, open-ended, tier fee) or ahead of time by
+    // `scheduleRound`. Scheduled rounds start by themselves: views read `_roundNow()`, redeems first move
+    // `currentRound` / `roundStart` / `roundBps` over in `_syncRound`.
+    struct Round {
+        uint64 start;
+        uint64 end;            // 0 = until the next round starts
+        uint16 feeBps;
+        uint256 dailyLimitUsd; // USD18; 0 = vault-wide `dailyLimitUsd`
+    }
+    mapping(uint256 => Round) internal _rounds;
+    uint256[] internal _schedule;   // scheduled round ids in start order
+    uint256 internal _scheduleHead; // first entry of `_schedule` that has not started yet
+    // Round-wide limits (0 = off), counted like the daily limit on the gross value redeemed
+    uint256 public roundBudgetUsd;                                           // USD18 per round, all wallets
+    mapping(address => uint256) public roundTokenCap;                        // tokenIn => max amount per round
+    mapping(uint256 => uint256) public roundRedeemedUsd;                     // roundId => USD18 redeemed
+    mapping(uint256 => mapping(address => uint256)) public roundTokenRedeemed; // roundId => tokenIn => amount
+    // Running totals of vault redeems and settlement modules (usage booked by `reserveUsage`, payouts by `release`, burns
+    // by `burnInput`), read via getRoundStats / getTokenStats
+    struct RoundStats {
+        uint256 feesUsd;   // USD18 taken as fee (gross USD in is `roundRedeemedUsd`)
+        uint256 redeemers; // distinct snapshot accounts
+    }
+    struct TokenStats {
+        uint256 burned; // tokenIn units burned through `burn(uint256)`
+        uint256 sunk;   // tokenIn units sent to DEAD_BURN_ADDRESS (`TokenSinkFallback`)
+    }
+    mapping(uint256 => RoundStats) internal _roundStats;
+    mapping(uint256 => mapping(address => bool)) internal _roundRedeemer;             // roundId => account => counted
+    mapping(uint256 => mapping(address => uint256)) public roundPaidOut;              // roundId => output token => amount
+    mapping(uint256 => mapping(address => uint256)) public roundRedeemedBy;           // roundId => account => USD18 (not reset by the daily window)
+    mapping(address => TokenStats) internal _tokenStats;
+
+    // Usage booked by settlement modules (ClaimWindow / RedemptionQueue) for requests they settle later
+    struct Reservation {
+        address module;
+        address account;     // snapshot account
+        address tokenIn;     // resolved (wONE for native)
+        uint256 roundId;
+        uint256 periodStart; // window the usage was booked in
+        uint256 amountIn;    // tokenIn units still reserved
+        uint256 usd18;       // gross USD18 still reserved
+        uint256 feeUsd18;    // part of `usd18` counted as fee
+    }
+    uint256 public reservationCount; // id of the latest reservation (ids start at 1)
+    mapping(uint256 => Reservation) internal _reservations;
+    // Output held back for modules' pending payouts (RedemptionQueue): redeems only see the balance above it
+    mapping(address => uint256) internal _reservedOut;                           // output token => total held
+    mapping(address => mapping(address => uint256)) internal _moduleReservedOut; // module => output token => held
+
+    IOracle public oracle;
+    // Oracle guards (0 = disabled): max age of the feed in seconds, and USD18-per-ONE sanity bounds
+    uint256 public maxOracleAge;
+    uint256 public minOnePrice18;
+    uint256 public maxOnePrice18;
+
+    mapping(address => bool) public supportedToken;
+    address[] public supportedTokenList;
+
+    // Usage per user per round, in USD18 (USD * 1e18)
+    mapping(uint256 => mapping(address => uint256)) public redeemedInRound;
+    mapping(address => uint256) public lastRedeemTimestamp; // informational only
+    mapping(address => uint256) public limitUnlockAt;       // if > now, wallet is locked at daily limit
+    mapping(address => uint256) public periodStart;         // first redeem of the wallet's current window (0 = none)
+
+    // Daily-limit window. Rolling: `resetInterval` from the wallet's first redeem. FixedUtc: every wallet resets at
+    // the same multiples of `resetInterval` since the Unix epoch (00:00 UTC each day for 24h).
+    enum ResetMode { Rolling, FixedUtc }
+    ResetMode public resetMode;
+    uint256 public resetInterval = WALLET_RESET_INTERVAL;
+
+    // Lifetime claim caps: leaf = keccak256(abi.encodePacked(user, token, maxAmount)); zero root disables caps
+    bytes32 public capRoot;
+    mapping(address => mapping(address => uint256)) public claimedAmount; // user => tokenIn => amount (tokenIn units)
+
+    // Wallet migration registry (zero = disabled): maps a new wallet to the snapshot address it replaced
+    IWalletMigration public migration;
+
+    mapping(bytes32 => mapping(address => bool)) public hasRole; // role => account => granted
+
+    // Fixed price table for supported tokens other than wONE/USDC. Scale: 1e18 (USD * 1e18 per whole token)
+    mapping(address => uint256) public fixedUsdPrice;
+
+    // Output tokens the vault pays in, each with its valuation source. wONE (Oracle) and USDC (Peg) are registered at
+    // deploy; the owner can add e.g. USDT (Peg) or 1ETH (Fixed) later.
+    enum OutputPricing { None, Oracle, Peg, Fixed } // Oracle = USD/ONE feed, Peg = $1, Fixed = price18
+    struct OutputToken {
+        OutputPricing pricing;
+        uint8 decimals;
+        uint256 price18; // USD18 per whole token, Fixed only
+    }
+    mapping(address => OutputToken) public outputToken;
+    address[] public outputTokenList;
+
+    // Fee tiers: thresholds in whole USD (no decimals), bps as fee per ten-thousand. bps.length = thresholds.length + 1
+    uint256[] public feeThresholds = [100, 250, 1000];
+    uint16[] public feeBps = [100, 50, 25, 10];
+    // Fee split: shares in bps summing to 10_000, same index as `feeRecipients`. Empty = everything to devWallet
+    address[] public feeRecipients;
+    uint16[] public feeRecipientBps;
+
+    // =====================
+    // ====  Modifiers  ====
+    // =====================
+    modifier onlyWhitelisted(uint256 weight, bytes32[] calldata proof) {
+        _checkWhitelisted(weight, proof);
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+
+    modifier roundActive() {
+        _syncRound();
+        _checkRoundActive();
+        _;
+    }
+
+    constructor(address _wone, address _usdc) {
+        wONE = _wone;
+        usdc = _usdc;
+        // cache decimals as immutables for gas
+        WONE_DECIMALS = IERC20Metadata(_wone).decimals();
+        USDC_DECIMALS = IERC20Metadata(_usdc).decimals();
+    }
+
+    // =====================
+    // ======  Quote  ======
+    // =====================
+    /// @dev Working state for `_quote`; per-leg arrays are indexed like `tokensIn`, amounts are zero when blocked.
+    struct Quote {
+        bool oracleOk;
+        bool blocked;
+        uint256 oraclePrice;
+        uint8 oracleDecimals;
+        address[] resolved;      // tokensIn with address(0) mapped to wONE
+        uint8[] tokenInDecimals;
+        uint256[] usdIns;        // USD18 gross per leg
+        uint256[] usdNets;       // USD18 after fee per leg
+        uint256 usdIn18;
+        uint256 remainingBefore18;
+        uint256[] fees;
+        uint256[] amountsOut;
+        uint256 totalOut;
+    }
+
+    /// @dev Shared validation and pricing for `_redeem` (strict: reverts with the specific error) and the quote
+    ///      views (policy blocks only set `q.blocked`). The limit and the fee tier apply to the total of all legs.
+    function _quote(
+        address user,
+        address[] memory tokensIn,
+        uint256[] memory amountsIn,
+        address redeemIn,
+        uint256 weight,
+        uint256[] memory maxAmounts,
+        bytes32[][] memory capProofs,
+        bool strict
+    ) internal view returns (Quote memory q) {
+        uint256 n = tokensIn.length;
+        if (n == 0 || n > MAX_BATCH || amountsIn.length != n) revert InvalidBatch();
+        bool capsOn = capRoot != bytes32(0);
+        if (capsOn && (maxAmounts.length != n || capProofs.length != n)) {
+            if (strict) revert InvalidBatch();
+            q.blocked = true;
+        }
+        // Policy: output must be a registered output token
+        if (outputToken[redeemIn].pricing == OutputPricing.None) revert InvalidRedeemToken();
+        q.resolved = new address[](n);
+        q.tokenInDecimals = new uint8[](n);
+        q.usdIns = new uint256[](n);
+        q.usdNets = new uint256[](n);
+        q.fees = new uint256[](n);
+        q.amountsOut = new uint256[](n);
+
+        // Daily-limit lock guard
+        if (limitUnlockAt[user] != 0 && block.timestamp < limitUnlockAt[user]) {
+            if (strict) revert DailyLimitLocked(limitUnlockAt[user]);
+            q.blocked = true;
+        }
+
+        // Oracle read once for the flow; stale / out-of-bounds prices block (quote exposes them as oracleOk = false)
+        uint256 updatedAt;
+        (q.oraclePrice, q.oracleDecimals, updatedAt) = _readOracle();
+        q.oracleOk = true;
+        if (_isOracleStale(updatedAt)) {
+            if (strict) revert StaleOracle(updatedAt);
+            q.oracleOk = false;
+        } else if (_isPriceOutOfBounds(q.oraclePrice, q.oracleDecimals)) {
+            if (strict) revert OraclePriceOutOfBounds((q.oraclePrice * 1e18) / (10 ** q.oracleDecimals));
+            q.oracleOk = false;
+        }
+        if (!q.oracleOk) q.blocked = true;
+
+        for (uint256 i = 0; i < n; i++) {
+            // Native ONE (address(0)) is valued and capped as wONE
+            address t = tokensIn[i] == address(0) ? wONE : tokensIn[i];
+            for (uint256 j = 0; j < i; j++) {
+                if (q.resolved[j] == t) {
+                    if (strict) revert DuplicateToken(t);
+                    q.blocked = true;
+                }
+            }
+            // Policy: input must be supported
+            if (!supportedToken[t]) revert TokenNotSupported(t);
+            // Lifetime cap per (wallet, token)
+            if (capsOn && !q.blocked) {
+                uint256 claimed = claimedAmount[user][t];
+                if (!_verifyCap(user, t, maxAmounts[i], capProofs[i])) {
+                    if (strict) revert InvalidClaimCap(t);
+                    q.blocked = true;
+                } else if (claimed + amountsIn[i] > maxAmounts[i]) {
+                    if (strict) revert ClaimCapExceeded(t, maxAmounts[i] > claimed ? maxAmounts[i] - claimed : 0, amountsIn[i]);
+                    q.blocked = true;
+                }
+            }
+            // Per-round cap on how much of this token the round takes in
+            uint256 tokenLeft = _roundTokenLeft(t);
+            if (amountsIn[i] > tokenLeft) {
+                if (strict) revert RoundTokenCapExceeded(t, tokenLeft, amountsIn[i]);
+                q.blocked = true;
+            }
+            q.resolved[i] = t;
+            q.tokenInDecimals[i] = _decimalsOf(t);
+            q.usdIns[i] = _usd18ValueForWithDec(t, amountsIn[i], q.tokenInDecimals[i], q.oraclePrice, q.oracleDecimals);
+            q.usdIn18 += q.usdIns[i];
+        }
+
+        // Daily limit against the total USD value (USD18); applies an elapsed window
+        q.remainingBefore18 = _remainingView(user, weight);
+        if (q.usdIn18 > q.remainingBefore18) {
+            if (strict) revert DailyLimitExceeded(q.remainingBefore18, q.usdIn18);
+            q.blocked = true;
+        }
+        uint256 budgetLeft = _roundBudgetLeft();
+        if (q.usdIn18 > budgetLeft) {
+            if (strict) revert RoundBudgetExceeded(budgetLeft, q.usdIn18);
+            q.blocked = true;
+        }
+        if (q.blocked) return q;
+
+        // Fee (whole-USD tier from the total) and output per leg, using USD18 precise
+        uint256 usdInt = q.usdIn18 / 1e18;
+        uint8 redeemDec = outputToken[redeemIn].decimals;
+        uint256 priceOut18 = _priceOut18With(redeemIn, q.oraclePrice, q.oracleDecimals);
+        for (uint256 i = 0; i < n; i++) {
+            q.fees[i] = _calculateFee(amountsIn[i], usdInt);
+            q.usdNets[i] = _usd18ValueForWithDec(q.resolved[i], amountsIn[i] - q.fees[i], q.tokenInDecimals[i], q.oraclePrice, q.oracleDecimals);
+            q.amountsOut[i] = (q.usdNets[i] * (10 ** redeemDec)) / priceOut18; // floor by division
+            q.totalOut += q.amountsOut[i];
+        }
+    }
+
+    // =====================
+    // ===== Internals =====
+    // =====================
+    // Modifier bodies live in functions so the five redeem entrypoints share one copy (EIP-170 size)
+    function _checkWhitelisted(uint256 weight, bytes32[] calldata proof) internal view {
+        if (!_verifyWhitelist(_account(msg.sender), weight, proof)) revert NotWhitelisted();
+    }
+
+    /// @dev USD18 left in the current round's budget; max uint when no budget is set
+    function _roundBudgetLeft() internal view returns (uint256) {
+        if (roundBudgetUsd == 0) return type(uint256).max;
+        uint256 used = roundRedeemedUsd[_roundNow()];
+        return roundBudgetUsd > used ? roundBudgetUsd - used : 0;
+    }
+
+    /// @dev Amount of `token` the current round can still take in; max uint when uncapped
+    function _roundTokenLeft(address token) internal view returns (uint256) {
+        uint256 cap = roundTokenCap[token];
+        if (cap == 0) return type(uint256).max;
+        uint256 used = roundTokenRedeemed[_roundNow()][token];
+        return cap > used ? cap - used : 0;
+    }
+
+    function _checkRoundActive() internal view {
+        uint256 id = _roundNow();
+        // Prevent pre-round usage before the first round
+        if (id == 0) revert RoundNotInitialized();
+        if (isLocked) revert ContractLocked();
+        Round storage r = _rounds[id];
+        if (block.timestamp < r.start) revert RoundNotStarted(r.start);
+        if (r.end != 0 && block.timestamp >= r.end) revert RoundEnded(r.end);
+        if (!_hasOutputFunds()) revert NoFunds();
+    }
+
+    /// @dev Round in force now: the latest scheduled round that has started, else `currentRound`
+    function _roundNow() internal view returns (uint256 id) {
+        id = currentRound;
+        for (uint256 i = _scheduleHead; i < _schedule.length && _rounds[_schedule[i]].start <= block.timestamp; i++) {
+            id = _schedule[i];
+        }
+    }
+
+    /// @dev Same check as `roundActive` without the funds guard (quotes and round info)
+    function _roundOpen(uint256 id) internal view returns (bool) {
+        Round storage r = _rounds[id];
+        return id != 0 && !isLocked && block.timestamp >= r.start && (r.end == 0 || block.timestamp < r.end);
+    }
+
+    /// @dev Moves the round state over to scheduled rounds that have started since the last redeem
+    function _syncRound() internal {
+        uint256 id = _roundNow();
+        if (id == currentRound) return;
+        while (_schedule[_scheduleHead] != id) _scheduleHead++;
+        _scheduleHead++;
+        roundFeeBasisUsd = 0; // fixed fee, no tier basis
+        _enterRound(id);
+    }
+
+    /// @dev Makes `id` the current round and mirrors its config into the legacy round getters
+    function _enterRound(uint256 id) internal {
+        Round storage r = _rounds[id];
+        currentRound = id;
+        roundStart = r.start;
+        roundBps = r.feeBps;
+        roundFeeLocked = true;
+        emit NewRoundStarted(id, IERC20(wONE).balanceOf(address(this)), IERC20(usdc).balanceOf(address(this)), r.start);
+    }
+
+    /// @dev True when the vault holds any output token
+    function _hasOutputFunds() internal view returns (bool) {
+        for (uint256 i = 0; i < outputTokenList.length; i++) {
+            if (IERC20(outputTokenList[i]).balanceOf(address(this)) > 0) return true;
+        }
+        return false;
+    }
+
+    /// @dev Adds, reprices or (pricing None) removes an output token
+    function _setOutputToken(address token, OutputPricing pricing, uint256 price18) internal {
+        if (token == address(0) || (pricing == OutputPricing.Fixed) != (price18 > 0)) revert InvalidOutputConfig();
+        bool listed = outputToken[token].pricing != OutputPricing.None;
+        if (pricing == OutputPricing.None) {
+            if (!listed) revert InvalidOutputConfig();
+            delete outputToken[token];
+            for (uint256 i = 0; i < outputTokenList.length; i++) {
+                if (outputTokenList[i] == token) {
+                    outputTokenList[i] = outputTokenList[outputTokenList.length - 1];
+                    outputTokenList.pop();
+                    break;
+                }
+            }
+        } else {
+            if (!listed) {
+                if (outputTokenList.length == MAX_OUTPUTS) revert InvalidOutputConfig();
+                outputTokenList.push(token);
+            }
+            outputToken[token] = OutputToken(pricing, _decimalsOf(token), price18);
+        }
+        emit OutputTokenUpdated(token, uint8(pricing), price18);
+    }
+
+    function _checkRole(bytes32 role) internal view {
+        if (!hasRole[role][msg.sender]) revert MissingRole(role, msg.sender);
+    }
+
+    function _grantRole(bytes32 role, address account) internal {
+        if (!hasRole[role][account]) {
+            hasRole[role][account] = true;
+            emit RoleGranted(role, account, msg.sender);
+        }
+    }
+
+    function _revokeRole(bytes32 role, address account) internal {
+        if (hasRole[role][account]) {
+            hasRole[role][account] = false;
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    /// @dev Reads the oracle and enforces positivity, max age and price bounds.
+    function _checkedOraclePrice() internal view returns (uint256 price, uint8 decimals) {
+        uint256 updatedAt;
+        (price, decimals, updatedAt) = _readOracle();
+        if (_isOracleStale(updatedAt)) revert StaleOracle(updatedAt);
+        if (_isPriceOutOfBounds(price, decimals)) revert OraclePriceOutOfBounds((price * 1e18) / (10 ** decimals));
+    }
+
+    /// @dev Raw oracle read; only a non-positive price reverts here.
+    function _readOracle() internal view returns (uint256 price, uint8 decimals, uint256 updatedAt) {
+        int256 _p;
+        (_p, decimals, updatedAt) = oracle.latestPrice();
+        if (_p <= 0) revert InvalidOracle();
+        price = uint256(_p);
+    }
+
+    function _isOracleStale(uint256 updatedAt) internal view returns (bool) {
+        return maxOracleAge != 0 && block.timestamp > updatedAt + maxOracleAge;
+    }
+
+    function _isPriceOutOfBounds(uint256 price, uint8 decimals) internal view returns (bool) {
+        uint256 price18 = (price * 1e18) / (10 ** decimals);
+        return (minOnePrice18 != 0 && price18 < minOnePrice18) || (maxOnePrice18 != 0 && price18 > maxOnePrice18);
+    }
+
+    /// @dev `_usdInt` is whole USD used only to pick tier boundaries; payouts and limits use USD18.
+    function _calculateFee(uint256 amountIn, uint256 usdInt) internal view returns (uint256) {
+        uint256 id = _roundNow();
+        uint16 bps = id != 0 ? _rounds[id].feeBps : _selectBpsByUsd(usdInt);
+        return (amountIn * bps) / 10_000;
+    }
+
+    function _selectBpsByUsd(uint256 usdValue) internal view returns (uint16) {
+        for (uint i = 0; i < feeThresholds.length; i++) {
+            if (usdValue <= feeThresholds[i]) {
+                return feeBps[i];
+            }
+        }
+        return feeBps[feeBps.length - 1];
+    }
+
+    /// @dev Highest configured tier: the ceiling for a scheduled round's fixed fee
+    function _maxFeeBps() internal view returns (uint16 maxBps) {
+        for (uint i = 0; i < feeBps.length; i++) {
+            if (feeBps[i] > maxBps) maxBps = feeBps[i];
+        }
+    }
+
+    /// ===== USD with 18 decimals (precise) =====
+    function _usd18ValueForWithDec(
+        address token,
+        uint256 amount,
+        uint8 tokenDecimals,
+        uint256 oraclePrice,
+        uint8 oracleDecimals
+    ) internal view returns (uint256 usd18) {
+        if (token == wONE) {
+            uint256 one18 = amount * 1e18 / (10 ** tokenDecimals);
+            usd18 = (one18 * oraclePrice) / (10 ** oracleDecimals);
+        } else if (token == usdc) {
+            usd18 = amount * 1e18 / (10 ** tokenDecimals); // 1 USD per USDC, in 1e18
+        } else if (fixedUsdPrice[token] > 0) {
+            // fixedUsdPrice is USD18 per whole token
+            usd18 = (amount * fixedUsdPrice[token]) / (10 ** tokenDecimals);
+        } else {
+            revert UnsupportedValuation(token);
+        }
+    }
+
+    /// @dev Price in 1e18 scale for an output token, from its valuation source and the provided oracle price/decimals.
+    function _priceOut18With(address token, uint256 oraclePrice, uint8 oracleDecimals) internal view returns (uint256 price18) {
+        OutputToken storage o = outputToken[token];
+        if (o.pricing == OutputPricing.Peg) {
+            return 1e18; // 1 USD per token
+        } else if (o.pricing == OutputPricing.Oracle) {
+            return oraclePrice * 1e18 / (10 ** oracleDecimals); // USD/ONE in 1e18
+        } else if (o.pricing == OutputPricing.Fixed) {
+            return o.price18;
+        } else {
+            revert UnsupportedRedeemToken();
+        }
+    }
+
+    /// @dev USD18 value of `amount` of an output token
+    function _outputUsd18(address token, uint256 amount, uint256 oraclePrice, uint8 oracleDecimals) internal view returns (uint256) {
+        return (amount * _priceOut18With(token, oraclePrice, oracleDecimals)) / (10 ** outputToken[token].decimals);
+    }
+
+    /// @dev Leaf = keccak256(abi.encodePacked(user, weight)), matching the weighted snapshot (snap-str.json).
+    function _verifyWhitelist(address user, uint256 weight, bytes32[] calldata proof) internal view returns (bool) {
+        return MerkleProof.verify(proof, merkleRoot, keccak256(abi.encodePacked(user, weight)));
+    }
+
+    /// @dev Snapshot address `wallet` acts for; address(0) if it migrated away (never matches a leaf).
+    function _account(address wallet) internal view returns (address) {
+        return address(migration) == address(0) ? wallet : migration.accountOf(wallet);
+    }
+
+    /// @dev Cap leaf = keccak256(abi.encodePacked(user, token, maxAmount)); `token` is wONE for native ONE.
+    function _verifyCap(address user, address token, uint256 maxAmount, bytes32[] memory proof) internal view returns (bool) {
+        return MerkleProof.verify(proof, capRoot, keccak256(abi.encodePacked(user, token, maxAmount)));
+    }
+
+    /// @dev Balance of output `token` above every module's hold but `module`'s own (address(0) for direct redeems)
+    function _availableOut(address token, address module) internal view returns (uint256) {
+        uint256 held = _reservedOut[token] - _moduleReservedOut[module][token];
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        return balance > held ? balance - held : 0;
+    }
+
+    /// @dev Split payout: `preferred` up to the available balance, the shortfall in the other output token holding the most
+    ///      USD (first in list order on ties; none when `preferred` is the only output). The missing `preferred` amount
+    ///      is valued at its payout price and re-priced in the other token (floored).
+    function _splitOut(address preferred, uint256 totalOut, uint256 oraclePrice, uint8 oracleDecimals)
+        internal
+        view
+        returns (address other, uint256 primaryOut, uint256 secondaryOut)
+    {
+        uint256 best;
+        for (uint256 i = 0; i < outputTokenList.length; i++) {
+            address t = outputTokenList[i];
+            if (t == preferred) continue;
+            uint256 usd18 = _outputUsd18(t, _availableOut(t, address(0)), oraclePrice, oracleDecimals);
+            if (other == address(0) || usd18 > best) (other, best) = (t, usd18);
+        }
+        primaryOut = _availableOut(preferred, address(0));
+        if (primaryOut >= totalOut || other == address(0)) return (other, totalOut, 0);
+        uint256 short18 = _outputUsd18(preferred, totalOut - primaryOut, oraclePrice, oracleDecimals);
+        secondaryOut = (short18 * (10 ** outputToken[other].decimals)) / _priceOut18With(other, oraclePrice, oracleDecimals);
+    }
+
+    /// @dev Cached decimals for wONE/USDC, external call otherwise.
+    function _decimalsOf(address token) internal view returns (uint8) {
+        return token == wONE ? WONE_DECIMALS : (token == usdc ? USDC_DECIMALS : IERC20Metadata(token).decimals());
+    }
+
+    /// @dev Remaining daily allowance (USD18) as a view: applies an elapsed window, ignores the time-lock.
+    function _remainingView(address user, uint256 weight) internal view returns (uint256) {
+        (uint256 redeemed18,,,) = _windowView(user);
+        uint256 limit18 = _weightedLimit(weight);
+        return limit18 > redeemed18 ? limit18 - redeemed18 : 0;
+    }
+
+    /// @dev Usage window as the next redeem will find it after `_resetIfNeeded`: USD18 used in the round in force and
+    ///      the window bounds / time-lock, all zero once the window (or lock) has elapsed or before the first redeem.
+    ///      A running lock keeps the window open even if a shorter window was configured since.
+    function _windowView(address user) internal view returns (uint256 used18, uint256 start, uint256 end, uint256 unlockAt) {
+        uint256 first = periodStart[user];
+        unlockAt = limitUnlockAt[user];
+        if (_windowElapsed(first, unlockAt)) return (0, 0, 0, 0);
+        (start, end) = _windowOf(first);
+        used18 = redeemedInRound[_roundNow()][user];
+    }
+
+    /// @dev Bounds of the window holding a redeem at `first` (see `resetMode`)
+    function _windowOf(uint256 first) internal view returns (uint256 start, uint256 end) {
+        start = resetMode == ResetMode.FixedUtc ? first - (first % resetInterval) : first;
+        end = start + resetInterval;
+    }
+
+    /// @dev True when usage recorded from `first` no longer counts: a lock that has run out, or (unlocked) the window end
+    function _windowElapsed(uint256 first, uint256 unlockAt) internal view returns (bool) {
+        if (unlockAt != 0) return block.timestamp >= unlockAt;
+        if (first == 0) return true;
+        (, uint256 end) = _windowOf(first);
+        return block.timestamp >= end;
+    }
+
+    /// @dev Daily allowance (USD18) for a wallet carrying `weight` in the snapshot, under the round's limit if it sets one.
+    function _weightedLimit(uint256 weight) internal view returns (uint256) {
+        uint256 limit18 = _rounds[_roundNow()].dailyLimitUsd;
+        return (limit18 == 0 ? dailyLimitUsd : limit18) * weight;
+    }
+
+    /// @dev Clears usage, anchor and lock once `_windowElapsed` (a time-lock runs to its own end; otherwise the window
+    ///      from `periodStart` under the current `resetMode` / `resetInterval`)
+    function _resetIfNeeded(address user) internal {
+        if (periodStart[user] != 0 && _windowElapsed(periodStart[user], limitUnlockAt[user])) {
+            redeemedInRound[currentRound][user] = 0; // USD18
+            limitUnlockAt[user] = 0;
+            periodStart[user] = 0;
+        }
+    }
+
+    /// @dev `_resetIfNeeded`, then anchors a new window at the first redeem
+    function _openWindow(address user) internal {
+        _resetIfNeeded(user);
+        if (periodStart[user] == 0) periodStart[user] = block.timestamp;
+    }
+
+    /// @dev Books a validated quote for `user`: daily usage (locking the wallet at its limit), lifetime claims, round
+    ///      budget / token caps and round stats. Used by redeems and by `reserveUsage`.
+    function _bookUsage(address user, Quote memory q, uint256[] memory amountsIn, uint256 weight) internal {
+        uint256 id = currentRound;
+        RoundStats storage s = _roundStats[id];
+        for (uint256 i = 0; i < amountsIn.length; i++) {
+            claimedAmount[user][q.resolved[i]] += amountsIn[i];
+            roundTokenRedeemed[id][q.resolved[i]] += amountsIn[i];
+            s.feesUsd += q.usdIns[i] - q.usdNets[i];
+        }
+        if (!_roundRedeemer[id][user]) {
+            _roundRedeemer[id][user] = true;
+            s.redeemers++;
+        }
+        roundRedeemedBy[id][user] += q.usdIn18;
+        roundRedeemedUsd[id] += q.usdIn18;
+        uint256 newUsed18 = redeemedInRound[id][user] + q.usdIn18;
+        redeemedInRound[id][user] = newUsed18;
+        if (newUsed18 == _weightedLimit(weight)) {
+            // lock lasts until end of the current window
+            (, limitUnlockAt[user]) = _windowOf(periodStart[user]);
+        }
+        lastRedeemTimestamp[user] = block.timestamp;
+    }
+
+    /// @dev Wraps single-token arguments into one-leg batch arrays (redeem and quoteRedeem)
+    function _oneLeg(address tokenIn, uint256 amountIn, uint256 maxAmount, bytes32[] calldata capProof)
+        internal
+        pure
+        returns (address[] memory tokensIn, uint256[] memory amountsIn, uint256[] memory maxAmounts, bytes32[][] memory capProofs)
+    {
+        tokensIn = new address[](1);
+        amountsIn = new uint256[](1);
+        maxAmounts = new uint256[](1);
+        capProofs = new bytes32[][](1);
+        tokensIn[0] = tokenIn;
+        amountsIn[0] = amountIn;
+        maxAmounts[0] = maxAmount;
+        capProofs[0] = capProof;
+    }
+
+    /// @dev Pays a tokenIn fee out along the fee split (the last recipient takes the rounding dust)
+    function _collectFee(address token, uint256 amount) internal {
+        if (amount == 0) return;
+        uint256 n = feeRecipients.length;
+        if (n == 0) {
+            IERC20(token).safeTransfer(devWallet, amount);
+        } else {
+            uint256 left = amount;
+            for (uint256 i = 0; i < n; i++) {
+                uint256 share = i + 1 == n ? left : (amount * feeRecipientBps[i]) / 10_000;
+                left -= share;
+                if (share > 0) IERC20(token).safeTransfer(feeRecipients[i], share);
+            }
+        }
+        emit FeeCollected(currentRound, token, amount);
+    }
+
+    /// @dev Treasury transfer of an output token (the only tokens that back redemptions)
+    function _withdrawTo(address token, uint256 amount, address to) internal {
+        if (outputToken[token].pricing == OutputPricing.None) revert TokenNotAllowed();
+        if (to == address(0) || to == address(this)) revert InvalidRecipient();
+        if (amount == 0) revert NothingToWithdraw();
+        IERC20(token).safeTransfer(to, amount);
+        emit FundsWithdrawn(token, to, amount);
+    }
+
+    /// @dev Attempt a typed burn first; if unavailable/reverted, fallback to sending to a burn sink.
+    ///      `nonReentrant` on `redeem` covers this external call; no state is modified after call ordering that could be exploited.
+    function _burnOrSink(address token, uint256 amount) internal {
+        if (amount == 0) return;
+        // Prefer typed call to reduce false-positives from low-level calls
+        try IERC20Burnable(token).burn(amount) {
+            _tokenStats[token].burned += amount;
+        } catch {
+            // Fallback: send to a well-known sink (standard ERC20 cannot transfer to address(0))
+            IERC20(token).safeTransfer(DEAD_BURN_ADDRESS, amount);
+            _tokenStats[token].sunk += amount;
+            emit TokenSinkFallback(token, amount);
+        }
+    }
+}
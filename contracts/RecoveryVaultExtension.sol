@@ -0,0 +1,402 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {IERC20} from "./hub/token/ERC20/IERC20.sol";
+import {SafeERC20} from "./hub/token/ERC20/utils/SafeERC20.sol";
+import {IWalletMigration} from "./hub/interfaces/IWalletMigration.sol";
+import {RecoveryVaultBase, IOracle} from "./RecoveryVaultBase.sol";
+import {RecoveryVaultViews} from "./RecoveryVaultViews.sol";
+
+/// @notice Second part of RecoveryVault: admin, treasury and round functions
+/// @dev Deployed on its own and only meaningful through the vault's fallback (delegatecall), which runs this code
+///      against the vault's storage. Called directly it only sees its own, empty storage. Selectors it does not
+///      implement (quotes and views) are delegated on to `views` the same way.
+contract RecoveryVaultExtension is RecoveryVaultBase {
+    using SafeERC20 for IERC20;
+
+    /// @notice Delegatecall target for quotes and views
+    address public immutable views;
+
+    constructor(address _wone, address _usdc, address _views) RecoveryVaultBase(_wone, _usdc) {
+        // same immutables as the vault and this contract (wONE/USDC and their decimals)
+        if (RecoveryVaultViews(_views).wONE() != _wone || RecoveryVaultViews(_views).usdc() != _usdc) {
+            revert InvalidExtension();
+        }
+        views = _views;
+    }
+
+    /// @dev Runs under the vault's delegatecall, so `views` executes against the vault's storage as well
+    fallback() external {
+        address v = views;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let ok := delegatecall(gas(), v, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(ok) { revert(ptr, returndatasize()) }
+            return(ptr, returndatasize())
+        }
+    }
+
+    // =====================
+    // ====== Admins  ======
+    // =====================
+    function grantRole(bytes32 role, address account) external onlyOwner {
+        _grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) external onlyOwner {
+        _revokeRole(role, account);
+    }
+
+    /// @notice Lets a (possibly compromised) operator key drop its own role
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
+    }
+
+    function setMerkleRoot(bytes32 _root) external onlyRole(WHITELIST_MANAGER_ROLE) {
+        merkleRoot = _root;
+        emit MerkleRootUpdated(_root);
+    }
+
+    /// @notice WalletMigration registry consulted for eligibility; zero disables migrations
+    function setMigration(address registry) external onlyOwner {
+        migration = IWalletMigration(registry);
+        emit MigrationSet(registry);
+    }
+
+    /// @notice Root of the (user, token, maxAmount) lifetime-cap tree; zero disables cap enforcement
+    function setCapRoot(bytes32 _root) external onlyRole(WHITELIST_MANAGER_ROLE) {
+        capRoot = _root;
+    }
+
+    function setSupportedToken(address token, bool allowed) external onlyOwner {
+        supportedToken[token] = allowed;
+        bool exists;
+        for (uint i = 0; i < supportedTokenList.length; i++) {
+            if (supportedTokenList[i] == token) {
+                exists = true;
+                if (!allowed) {
+                    supportedTokenList[i] = supportedTokenList[supportedTokenList.length - 1];
+                    supportedTokenList.pop();
+                }
+                break;
+            }
+        }
+        if (!exists && allowed) {
+            supportedTokenList.push(token);
+        }
+        emit SupportedTokenUpdated(token, allowed);
+    }
+
+    function setLocked(bool _status) external onlyRole(PAUSER_ROLE) {
+        isLocked = _status;
+        emit VaultPaused(_status);
+    }
+
+    /// @param usdAmount18 Daily limit in USD18 (USD * 1e18)
+    function setDailyLimit(uint256 usdAmount18) external onlyOwner {
+        dailyLimitUsd = usdAmount18;
+        emit DailyLimitUpdated(usdAmount18);
+    }
+
+    /// @notice Daily-limit window: `interval` seconds from each wallet's first redeem (Rolling), or shared windows on
+    ///         multiples of `interval` since the Unix epoch (FixedUtc; `interval` must divide a day or be whole days)
+    /// @dev Open windows are re-evaluated under the new rule at once; running time-locks keep their unlock time
+    function setResetWindow(uint256 interval, ResetMode mode) external onlyOwner {
+        if (interval < MIN_RESET_INTERVAL || interval > MAX_RESET_INTERVAL) revert InvalidResetWindow();
+        if (mode == ResetMode.FixedUtc && 1 days % interval != 0 && interval % 1 days != 0) revert InvalidResetWindow();
+        resetInterval = interval;
+        resetMode = mode;
+        emit ResetWindowUpdated(interval, mode);
+    }
+
+    function setOracle(address _oracle) external onlyRole(PRICE_SETTER_ROLE) {
+        oracle = IOracle(_oracle);
+        emit OracleUpdated(_oracle);
+    }
+
+    /// @notice Max accepted oracle age in seconds (0 disables the staleness check)
+    function setOracleMaxAge(uint256 maxAge) external onlyRole(PRICE_SETTER_ROLE) {
+        maxOracleAge = maxAge;
+        emit OracleGuardsUpdated(maxAge, minOnePrice18, maxOnePrice18);
+    }
+
+    /// @notice USD18-per-ONE sanity bounds for the oracle price (0 disables each side)
+    function setPriceBounds(uint256 min18, uint256 max18) external onlyRole(PRICE_SETTER_ROLE) {
+        if (min18 != 0 && max18 != 0 && min18 > max18) revert InvalidPriceBounds();
+        minOnePrice18 = min18;
+        maxOnePrice18 = max18;
+        emit OracleGuardsUpdated(maxOracleAge, min18, max18);
+    }
+
+    function setDevWallet(address wallet) external onlyOwner {
+        devWallet = wallet;
+        emit DevWalletUpdated(wallet);
+    }
+
+    function setRmcWallet(address wallet) external onlyOwner {
+        rmcWallet = wallet;
+    }
+
+    function setFeeTiers(uint256[] calldata thresholds, uint16[] calldata bps) external onlyOwner {
+        if (thresholds.length + 1 != bps.length) revert InvalidFeeConfig();
+        // element-wise copy: a packed uint16[] calldata->storage assignment costs ~170 bytes more (EIP-170)
+        delete feeThresholds;
+        delete feeBps;
+        for (uint256 i = 0; i < bps.length; i++) {
+            if (i < thresholds.length) feeThresholds.push(thresholds[i]); // thresholds remain in whole USD
+            feeBps.push(bps[i]);
+        }
+        emit FeeTiersUpdated(thresholds, bps);
+    }
+
+    /// @dev Shares must be non-zero and sum to 10_000; empty arrays send the whole fee to `devWallet` again
+    function setFeeRecipients(address[] calldata wallets, uint16[] calldata bps) external onlyOwner {
+        uint256 n = wallets.length;
+        if (n != bps.length || n > MAX_FEE_RECIPIENTS) revert InvalidFeeConfig();
+        delete feeRecipients;
+        delete feeRecipientBps;
+        uint256 total;
+        for (uint256 i = 0; i < n; i++) {
+            if (wallets[i] == address(0) || bps[i] == 0) revert InvalidFeeConfig();
+            total += bps[i];
+            feeRecipients.push(wallets[i]);
+            feeRecipientBps.push(bps[i]);
+        }
+        if (n != 0 && total != 10_000) revert InvalidFeeConfig();
+        emit FeeRecipientsUpdated(wallets, bps);
+    }
+
+    function setFixedUsdPrice(address token, uint256 usdPrice18) external onlyRole(PRICE_SETTER_ROLE) {
+        if (!supportedToken[token]) revert TokenNotSupported(token);
+        fixedUsdPrice[token] = usdPrice18; // 1e18 = $1.00 per token
+    }
+
+    /// @notice Adds or reprices an output token; `OutputPricing.None` removes it (its balance stays in the vault)
+    /// @param price18 USD18 per whole token for Fixed, must be zero otherwise
+    function setOutputToken(address token, OutputPricing pricing, uint256 price18) external onlyOwner {
+        _setOutputToken(token, pricing, price18);
+    }
+
+    function setRoundDelayEnabled(bool enabled) external onlyRole(ROUND_OPERATOR_ROLE) {
+        roundDelayEnabled = enabled;
+        emit RoundDelayToggled(enabled);
+    }
+
+    /// @notice USD18 all wallets together may redeem per round (0 = no budget); applies to the current round too
+    function setRoundBudget(uint256 usdAmount18) external onlyRole(ROUND_OPERATOR_ROLE) {
+        roundBudgetUsd = usdAmount18;
+        emit RoundBudgetUpdated(usdAmount18);
+    }
+
+    /// @notice Max amount of `token` (its units) redeemed per round (0 = no cap)
+    function setRoundTokenCap(address token, uint256 amount) external onlyRole(ROUND_OPERATOR_ROLE) {
+        roundTokenCap[token] = amount;
+        emit RoundTokenCapUpdated(token, amount);
+    }
+
+    /// @notice Sweeps the whole balance of an output token to `rmcWallet`
+    function withdrawFunds(address token) external onlyRole(TREASURER_ROLE) {
+        _withdrawTo(token, IERC20(token).balanceOf(address(this)), rmcWallet);
+    }
+
+    /// @notice Sends `amount` of an output token to `to`
+    function withdrawTo(address token, uint256 amount, address to) external onlyRole(TREASURER_ROLE) {
+        _withdrawTo(token, amount, to);
+    }
+
+    /// @notice Returns a token sent to the vault by mistake (address(0) = native ONE)
+    /// @dev Output tokens back redemptions (and the claim window / queue settlements), so they can only leave through
+    ///      `withdrawFunds`/`withdrawTo`/`release`; rescue reverts on them.
+    function rescueToken(address token, uint256 amount, address to) external onlyRole(TREASURER_ROLE) {
+        if (outputToken[token].pricing != OutputPricing.None) revert TokenNotAllowed();
+        if (to == address(0) || to == address(this)) revert InvalidRecipient();
+        if (amount == 0) revert NothingToWithdraw();
+        if (token == address(0)) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            if (!ok) revert NativeTransferFailed();
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+        emit TokenRescued(token, to, amount);
+    }
+
+    /// @notice Sends an output token to a settlement module, which pays users itself and hands the used input back
+    ///         through `burnInput`; blocked while the vault is paused
+    /// @dev Draws on the module's own hold first; other modules' holds are not available to it
+    function release(address token, uint256 amount) external onlyRole(SETTLEMENT_ROLE) {
+        if (isLocked) revert ContractLocked();
+        if (outputToken[token].pricing == OutputPricing.None) revert TokenNotAllowed();
+        uint256 available = _availableOut(token, msg.sender);
+        if (amount > available) revert InsufficientLiquidity(token, available, amount);
+        uint256 own = _moduleReservedOut[msg.sender][token];
+        if (own > 0) _unreserveOutput(msg.sender, token, amount < own ? amount : own);
+        _syncRound();
+        roundPaidOut[currentRound][token] += amount;
+        IERC20(token).safeTransfer(msg.sender, amount);
+        emit LiquidityReleased(msg.sender, token, amount);
+    }
+
+    /// @notice Burns (or sinks) `amount` of input `token` a settlement module used, pulled from it (it approves first),
+    ///         so module settlements show up in getTokenStats and TokenSinkFallback like vault redeems
+    function burnInput(address token, uint256 amount) external onlyRole(SETTLEMENT_ROLE) {
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        _burnOrSink(token, amount);
+    }
+
+    /// @notice Holds `amount` of output `token` back for the caller's pending payouts, so direct redeems and other
+    ///         modules cannot use it first; it may exceed the current balance (the hold waits for deposits)
+    function reserveOutput(address token, uint256 amount) external onlyRole(SETTLEMENT_ROLE) {
+        if (outputToken[token].pricing == OutputPricing.None) revert TokenNotAllowed();
+        _reservedOut[token] += amount;
+        _moduleReservedOut[msg.sender][token] += amount;
+        emit OutputReserved(msg.sender, token, amount);
+    }
+
+    /// @notice Drops `amount` of the caller's hold on `token` (e.g. a cancelled queue entry)
+    function unreserveOutput(address token, uint256 amount) external {
+        _unreserveOutput(msg.sender, token, amount);
+    }
+
+    /// @notice Drops whatever `module` still holds of `token`, for a module taken out of service
+    function clearOutputReservation(address module, address token) external onlyOwner {
+        _unreserveOutput(module, token, _moduleReservedOut[module][token]);
+    }
+
+    function _unreserveOutput(address module, address token, uint256 amount) internal {
+        _moduleReservedOut[module][token] -= amount;
+        _reservedOut[token] -= amount;
+        emit OutputUnreserved(module, token, amount);
+    }
+
+    /// @notice Books a module's request against `wallet`'s limits like a redeem would (whitelist, weighted daily limit,
+    ///         lifetime cap, round budget and token cap; same errors), so module requests and direct redeems share them
+    /// @dev The module hands back whatever it does not settle with `releaseUsage`
+    /// @return id Reservation id
+    function reserveUsage(
+        address wallet,
+        address tokenIn,
+        uint256 amountIn,
+        address redeemIn,
+        uint256 weight,
+        bytes32[] calldata proof,
+        uint256 maxAmount,
+        bytes32[] calldata capProof
+    ) external onlyRole(SETTLEMENT_ROLE) returns (uint256 id) {
+        if (isLocked) revert ContractLocked();
+        _syncRound();
+        address account = _account(wallet);
+        if (!_verifyWhitelist(account, weight, proof)) revert NotWhitelisted();
+        _openWindow(account);
+        (address[] memory tokensIn, uint256[] memory amountsIn, uint256[] memory maxAmounts, bytes32[][] memory capProofs) =
+            _oneLeg(tokenIn, amountIn, maxAmount, capProof);
+        Quote memory q = _quote(account, tokensIn, amountsIn, redeemIn, weight, maxAmounts, capProofs, true);
+        _bookUsage(account, q, amountsIn, weight);
+        id = ++reservationCount;
+        _reservations[id] = Reservation(
+            msg.sender, account, q.resolved[0], currentRound, periodStart[account], amountIn, q.usdIn18, q.usdIns[0] - q.usdNets[0]
+        );
+        emit UsageReserved(id, msg.sender, account, q.resolved[0], amountIn, q.usdIn18);
+    }
+
+    /// @notice Hands back `amountIn` (tokenIn units) of reservation `id` that the calling module will not settle, with
+    ///         its pro-rata share of the booked USD
+    /// @dev Only the module that made the reservation; no role or lock check so users can always cancel. Lifetime claims
+    ///      and round totals are always reduced, daily usage only while the window it was booked in still runs.
+    function releaseUsage(uint256 id, uint256 amountIn) external {
+        Reservation storage r = _reservations[id];
+        if (r.module != msg.sender || amountIn > r.amountIn) revert InvalidReservation();
+        if (amountIn == 0) return;
+        uint256 usd18 = (r.usd18 * amountIn) / r.amountIn;
+        uint256 fee18 = (r.feeUsd18 * amountIn) / r.amountIn;
+        r.amountIn -= amountIn;
+        r.usd18 -= usd18;
+        r.feeUsd18 -= fee18;
+
+        address account = r.account;
+        uint256 rid = r.roundId;
+        claimedAmount[account][r.tokenIn] -= amountIn;
+        roundTokenRedeemed[rid][r.tokenIn] -= amountIn;
+        roundRedeemedUsd[rid] -= usd18;
+        roundRedeemedBy[rid][account] -= usd18;
+        _roundStats[rid].feesUsd -= fee18;
+        if (roundRedeemedBy[rid][account] == 0 && _roundRedeemer[rid][account]) {
+            // nothing of the account's left in the round: it no longer counts as a redeemer
+            _roundRedeemer[rid][account] = false;
+            _roundStats[rid].redeemers--;
+        }
+        if (
+            rid == _roundNow() && periodStart[account] == r.periodStart &&
+            !_windowElapsed(r.periodStart, limitUnlockAt[account])
+        ) {
+            redeemedInRound[rid][account] -= usd18;
+            limitUnlockAt[account] = 0;
+        }
+        emit UsageReleased(id, amountIn, usd18);
+    }
+
+    /// @notice Starts round `_roundId` now (or after ROUND_DELAY), open-ended, with a fee tier locked from the vault's
+    ///         USD value; it replaces any round still waiting in the schedule
+    function startNewRound(uint256 _roundId) external onlyRole(ROUND_OPERATOR_ROLE) {
+        _syncRound();
+        if (_roundId <= currentRound) revert RoundIdMustIncrease(currentRound);
+        if (!_hasOutputFunds()) revert NoFunds();
+        _dropSchedule();
+
+        // Lock a single fee tier for the whole round, based on current vault USD value
+        (uint256 p, uint8 _d) = _checkedOraclePrice();
+
+        // use precise USD18 basis (every output token) for evaluation, then choose tier by whole-USD
+        uint256 basis18;
+        for (uint256 i = 0; i < outputTokenList.length; i++) {
+            address t = outputTokenList[i];
+            basis18 += _outputUsd18(t, IERC20(t).balanceOf(address(this)), p, _d);
+        }
+        uint256 basisUsdInt = basis18 / 1e18;
+
+        uint16 bps = _selectBpsByUsd(basisUsdInt);
+        _rounds[_roundId] = Round(uint64(block.timestamp + (roundDelayEnabled ? ROUND_DELAY : 0)), 0, bps, 0);
+        roundFeeBasisUsd = basisUsdInt;
+        emit RoundFeeLocked(_roundId, bps, basisUsdInt);
+        _enterRound(_roundId);
+    }
+
+    /// @notice Schedules round `roundId` ahead of time; it starts by itself at `startTime` with a fixed `feeBps`
+    /// @dev The round's fee and limit replace the fee tiers and the daily limit while it runs, so `feeBps` is capped
+    ///      at the highest tier and VaultTimelock queues this call like `setFeeTiers` / `setDailyLimit`
+    /// @param endTime 0 = runs until the next round starts
+    /// @param dailyLimitUsd18 0 = the vault-wide daily limit
+    function scheduleRound(
+        uint256 roundId,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 dailyLimitUsd18,
+        uint16 feeBps
+    ) external onlyRole(ROUND_OPERATOR_ROLE) {
+        uint256 n = _schedule.length;
+        uint256 last = n > _scheduleHead ? _schedule[n - 1] : currentRound;
+        if (roundId <= last) revert RoundIdMustIncrease(last);
+        Round storage prev = _rounds[last];
+        // Rounds follow each other: no overlap with the previous one, at most MAX_SCHEDULED_ROUNDS waiting
+        if (
+            startTime < block.timestamp || startTime <= prev.start || startTime < prev.end ||
+            (endTime != 0 && endTime <= startTime) || endTime > type(uint64).max || startTime > type(uint64).max ||
+            feeBps > _maxFeeBps() || n - _scheduleHead >= MAX_SCHEDULED_ROUNDS
+        ) revert InvalidRoundSchedule();
+        _rounds[roundId] = Round(uint64(startTime), uint64(endTime), feeBps, dailyLimitUsd18);
+        _schedule.push(roundId);
+        emit RoundScheduled(roundId, startTime, endTime, dailyLimitUsd18, feeBps);
+    }
+
+    /// @notice Drops every scheduled round that has not started yet
+    function cancelScheduledRounds() external onlyRole(ROUND_OPERATOR_ROLE) {
+        _syncRound();
+        _dropSchedule();
+    }
+
+    function _dropSchedule() internal {
+        for (uint256 i = _scheduleHead; i < _schedule.length; i++) delete _rounds[_schedule[i]];
+        _scheduleHead = _schedule.length;
+    }
+}
@@ -0,0 +1,314 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {IERC20} from "./hub/token/ERC20/IERC20.sol";
+import {RecoveryVaultBase} from "./RecoveryVaultBase.sol";
+
+/// @notice Third part of RecoveryVault: quotes and read-only views
+/// @dev Reached through the vault's fallback and then the extension's (both delegatecall), so it reads the vault's
+///      storage and balances. Called directly it only sees its own, empty storage.
+contract RecoveryVaultViews is RecoveryVaultBase {
+    constructor(address _wone, address _usdc) RecoveryVaultBase(_wone, _usdc) {}
+
+    // =====================
+    // ======  Views  ======
+    // =====================
+    /// @param weight Snapshot weight from the wallet's Merkle leaf (not verified here)
+    /// @return remainingUSD18 Remaining daily allowance in USD18 (USD * 1e18)
+    function getUserLimit(address wallet, uint256 weight) external view returns (uint256 remainingUSD18) {
+        wallet = _account(wallet);
+        if (limitUnlockAt[wallet] != 0 && block.timestamp < limitUnlockAt[wallet]) {
+            return 0;
+        }
+        remainingUSD18 = _remainingView(wallet, weight);
+    }
+
+    /// @notice Everything `_resetIfNeeded` and the limit checks will apply to `wallet`'s next redeem, in one read
+    /// @dev Amounts are USD18; `limitUsd` is the round's daily limit scaled by `weight`. `windowStart`/`windowEnd`
+    ///      bound the usage window (see `resetMode`) and `unlockAt` is the time-lock after hitting the limit; all are 0
+    ///      once elapsed or before the first redeem. `roundRedeemedUsd` is the account's total in the round in force,
+    ///      never reset by the window.
+    struct UserStatus {
+        bool whitelisted;
+        uint256 limitUsd;
+        uint256 usedUsd;
+        uint256 remainingUsd;
+        uint256 windowStart;
+        uint256 windowEnd;
+        uint256 unlockAt;
+        uint256 lastRedeemAt;
+        uint256 roundRedeemedUsd;
+    }
+
+    /// @param weight Snapshot weight from the wallet's Merkle leaf (`proof` is checked against (account, weight))
+    function getUserStatus(address wallet, uint256 weight, bytes32[] calldata proof) external view returns (UserStatus memory s) {
+        address account = _account(wallet);
+        s.whitelisted = _verifyWhitelist(account, weight, proof);
+        s.limitUsd = _weightedLimit(weight);
+        (s.usedUsd, s.windowStart, s.windowEnd, s.unlockAt) = _windowView(account);
+        s.remainingUsd = s.unlockAt != 0 ? 0 : _remainingView(account, weight);
+        s.lastRedeemAt = lastRedeemTimestamp[account];
+        s.roundRedeemedUsd = roundRedeemedBy[_roundNow()][account];
+    }
+
+    /// @notice Daily-limit window rule; `nextReset` is the next shared boundary in FixedUtc mode, 0 in Rolling mode
+    ///         (each wallet's window ends `interval` after its first redeem, see getUserStatus.windowEnd)
+    function getResetWindow() external view returns (uint256 interval, ResetMode mode, uint256 nextReset) {
+        interval = resetInterval;
+        mode = resetMode;
+        if (mode == ResetMode.FixedUtc) (, nextReset) = _windowOf(block.timestamp);
+    }
+
+    /// @notice Round in force now (a scheduled round counts from its start time, before any redeem moves to it)
+    /// @dev `endTime` 0 = runs until the next round starts; `roundFeeBasis` is 0 for scheduled rounds (fixed fee)
+    function getRoundInfo() external view returns (
+        uint256 roundId,
+        uint256 startTime,
+        bool isActive,
+        bool paused,
+        uint256 limitUsd,
+        bool delayEnabled,
+        uint16 roundFeeBps,
+        uint256 roundFeeBasis,
+        uint256 budgetUsd,
+        uint256 budgetRemainingUsd,
+        uint256 endTime
+    ) {
+        uint256 id = _roundNow();
+        Round storage r = _rounds[id];
+        return (
+            id,
+            r.start,
+            _roundOpen(id) && _hasOutputFunds(),
+            isLocked,
+            _weightedLimit(1), // USD18
+            roundDelayEnabled,
+            r.feeBps,
+            id == currentRound ? roundFeeBasisUsd : 0,
+            roundBudgetUsd, // USD18, 0 = no budget
+            _roundBudgetLeft(),
+            r.end
+        );
+    }
+
+    /// @notice Config of any past, current or scheduled round; `exists` is false for ids never started or scheduled
+    /// @dev `limitUsd` is USD18 (the vault-wide limit when the round sets none); `redeemedUsd` is USD18 so far
+    function getRoundInfo(uint256 roundId) external view returns (
+        bool exists,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 limitUsd,
+        uint16 feeBps,
+        bool isActive,
+        uint256 redeemedUsd
+    ) {
+        Round storage r = _rounds[roundId];
+        return (
+            r.start != 0,
+            r.start,
+            r.end,
+            r.dailyLimitUsd == 0 ? dailyLimitUsd : r.dailyLimitUsd,
+            r.feeBps,
+            roundId == _roundNow() && _roundOpen(roundId),
+            roundRedeemedUsd[roundId]
+        );
+    }
+
+    /// @notice Running totals of `roundId`: vault redeems plus settlement-module requests (booked by `reserveUsage`,
+    ///         paid out through `release` in the round the liquidity leaves the vault)
+    /// @return usdIn USD18 gross value redeemed
+    /// @return feesUsd USD18 taken as fees
+    /// @return redeemers Distinct snapshot accounts that redeemed
+    /// @return outputs Current output tokens (`getOutputTokens` order; `roundPaidOut` also covers removed ones)
+    /// @return paidOut Amount of each output paid out (native ONE payouts count as wONE)
+    function getRoundStats(uint256 roundId) external view returns (
+        uint256 usdIn,
+        uint256 feesUsd,
+        uint256 redeemers,
+        address[] memory outputs,
+        uint256[] memory paidOut
+    ) {
+        RoundStats storage s = _roundStats[roundId];
+        outputs = outputTokenList;
+        paidOut = new uint256[](outputs.length);
+        for (uint256 i = 0; i < outputs.length; i++) paidOut[i] = roundPaidOut[roundId][outputs[i]];
+        return (roundRedeemedUsd[roundId], s.feesUsd, s.redeemers, outputs, paidOut);
+    }
+
+    /// @notice Lifetime amounts of `token` (tokenIn units) burned and sent to the sink by vault redeems and by settlement
+    ///         modules (`burnInput`)
+    function getTokenStats(address token) external view returns (uint256 burned, uint256 sunk) {
+        TokenStats storage s = _tokenStats[token];
+        return (s.burned, s.sunk);
+    }
+
+    /// @notice Scheduled rounds that have not started yet, in start order
+    function getScheduledRounds() external view returns (uint256[] memory ids) {
+        uint256 i = _scheduleHead;
+        while (i < _schedule.length && _rounds[_schedule[i]].start <= block.timestamp) i++;
+        ids = new uint256[](_schedule.length - i);
+        for (uint256 j = 0; j < ids.length; j++) ids[j] = _schedule[i + j];
+    }
+
+    function getSupportedTokens() external view returns (address[] memory) {
+        return supportedTokenList;
+    }
+
+    /// @notice wONE/USDC balances only (kept for existing integrations); see getOutputBalances for every output token
+    function getVaultBalances() public view returns (uint256 woneBalance, uint256 usdcBalance) {
+        woneBalance = IERC20(wONE).balanceOf(address(this));
+        usdcBalance = IERC20(usdc).balanceOf(address(this));
+    }
+
+    function getOutputTokens() external view returns (address[] memory) {
+        return outputTokenList;
+    }
+
+    function isOutputToken(address token) external view returns (bool) {
+        return outputToken[token].pricing != OutputPricing.None;
+    }
+
+    /// @notice Every output token with its valuation source, vault balance and USD18 value at the current oracle price
+    /// @dev `pricing` holds OutputPricing values (1 = Oracle, 2 = Peg, 3 = Fixed); usdValues18 only reverts on a non-positive price
+    function getOutputBalances() external view returns (
+        address[] memory tokens,
+        uint8[] memory pricing,
+        uint8[] memory decimals,
+        uint256[] memory balances,
+        uint256[] memory usdValues18
+    ) {
+        uint256 n = outputTokenList.length;
+        tokens = outputTokenList;
+        pricing = new uint8[](n);
+        decimals = new uint8[](n);
+        balances = new uint256[](n);
+        usdValues18 = new uint256[](n);
+        (uint256 p, uint8 d,) = _readOracle();
+        for (uint256 i = 0; i < n; i++) {
+            OutputToken memory o = outputToken[tokens[i]];
+            pricing[i] = uint8(o.pricing);
+            decimals[i] = o.decimals;
+            balances[i] = IERC20(tokens[i]).balanceOf(address(this));
+            usdValues18[i] = _outputUsd18(tokens[i], balances[i], p, d);
+        }
+    }
+
+    /// @notice Output held back for modules' pending payouts: the total, and `module`'s own part
+    function getReservedOutput(address token, address module) external view returns (uint256 total, uint256 ofModule) {
+        return (_reservedOut[token], _moduleReservedOut[module][token]);
+    }
+
+    /// @notice Balance of `token` that `module` may `release` (address(0): what direct redeems may pay out)
+    function availableOutput(address token, address module) external view returns (uint256) {
+        return _availableOut(token, module);
+    }
+
+    function getFeeTiers() external view returns (uint256[] memory thresholds, uint16[] memory bps) {
+        return (feeThresholds, feeBps);
+    }
+
+    /// @notice Current fee split; with no table set, the dev wallet alone at 10_000 bps
+    function getFeeRecipients() external view returns (address[] memory wallets, uint16[] memory bps) {
+        if (feeRecipients.length != 0) return (feeRecipients, feeRecipientBps);
+        wallets = new address[](1);
+        bps = new uint16[](1);
+        wallets[0] = devWallet;
+        bps[0] = 10_000;
+    }
+
+    /// @notice Returns the last timestamp when the user performed a redeem.
+    function getLastRedeemTimestamp(address user) external view returns (uint256) {
+        return lastRedeemTimestamp[user];
+    }
+
+    /// @dev splitPrimaryOut / splitSecondaryOut: legs `redeemSplit` would pay for the current vault balances, in
+    ///      `redeemIn` and in the top-up output token (see `_splitOut`); zero when blocked
+    function quoteRedeem(
+        address user,
+        address tokenIn,
+        uint256 amountIn,
+        address redeemIn,
+        uint256 weight,
+        bytes32[] calldata proof,
+        uint256 maxAmount,
+        bytes32[] calldata capProof
+    ) public view returns (
+        bool whitelisted,
+        bool roundIsActive,
+        uint256 feeAmountInTokenIn,
+        uint256 burnAmountInTokenIn,
+        uint256 userLimitUsdBefore,
+        uint256 userLimitUsdAfter,
+        uint256 usdValueIn,
+        uint8 tokenInDecimals,
+        uint8 redeemInDecimals,
+        uint256 oraclePrice,
+        uint8 oracleDecimals,
+        uint256 amountOutRedeemToken,
+        bool oracleOk,
+        uint256 roundBudgetRemaining,
+        uint256 roundTokenRemaining,
+        uint256 splitPrimaryOut,
+        uint256 splitSecondaryOut
+    ) {
+        user = _account(user);
+        whitelisted = _verifyWhitelist(user, weight, proof);
+        roundIsActive = _roundOpen(_roundNow());
+
+        (address[] memory tokensIn, uint256[] memory amountsIn, uint256[] memory maxAmounts, bytes32[][] memory capProofs) =
+            _oneLeg(tokenIn, amountIn, maxAmount, capProof);
+        Quote memory q = _quote(user, tokensIn, amountsIn, redeemIn, weight, maxAmounts, capProofs, false);
+
+        tokenInDecimals = q.tokenInDecimals[0];
+        redeemInDecimals = outputToken[redeemIn].decimals;
+        oraclePrice = q.oraclePrice;
+        oracleDecimals = q.oracleDecimals;
+        oracleOk = q.oracleOk;
+        usdValueIn = q.usdIn18; // USD18, exposed even when blocked
+        roundBudgetRemaining = _roundBudgetLeft();     // USD18; max uint = no budget
+        roundTokenRemaining = _roundTokenLeft(q.resolved[0]); // tokenIn units; max uint = no cap
+
+        // blocked (time-locked, cap used up, oracle guard, over limit): numeric fields stay zero
+        if (!q.blocked) {
+            userLimitUsdBefore = q.remainingBefore18;
+            userLimitUsdAfter = q.remainingBefore18 - q.usdIn18;
+            feeAmountInTokenIn = q.fees[0];
+            burnAmountInTokenIn = amountIn - q.fees[0];
+            amountOutRedeemToken = q.amountsOut[0];
+            (, splitPrimaryOut, splitSecondaryOut) = _splitOut(redeemIn, q.totalOut, q.oraclePrice, q.oracleDecimals);
+        }
+    }
+
+    /// @notice Non-reverting quote for `redeemMany` (same blocking rules as quoteRedeem, applied to the total)
+    /// @dev `usdValueIn` is the USD18 total; `feesInTokenIn`/`amountsOut` are per leg (tokenIn / redeemIn units), zeros if blocked
+    function quoteRedeemMany(
+        address user,
+        address[] calldata tokensIn,
+        uint256[] calldata amountsIn,
+        address redeemIn,
+        uint256 weight,
+        bytes32[] calldata proof,
+        uint256[] calldata maxAmounts,
+        bytes32[][] calldata capProofs
+    ) external view returns (
+        bool whitelisted,
+        bool roundIsActive,
+        bool oracleOk,
+        uint256 usdValueIn,
+        uint256 userLimitUsdBefore,
+        uint256 userLimitUsdAfter,
+        uint256[] memory feesInTokenIn,
+        uint256[] memory amountsOut,
+        uint256 totalAmountOut
+    ) {
+        user = _account(user);
+        whitelisted = _verifyWhitelist(user, weight, proof);
+        roundIsActive = _roundOpen(_roundNow());
+        Quote memory q = _quote(user, tokensIn, amountsIn, redeemIn, weight, maxAmounts, capProofs, false);
+        if (!q.blocked) {
+            userLimitUsdBefore = q.remainingBefore18;
+            userLimitUsdAfter = q.remainingBefore18 - q.usdIn18;
+        }
+        return (whitelisted, roundIsActive, q.oracleOk, q.usdIn18, userLimitUsdBefore, userLimitUsdAfter, q.fees, q.amountsOut, q.totalOut);
+    }
+}
@@ -2,7 +2,7 @@
 pragma solidity ^0.8.18;
 
 interface IOracle {
-    function latestPrice() external view returns (int256 price, uint8 decimals);
+    function latestPrice() external view returns (int256 price, uint8 decimals, uint256 updatedAt);
 }
 
 interface IBandRef {
@@ -22,9 +22,11 @@ contract BandAdapter is IOracle {
         band = IBandRef(bandRefAddress);
     }
 
-    function latestPrice() external view returns (int256 price, uint8 decimals) {
-        (uint256 rate,,) = band.getReferenceData(BASE, QUOTE);
+    /// @dev `updatedAt` is the older of Band's base/quote update times
+    function latestPrice() external view returns (int256 price, uint8 decimals, uint256 updatedAt) {
+        (uint256 rate, uint256 lastUpdatedBase, uint256 lastUpdatedQuote) = band.getReferenceData(BASE, QUOTE);
         require(rate > 0, "Band: invalid rate");
-        return (int256(rate), 18);
+        updatedAt = lastUpdatedBase < lastUpdatedQuote ? lastUpdatedBase : lastUpdatedQuote;
+        return (int256(rate), 18, updatedAt);
     }
 }
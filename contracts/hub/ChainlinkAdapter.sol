@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "./interfaces/IOracle.sol";
+
+interface IAggregatorV3 {
+    function decimals() external view returns (uint8);
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
+
+/// @notice Exposes a Chainlink-style `latestRoundData` feed (USD/ONE) as an IOracle
+contract ChainlinkAdapter is IOracle {
+    IAggregatorV3 public immutable feed;
+
+    constructor(address feedAddress) {
+        require(feedAddress != address(0), "invalid feed address");
+        feed = IAggregatorV3(feedAddress);
+    }
+
+    function latestPrice() external view returns (int256 price, uint8 decimals, uint256 updatedAt) {
+        (uint80 roundId, int256 answer, , uint256 ts, uint80 answeredInRound) = feed.latestRoundData();
+        require(answer > 0, "Chainlink: invalid answer");
+        require(answeredInRound >= roundId, "Chainlink: stale round");
+        return (answer, feed.decimals(), ts);
+    }
+}
@@ -0,0 +1,214 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {Ownable} from "./access/Ownable.sol";
+import {ReentrancyGuard} from "./security/ReentrancyGuard.sol";
+import {IERC20} from "./token/ERC20/IERC20.sol";
+import {SafeERC20} from "./token/ERC20/utils/SafeERC20.sol";
+import {IRecoveryVault} from "./interfaces/IRecoveryVault.sol";
+import {IWalletMigration} from "./interfaces/IWalletMigration.sol";
+
+/// @notice Pro-rata alternative to first-come-first-served rounds
+/// @dev During a window, whitelisted wallets escrow their input token and register one request each, priced by the
+///      vault's `quoteRedeem` (whitelist, weighted daily limit, claim caps, fee, oracle). After `end`, anyone can
+///      finalize: for each output token the module pulls min(requested, vault balance not held for queued payouts)
+///      through `release` (needs the vault's SETTLEMENT_ROLE) and every request is filled by the same ratio. Users then withdraw
+///      their share; the unfilled part of the input is refunded, the filled part is burned (or sunk) minus the fee,
+///      which follows the vault's fee split. Each request is booked against the wallet's vault limits when it is
+///      registered (`reserveUsage`) and the unfilled part is handed back on cancel / withdraw (`releaseUsage`), so
+///      windows and direct redeems share one daily limit and lifetime cap. Requests need SETTLEMENT_ROLE and an
+///      unlocked vault.
+contract ClaimWindow is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct Window {
+        uint64 start;
+        uint64 end;
+        bool finalized;
+    }
+
+    struct Request {
+        address tokenIn;
+        address redeemIn;
+        uint256 amountIn;
+        uint256 feeIn;      // tokenIn units, at full fill
+        uint256 amountOut;  // redeemIn units, at full fill
+        uint256 reservation; // vault usage reservation id
+    }
+
+    IRecoveryVault public immutable vault;
+    uint256 public windowCount; // id of the latest window (ids start at 1)
+    mapping(uint256 => Window) public windows;
+    mapping(uint256 => mapping(address => Request)) public requests;      // window => snapshot account => request
+    mapping(uint256 => mapping(address => uint256)) public totalRequested; // window => redeemIn => full-fill output
+    mapping(uint256 => mapping(address => uint256)) public fillRate;       // window => redeemIn => filled share (1e18 = 100%)
+
+    event WindowOpened(uint256 indexed id, uint256 start, uint256 end);
+    event RequestRegistered(uint256 indexed id, address indexed account, address tokenIn, uint256 amountIn, address redeemIn, uint256 amountOut);
+    event RequestCancelled(uint256 indexed id, address indexed account, uint256 amountIn);
+    event WindowFinalized(uint256 indexed id, address indexed redeemIn, uint256 requested, uint256 released);
+    event RequestSettled(uint256 indexed id, address indexed account, address to, uint256 amountOut, uint256 usedIn, uint256 refundIn);
+
+    constructor(address initialOwner, address _vault) {
+        require(initialOwner != address(0), "Invalid owner");
+        require(_vault != address(0), "Invalid vault");
+        _transferOwnership(initialOwner);
+        vault = IRecoveryVault(_vault);
+    }
+
+    // =====================
+    // ==== Admin        ===
+    // =====================
+    /// @param start Unix time requests open (values in the past open immediately)
+    /// @param end Unix time requests close and finalization becomes possible
+    function openWindow(uint64 start, uint64 end) external onlyOwner returns (uint256 id) {
+        require(end > start && end > block.timestamp, "Invalid window");
+        require(windowCount == 0 || windows[windowCount].finalized, "Previous window not finalized");
+        id = ++windowCount;
+        windows[id] = Window(start, end, false);
+        emit WindowOpened(id, start, end);
+    }
+
+    // =====================
+    // ==== Users        ===
+    // =====================
+    /// @notice Escrows `amountIn` of `tokenIn` (ERC-20; wrap ONE first) and registers a request in the open window
+    /// @dev Same arguments as the vault's `redeem`; the request must pass `quoteRedeem` unblocked and is booked
+    ///      against the wallet's limits right away
+    function request(
+        address tokenIn,
+        uint256 amountIn,
+        address redeemIn,
+        uint256 weight,
+        bytes32[] calldata proof,
+        uint256 maxAmount,
+        bytes32[] calldata capProof
+    ) external nonReentrant {
+        uint256 id = windowCount;
+        Window memory w = windows[id];
+        require(id != 0 && block.timestamp >= w.start && block.timestamp < w.end, "Window closed");
+        require(tokenIn != address(0), "Wrap ONE first");
+        address account = _account(msg.sender);
+        require(account != address(0), "Wallet frozen");
+        require(requests[id][account].amountIn == 0, "Already requested");
+
+        (bool whitelisted,, uint256 feeIn,,,,,,,,, uint256 amountOut,,,,,) =
+            vault.quoteRedeem(msg.sender, tokenIn, amountIn, redeemIn, weight, proof, maxAmount, capProof);
+        require(whitelisted, "Not whitelisted");
+        require(amountOut > 0, "Request blocked");
+
+        uint256 reservation = vault.reserveUsage(msg.sender, tokenIn, amountIn, redeemIn, weight, proof, maxAmount, capProof);
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        requests[id][account] = Request(tokenIn, redeemIn, amountIn, feeIn, amountOut, reservation);
+        totalRequested[id][redeemIn] += amountOut;
+        emit RequestRegistered(id, account, tokenIn, amountIn, redeemIn, amountOut);
+    }
+
+    /// @notice Withdraws the request and its escrow while the window is still open
+    function cancelRequest() external nonReentrant {
+        uint256 id = windowCount;
+        require(block.timestamp < windows[id].end, "Window closed");
+        address account = _account(msg.sender);
+        Request memory r = requests[id][account];
+        require(r.amountIn != 0, "No request");
+        delete requests[id][account];
+        totalRequested[id][r.redeemIn] -= r.amountOut;
+        vault.releaseUsage(r.reservation, r.amountIn);
+        IERC20(r.tokenIn).safeTransfer(msg.sender, r.amountIn);
+        emit RequestCancelled(id, account, r.amountIn);
+    }
+
+    /// @notice Pulls the payout pool from the vault and fixes the fill ratio per output token; callable by anyone
+    function finalize(uint256 id) external nonReentrant {
+        Window storage w = windows[id];
+        require(id != 0 && id <= windowCount, "Unknown window");
+        require(block.timestamp >= w.end, "Window open");
+        require(!w.finalized, "Already finalized");
+        w.finalized = true;
+        address[] memory outputs = vault.getOutputTokens();
+        for (uint256 i = 0; i < outputs.length; i++) _settleToken(id, outputs[i]);
+    }
+
+    /// @notice Pays the filled share of the caller's request and refunds the unfilled input
+    function withdraw(uint256 id) external nonReentrant {
+        require(windows[id].finalized, "Not finalized");
+        address account = _account(msg.sender);
+        Request memory r = requests[id][account];
+        require(r.amountIn != 0, "No request");
+        delete requests[id][account];
+
+        uint256 fill = fillRate[id][r.redeemIn];
+        uint256 amountOut = (r.amountOut * fill) / 1e18;
+        uint256 usedIn = (r.amountIn * fill) / 1e18;
+        uint256 feeIn = (r.feeIn * fill) / 1e18;
+        if (r.amountIn > usedIn) vault.releaseUsage(r.reservation, r.amountIn - usedIn);
+
+        if (amountOut > 0) IERC20(r.redeemIn).safeTransfer(msg.sender, amountOut);
+        _payFee(r.tokenIn, feeIn);
+        _burnOrSink(r.tokenIn, usedIn - feeIn);
+        if (r.amountIn > usedIn) IERC20(r.tokenIn).safeTransfer(msg.sender, r.amountIn - usedIn);
+        emit RequestSettled(id, account, msg.sender, amountOut, usedIn, r.amountIn - usedIn);
+    }
+
+    // =====================
+    // ==== Views        ===
+    // =====================
+    /// @return Share of `redeemIn` requests that is (or, before finalization, would be) filled; 1e18 = 100%
+    function estimatedFill(uint256 id, address redeemIn) public view returns (uint256) {
+        if (windows[id].finalized) return fillRate[id][redeemIn];
+        uint256 need = totalRequested[id][redeemIn];
+        if (need == 0) return 1e18;
+        uint256 available = vault.availableOutput(redeemIn, address(this));
+        return available >= need ? 1e18 : (available * 1e18) / need;
+    }
+
+    /// @notice Request of `wallet` (resolved to its snapshot account) in window `id`, with its fill estimate
+    function requestOf(uint256 id, address wallet)
+        external
+        view
+        returns (Request memory r, uint256 fill18, uint256 estimatedOut)
+    {
+        r = requests[id][_account(wallet)];
+        if (r.amountIn == 0) return (r, 0, 0);
+        fill18 = estimatedFill(id, r.redeemIn);
+        estimatedOut = (r.amountOut * fill18) / 1e18;
+    }
+
+    // =====================
+    // ===== Internals =====
+    // =====================
+    function _settleToken(uint256 id, address token) internal {
+        uint256 need = totalRequested[id][token];
+        if (need == 0) return;
+        uint256 available = vault.availableOutput(token, address(this));
+        uint256 pool = available < need ? available : need;
+        if (pool > 0) vault.release(token, pool);
+        fillRate[id][token] = (pool * 1e18) / need;
+        emit WindowFinalized(id, token, need, pool);
+    }
+
+    /// @dev Same resolution as the vault: migrated wallets act for their snapshot address
+    function _account(address wallet) internal view returns (address) {
+        IWalletMigration m = vault.migration();
+        return address(m) == address(0) ? wallet : m.accountOf(wallet);
+    }
+
+    /// @dev Pays a fee share along the vault's fee split (`getFeeRecipients`; the last recipient takes the dust)
+    function _payFee(address token, uint256 amount) internal {
+        if (amount == 0) return;
+        (address[] memory to, uint16[] memory bps) = vault.getFeeRecipients();
+        uint256 left = amount;
+        for (uint256 i = 0; i < to.length; i++) {
+            uint256 share = i + 1 == to.length ? left : (amount * bps[i]) / 10_000;
+            left -= share;
+            if (share > 0) IERC20(token).safeTransfer(to[i], share);
+        }
+    }
+
+    /// @dev Hands the used input to the vault, which burns (or sinks) it and books it in `getTokenStats`
+    function _burnOrSink(address token, uint256 amount) internal {
+        if (amount == 0) return;
+        IERC20(token).forceApprove(address(vault), amount);
+        vault.burnInput(token, amount);
+    }
+}
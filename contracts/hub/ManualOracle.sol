@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {Ownable} from "./access/Ownable.sol";
+import "./interfaces/IOracle.sol";
+
+/// @notice Owner-posted USD/ONE price, used as a last-resort source for the aggregator
+contract ManualOracle is IOracle, Ownable {
+    int256 private _price;
+    uint8 private _decimals;
+    uint256 private _updatedAt;
+
+    event PricePosted(int256 price, uint8 decimals, uint256 updatedAt);
+
+    constructor(address initialOwner) {
+        require(initialOwner != address(0), "Invalid owner");
+        _transferOwnership(initialOwner);
+    }
+
+    function setPrice(int256 price, uint8 decimals) external onlyOwner {
+        require(price > 0, "Manual: invalid price");
+        _price = price;
+        _decimals = decimals;
+        _updatedAt = block.timestamp;
+        emit PricePosted(price, decimals, block.timestamp);
+    }
+
+    function latestPrice() external view returns (int256 price, uint8 decimals, uint256 updatedAt) {
+        require(_price > 0, "Manual: price not set");
+        return (_price, _decimals, _updatedAt);
+    }
+}
@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {Ownable} from "./access/Ownable.sol";
+import "./interfaces/IOracle.sol";
+
+/**
+ * @title OracleAggregator
+ * @notice Combines several IOracle sources (Band, Chainlink adapter, manual price) into one USD/ONE read.
+ *
+ * - Sources are kept in priority order. A source that reverts, returns price <= 0 or is older than
+ *   `maxSourceAge` is skipped.
+ * - 3+ valid sources: returns the median (average of the middle two for an even count).
+ * - 1–2 valid sources: falls back to the first valid source in priority order.
+ * - If the valid prices spread more than `maxDeviationBps` around the result, the read reverts.
+ * - Output is always 18 decimals; `updatedAt` is the oldest timestamp among the valid sources.
+ */
+contract OracleAggregator is IOracle, Ownable {
+    uint256 public constant MAX_SOURCES = 5;
+    uint256 private constant BPS = 10_000;
+
+    IOracle[] private sources;
+    uint256 public maxDeviationBps; // 0 = disabled
+    uint256 public maxSourceAge;    // seconds, 0 = disabled
+
+    event SourcesUpdated(address[] sources);
+    event MaxDeviationUpdated(uint256 bps);
+    event MaxSourceAgeUpdated(uint256 maxAge);
+
+    constructor(address initialOwner, address[] memory _sources, uint256 _maxDeviationBps) {
+        require(initialOwner != address(0), "Invalid owner");
+        _transferOwnership(initialOwner);
+        _setSources(_sources);
+        maxDeviationBps = _maxDeviationBps;
+        emit MaxDeviationUpdated(_maxDeviationBps);
+    }
+
+    // =====================
+    // ==== Admin        ===
+    // =====================
+    function setSources(address[] calldata _sources) external onlyOwner {
+        _setSources(_sources);
+    }
+
+    function setMaxDeviationBps(uint256 bps) external onlyOwner {
+        require(bps <= BPS, "Invalid deviation");
+        maxDeviationBps = bps;
+        emit MaxDeviationUpdated(bps);
+    }
+
+    function setMaxSourceAge(uint256 maxAge) external onlyOwner {
+        maxSourceAge = maxAge;
+        emit MaxSourceAgeUpdated(maxAge);
+    }
+
+    // =====================
+    // ==== Views        ===
+    // =====================
+    function getSources() external view returns (address[] memory out) {
+        out = new address[](sources.length);
+        for (uint256 i = 0; i < sources.length; i++) out[i] = address(sources[i]);
+    }
+
+    /// @notice Per-source snapshot (18-dec price, timestamp, usable) in priority order, for dashboards
+    function readSources() external view returns (uint256[] memory prices18, uint256[] memory updatedAts, bool[] memory ok) {
+        uint256 n = sources.length;
+        prices18 = new uint256[](n);
+        updatedAts = new uint256[](n);
+        ok = new bool[](n);
+        for (uint256 i = 0; i < n; i++) {
+            (ok[i], prices18[i], updatedAts[i]) = _read(sources[i]);
+        }
+    }
+
+    function latestPrice() external view returns (int256 price, uint8 decimals, uint256 updatedAt) {
+        uint256 n = sources.length;
+        uint256[] memory vals = new uint256[](n);
+        uint256 count;
+        uint256 first;
+
+        for (uint256 i = 0; i < n; i++) {
+            (bool ok, uint256 p18, uint256 ts) = _read(sources[i]);
+            if (!ok) continue;
+            if (count == 0) {
+                first = p18;
+                updatedAt = ts;
+            } else if (ts < updatedAt) {
+                updatedAt = ts;
+            }
+            vals[count++] = p18;
+        }
+        require(count > 0, "No valid oracle source");
+
+        uint256 result = count >= 3 ? _median(vals, count) : first;
+
+        if (maxDeviationBps != 0 && count > 1) {
+            for (uint256 i = 0; i < count; i++) {
+                uint256 diff = vals[i] > result ? vals[i] - result : result - vals[i];
+                require(diff * BPS <= result * maxDeviationBps, "Oracle deviation too high");
+            }
+        }
+
+        return (int256(result), 18, updatedAt);
+    }
+
+    // =====================
+    // ==== Internals    ===
+    // =====================
+    function _setSources(address[] memory _sources) internal {
+        require(_sources.length > 0 && _sources.length <= MAX_SOURCES, "Invalid sources length");
+        delete sources;
+        for (uint256 i = 0; i < _sources.length; i++) {
+            require(_sources[i] != address(0), "Invalid source");
+            sources.push(IOracle(_sources[i]));
+        }
+        emit SourcesUpdated(_sources);
+    }
+
+    function _read(IOracle src) internal view returns (bool ok, uint256 price18, uint256 updatedAt) {
+        try src.latestPrice() returns (int256 p, uint8 d, uint256 ts) {
+            if (p <= 0 || d > 36) return (false, 0, ts);
+            if (maxSourceAge != 0 && block.timestamp > ts + maxSourceAge) return (false, 0, ts);
+            price18 = d <= 18 ? uint256(p) * (10 ** (18 - d)) : uint256(p) / (10 ** (d - 18));
+            return (price18 > 0, price18, ts);
+        } catch {
+            return (false, 0, 0);
+        }
+    }
+
+    /// @dev insertion sort on the first `count` entries (count <= MAX_SOURCES)
+    function _median(uint256[] memory vals, uint256 count) internal pure returns (uint256) {
+        uint256[] memory s = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            uint256 v = vals[i];
+            uint256 j = i;
+            while (j > 0 && s[j - 1] > v) {
+                s[j] = s[j - 1];
+                j--;
+            }
+            s[j] = v;
+        }
+        uint256 mid = count / 2;
+        return count % 2 == 1 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+    }
+}
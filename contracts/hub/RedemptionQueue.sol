@@ -0,0 +1,220 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {ReentrancyGuard} from "./security/ReentrancyGuard.sol";
+import {IERC20} from "./token/ERC20/IERC20.sol";
+import {SafeERC20} from "./token/ERC20/utils/SafeERC20.sol";
+import {IRecoveryVault} from "./interfaces/IRecoveryVault.sol";
+import {IWalletMigration} from "./interfaces/IWalletMigration.sol";
+
+/// @notice FIFO queue for redemptions the vault cannot pay yet
+/// @dev A whitelisted wallet escrows its input token and joins the queue of an output token (wONE, USDC, ...). The
+///      payout is fixed at join time by the vault's `quoteRedeem` (whitelist, weighted daily limit, claim caps, fee,
+///      oracle). Once the vault holds that token again, anyone can `process` the queue: entries are paid strictly in
+///      order through `release` (needs the vault's SETTLEMENT_ROLE), the head may be filled partially, and the used
+///      input is burned (or sunk) minus the fee, which follows the vault's fee split. Until an entry is fully paid
+///      its owner can cancel the rest and get the unused input back. Each entry is booked against the wallet's vault
+///      limits when it joins (`reserveUsage`) and a cancel hands the unpaid part back (`releaseUsage`), so queued
+///      and direct redeems share one daily limit and lifetime cap. Each snapshot account may hold one open entry.
+///      The owed output is held back in the vault (`reserveOutput`), so direct redeems and claim windows only use
+///      what is left once the queue is covered. A fill whose transfer fails (e.g. a blacklisted wallet) is credited
+///      to the account and pulled later with `claim`, so one recipient cannot stall the queue.
+contract RedemptionQueue is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct Entry {
+        address wallet;     // joined (and gets paid / refunded)
+        address account;    // snapshot account the wallet acts for
+        address tokenIn;
+        address redeemIn;
+        uint256 amountIn;   // escrow still unused
+        uint256 feeIn;      // tokenIn units, for the unpaid part
+        uint256 amountOut;  // redeemIn units still owed
+        uint256 reservation; // vault usage reservation id
+    }
+
+    IRecoveryVault public immutable vault;
+    uint256 public entryCount; // id of the latest entry (ids start at 1)
+    mapping(uint256 => Entry) public entries;
+    mapping(address => uint256[]) internal _queue;      // redeemIn => entry ids in arrival order
+    mapping(address => uint256) public head;            // redeemIn => index of the first open entry in `_queue`
+    mapping(address => uint256) public pendingOut;      // redeemIn => total still owed
+    mapping(address => uint256) public openEntryOf;     // snapshot account => open entry id (0 = none)
+    mapping(address => mapping(address => uint256)) public claimable; // snapshot account => redeemIn => fills not delivered
+
+    event QueueJoined(uint256 indexed id, address indexed account, address wallet, address tokenIn, uint256 amountIn, address indexed redeemIn, uint256 amountOut);
+    event QueueFilled(uint256 indexed id, address indexed account, uint256 amountOut, uint256 usedIn, uint256 remainingOut);
+    event QueueCancelled(uint256 indexed id, address indexed account, uint256 refundIn);
+    event FillCredited(uint256 indexed id, address indexed account, address indexed redeemIn, uint256 amountOut);
+    event FillClaimed(address indexed account, address indexed wallet, address indexed redeemIn, uint256 amountOut);
+
+    constructor(address _vault) {
+        require(_vault != address(0), "Invalid vault");
+        vault = IRecoveryVault(_vault);
+    }
+
+    // =====================
+    // ==== Users        ===
+    // =====================
+    /// @notice Escrows `amountIn` of `tokenIn` (ERC-20; wrap ONE first) and appends a request to the `redeemIn` queue
+    /// @dev Same arguments as the vault's `redeem`; the round must be active and the request must pass `quoteRedeem`
+    ///      unblocked. It is booked against the wallet's limits right away.
+    function join(
+        address tokenIn,
+        uint256 amountIn,
+        address redeemIn,
+        uint256 weight,
+        bytes32[] calldata proof,
+        uint256 maxAmount,
+        bytes32[] calldata capProof
+    ) external nonReentrant returns (uint256 id) {
+        require(tokenIn != address(0), "Wrap ONE first");
+        require(vault.isOutputToken(redeemIn), "Invalid redeem token");
+        address account = _account(msg.sender);
+        require(account != address(0), "Wallet frozen");
+        require(openEntryOf[account] == 0, "Already queued");
+
+        (bool whitelisted, bool roundIsActive, uint256 feeIn,,,,,,,,, uint256 amountOut,,,,,) =
+            vault.quoteRedeem(msg.sender, tokenIn, amountIn, redeemIn, weight, proof, maxAmount, capProof);
+        require(whitelisted, "Not whitelisted");
+        require(roundIsActive, "Round not active");
+        require(amountOut > 0, "Request blocked");
+
+        uint256 reservation = vault.reserveUsage(msg.sender, tokenIn, amountIn, redeemIn, weight, proof, maxAmount, capProof);
+        vault.reserveOutput(redeemIn, amountOut);
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        id = ++entryCount;
+        entries[id] = Entry(msg.sender, account, tokenIn, redeemIn, amountIn, feeIn, amountOut, reservation);
+        _queue[redeemIn].push(id);
+        pendingOut[redeemIn] += amountOut;
+        openEntryOf[account] = id;
+        emit QueueJoined(id, account, msg.sender, tokenIn, amountIn, redeemIn, amountOut);
+    }
+
+    /// @notice Leaves the queue and refunds the unused escrow (the whole input unless the entry was partially filled);
+    ///         the unpaid part no longer counts against the wallet's limits
+    function cancel() external nonReentrant {
+        address account = _account(msg.sender);
+        uint256 id = openEntryOf[account];
+        require(id != 0, "Not queued");
+        Entry memory e = entries[id];
+        delete openEntryOf[account];
+        delete entries[id];
+        pendingOut[e.redeemIn] -= e.amountOut;
+        vault.releaseUsage(e.reservation, e.amountIn);
+        vault.unreserveOutput(e.redeemIn, e.amountOut);
+        IERC20(e.tokenIn).safeTransfer(msg.sender, e.amountIn);
+        emit QueueCancelled(id, account, e.amountIn);
+    }
+
+    /// @notice Sends the caller's undelivered fills of `redeemIn` (see `FillCredited`); a migrated wallet claims for
+    ///         its snapshot account
+    function claim(address redeemIn) external nonReentrant {
+        address account = _account(msg.sender);
+        uint256 amount = account == address(0) ? 0 : claimable[account][redeemIn];
+        require(amount > 0, "Nothing to claim");
+        delete claimable[account][redeemIn];
+        IERC20(redeemIn).safeTransfer(msg.sender, amount);
+        emit FillClaimed(account, msg.sender, redeemIn, amount);
+    }
+
+    /// @notice Pays up to `maxEntries` queued requests for `redeemIn`, oldest first, out of the vault balance held for
+    ///         the queue; callable by anyone
+    /// @return filled Number of entries fully paid
+    function process(address redeemIn, uint256 maxEntries) external nonReentrant returns (uint256 filled) {
+        uint256[] storage q = _queue[redeemIn];
+        uint256 i = head[redeemIn];
+        uint256 available = vault.availableOutput(redeemIn, address(this));
+        for (; i < q.length && maxEntries > 0 && available > 0; maxEntries--) {
+            Entry storage e = entries[q[i]];
+            if (e.amountOut == 0) { // cancelled
+                i++;
+                continue;
+            }
+            uint256 out = e.amountOut <= available ? e.amountOut : available;
+            uint256 usedIn = out == e.amountOut ? e.amountIn : (e.amountIn * out) / e.amountOut;
+            uint256 feeIn = out == e.amountOut ? e.feeIn : (e.feeIn * out) / e.amountOut;
+            e.amountOut -= out;
+            e.amountIn -= usedIn;
+            e.feeIn -= feeIn;
+            available -= out;
+            pendingOut[redeemIn] -= out;
+
+            vault.release(redeemIn, out);
+            if (!_tryTransfer(redeemIn, e.wallet, out)) {
+                claimable[e.account][redeemIn] += out;
+                emit FillCredited(q[i], e.account, redeemIn, out);
+            }
+            _payFee(e.tokenIn, feeIn);
+            _burnOrSink(e.tokenIn, usedIn - feeIn);
+            emit QueueFilled(q[i], e.account, out, usedIn, e.amountOut);
+
+            if (e.amountOut == 0) {
+                delete openEntryOf[e.account];
+                delete entries[q[i]];
+                filled++;
+                i++;
+            }
+        }
+        head[redeemIn] = i;
+    }
+
+    // =====================
+    // ==== Views        ===
+    // =====================
+    /// @notice Open entry of `wallet` (resolved to its snapshot account) and its 1-based place among open entries
+    function positionOf(address wallet) external view returns (uint256 id, Entry memory e, uint256 position, uint256 outAhead) {
+        address account = _account(wallet);
+        id = account == address(0) ? 0 : openEntryOf[account];
+        if (id == 0) return (0, e, 0, 0);
+        e = entries[id];
+        uint256[] storage q = _queue[e.redeemIn];
+        for (uint256 i = head[e.redeemIn]; q[i] != id; i++) {
+            uint256 ahead = entries[q[i]].amountOut;
+            if (ahead > 0) {
+                position++;
+                outAhead += ahead;
+            }
+        }
+        position++;
+    }
+
+    /// @return Entries from the head of the `redeemIn` queue on, cancelled ones included
+    function queueLength(address redeemIn) external view returns (uint256) {
+        return _queue[redeemIn].length - head[redeemIn];
+    }
+
+    // =====================
+    // ===== Internals =====
+    // =====================
+    /// @dev Same resolution as the vault: migrated wallets act for their snapshot address
+    function _account(address wallet) internal view returns (address) {
+        IWalletMigration m = vault.migration();
+        return address(m) == address(0) ? wallet : m.accountOf(wallet);
+    }
+
+    /// @dev Pays a fee share along the vault's fee split (`getFeeRecipients`; the last recipient takes the dust)
+    function _payFee(address token, uint256 amount) internal {
+        if (amount == 0) return;
+        (address[] memory to, uint16[] memory bps) = vault.getFeeRecipients();
+        uint256 left = amount;
+        for (uint256 i = 0; i < to.length; i++) {
+            uint256 share = i + 1 == to.length ? left : (amount * bps[i]) / 10_000;
+            left -= share;
+            if (share > 0) IERC20(token).safeTransfer(to[i], share);
+        }
+    }
+
+    /// @dev `transfer` that reports failure (revert or `false`) instead of reverting
+    function _tryTransfer(address token, address to, uint256 amount) internal returns (bool) {
+        (bool ok, bytes memory ret) = token.call(abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+        return ok && (ret.length == 0 || abi.decode(ret, (bool)));
+    }
+
+    /// @dev Hands the used input to the vault, which burns (or sinks) it and books it in `getTokenStats`
+    function _burnOrSink(address token, uint256 amount) internal {
+        if (amount == 0) return;
+        IERC20(token).forceApprove(address(vault), amount);
+        vault.burnInput(token, amount);
+    }
+}
@@ -0,0 +1,268 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {IERC20} from "./token/ERC20/IERC20.sol";
+import {IOracle} from "./interfaces/IOracle.sol";
+import {IWalletMigration} from "./interfaces/IWalletMigration.sol";
+
+/// @notice RecoveryVault getters read by the lens (all served through the vault address)
+interface IRecoveryVaultLensSource {
+    struct UserStatus {
+        bool whitelisted;
+        uint256 limitUsd;
+        uint256 usedUsd;
+        uint256 remainingUsd;
+        uint256 windowStart;
+        uint256 windowEnd;
+        uint256 unlockAt;
+        uint256 lastRedeemAt;
+        uint256 roundRedeemedUsd;
+    }
+
+    function owner() external view returns (address);
+    function devWallet() external view returns (address);
+    function rmcWallet() external view returns (address);
+    function oracle() external view returns (address);
+    function migration() external view returns (address);
+    function merkleRoot() external view returns (bytes32);
+    function capRoot() external view returns (bytes32);
+    function dailyLimitUsd() external view returns (uint256);
+    function maxOracleAge() external view returns (uint256);
+    function minOnePrice18() external view returns (uint256);
+    function maxOnePrice18() external view returns (uint256);
+    function fixedUsdPrice(address token) external view returns (uint256);
+    function outputToken(address token) external view returns (uint8 pricing, uint8 decimals, uint256 price18);
+    function roundTokenCap(address token) external view returns (uint256);
+    function roundTokenRedeemed(uint256 roundId, address token) external view returns (uint256);
+    function claimedAmount(address user, address token) external view returns (uint256);
+    function getSupportedTokens() external view returns (address[] memory);
+    function getFeeTiers() external view returns (uint256[] memory thresholds, uint16[] memory bps);
+    function getFeeRecipients() external view returns (address[] memory wallets, uint16[] memory bps);
+    function getOutputTokens() external view returns (address[] memory);
+    function availableOutput(address token, address module) external view returns (uint256);
+    function getOutputBalances() external view returns (
+        address[] memory tokens,
+        uint8[] memory pricing,
+        uint8[] memory decimals,
+        uint256[] memory balances,
+        uint256[] memory usdValues18
+    );
+    function getRoundInfo() external view returns (
+        uint256 roundId,
+        uint256 startTime,
+        bool isActive,
+        bool paused,
+        uint256 limitUsd,
+        bool delayEnabled,
+        uint16 roundFeeBps,
+        uint256 roundFeeBasis,
+        uint256 budgetUsd,
+        uint256 budgetRemainingUsd,
+        uint256 endTime
+    );
+    function getUserStatus(address wallet, uint256 weight, bytes32[] calldata proof) external view returns (UserStatus memory);
+}
+
+/// @notice Stateless reader that packs the vault state a dApp page needs into one `eth_call`
+/// @dev Holds no storage and no vault address: pass the vault to each call. Token metadata is read with low-level
+///      calls so a token without `symbol()` / `decimals()` shows up as "" / 18 instead of reverting the whole read.
+contract VaultLens {
+    struct RoundInfo {
+        uint256 roundId;
+        uint256 startTime;
+        uint256 endTime;     // 0 = until the next round starts
+        bool isActive;
+        bool paused;
+        bool delayEnabled;
+        uint256 limitUsd;    // USD18 daily limit (weight 1)
+        uint16 feeBps;
+        uint256 feeBasisUsd; // whole USD, 0 for scheduled rounds
+        uint256 budgetUsd;   // USD18, 0 = no budget
+        uint256 budgetRemainingUsd;
+    }
+
+    struct OutputInfo {
+        address token;
+        string symbol;
+        uint8 pricing;       // OutputPricing: 1 = Oracle, 2 = Peg, 3 = Fixed
+        uint8 decimals;
+        uint256 price18;     // only used by Fixed pricing
+        uint256 balance;     // vault balance
+        uint256 available;   // part of `balance` direct redeems may use (the rest is held for queued payouts)
+        uint256 usdValue18;  // 0 when the vault cannot price its outputs (oracle down)
+    }
+
+    struct TokenInfo {
+        address token;
+        string symbol;
+        uint8 decimals;
+        uint256 fixedUsdPrice18; // 0 = no fixed price
+        uint256 roundCap;        // per-round cap, 0 = none
+        uint256 roundRedeemed;   // redeemed in the round in force
+    }
+
+    struct VaultState {
+        address owner;
+        address devWallet;
+        address rmcWallet;
+        address oracle;
+        address migration;
+        bytes32 merkleRoot;
+        bytes32 capRoot;
+        uint256 dailyLimitUsd;
+        uint256 maxOracleAge;
+        uint256 minOnePrice18;
+        uint256 maxOnePrice18;
+        bool oracleOk;           // false when latestPrice() reverts
+        int256 oraclePrice;
+        uint8 oracleDecimals;
+        uint256 oracleUpdatedAt;
+        RoundInfo round;
+        OutputInfo[] outputs;
+        TokenInfo[] tokens;
+        uint256[] feeThresholds;
+        uint16[] feeBps;
+        address[] feeRecipients;
+        uint16[] feeRecipientBps;
+    }
+
+    struct UserToken {
+        address token;
+        uint256 balance;
+        uint256 allowance; // to the vault
+        uint256 claimed;   // lifetime redeemed by the snapshot account (tokenIn units)
+    }
+
+    struct UserState {
+        uint256 nativeBalance;
+        IRecoveryVaultLensSource.UserStatus limits;
+        UserToken[] tokens;        // in getSupportedTokens order
+        uint256[] outputBalances;  // wallet balance of each output token, in getOutputBalances order
+    }
+
+    /// @notice Config, round in force, output balances, fee tables and supported tokens of `vault`
+    function getVaultState(IRecoveryVaultLensSource vault) public view returns (VaultState memory s) {
+        s.owner = vault.owner();
+        s.devWallet = vault.devWallet();
+        s.rmcWallet = vault.rmcWallet();
+        s.oracle = vault.oracle();
+        s.migration = vault.migration();
+        s.merkleRoot = vault.merkleRoot();
+        s.capRoot = vault.capRoot();
+        s.dailyLimitUsd = vault.dailyLimitUsd();
+        s.maxOracleAge = vault.maxOracleAge();
+        s.minOnePrice18 = vault.minOnePrice18();
+        s.maxOnePrice18 = vault.maxOnePrice18();
+        try IOracle(s.oracle).latestPrice() returns (int256 price, uint8 decimals, uint256 updatedAt) {
+            (s.oracleOk, s.oraclePrice, s.oracleDecimals, s.oracleUpdatedAt) = (true, price, decimals, updatedAt);
+        } catch {}
+
+        s.round = _roundInfo(vault);
+        s.outputs = _outputs(vault);
+        address[] memory tokens = vault.getSupportedTokens();
+        s.tokens = new TokenInfo[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            address t = tokens[i];
+            s.tokens[i] = TokenInfo(
+                t,
+                _symbol(t),
+                _decimals(t),
+                vault.fixedUsdPrice(t),
+                vault.roundTokenCap(t),
+                vault.roundTokenRedeemed(s.round.roundId, t)
+            );
+        }
+        (s.feeThresholds, s.feeBps) = vault.getFeeTiers();
+        (s.feeRecipients, s.feeRecipientBps) = vault.getFeeRecipients();
+    }
+
+    /// @notice `getVaultState` plus `user`'s balances, allowances to the vault, lifetime claims and daily-limit status
+    /// @param weight Snapshot weight of the wallet's leaf, as for `getUserStatus`
+    /// @param proof Merkle proof of (account, weight); with an empty or wrong one `limits.whitelisted` is false
+    function getUserState(IRecoveryVaultLensSource vault, address user, uint256 weight, bytes32[] calldata proof)
+        external
+        view
+        returns (VaultState memory s, UserState memory u)
+    {
+        s = getVaultState(vault);
+        u.nativeBalance = user.balance;
+        u.limits = vault.getUserStatus(user, weight, proof);
+        // claims are kept per snapshot account; a migrated wallet reads the account it acts for
+        address account = s.migration == address(0) ? user : IWalletMigration(s.migration).accountOf(user);
+        u.tokens = new UserToken[](s.tokens.length);
+        for (uint256 i = 0; i < s.tokens.length; i++) {
+            address t = s.tokens[i].token;
+            u.tokens[i] = UserToken(
+                t,
+                IERC20(t).balanceOf(user),
+                IERC20(t).allowance(user, address(vault)),
+                account == address(0) ? 0 : vault.claimedAmount(account, t)
+            );
+        }
+        u.outputBalances = new uint256[](s.outputs.length);
+        for (uint256 i = 0; i < s.outputs.length; i++) {
+            u.outputBalances[i] = IERC20(s.outputs[i].token).balanceOf(user);
+        }
+    }
+
+    // =====================
+    // ===== Internals =====
+    // =====================
+    function _roundInfo(IRecoveryVaultLensSource vault) internal view returns (RoundInfo memory r) {
+        (
+            r.roundId,
+            r.startTime,
+            r.isActive,
+            r.paused,
+            r.limitUsd,
+            r.delayEnabled,
+            r.feeBps,
+            r.feeBasisUsd,
+            r.budgetUsd,
+            r.budgetRemainingUsd,
+            r.endTime
+        ) = vault.getRoundInfo();
+    }
+
+    /// @dev `getOutputBalances` reverts while the oracle does; balances are then read directly, without USD values
+    function _outputs(IRecoveryVaultLensSource vault) internal view returns (OutputInfo[] memory outs) {
+        try vault.getOutputBalances() returns (
+            address[] memory tokens,
+            uint8[] memory pricing,
+            uint8[] memory decimals,
+            uint256[] memory balances,
+            uint256[] memory usd
+        ) {
+            outs = new OutputInfo[](tokens.length);
+            for (uint256 i = 0; i < tokens.length; i++) {
+                (,, uint256 price18) = vault.outputToken(tokens[i]);
+                outs[i] = OutputInfo(
+                    tokens[i], _symbol(tokens[i]), pricing[i], decimals[i], price18, balances[i],
+                    vault.availableOutput(tokens[i], address(0)), usd[i]
+                );
+            }
+        } catch {
+            address[] memory tokens = vault.getOutputTokens();
+            outs = new OutputInfo[](tokens.length);
+            for (uint256 i = 0; i < tokens.length; i++) {
+                (uint8 pricing, uint8 decimals, uint256 price18) = vault.outputToken(tokens[i]);
+                outs[i] = OutputInfo(
+                    tokens[i], _symbol(tokens[i]), pricing, decimals, price18, IERC20(tokens[i]).balanceOf(address(vault)),
+                    vault.availableOutput(tokens[i], address(0)), 0
+                );
+            }
+        }
+    }
+
+    /// @dev "" when the token has no string `symbol()`
+    function _symbol(address token) internal view returns (string memory) {
+        (bool ok, bytes memory data) = token.staticcall(abi.encodeWithSignature("symbol()"));
+        return ok && data.length >= 64 ? abi.decode(data, (string)) : "";
+    }
+
+    /// @dev 18 when the token has no `decimals()`
+    function _decimals(address token) internal view returns (uint8) {
+        (bool ok, bytes memory data) = token.staticcall(abi.encodeWithSignature("decimals()"));
+        return ok && data.length >= 32 ? abi.decode(data, (uint8)) : 18;
+    }
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {Ownable} from "./access/Ownable.sol";
+import {Address} from "./utils/Address.sol";
+
+/// @notice Delay for sensitive RecoveryVault parameter changes; meant to be the vault's owner
+/// @dev The admin (this contract's owner) queues a call, anyone can execute it between `eta` and `eta + GRACE_PERIOD`,
+///      and the admin can cancel it until then. Vault selectors flagged in `isTimelocked` (oracle, fixed prices,
+///      output tokens, fee tiers, daily limit, scheduled rounds, reset window, dev wallet, fee split, merkle root,
+///      migration registry, role grants and ownership by default) can only go through the queue; every other vault
+///      call is forwarded immediately. Scheduled rounds are flagged because their fee and limit override the tiers and
+///      the daily limit. The oracle, fixed prices, the merkle root and scheduled rounds are role-gated on the vault:
+///      they are only delayed while this contract is the sole holder of PRICE_SETTER_ROLE / WHITELIST_MANAGER_ROLE /
+///      ROUND_OPERATOR_ROLE, which is why granting a role is queued too (revoking is not).
+///      The delay and the flagged selectors change through the queue as well.
+contract VaultTimelock is Ownable {
+    using Address for address;
+
+    uint256 public constant MIN_DELAY = 1 hours;
+    uint256 public constant MAX_DELAY = 30 days;
+    uint256 public constant GRACE_PERIOD = 14 days;
+
+    address public immutable vault;
+    uint256 public delay;
+    mapping(bytes32 => uint256) public queuedEta;   // change id => eta (0 = not queued)
+    mapping(bytes4 => bool) public isTimelocked;    // vault selector => must be queued
+
+    event ChangeQueued(bytes32 indexed id, address indexed target, bytes4 indexed selector, bytes data, uint256 eta);
+    event ChangeExecuted(bytes32 indexed id, address indexed target, bytes4 indexed selector, bytes data, uint256 eta);
+    event ChangeCancelled(bytes32 indexed id, address indexed target, bytes4 indexed selector, bytes data, uint256 eta);
+    event CallForwarded(bytes4 indexed selector, bytes data);
+    event DelayUpdated(uint256 delay);
+    event SelectorTimelocked(bytes4 indexed selector, bool timelocked);
+
+    constructor(address initialOwner, address _vault, uint256 _delay) {
+        require(initialOwner != address(0), "Invalid owner");
+        require(_vault != address(0), "Invalid vault");
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "Invalid delay");
+        _transferOwnership(initialOwner);
+        vault = _vault;
+        delay = _delay;
+        emit DelayUpdated(_delay);
+
+        string[14] memory sensitive = [
+            "setOracle(address)",
+            "setFixedUsdPrice(address,uint256)",
+            "setOutputToken(address,uint8,uint256)",
+            "setFeeTiers(uint256[],uint16[])",
+            "setDailyLimit(uint256)",
+            "scheduleRound(uint256,uint256,uint256,uint256,uint16)",
+            "setResetWindow(uint256,uint8)",
+            "setDevWallet(address)",
+            "setFeeRecipients(address[],uint16[])",
+            "setMerkleRoot(bytes32)",
+            "setMigration(address)",
+            "grantRole(bytes32,address)",
+            "transferOwnership(address)",
+            "renounceOwnership()"
+        ];
+        for (uint256 i = 0; i < sensitive.length; i++) {
+            _setTimelocked(bytes4(keccak256(bytes(sensitive[i]))), true);
+        }
+    }
+
+    // =====================
+    // ==== Queue        ===
+    // =====================
+    /// @param target The vault, or this contract for `setDelay` / `setTimelocked`
+    /// @param data Calldata for `target`
+    /// @return id keccak256(abi.encode(target, data, eta)); `execute`/`cancel` take the same triple
+    function queue(address target, bytes calldata data) external onlyOwner returns (bytes32 id) {
+        require(target == vault || target == address(this), "Invalid target");
+        require(data.length >= 4, "Invalid calldata");
+        uint256 eta = block.timestamp + delay;
+        id = keccak256(abi.encode(target, data, eta));
+        require(queuedEta[id] == 0, "Already queued");
+        queuedEta[id] = eta;
+        emit ChangeQueued(id, target, bytes4(data), data, eta);
+    }
+
+    /// @notice Applies a queued change once its delay has passed; callable by anyone
+    function execute(address target, bytes calldata data, uint256 eta) external returns (bytes memory result) {
+        bytes32 id = keccak256(abi.encode(target, data, eta));
+        require(queuedEta[id] != 0, "Change not queued");
+        require(block.timestamp >= eta, "Change not ready");
+        require(block.timestamp <= eta + GRACE_PERIOD, "Change expired");
+        delete queuedEta[id];
+        result = target.functionCall(data);
+        emit ChangeExecuted(id, target, bytes4(data), data, eta);
+    }
+
+    function cancel(address target, bytes calldata data, uint256 eta) external onlyOwner {
+        bytes32 id = keccak256(abi.encode(target, data, eta));
+        require(queuedEta[id] != 0, "Change not queued");
+        delete queuedEta[id];
+        emit ChangeCancelled(id, target, bytes4(data), data, eta);
+    }
+
+    /// @notice Immediate path for vault calls that are not timelocked (e.g. revokeRole, setSupportedToken, or the
+    ///         role-gated setters of roles this contract holds)
+    function forward(bytes calldata data) external onlyOwner returns (bytes memory result) {
+        require(data.length >= 4, "Invalid calldata");
+        require(!isTimelocked[bytes4(data)], "Selector is timelocked");
+        result = vault.functionCall(data);
+        emit CallForwarded(bytes4(data), data);
+    }
+
+    // =====================
+    // ==== Self-config  ===
+    // =====================
+    function setDelay(uint256 _delay) external {
+        require(msg.sender == address(this), "Only via queue");
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "Invalid delay");
+        delay = _delay;
+        emit DelayUpdated(_delay);
+    }
+
+    function setTimelocked(bytes4 selector, bool timelocked) external {
+        require(msg.sender == address(this), "Only via queue");
+        _setTimelocked(selector, timelocked);
+    }
+
+    function _setTimelocked(bytes4 selector, bool timelocked) private {
+        isTimelocked[selector] = timelocked;
+        emit SelectorTimelocked(selector, timelocked);
+    }
+}
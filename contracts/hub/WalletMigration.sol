@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {Ownable} from "./access/Ownable.sol";
+import {EIP712} from "./utils/cryptography/EIP712.sol";
+import {ECDSA} from "./utils/cryptography/ECDSA.sol";
+import "./interfaces/IWalletMigration.sol";
+
+/// @notice Moves redeem eligibility from a (possibly compromised) snapshot wallet to a new one
+/// @dev Flow: the old wallet signs `Migration(oldWallet,newWallet,nonce,deadline)` off-chain, the new wallet
+///      submits it. Both wallets are frozen until `vetoWindow` elapses; during that time the owner can veto
+///      (e.g. when the attacker holding the leaked key signed first). After the window anyone can execute.
+contract WalletMigration is IWalletMigration, Ownable, EIP712 {
+    bytes32 public constant MIGRATION_TYPEHASH =
+        keccak256("Migration(address oldWallet,address newWallet,uint256 nonce,uint256 deadline)");
+    uint256 public constant MAX_VETO_WINDOW = 30 days;
+
+    struct Pending {
+        address newWallet;
+        uint64 readyAt;
+    }
+
+    uint256 public vetoWindow;
+    mapping(address => uint256) public nonces;        // old wallet => signature nonce
+    mapping(address => Pending) public pending;       // old wallet => request under veto window
+    mapping(address => address) public pendingFrom;   // new wallet => old wallet (pending)
+    mapping(address => address) public migratedTo;    // old wallet => new wallet (final)
+    mapping(address => address) public migratedFrom;  // new wallet => snapshot address (final)
+
+    event MigrationRequested(address indexed oldWallet, address indexed newWallet, uint256 readyAt);
+    event MigrationExecuted(address indexed oldWallet, address indexed newWallet, address indexed account);
+    event MigrationVetoed(address indexed oldWallet, address indexed newWallet);
+    event VetoWindowUpdated(uint256 vetoWindow);
+
+    constructor(address initialOwner, uint256 _vetoWindow) EIP712("RecoveryVault Migration", "1") {
+        require(initialOwner != address(0), "Invalid owner");
+        require(_vetoWindow <= MAX_VETO_WINDOW, "Veto window too long");
+        _transferOwnership(initialOwner);
+        vetoWindow = _vetoWindow;
+    }
+
+    /// @notice Submitted by `newWallet` with the signature produced by `oldWallet`
+    function requestMigration(address oldWallet, uint256 deadline, bytes calldata signature) external {
+        address newWallet = msg.sender;
+        require(block.timestamp <= deadline, "Signature expired");
+        require(oldWallet != address(0) && oldWallet != newWallet, "Invalid wallet");
+        require(migratedTo[oldWallet] == address(0) && pending[oldWallet].newWallet == address(0), "Already migrated");
+        require(_isUnused(newWallet), "New wallet in use");
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(MIGRATION_TYPEHASH, oldWallet, newWallet, nonces[oldWallet]++, deadline))
+        );
+        require(ECDSA.recover(digest, signature) == oldWallet, "Invalid signature");
+
+        uint64 readyAt = uint64(block.timestamp + vetoWindow);
+        pending[oldWallet] = Pending(newWallet, readyAt);
+        pendingFrom[newWallet] = oldWallet;
+        emit MigrationRequested(oldWallet, newWallet, readyAt);
+    }
+
+    /// @notice Finalises a request once its veto window has passed; callable by anyone
+    function executeMigration(address oldWallet) external {
+        Pending memory p = pending[oldWallet];
+        require(p.newWallet != address(0), "No pending migration");
+        require(block.timestamp >= p.readyAt, "Veto window open");
+
+        delete pending[oldWallet];
+        delete pendingFrom[p.newWallet];
+        // chained migrations keep pointing at the snapshot address
+        address account = migratedFrom[oldWallet] != address(0) ? migratedFrom[oldWallet] : oldWallet;
+        migratedTo[oldWallet] = p.newWallet;
+        migratedFrom[p.newWallet] = account;
+        emit MigrationExecuted(oldWallet, p.newWallet, account);
+    }
+
+    /// @notice Cancels a pending request (before execution); the old wallet becomes eligible again
+    function vetoMigration(address oldWallet) external onlyOwner {
+        address newWallet = pending[oldWallet].newWallet;
+        require(newWallet != address(0), "No pending migration");
+        delete pending[oldWallet];
+        delete pendingFrom[newWallet];
+        emit MigrationVetoed(oldWallet, newWallet);
+    }
+
+    function setVetoWindow(uint256 _vetoWindow) external onlyOwner {
+        require(_vetoWindow <= MAX_VETO_WINDOW, "Veto window too long");
+        vetoWindow = _vetoWindow;
+        emit VetoWindowUpdated(_vetoWindow);
+    }
+
+    /// @inheritdoc IWalletMigration
+    function accountOf(address wallet) external view returns (address) {
+        if (migratedTo[wallet] != address(0) || pending[wallet].newWallet != address(0) || pendingFrom[wallet] != address(0)) {
+            return address(0);
+        }
+        address account = migratedFrom[wallet];
+        return account != address(0) ? account : wallet;
+    }
+
+    /// @notice EIP-712 domain separator, exposed for off-chain signers
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function _isUnused(address wallet) private view returns (bool) {
+        return migratedTo[wallet] == address(0) && migratedFrom[wallet] == address(0) && pendingFrom[wallet] == address(0)
+            && pending[wallet].newWallet == address(0);
+    }
+}
@@ -5,5 +5,6 @@ pragma solidity ^0.8.18;
 interface IOracle {
     /// @return price USD per ONE (ex: 0.0123 * 1e8 = 1230000)
     /// @return decimals Number of decimal places for price (ex: 8)
-    function latestPrice() external view returns (int256 price, uint8 decimals);
+    /// @return updatedAt Unix timestamp of the feed's last update
+    function latestPrice() external view returns (int256 price, uint8 decimals, uint256 updatedAt);
 }
@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {IWalletMigration} from "./IWalletMigration.sol";
+
+/// @notice Subset of RecoveryVault used by settlement modules (ClaimWindow, RedemptionQueue)
+interface IRecoveryVault {
+    function getOutputTokens() external view returns (address[] memory);
+    function isOutputToken(address token) external view returns (bool);
+    function devWallet() external view returns (address);
+    /// @dev Fee split (bps sum to 10_000); the dev wallet alone when none is set
+    function getFeeRecipients() external view returns (address[] memory wallets, uint16[] memory bps);
+    function migration() external view returns (IWalletMigration);
+
+    function quoteRedeem(
+        address user,
+        address tokenIn,
+        uint256 amountIn,
+        address redeemIn,
+        uint256 weight,
+        bytes32[] calldata proof,
+        uint256 maxAmount,
+        bytes32[] calldata capProof
+    ) external view returns (
+        bool whitelisted,
+        bool roundIsActive,
+        uint256 feeAmountInTokenIn,
+        uint256 burnAmountInTokenIn,
+        uint256 userLimitUsdBefore,
+        uint256 userLimitUsdAfter,
+        uint256 usdValueIn,
+        uint8 tokenInDecimals,
+        uint8 redeemInDecimals,
+        uint256 oraclePrice,
+        uint8 oracleDecimals,
+        uint256 amountOutRedeemToken,
+        bool oracleOk,
+        uint256 roundBudgetRemaining,
+        uint256 roundTokenRemaining,
+        uint256 splitPrimaryOut,
+        uint256 splitSecondaryOut
+    );
+
+    /// @dev Requires SETTLEMENT_ROLE; sends `amount` of an output token to the caller, out of its own hold first
+    function release(address token, uint256 amount) external;
+
+    /// @dev Requires SETTLEMENT_ROLE; holds output back for the caller's pending payouts
+    function reserveOutput(address token, uint256 amount) external;
+
+    /// @dev Drops `amount` of the caller's hold on `token`
+    function unreserveOutput(address token, uint256 amount) external;
+
+    /// @dev Balance of `token` that `module` may release
+    function availableOutput(address token, address module) external view returns (uint256);
+
+    /// @dev Requires SETTLEMENT_ROLE; books a request against `wallet`'s limits with `redeem`'s checks and errors
+    function reserveUsage(
+        address wallet,
+        address tokenIn,
+        uint256 amountIn,
+        address redeemIn,
+        uint256 weight,
+        bytes32[] calldata proof,
+        uint256 maxAmount,
+        bytes32[] calldata capProof
+    ) external returns (uint256 id);
+
+    /// @dev Hands back `amountIn` (tokenIn units) of a reservation made by the caller
+    function releaseUsage(uint256 id, uint256 amountIn) external;
+
+    /// @dev Requires SETTLEMENT_ROLE; pulls `amount` of `token` from the caller (approved first) and burns or sinks it
+    function burnInput(address token, uint256 amount) external;
+}
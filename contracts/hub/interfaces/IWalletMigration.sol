@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/// @notice Eligibility resolver for wallets migrated away from a compromised key
+interface IWalletMigration {
+    /// @return account Snapshot address `wallet` acts for: the original address for a migrated wallet,
+    ///         address(0) for a wallet that migrated away (or has a migration pending), `wallet` otherwise
+    function accountOf(address wallet) external view returns (address account);
+}
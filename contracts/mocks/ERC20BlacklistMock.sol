@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "./ERC20Mock.sol";
+
+/// @dev ERC20Mock whose transfers to or from a blacklisted address revert, like USDC/USDT blacklists
+contract ERC20BlacklistMock is ERC20Mock {
+    mapping(address => bool) public blacklisted;
+
+    constructor(string memory name, string memory symbol, uint8 decimals_) ERC20Mock(name, symbol, decimals_) {}
+
+    function setBlacklisted(address account, bool value) external {
+        blacklisted[account] = value;
+    }
+
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
+        require(!blacklisted[from] && !blacklisted[to], "Blacklisted");
+        super._beforeTokenTransfer(from, to, amount);
+    }
+}
@@ -14,4 +14,10 @@ contract IWETHMock is ERC20 {
     function deposit() public payable {
         _mint(msg.sender, msg.value);
     }
+
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        (bool ok, ) = payable(msg.sender).call{value: amount}("");
+        require(ok, "ONE transfer failed");
+    }
 }
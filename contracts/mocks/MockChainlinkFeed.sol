@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+contract MockChainlinkFeed {
+    uint8 public decimals;
+    int256 private _answer;
+    uint80 private _roundId = 1;
+    uint80 private _answeredInRound = 1;
+    uint256 private _updatedAt;
+
+    constructor(int256 initialAnswer, uint8 initialDecimals) {
+        _answer = initialAnswer;
+        decimals = initialDecimals;
+        _updatedAt = block.timestamp;
+    }
+
+    function setAnswer(int256 newAnswer) external {
+        _answer = newAnswer;
+        _roundId++;
+        _answeredInRound = _roundId;
+        _updatedAt = block.timestamp;
+    }
+
+    function setAnsweredInRound(uint80 answeredInRound) external {
+        _answeredInRound = answeredInRound;
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return (_roundId, _answer, _updatedAt, _updatedAt, _answeredInRound);
+    }
+}
@@ -6,6 +6,8 @@ import "../hub/interfaces/IOracle.sol"; // ou defina a interface aqui
 contract MockOracle is IOracle {
     int256 private _price;
     uint8 private _decimals;
+    uint256 private _updatedAt; // 0 = always fresh (block.timestamp)
+    bool private _reverts;
 
     constructor(int256 initialPrice, uint8 initialDecimals) {
         _price = initialPrice;
@@ -20,7 +22,16 @@ contract MockOracle is IOracle {
         _decimals = newDecimals;
     }
 
-    function latestPrice() external view override returns (int256 price, uint8 decimals) {
-        return (_price, _decimals);
+    function setUpdatedAt(uint256 newUpdatedAt) external {
+        _updatedAt = newUpdatedAt;
+    }
+
+    function setReverts(bool shouldRevert) external {
+        _reverts = shouldRevert;
+    }
+
+    function latestPrice() external view override returns (int256 price, uint8 decimals, uint256 updatedAt) {
+        require(!_reverts, "MockOracle: reverted");
+        return (_price, _decimals, _updatedAt == 0 ? block.timestamp : _updatedAt);
     }
 }
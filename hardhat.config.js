@@ -22,10 +22,10 @@ module.exports = {
       optimizer: {
         runs: 200,
         enabled: true,
-        details: {
-          yulDetails: { optimizerSteps: "u" },
-        },
+        // full Yul optimizer pipeline: RecoveryVault needs it to stay under the 24KB (EIP-170) limit
       },
+      // storage layouts, compared by test/integration/VaultStorageLayout.test.js (vault, extension and views share one)
+      outputSelection: { '*': { '*': ['storageLayout'] } },
     },
   },
 
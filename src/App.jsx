@@ -1,12 +1,14 @@
 import { Routes, Route, Navigate } from "react-router-dom";
 import Recovery from "@/pages/Recovery";
 import AdminDash from "@/pages/AdminDash";
+import Migrate from "@/pages/Migrate";
 
 export default function App() {
   return (
     <Routes>
       <Route path="/" element={<Recovery />} />
       <Route path="/admin" element={<AdminDash />} />
+      <Route path="/migrate" element={<Migrate />} />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
@@ -0,0 +1,184 @@
+// src/components/redeem/ClaimWindowPanel.jsx
+// Pro-rata claim window: register a request while the window is open, follow its estimated fill,
+// then withdraw the filled share (and the unfilled input) once the window is finalized.
+import React, { useCallback, useEffect, useState } from "react";
+import { formatUnits, parseUnits } from "ethers";
+import styles from "@/styles/Global.module.css";
+import { useContractContext } from "@/contexts/ContractContext";
+import * as core from "@/services/vaultCore";
+import * as cw from "@/services/claimWindowService";
+import { getTokens } from "@/services/tokenService";
+import { useWhitelist } from "@/services/whitelistService";
+import { useClaimCaps } from "@/services/claimCapService";
+import TokenSelect from "@/components/shared/TokenSelect";
+
+const fmtTime = (sec) => (sec ? new Date(Number(sec) * 1000).toLocaleString() : "—");
+const fmtPct = (fill18) => `${(Number((BigInt(fill18 ?? 0n) * 10_000n) / cw.FILL_SCALE) / 100).toFixed(2)}%`;
+
+function tokenMeta(addr) {
+  const t = getTokens().find((x) => String(x?.address || "").toLowerCase() === String(addr || "").toLowerCase());
+  return { symbol: t?.symbol || (addr ? `${addr.slice(0, 6)}…` : "?"), decimals: Number(t?.decimals ?? 18) };
+}
+
+export default function ClaimWindowPanel({ address }) {
+  const { provider: ctxProvider, signer: ctxSigner } = useContractContext();
+  const readProvider = ctxProvider || core.getDefaultProvider?.() || null;
+
+  const [win, setWin] = useState(null);
+  const [req, setReq] = useState(null);
+  const [outs, setOuts] = useState([]); // output tokens the vault pays out
+  const [decimals, setDecimals] = useState({}); // on-chain decimals for tokens outside the token list
+  const [tokenIn, setTokenIn] = useState("");
+  const [redeemIn, setRedeemIn] = useState("");
+  const [amountHuman, setAmountHuman] = useState("");
+  const [busy, setBusy] = useState("");
+  const [notice, setNotice] = useState(null);
+  const [nowSec, setNowSec] = useState(() => Math.floor(Date.now() / 1000));
+
+  const { ok: wlOk, proof, weight } = useWhitelist(address, readProvider);
+  const { enabled: capsOn, caps } = useClaimCaps(address, readProvider);
+
+  const load = useCallback(async () => {
+    if (!readProvider || !cw.getClaimWindowAddress()) return;
+    try {
+      const w = await cw.getCurrentWindow(readProvider);
+      setWin(w);
+      setReq(w && address ? await cw.getRequestOf(readProvider, w.id, address) : null);
+      const list = await core.getOutputBalances(readProvider);
+      setOuts(list);
+      setRedeemIn((r) => r || list[0]?.token || "");
+    } catch (e) {
+      console.error("[ClaimWindowPanel] load error:", e);
+    }
+  }, [readProvider, address]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // ticking clock for the phase / countdown; refresh the estimate every minute
+  useEffect(() => {
+    const t = setInterval(() => setNowSec(Math.floor(Date.now() / 1000)), 1000);
+    const r = setInterval(load, 60_000);
+    return () => { clearInterval(t); clearInterval(r); };
+  }, [load]);
+
+  useEffect(() => {
+    if (!tokenIn || !readProvider || decimals[tokenIn] !== undefined) return;
+    core.getTokenDecimals(readProvider, tokenIn).then((d) => setDecimals((m) => ({ ...m, [tokenIn]: d })));
+  }, [tokenIn, readProvider, decimals]);
+
+  const run = useCallback(async (key, fn, okMsg) => {
+    setBusy(key); setNotice(null);
+    try {
+      if (!ctxSigner) throw new Error("Connect your wallet first");
+      await fn(ctxSigner);
+      setNotice({ type: "success", msg: okMsg });
+      await load();
+    } catch (e) {
+      console.error(`[ClaimWindowPanel] ${key} error:`, e);
+      setNotice({ type: "error", msg: cw.prettyClaimWindowError(e) });
+    } finally { setBusy(""); }
+  }, [ctxSigner, load]);
+
+  const onRequest = useCallback(() => run("request", async (signer) => {
+    const dec = decimals[tokenIn] ?? tokenMeta(tokenIn).decimals;
+    const amountIn = parseUnits(String(amountHuman || "").trim().replace(",", "."), dec);
+    if (amountIn <= 0n) throw new Error("Enter an amount");
+    const cap = capsOn ? caps?.[tokenIn.toLowerCase()] : null;
+    await cw.requestClaim(signer, { tokenIn, amountIn, redeemIn, weight, proof, maxAmount: cap?.maxAmount ?? 0n, capProof: cap?.proof ?? [] });
+    setAmountHuman("");
+  }, "Request registered. Your input is held in escrow until the window is settled."), [run, tokenIn, amountHuman, redeemIn, weight, proof, capsOn, caps, decimals]);
+
+  const onCancel = useCallback(() => run("cancel", (s) => cw.cancelRequest(s), "Request cancelled and input returned."), [run]);
+  const onFinalize = useCallback(() => run("finalize", (s) => cw.finalizeWindow(s, win.id), "Window finalized."), [run, win]);
+  const onWithdraw = useCallback(() => run("withdraw", (s) => cw.withdrawShare(s, win.id), "Share withdrawn."), [run, win]);
+
+  if (!cw.getClaimWindowAddress() || !win) return null;
+
+  const phase = cw.windowPhase(win, nowSec);
+  const inMeta = req ? { ...tokenMeta(req.tokenIn), decimals: decimals[req.tokenIn] ?? tokenMeta(req.tokenIn).decimals } : null;
+  const outInfo = req ? outs.find((o) => o.token.toLowerCase() === req.redeemIn.toLowerCase()) : null;
+  const outMeta = req ? (outInfo ? { symbol: outInfo.symbol, decimals: outInfo.decimals } : tokenMeta(req.redeemIn)) : null;
+  const left = Math.max(0, Number(win.end) - nowSec);
+  const countdown = `${Math.floor(left / 3600)}h ${String(Math.floor((left % 3600) / 60)).padStart(2, "0")}m`;
+
+  return (
+    <div className={styles.contractRedeemCard}>
+      <div className={styles.contractRedeemHeader}>
+        <h3 className={styles.h3} style={{ margin: 0 }}>Claim Window #{String(win.id)}</h3>
+        <span className={styles.smallMuted}>
+          {phase === "upcoming" && `Opens ${fmtTime(win.start)}`}
+          {phase === "open" && `Open · closes in ${countdown}`}
+          {phase === "closed" && "Closed · awaiting settlement"}
+          {phase === "finalized" && "Settled"}
+        </span>
+      </div>
+      <div className={styles.smallMuted}>
+        Requests made during the window share the vault's output tokens pro-rata when it closes, so joining late costs nothing.
+      </div>
+      {notice && <div className={`${styles.alert} ${notice.type === "error" ? styles.error : styles.success}`}>{notice.msg}</div>}
+
+      {req ? (
+        <div className={styles.contractRedeemPreview}>
+          <div className={styles.contractRedeemPreviewRow}>
+            <span className={styles.contractRedeemLabel}>{phase === "finalized" ? "Your request" : "Pending request"}</span>
+            <span className={styles.contractRedeemValue}>{formatUnits(req.amountIn, inMeta.decimals)} {inMeta.symbol} → {outMeta.symbol}</span>
+          </div>
+          <div className={styles.contractRedeemPreviewRow}>
+            <span className={styles.contractRedeemLabel}>{phase === "finalized" ? "Fill" : "Estimated fill"}</span>
+            <span className={styles.contractRedeemValue}>{fmtPct(req.fill18)}</span>
+          </div>
+          <div className={styles.contractRedeemPreviewRow}>
+            <span className={styles.contractRedeemLabel}>{phase === "finalized" ? "You receive" : "Estimated payout"}</span>
+            <span className={styles.contractRedeemValue}>{formatUnits(req.estimatedOut, outMeta.decimals)} {outMeta.symbol} (of {formatUnits(req.amountOut, outMeta.decimals)} at full fill)</span>
+          </div>
+          {req.estimatedRefund > 0n && (
+            <div className={styles.contractRedeemPreviewRow}>
+              <span className={styles.contractRedeemLabel}>Unfilled input returned</span>
+              <span className={styles.contractRedeemValue}>{formatUnits(req.estimatedRefund, inMeta.decimals)} {inMeta.symbol}</span>
+            </div>
+          )}
+          {phase !== "finalized" && <div className={styles.smallMuted}>The estimate moves as others join and as the vault is funded; it is fixed at settlement.</div>}
+        </div>
+      ) : phase === "open" ? (
+        <>
+          {!wlOk && <div className={`${styles.alert} ${styles.warning}`}>Address not whitelisted</div>}
+          <div className={styles.grid2}>
+            <div className={styles.field}>
+              <label className={styles.smallMuted}>Token In</label>
+              <TokenSelect value={tokenIn} onChange={setTokenIn} placeholder="Select token" claims={capsOn ? caps : null} />
+            </div>
+            <div className={styles.field}>
+              <label className={styles.smallMuted}>Receive In</label>
+              <div className={styles.row}>
+                {outs.map((o) => (
+                  <button key={o.token} type="button" className={`${styles.button} ${redeemIn === o.token ? styles.buttonActive : ""}`} onClick={() => setRedeemIn(o.token)}>{o.symbol}</button>
+                ))}
+              </div>
+            </div>
+          </div>
+          <div className={styles.field}>
+            <label className={styles.smallMuted}>Amount (up to your daily limit)</label>
+            <input className={styles.input} type="text" inputMode="decimal" placeholder="e.g. 100" value={amountHuman} onChange={(e) => setAmountHuman(e.target.value)} disabled={!!busy} />
+          </div>
+        </>
+      ) : (
+        <div className={styles.smallMuted}>{phase === "upcoming" ? "Requests open when the window starts." : "You have no request in this window."}</div>
+      )}
+
+      <div className={styles.row}>
+        {phase === "open" && !req && (
+          <button type="button" className={`${styles.button} ${styles.buttonAccent}`} onClick={onRequest} disabled={!!busy || !ctxSigner || !wlOk || !tokenIn || !redeemIn || !amountHuman}>{busy === "request" ? "Requesting…" : "Request"}</button>
+        )}
+        {phase === "open" && req && (
+          <button type="button" className={styles.button} onClick={onCancel} disabled={!!busy || !ctxSigner}>{busy === "cancel" ? "Cancelling…" : "Cancel request"}</button>
+        )}
+        {phase === "closed" && (
+          <button type="button" className={styles.button} onClick={onFinalize} disabled={!!busy || !ctxSigner}>{busy === "finalize" ? "Settling…" : "Settle window"}</button>
+        )}
+        {phase === "finalized" && req && (
+          <button type="button" className={`${styles.button} ${styles.buttonAccent}`} onClick={onWithdraw} disabled={!!busy || !ctxSigner}>{busy === "withdraw" ? "Withdrawing…" : "Withdraw"}</button>
+        )}
+      </div>
+    </div>
+  );
+}
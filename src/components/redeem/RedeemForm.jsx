@@ -1,14 +1,16 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Contract, formatUnits, parseUnits } from "ethers";
+import { Contract, formatUnits, isAddress, parseUnits } from "ethers";
 import { useAppKitAccount } from "@reown/appkit/react";
 import { getActiveWalletProvider } from "@/services/appkit";
 import styles from "@/styles/Global.module.css";
 import { useContractContext } from "@/contexts/ContractContext";
 import * as core from "@/services/vaultCore";
 import * as redeemSvc from "@/services/redeemService";
+import * as queueSvc from "@/services/redemptionQueueService";
 import TokenSelect from "@/components/shared/TokenSelect";
 import ReCAPTCHA from "react-google-recaptcha";
-import { useWhitelist } from "@/services/whitelistService";
+import { checkWhitelist, useWhitelist } from "@/services/whitelistService";
+import { useClaimCaps } from "@/services/claimCapService";
 import LoadConsole from "@/components/shared/LoadConsole";
 import { useOnePrice } from "@/hooks/useOnePrice";
 //import OracleDebugPanel from "@/components/OracleDebugPanel";
@@ -26,6 +28,19 @@ const FEES_TTL_MS = 60000;
 const FIXED_TTL_MS = 60000;
 const USERLIMIT_TTL_MS = 20000;
 const CHAIN_QUOTE_TIMEOUT_MS = Number(import.meta.env.VITE_CHAIN_QUOTE_TIMEOUT_MS ?? 2500);
+const SLIPPAGE_KEY = "rv:slippageBps";
+const SLIPPAGE_PRESETS = [10, 50, 100]; // bps
+const MAX_SLIPPAGE_BPS = 5000;
+const MAX_CART = 8; // = RecoveryVault.MAX_BATCH
+
+function loadSlippageBps() {
+  try {
+    const raw = localStorage.getItem(SLIPPAGE_KEY);
+    const v = Number(raw);
+    if (raw !== null && Number.isFinite(v) && v >= 0 && v <= MAX_SLIPPAGE_BPS) return v;
+  } catch {}
+  return redeemSvc.DEFAULT_SLIPPAGE_BPS;
+}
 
 const TOKEN_META_CACHE = new Map();
 async function getTokenMetaCached(provider, addr){
@@ -47,6 +62,19 @@ async function getTokenMetaCached(provider, addr){
   }
 }
 
+// USD18 por unidade de um token de saída (OutputPricing do vault: 1 Oracle, 2 Peg $1, 3 Fixed)
+function outputPrice18(out, onePrice18) {
+  if (!out) return 0n;
+  if (out.pricing === 2) return 10n ** 18n;
+  if (out.pricing === 3) return BigInt(out.price18 ?? 0n);
+  return BigInt(onePrice18 ?? 0n);
+}
+
+// Saída com mais USD no vault (empate: a primeira da lista, como no _splitOut do contrato)
+function richestOutput(outs) {
+  return (outs || []).reduce((best, o) => (!best || o.usd18 > best.usd18 ? o : best), null);
+}
+
 function formatUnitsFixed(raw, tokenDecimals, fractionDigits = 2) {
   const v = BigInt(raw ?? 0n);
   const d = BigInt(tokenDecimals ?? 18);
@@ -146,10 +174,14 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
   const [wone, setWone] = useState("");
   const [usdc, setUsdc] = useState("");
   const [usdcDecimals, setUsdcDecimals] = useState(6);
-  const [vaultBalances, setVaultBalances] = useState({ woneBalance: 0n, usdcBalance: 0n });
+  const [outputs, setOutputs] = useState([]); // tokens the vault pays out: [{ token, symbol, pricing, decimals, price18, balance, available, usd18 }]
+  const [queueEntry, setQueueEntry] = useState(null); // open RedemptionQueue entry of the wallet
+  const [queueClaims, setQueueClaims] = useState([]); // queue fills the wallet could not receive: [{ token, amount }]
 
   const [tokenIn, setTokenIn] = useState("");
   const [redeemIn, setRedeemIn] = useState("");
+  const [autoOut, setAutoOut] = useState(false); // "Auto": redeemSplit, redeemIn is only the preferred output
+  const [nativeOut, setNativeOut] = useState(false); // "ONE (native)": redeemNative, the wONE payout is unwrapped
   const [amountHuman, setAmountHuman] = useState("");
   const [debouncedAmount, setDebouncedAmount] = useState("");
 
@@ -165,6 +197,26 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
   const [amountUSD4, setAmountUSD4] = useState(0n);
 
   const [receivePreview, setReceivePreview] = useState(null);
+  const [slippageBps, setSlippageBps] = useState(loadSlippageBps);
+  const [slippageText, setSlippageText] = useState(() => String(loadSlippageBps() / 100));
+
+  // Cart mode: vários tokens de entrada num único redeemMany
+  const [cartMode, setCartMode] = useState(false);
+  const [cart, setCart] = useState([]); // [{ token, amount, decimals, symbol }]
+  const [cartQuote, setCartQuote] = useState(null);
+  const splitOut = autoOut && !cartMode; // redeemMany has no split payout
+  const nativePayout = nativeOut && !cartMode && !!wone && String(redeemIn).toLowerCase() === wone.toLowerCase();
+  const outputOf = useCallback(
+    (addr) => outputs.find((o) => o.token.toLowerCase() === String(addr || "").toLowerCase()) || null,
+    [outputs]
+  );
+
+  // Optional payout recipient (redeemTo); limits stay on the connected wallet
+  const [recipientText, setRecipientText] = useState("");
+  const [recipientWhitelisted, setRecipientWhitelisted] = useState(false);
+  const recipientInput = recipientText.trim();
+  const recipientValid = !recipientInput || isAddress(recipientInput);
+  const recipient = recipientInput && recipientValid && recipientInput.toLowerCase() !== String(address).toLowerCase() ? recipientInput : "";
 
   const [busy, setBusy] = useState(false);
   const [loadingBase, setLoadingBase] = useState(true);
@@ -186,7 +238,7 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
   const roundCacheRef = useRef({ ts: 0, value: null });
   const feeCacheRef = useRef({ ts: 0, value: null });
   const fixedCacheRef = useRef(new Map());
-  const userLimitCacheRef = useRef({ ts: 0, value: null });
+  const userLimitCacheRef = useRef({ ts: 0, key: "", value: null });
   const runIdRef = useRef(0);
 
   const [roundActive, setRoundActive] = useState(false);
@@ -245,13 +297,15 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
     return val;
   }, [readProvider]);
 
-  const getCachedUserLimit = useCallback(async (wallet) => {
+  const getCachedUserLimit = useCallback(async (wallet, weight = 1n) => {
     const now = Date.now();
-    if (userLimitCacheRef.current.value && now - userLimitCacheRef.current.ts < USERLIMIT_TTL_MS) {
-      return userLimitCacheRef.current.value; // { remainingUSD }
+    const key = `${String(wallet).toLowerCase()}:${weight}`; // limit scales with snapshot weight
+    const c = userLimitCacheRef.current;
+    if (c.value && c.key === key && now - c.ts < USERLIMIT_TTL_MS) {
+      return c.value; // { remainingUSD }
     }
-    const val = await core.getUserLimitObject(readProvider, wallet).catch(() => ({ remainingUSD: 0n }));
-    userLimitCacheRef.current = { ts: now, value: val };
+    const val = await core.getUserLimitObject(readProvider, wallet, weight).catch(() => ({ remainingUSD: 0n }));
+    userLimitCacheRef.current = { ts: now, key, value: val };
     return val; // { remainingUSD: <USD4> }
   }, [readProvider]);
 
@@ -276,11 +330,11 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
         if (!readProvider) return;
         setLoadingBase(true);
         addLog("Initializing vault data…");
-        const [sup, w, u, bals] = await Promise.all([
+        const [sup, w, u, outs] = await Promise.all([
           core.getSupportedTokens?.(readProvider).catch(() => []),
           core.wONE?.(readProvider).catch(() => ""),
           core.usdc?.(readProvider).catch(() => ""),
-          core.getVaultBalances?.(readProvider).catch(() => ({ woneBalance: 0n, usdcBalance: 0n })),
+          core.getOutputBalances?.(readProvider).catch(() => []),
         ]);
         if (!alive) return;
         const supArr = [...new Set((Array.isArray(sup) ? sup : []).map(a => a && String(a).toLowerCase()).filter(a => a && a !== '0x0000000000000000000000000000000000000000'))];
@@ -288,7 +342,7 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
         setSupportedTokens(supArr);
         setWone(w || "");
         setUsdc(u || "");
-        setVaultBalances(bals || { woneBalance: 0n, usdcBalance: 0n });
+        setOutputs(outs || []);
         stepOk("Core addresses/balances loaded");
         if (u) {
           try {
@@ -303,9 +357,8 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
           }
         }
         if (!redeemIn) {
-          if ((bals?.woneBalance ?? 0n) > 0n) setRedeemIn(w || "");
-          else if ((bals?.usdcBalance ?? 0n) > 0n) setRedeemIn(u || "");
-          else setRedeemIn(w || u || "");
+          const funded = (outs || []).find((o) => o.available > 0n);
+          setRedeemIn(funded?.token || outs?.[0]?.token || "");
         }
         if (!tokenIn && supArr[0]) setTokenIn(supArr[0]);
       } catch (e) {
@@ -380,7 +433,9 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
     return () => { alive = false; };
   }, [readProvider, tokenIn, getCachedFixedPrice]);
 
-  const { loading: wlLoading, ok: wlOk, error: wlError, proof: wlProof } = useWhitelist(address, readProvider);
+  const { loading: wlLoading, ok: wlOk, error: wlError, proof: wlProof, weight: wlWeight } = useWhitelist(address, readProvider);
+  const { enabled: capsOn, caps: claimCaps, refresh: refreshCaps } = useClaimCaps(address, readProvider);
+  const selectedCap = tokenIn ? claimCaps?.[tokenIn.toLowerCase()] ?? null : null;
 
   useEffect(() => {
     let alive = true;
@@ -413,13 +468,16 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
           setUiNotice(null);
         }
 
-        const { remainingUSD: remaining4 } = await getCachedUserLimit(address); // USD * 1e4
+        const { remainingUSD: remaining4 } = await getCachedUserLimit(address, wlWeight); // USD * 1e4
         if (!cancelled && runId === runIdRef.current) setLimitUSD4(BigInt(remaining4 ?? 0n));        
 
         const chainPromise = (async () => {
           try {
             const proof = wlProof || [];
-            const q = await core.quoteRedeem(readProvider, address, tokenIn, amountIn, redeemIn, proof);
+            const q = await core.quoteRedeem(
+              readProvider, address, tokenIn, amountIn, redeemIn, wlWeight, proof,
+              selectedCap?.maxAmount ?? 0n, selectedCap?.proof ?? []
+            );
             return q || null;
           } catch { return null; }
         })();
@@ -429,6 +487,14 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
           new Promise((res) => setTimeout(() => res("timeout"), CHAIN_QUOTE_TIMEOUT_MS))
         ]);
 
+        // USD18 por unidade do token de saída, como o vault o valoriza
+        const outputUsdPrice18 = async () => {
+          const out = outputOf(redeemIn);
+          if (out?.pricing !== 1) return outputPrice18(out, 0n);
+          const { price = 0n, decimals = 18 } = await getCachedOracle();
+          return outputPrice18(out, price > 0n ? price * 10n ** 18n / 10n ** BigInt(decimals) : 0n);
+        };
+
         const computeLocal = async () => {
           try {
             // 1) pegue o snapshot UMA vez por run
@@ -474,17 +540,14 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
             const usdNet18 = amountIn > 0n ? (usd18 * net) / amountIn : 0n;
 
             // 4) output amount
-            const outIsUSDC = usdc && redeemIn && String(usdc).toLowerCase() === String(redeemIn).toLowerCase();
-            const outDec = outIsUSDC ? (usdcDecimals || 6) : 18;
-            const outSym = outIsUSDC ? "USDC" : "wONE";
+            const out = outputOf(redeemIn);
+            const outDec = out?.decimals ?? 18;
+            const outSym = out?.symbol ?? "";
+            const outPrice18 = outputPrice18(out, price18);
 
             let amountOut = 0n;
-            if (outIsUSDC) {
-              amountOut = (usdNet18 * 10n ** BigInt(outDec)) / 10n ** 18n;
-            } else {
-              if (price18 > 0n) {
-                amountOut = (usdNet18 * 10n ** 18n) / price18;
-              }
+            if (outPrice18 > 0n) {
+              amountOut = (usdNet18 * 10n ** BigInt(outDec)) / outPrice18;
             }
 
             // 5) USD (para limite) a partir do *output*
@@ -513,26 +576,13 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
 
         if (first && first !== "timeout") {
           const q = first;
-          const outDec = typeof q.redeemInDecimals === "number"
-            ? q.redeemInDecimals
-            : (usdc && redeemIn && String(usdc).toLowerCase() === String(redeemIn).toLowerCase())
-              ? usdcDecimals
-              : 18;
-          const outSym = (usdc && redeemIn && String(usdc).toLowerCase() === String(redeemIn).toLowerCase()) ? "USDC" : "wONE";
+          const outDec = typeof q.redeemInDecimals === "number" ? q.redeemInDecimals : (outputOf(redeemIn)?.decimals ?? 18);
+          const outSym = outputOf(redeemIn)?.symbol ?? "";
           if (!cancelled && runId === runIdRef.current) {
             // Derive usdOut18/usdOut14 from on-chain amountOut
             let usdOut4 = 0n, usdOut18 = 0n;
             const amountOut = BigInt(q.amountOutRedeemToken ?? 0n);
-            const outIsUSDC = usdc && redeemIn && String(usdc).toLowerCase() === String(redeemIn).toLowerCase();
-            if (outIsUSDC) {
-              usdOut18 = amountOut * 10n ** 18n / 10n ** BigInt(outDec);
-            } else {
-              const { price = 0n, decimals = 18 } = await getCachedOracle();
-              if (price > 0n) {
-                const price18 = price * 10n ** 18n / 10n ** BigInt(decimals);
-                usdOut18 = amountOut * price18 / 10n ** 18n;
-              }
-            }
+            usdOut18 = amountOut * (await outputUsdPrice18()) / 10n ** BigInt(outDec);
           // contrato usa USD4 -> converta
           usdOut4 = (usdOut18 * 10_000n) / (10n ** 18n);
 
@@ -552,7 +602,10 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
               maxOut: amountOut,
               roundIsActive: !!q.roundIsActive,
               whitelisted: !!q.whitelisted,
+              oracleOk: q.oracleOk !== false,
               userLimitUsdAfter: after4, // USD4
+              splitPrimaryOut: BigInt(q.splitPrimaryOut ?? amountOut),
+              splitSecondaryOut: BigInt(q.splitSecondaryOut ?? 0n),
               usdOut18,
             });
           }
@@ -560,24 +613,11 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
           await computeLocal();
           const qLater = await chainPromise;
           if (qLater && !cancelled && runId === runIdRef.current) {
-            const outDec = typeof qLater.redeemInDecimals === "number"
-              ? qLater.redeemInDecimals
-              : (usdc && redeemIn && String(usdc).toLowerCase() === String(redeemIn).toLowerCase())
-                ? usdcDecimals
-                : 18;
-            const outSym = (usdc && redeemIn && String(usdc).toLowerCase() === String(redeemIn).toLowerCase()) ? "USDC" : "wONE";
+            const outDec = typeof qLater.redeemInDecimals === "number" ? qLater.redeemInDecimals : (outputOf(redeemIn)?.decimals ?? 18);
+            const outSym = outputOf(redeemIn)?.symbol ?? "";
             let usdOut18 = 0n, usdOut4 = 0n;
             const amountOut = BigInt(qLater.amountOutRedeemToken ?? 0n);
-            const outIsUSDC = usdc && redeemIn && String(usdc).toLowerCase() === String(redeemIn).toLowerCase();
-            if (outIsUSDC) {
-              usdOut18 = amountOut * 10n ** 18n / 10n ** BigInt(outDec);
-            } else {
-              const { price = 0n, decimals = 18 } = await getCachedOracle();
-              if (price > 0n) {
-                const price18 = price * 10n ** 18n / 10n ** BigInt(decimals);
-                usdOut18 = amountOut * price18 / 10n ** 18n;
-              }
-            }
+            usdOut18 = amountOut * (await outputUsdPrice18()) / 10n ** BigInt(outDec);
             usdOut4 = (usdOut18 * 10_000n) / (10n ** 18n);
             const onChainAfter4 = qLater.userLimitUsdAfter != null ? BigInt(qLater.userLimitUsdAfter) : null;
             const after4 = onChainAfter4 != null ? onChainAfter4
@@ -595,7 +635,10 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
               maxOut: amountOut,
               roundIsActive: !!qLater.roundIsActive,
               whitelisted: !!qLater.whitelisted,
+              oracleOk: qLater.oracleOk !== false,
               userLimitUsdAfter: after4,
+              splitPrimaryOut: BigInt(qLater.splitPrimaryOut ?? amountOut),
+              splitSecondaryOut: BigInt(qLater.splitSecondaryOut ?? 0n),
               usdOut18
             });
           }
@@ -605,11 +648,85 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
       }
     })();
     return () => { cancelled = true; };
-  }, [readProvider, address, tokenIn, redeemIn, debouncedAmount, selectedDecimals, wlProof, usdc, usdcDecimals, wone, getCachedOracle, uiNotice, getCachedFixedPrice, getCachedFeeTiers, getCachedUserLimit]);
+  }, [readProvider, address, tokenIn, redeemIn, debouncedAmount, selectedDecimals, wlProof, wlWeight, selectedCap, usdc, usdcDecimals, wone, outputOf, getCachedOracle, uiNotice, getCachedFixedPrice, getCachedFeeTiers, getCachedUserLimit]);
+
+  const queueOn = Boolean(queueSvc.getQueueAddress());
+
+  const refreshQueue = useCallback(async () => {
+    if (!queueOn || !readProvider || !address) {
+      setQueueClaims([]);
+      return setQueueEntry(null);
+    }
+    try {
+      const [entry, outs] = await Promise.all([
+        queueSvc.getPositionOf(readProvider, address),
+        core.getOutputBalances(readProvider),
+      ]);
+      setQueueEntry(entry);
+      if (outs) setOutputs(outs);
+      setQueueClaims(await queueSvc.getClaimable(readProvider, address, (outs || []).map((o) => o.token)));
+    } catch {
+      setQueueEntry(null);
+    }
+  }, [queueOn, readProvider, address]);
+
+  // position moves as the queue is processed
+  useEffect(() => {
+    refreshQueue();
+    if (!queueOn) return;
+    const t = setInterval(refreshQueue, 60_000);
+    return () => clearInterval(t);
+  }, [queueOn, refreshQueue]);
+
+  useEffect(() => {
+    let alive = true;
+    setRecipientWhitelisted(false);
+    if (!recipient || !readProvider) return;
+    checkWhitelist(readProvider, recipient)
+      .then((r) => { if (alive) setRecipientWhitelisted(!!r?.ok); })
+      .catch(() => {});
+    return () => { alive = false; };
+  }, [recipient, readProvider]);
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      setCartQuote(null);
+      if (!cartMode || !readProvider || !address || !redeemIn || cart.length === 0) return;
+      try {
+        const q = await core.quoteRedeemMany(
+          readProvider, address, cart.map((c) => c.token), cart.map((c) => c.amount), redeemIn, wlWeight, wlProof || [],
+          cart.map((c) => claimCaps?.[c.token]?.maxAmount ?? 0n), cart.map((c) => claimCaps?.[c.token]?.proof ?? [])
+        );
+        if (alive) setCartQuote(q);
+      } catch {
+        if (alive) setCartQuote(null);
+      }
+    })();
+    return () => { alive = false; };
+  }, [cartMode, cart, readProvider, address, redeemIn, wlWeight, wlProof, claimCaps]);
+
+  const onAddToCart = useCallback(() => {
+    setUiNotice(null);
+    if (!tokenIn) return setUiNotice({ type: "warning", text: "Select a token" });
+    const amount = parseUnitsSafe(amountHuman, selectedDecimals);
+    if (amount == null || amount === 0n) return setUiNotice({ type: "warning", text: "Enter a valid amount" });
+    if (amount > BigInt(selectedBalance ?? 0n)) return setUiNotice({ type: "warning", text: "Insufficient balance for selected token" });
+    const token = tokenIn.toLowerCase();
+    const rest = cart.filter((c) => c.token !== token); // re-adding a token replaces its amount
+    if (rest.length >= MAX_CART) return setUiNotice({ type: "warning", text: `A batch can hold at most ${MAX_CART} tokens` });
+    setCart([...rest, { token, amount, decimals: selectedDecimals, symbol: selectedSymbol }]);
+    setAmountHuman("");
+  }, [cart, tokenIn, amountHuman, selectedDecimals, selectedBalance, selectedSymbol, parseUnitsSafe]);
+
+  const onRemoveFromCart = useCallback((token) => {
+    setCart((prev) => prev.filter((c) => c.token !== token));
+  }, []);
 
   const onMax = useCallback(async () => {
     try {
-      const bal = BigInt(selectedBalance ?? 0n);
+      const held = BigInt(selectedBalance ?? 0n);
+      const bal = capsOn && selectedCap && selectedCap.remaining < held ? selectedCap.remaining : held;
       const dec = BigInt(selectedDecimals ?? 18);
       const remain4 = BigInt(limitUSD4 ?? 0n);
       if (!tokenIn || remain4 <= 0n) {
@@ -637,9 +754,54 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
       const human = formatUnits(maxTok, Number(dec));
       setAmountHuman(human);
     } catch {}
-  }, [selectedBalance, selectedDecimals, limitUSD4, tokenIn, usdc, wone, getCachedOracle, getCachedFixedPrice]);
+  }, [selectedBalance, selectedDecimals, limitUSD4, tokenIn, usdc, wone, capsOn, selectedCap, getCachedOracle, getCachedFixedPrice]);
 
 
+  // Após um redeem confirmado: caps, limite, round e saldos
+  const refreshAfterRedeem = useCallback(async () => {
+    refreshCaps();
+
+    try {
+      userLimitCacheRef.current = { ts: 0, key: "", value: null };
+      const { remainingUSD } = await getCachedUserLimit(address, wlWeight); // USD4
+      setLimitUSD4(BigInt(remainingUSD ?? 0n));
+      setAmountUSD4(0n);
+      oracleCacheRef.current = { ts: 0, value: null };
+      roundCacheRef.current = { ts: 0, value: null };
+      const ri2 = await getCachedRoundInfo();
+      setRoundActive(!!ri2?.isActive);
+    } catch {}
+
+    try {
+      if (readProvider && address && supportedTokens.length > 0) {
+        let refreshed = null;
+        if (typeof core.batchBalances === "function") {
+          try {
+            const map = await core.batchBalances(readProvider, address, supportedTokens);
+            if (map && typeof map === 'object') {
+              refreshed = Object.entries(map).map(([addr, info]) => [String(addr).toLowerCase(), info]);
+            }
+          } catch {}
+        }
+        if (!refreshed) {
+          refreshed = await Promise.all(
+            supportedTokens.map(async (addr) => {
+              try {
+                const meta = await getTokenMetaCached(readProvider, addr);
+                const erc2 = new Contract(addr, ERC20_MINI, readProvider);
+                const bal = await erc2.balanceOf(address).catch(() => 0n);
+                return [String(addr).toLowerCase(), { raw: bal ?? 0n, decimals: meta.decimals, symbol: meta.symbol }];
+              } catch {
+                return [String(addr).toLowerCase(), { raw: 0n, decimals: 18, symbol: "TOKEN" }];
+              }
+            })
+          );
+        }
+        setBalances(new Map(refreshed));
+      }
+    } catch {}
+  }, [readProvider, address, wlWeight, supportedTokens, refreshCaps, getCachedUserLimit, getCachedRoundInfo]);
+
   const onConfirm = useCallback(async () => {
     try {
       setUiNotice(null);
@@ -649,7 +811,7 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
       if (!ctxSigner) throw new Error("Connect a wallet to proceed");
       await ensureHarmony();
       if (!tokenIn) throw new Error("Select a token");
-      if (!redeemIn) throw new Error("Select wONE or USDC");
+      if (!redeemIn) throw new Error("Select an output token");
       if (!amountHuman || Number(amountHuman) <= 0) throw new Error("Enter an amount");
       if (!isValidHuman(amountHuman)) throw new Error("Enter a valid amount");
       if (!wlLoading && !wlOk) throw new Error(wlError || "Address not whitelisted");
@@ -666,6 +828,11 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
         throw new Error("Insufficient balance for selected token");
       }
 
+      if (capsOn) {
+        if (!selectedCap || !selectedCap.valid) throw new Error("No claim cap found for this token");
+        if (BigInt(amountIn) > selectedCap.remaining) throw new Error("Amount exceeds your remaining claim cap for this token");
+      }
+
       const ri = await getCachedRoundInfo();
       if (!ri?.isActive) throw new Error("Round is not active");
 
@@ -673,61 +840,200 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
         throw new Error("Quote not available");
       }
 
+      if (!recipientValid) throw new Error("Invalid recipient address");
+      if (splitOut && recipient) throw new Error("Auto payout goes to the connected wallet; pick a single output token to use a recipient");
+      if (nativePayout && recipient) throw new Error("Native ONE goes to the connected wallet; pick wONE to use a recipient");
+
       const proof = wlProof || [];
-      await redeemSvc.approveForVaultIfNeeded(ctxSigner, tokenIn, address, amountIn);
-      const rc = await redeemSvc.redeem(ctxSigner, tokenIn, amountIn, redeemIn, proof, {});
+      // EIP-2612 tokens: assinatura off-chain em vez de tx de approve (redeemTo/redeemSplit não aceitam permit)
+      let permit = null;
+      if (recipient || splitOut || nativePayout) await redeemSvc.approveForVaultIfNeeded(ctxSigner, tokenIn, address, amountIn);
+      else permit = await redeemSvc.permitOrApproveForVault(ctxSigner, tokenIn, address, amountIn);
+      const rc = await redeemSvc.redeem(
+        ctxSigner, tokenIn, amountIn, redeemIn, wlWeight, proof,
+        selectedCap?.maxAmount ?? 0n, selectedCap?.proof ?? [], { slippageBps, permit, recipient: recipient || undefined, split: splitOut || undefined, native: nativePayout || undefined }
+      );
       setUiNotice({ type: "success", text: `Redeem confirmed in block ${rc?.blockNumber}` });
       setAmountHuman("");
       setReceivePreview(null);
+      await refreshAfterRedeem();
+    } catch (e) {
+      setUiNotice({ type: "error", text: rpcFriendly(e) });
+    } finally {
+      setBusy(false);
+    }
+  }, [readProvider, ctxSigner, isConnected, address, tokenIn, redeemIn, amountHuman, selectedDecimals, selectedBalance, wlOk, wlError, wlLoading, wlProof, wlWeight, capsOn, selectedCap, receivePreview, slippageBps, recipient, recipientValid, splitOut, nativePayout, getCachedRoundInfo, isValidHuman, parseUnitsSafe, refreshAfterRedeem]);
+
+  // Auto: prefere a saída com maior saldo em USD no vault; o que faltar sai em outra saída (redeemSplit)
+  const onPickAuto = useCallback(async () => {
+    const outs = await core.getOutputBalances(readProvider).catch(() => outputs);
+    setOutputs(outs);
+    const best = richestOutput(outs);
+    if (best) setRedeemIn(best.token);
+    setNativeOut(false);
+    setAutoOut(true);
+  }, [readProvider, outputs]);
+
+  // Vault sem liquidez suficiente do token de saída: o mesmo pedido entra na RedemptionQueue (input em escrow)
+  const onJoinQueue = useCallback(async () => {
+    try {
+      setUiNotice(null);
+      setBusy(true);
+      if (!isConnected || !address || !ctxSigner) throw new Error("Connect a wallet");
+      await ensureHarmony();
+      const amountIn = parseUnitsSafe(amountHuman, selectedDecimals);
+      if (!tokenIn || !redeemIn || amountIn == null || amountIn === 0n) throw new Error("Enter a valid amount");
+      if (selectedBalance != null && BigInt(amountIn) > BigInt(selectedBalance)) throw new Error("Insufficient balance for selected token");
+      if (!wlLoading && !wlOk) throw new Error(wlError || "Address not whitelisted");
+      const rc = await queueSvc.joinQueue(ctxSigner, {
+        tokenIn, amountIn, redeemIn, weight: wlWeight, proof: wlProof || [],
+        maxAmount: selectedCap?.maxAmount ?? 0n, capProof: selectedCap?.proof ?? [],
+      });
+      setUiNotice({ type: "success", text: `Joined the redemption queue in block ${rc?.blockNumber}. Your input is held in escrow until it is filled.` });
+      setAmountHuman("");
+      setReceivePreview(null);
+      await refreshQueue();
+      await refreshAfterRedeem();
+    } catch (e) {
+      setUiNotice({ type: "error", text: queueSvc.prettyQueueError(e) });
+    } finally {
+      setBusy(false);
+    }
+  }, [isConnected, address, ctxSigner, tokenIn, redeemIn, amountHuman, selectedDecimals, selectedBalance, wlOk, wlError, wlLoading, wlProof, wlWeight, selectedCap, parseUnitsSafe, refreshQueue, refreshAfterRedeem]);
 
-      try {
-        userLimitCacheRef.current = { ts: 0, value: null };
-        const { remainingUSD } = await getCachedUserLimit(address); // USD4
-        setLimitUSD4(BigInt(remainingUSD ?? 0n));
-        setAmountUSD4(0n);
-        oracleCacheRef.current = { ts: 0, value: null };
-        roundCacheRef.current = { ts: 0, value: null };
-        const ri2 = await getCachedRoundInfo();
-        setRoundActive(!!ri2?.isActive);
-      } catch {}
+  const onLeaveQueue = useCallback(async () => {
+    try {
+      setUiNotice(null);
+      setBusy(true);
+      if (!ctxSigner) throw new Error("Connect a wallet");
+      await ensureHarmony();
+      await queueSvc.leaveQueue(ctxSigner);
+      setUiNotice({ type: "success", text: "Left the queue; the unused input was returned." });
+      await refreshQueue();
+      await refreshAfterRedeem();
+    } catch (e) {
+      setUiNotice({ type: "error", text: queueSvc.prettyQueueError(e) });
+    } finally {
+      setBusy(false);
+    }
+  }, [ctxSigner, refreshQueue, refreshAfterRedeem]);
 
-      try {
-        if (readProvider && address && supportedTokens.length > 0) {
-          let refreshed = null;
-          if (typeof core.batchBalances === "function") {
-            try {
-              const map = await core.batchBalances(readProvider, address, supportedTokens);
-              if (map && typeof map === 'object') {
-                refreshed = Object.entries(map).map(([addr, info]) => [String(addr).toLowerCase(), info]);
-              }
-            } catch {}
-          }
-          if (!refreshed) {
-            refreshed = await Promise.all(
-              supportedTokens.map(async (addr) => {
-                try {
-                  const meta = await getTokenMetaCached(readProvider, addr);
-                  const erc2 = new Contract(addr, ERC20_MINI, readProvider);
-                  const bal = await erc2.balanceOf(address).catch(() => 0n);
-                  return [String(addr).toLowerCase(), { raw: bal ?? 0n, decimals: meta.decimals, symbol: meta.symbol }];
-                } catch {
-                  return [String(addr).toLowerCase(), { raw: 0n, decimals: 18, symbol: "TOKEN" }];
-                }
-              })
-            );
-          }
-          setBalances(new Map(refreshed));
+  const onClaimQueue = useCallback(async (token) => {
+    try {
+      setUiNotice(null);
+      setBusy(true);
+      if (!ctxSigner) throw new Error("Connect a wallet");
+      await ensureHarmony();
+      await queueSvc.claimFills(ctxSigner, token);
+      setUiNotice({ type: "success", text: "Queued payout claimed." });
+      await refreshQueue();
+      await refreshAfterRedeem();
+    } catch (e) {
+      setUiNotice({ type: "error", text: queueSvc.prettyQueueError(e) });
+    } finally {
+      setBusy(false);
+    }
+  }, [ctxSigner, refreshQueue, refreshAfterRedeem]);
+
+  const onConfirmCart = useCallback(async () => {
+    try {
+      setUiNotice(null);
+      setBusy(true);
+      if (!readProvider) throw new Error("Provider not ready");
+      if (!isConnected || !address) throw new Error("Connect a wallet");
+      if (!ctxSigner) throw new Error("Connect a wallet to proceed");
+      await ensureHarmony();
+      if (!redeemIn) throw new Error("Select an output token");
+      if (cart.length === 0) throw new Error("Cart is empty");
+      if (!wlLoading && !wlOk) throw new Error(wlError || "Address not whitelisted");
+
+      if (RECAPTCHA_ENABLED && recaptchaSiteKey && recaptchaRef.current) {
+        let tok = null;
+        try { tok = await recaptchaRef.current.executeAsync(); } finally { recaptchaRef.current.reset(); }
+        if (!tok) throw new Error("reCAPTCHA validation failed");
+      }
+
+      for (const c of cart) {
+        const held = balances.get(c.token)?.raw ?? 0n;
+        if (c.amount > BigInt(held)) throw new Error(`Insufficient ${c.symbol} balance`);
+        if (capsOn) {
+          const cap = claimCaps?.[c.token];
+          if (!cap || !cap.valid) throw new Error(`No claim cap found for ${c.symbol}`);
+          if (c.amount > cap.remaining) throw new Error(`${c.symbol} amount exceeds your remaining claim cap`);
         }
-      } catch {}
+      }
+
+      const ri = await getCachedRoundInfo();
+      if (!ri?.isActive) throw new Error("Round is not active");
+      if (!cartQuote || cartQuote.totalAmountOut === 0n) throw new Error("Quote not available");
+
+      // redeemMany não aceita permit: approve por token quando necessário
+      for (const c of cart) {
+        await redeemSvc.approveForVaultIfNeeded(ctxSigner, c.token, address, c.amount);
+      }
+      const rc = await redeemSvc.redeemMany(
+        ctxSigner, cart.map((c) => c.token), cart.map((c) => c.amount), redeemIn, wlWeight, wlProof || [],
+        cart.map((c) => claimCaps?.[c.token]?.maxAmount ?? 0n), cart.map((c) => claimCaps?.[c.token]?.proof ?? []),
+        { slippageBps }
+      );
+      setUiNotice({ type: "success", text: `Batch redeem confirmed in block ${rc?.blockNumber}` });
+      setCart([]);
+      setCartQuote(null);
+      await refreshAfterRedeem();
     } catch (e) {
       setUiNotice({ type: "error", text: rpcFriendly(e) });
     } finally {
       setBusy(false);
     }
-  }, [readProvider, ctxSigner, isConnected, address, tokenIn, redeemIn, amountHuman, selectedDecimals, selectedBalance, wlOk, wlError, wlLoading, wlProof, supportedTokens, receivePreview, getCachedRoundInfo, isValidHuman, parseUnitsSafe, getCachedUserLimit]);
+  }, [readProvider, ctxSigner, isConnected, address, redeemIn, cart, cartQuote, balances, wlOk, wlError, wlLoading, wlProof, wlWeight, capsOn, claimCaps, slippageBps, getCachedRoundInfo, refreshAfterRedeem]);
+
+  const onSlippageChange = useCallback((text) => {
+    setSlippageText(text);
+    const pct = Number(String(text).replace(",", "."));
+    if (!String(text).trim() || !Number.isFinite(pct) || pct < 0) return;
+    const bps = Math.min(MAX_SLIPPAGE_BPS, Math.round(pct * 100));
+    setSlippageBps(bps);
+    try { localStorage.setItem(SLIPPAGE_KEY, String(bps)); } catch {}
+  }, []);
+
+  const minReceive = useMemo(
+    () => (receivePreview ? redeemSvc.applySlippage(receivePreview.raw, slippageBps) : 0n),
+    [receivePreview, slippageBps]
+  );
+
+  const cartMinReceive = useMemo(
+    () => (cartQuote ? redeemSvc.applySlippage(cartQuote.totalAmountOut, slippageBps) : 0n),
+    [cartQuote, slippageBps]
+  );
+  const outInfo = outputOf(redeemIn);
+  const outDecimals = outInfo?.decimals ?? 18;
+  const outSymbol = outInfo?.symbol ?? "";
 
-  const hasWone = (vaultBalances?.woneBalance ?? 0n) > 0n;
-  const hasUsdc = (vaultBalances?.usdcBalance ?? 0n) > 0n;
+  const cartConfirmDisabled = useMemo(() => {
+    if (busy) return true;
+    if (!isConnected || !address || !ctxSigner || !redeemIn || cart.length === 0) return true;
+    if (!wlLoading && !wlOk) return true;
+    if (!roundActive) return true;
+    if (!cartQuote || cartQuote.totalAmountOut === 0n || !cartQuote.oracleOk) return true;
+    return false;
+  }, [busy, isConnected, address, ctxSigner, redeemIn, cart, wlLoading, wlOk, roundActive, cartQuote]);
+
+  // with the queue on, an empty output token can still be picked (the request then waits in the queue)
+  const canPick = (o) => queueOn || o.available > 0n;
+  const woneOut = outputOf(wone); // native ONE is paid from the wONE balance
+  const payoutSymbol = nativePayout ? "ONE" : receivePreview?.symbol;
+  const anyOutput = outputs.some(canPick);
+  // balance held for queued requests is not available to direct redeems
+  const outLiquidity = outInfo?.available ?? 0n;
+  // Auto tops up with the other output holding the most USD, like the vault does
+  const otherOut = richestOutput(outputs.filter((o) => o !== outInfo));
+  const otherLiquidity = otherOut?.available ?? 0n;
+  const otherDecimals = otherOut?.decimals ?? 18;
+  const otherSymbol = otherOut?.symbol ?? "";
+  // Auto: the preferred leg is capped at the vault balance, so only the top-up leg can run short
+  const shortOfLiquidity = !!receivePreview && receivePreview.raw > 0n && (splitOut
+    ? (receivePreview.splitSecondaryOut ?? 0n) > otherLiquidity
+    : receivePreview.raw > outLiquidity);
 
   const confirmDisabled = useMemo(() => {
     if (busy) return true;
@@ -736,7 +1042,12 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
     if (!isValidHuman(debouncedAmount)) return true;
     if (!wlLoading && !wlOk) return true;
     if (!roundActive) return true;
+    if (capsOn && (!selectedCap || selectedCap.remaining === 0n)) return true;
     if (!receivePreview || receivePreview.raw === 0n) return true;
+    if (receivePreview.oracleOk === false) return true;
+    if (!recipientValid) return true;
+    if (splitOut && recipient) return true;
+    if (nativePayout && recipient) return true;
     if (receivePreview?.userLimitUsdAfter != null) {
       if (BigInt(receivePreview.userLimitUsdAfter) <= 0n) return true;
     } else {
@@ -744,7 +1055,13 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
       if (limitUSD4 !== 0n && amountUSD4 > limitUSD4) return true;
     }
     return false;
-  }, [busy, isConnected, address, ctxSigner, tokenIn, redeemIn, debouncedAmount, wlLoading, wlOk, amountUSD4, limitUSD4, receivePreview, isValidHuman, roundActive]);
+  }, [busy, isConnected, address, ctxSigner, tokenIn, redeemIn, debouncedAmount, wlLoading, wlOk, capsOn, selectedCap, amountUSD4, limitUSD4, receivePreview, recipientValid, recipient, splitOut, nativePayout, isValidHuman, roundActive]);
+  // the queue pays the joining wallet, so it is offered only without a custom recipient
+  const canJoinQueue = queueOn && shortOfLiquidity && !queueEntry && !recipient && !splitOut && !nativePayout && !confirmDisabled;
+  const queueOut = queueEntry ? outputOf(queueEntry.redeemIn) : null;
+  const queueOutDecimals = queueOut?.decimals ?? 18;
+  const queueOutSymbol = queueOut?.symbol ?? "";
+  const queueIn = queueEntry ? balances.get(queueEntry.tokenIn.toLowerCase()) : null;
 
   const isLoading = loadingBase || loadingBalances;
   const bootBusy = loadingBase || loadingBalances || wlLoading;
@@ -765,6 +1082,9 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
       /> */}
       <div className={styles.contractRedeemHeader}>
         <h3 className={styles.h3} style={{ margin: 0 }}>Redeem</h3>
+        <button type="button" className={`${styles.button} ${cartMode ? styles.buttonActive : ""}`} onClick={() => setCartMode((m) => !m)} disabled={busy} title="Redeem several tokens in one transaction">
+          {cartMode ? "Single token" : "Multi-token cart"}
+        </button>
       </div>
       {isLoading && (
         <div className={`${styles.alert} ${styles.info}`} style={{ marginBottom: 12 }}>
@@ -774,6 +1094,11 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
       {uiNotice && (
         <div className={`${styles.alert} ${uiNotice.type === "error" ? styles.error : uiNotice.type === "warning" ? styles.warning : uiNotice.type === "success" ? styles.success : styles.info}`}>{uiNotice.text}</div>
       )}
+      {receivePreview?.oracleOk === false && (
+        <div className={`${styles.alert} ${styles.warning}`} style={{ marginBottom: 12 }}>
+          Oracle price is stale or outside safety bounds. Redeems are paused until the feed recovers.
+        </div>
+      )}
       {!wlLoading && !wlOk && (
         <div className={`${styles.alert} ${styles.warning}`} style={{ marginBottom: 12 }}>
           {wlError || "Address not whitelisted"}
@@ -782,21 +1107,31 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
       <div className={styles.grid2}>
         <div className={styles.field}>
           <label className={styles.smallMuted}>Token In</label>
-          <TokenSelect tokens={supportedTokens} value={tokenIn} onChange={setTokenIn} placeholder="Select token to redeem" />
+          <TokenSelect tokens={supportedTokens} value={tokenIn} onChange={setTokenIn} placeholder="Select token to redeem" claims={capsOn ? claimCaps : null} />
           {!!tokenIn && selected && (
             <div className={styles.smallMuted}>Balance: {formatUnits(selectedBalance, selectedDecimals)} {selectedSymbol}</div>
           )}
+          {capsOn && !!tokenIn && (
+            <div className={styles.smallMuted}>
+              {selectedCap
+                ? `Claimed ${formatUnits(selectedCap.claimed, selectedDecimals)} of ${formatUnits(selectedCap.maxAmount, selectedDecimals)} ${selectedSymbol}`
+                : "No pre-hack balance recorded for this token"}
+            </div>
+          )}
         </div>
         <div className={styles.field}>
           <label className={styles.smallMuted}>Receive In</label>
           <div className={styles.row}>
-            {wone && (
-              <button type="button" className={`${styles.button} ${redeemIn === wone ? styles.buttonActive : ""}`} onClick={() => setRedeemIn(wone)} disabled={!hasWone} title={!hasWone ? "Vault has no wONE available" : undefined}>wONE</button>
+            {outputs.map((o) => (
+              <button key={o.token} type="button" className={`${styles.button} ${!splitOut && !nativePayout && redeemIn === o.token ? styles.buttonActive : ""}`} onClick={() => { setAutoOut(false); setNativeOut(false); setRedeemIn(o.token); }} disabled={!canPick(o)} title={!canPick(o) ? `Vault has no ${o.symbol} available` : undefined}>{o.symbol}</button>
+            ))}
+            {!cartMode && woneOut && (
+              <button type="button" className={`${styles.button} ${nativePayout ? styles.buttonActive : ""}`} onClick={() => { setAutoOut(false); setNativeOut(true); setRedeemIn(woneOut.token); }} disabled={!canPick(woneOut)} title="Receive wONE unwrapped as native ONE">ONE (native)</button>
             )}
-            {usdc && (
-              <button type="button" className={`${styles.button} ${redeemIn === usdc ? styles.buttonActive : ""}`} onClick={() => setRedeemIn(usdc)} disabled={!hasUsdc} title={!hasUsdc ? "Vault has no USDC available" : undefined}>USDC</button>
+            {!cartMode && outputs.length > 1 && (
+              <button type="button" className={`${styles.button} ${splitOut ? styles.buttonActive : ""}`} onClick={onPickAuto} disabled={!anyOutput} title="Pays in the token the vault holds most of (in USD) and tops up with the next one at the vault's price">Auto (best available)</button>
             )}
-            {!hasWone && !hasUsdc && <span className={styles.smallMuted}>Vault has no funds available.</span>}
+            {!anyOutput && <span className={styles.smallMuted}>Vault has no funds available.</span>}
           </div>
         </div>
       </div>
@@ -806,24 +1141,150 @@ export default function RedeemForm({ address: addressProp, debounceMs }) {
         <div className={styles.contractRedeemRow}>
           <input className={styles.input} type="text" inputMode="decimal" placeholder="e.g. 100" value={amountHuman} onChange={(e) => setAmountHuman(e.target.value)} disabled={busy} />
           <button type="button" className={styles.button} onClick={onMax} disabled={!isConnected || !address || !tokenIn || busy}>Max</button>
+          {cartMode && (
+            <button type="button" className={styles.button} onClick={onAddToCart} disabled={!isConnected || !address || !tokenIn || !amountHuman || busy}>Add to cart</button>
+          )}
         </div>
       </div>
+      {!cartMode && (
+        <div className={styles.contractRedeemField}>
+          <label className={styles.contractRedeemMuted}>Send output to (optional)</label>
+          <input className={styles.input} type="text" placeholder={address || "0x…"} value={recipientText} onChange={(e) => setRecipientText(e.target.value)} disabled={busy} spellCheck={false} />
+          {!recipientValid && <div className={styles.smallMuted}>Enter a valid address, or leave empty to receive in the connected wallet.</div>}
+          {splitOut && recipient && <div className={styles.smallMuted}>Auto payout is sent to the connected wallet only; pick a single output token to use a recipient.</div>}
+          {nativePayout && recipient && <div className={styles.smallMuted}>Native ONE is sent to the connected wallet only; pick wONE to use a recipient.</div>}
+          {recipient && (
+            <div className={styles.smallMuted}>Your daily limit and claim caps still apply to the connected wallet; only the payout goes to this address.</div>
+          )}
+          {recipient && recipientWhitelisted && (
+            <div className={`${styles.alert} ${styles.warning}`}>
+              This recipient is itself a whitelisted pre-hack address. If it was compromised, funds sent there may be lost.
+            </div>
+          )}
+        </div>
+      )}
+      <div className={styles.contractRedeemField}>
+        <label className={styles.contractRedeemMuted}>Slippage tolerance (%)</label>
+        <div className={styles.contractRedeemRow}>
+          {SLIPPAGE_PRESETS.map((bps) => (
+            <button key={bps} type="button" className={`${styles.button} ${slippageBps === bps ? styles.buttonActive : ""}`} onClick={() => onSlippageChange(String(bps / 100))} disabled={busy}>{bps / 100}%</button>
+          ))}
+          <input className={styles.input} type="text" inputMode="decimal" placeholder="0.5" value={slippageText} onChange={(e) => onSlippageChange(e.target.value)} disabled={busy} style={{ maxWidth: 80 }} />
+        </div>
+        {slippageBps >= 300 && <div className={styles.smallMuted}>High slippage tolerance: you may receive noticeably less than quoted.</div>}
+      </div>
+      {cartMode && (
+        <div className={styles.contractRedeemPreview}>
+          {cart.length === 0 && <div className={styles.smallMuted}>Cart is empty. Pick a token and amount, then "Add to cart".</div>}
+          {cart.map((c, i) => (
+            <div key={c.token} className={styles.contractRedeemPreviewRow}>
+              <span className={styles.contractRedeemLabel}>{formatUnits(c.amount, c.decimals)} {c.symbol}</span>
+              <span className={styles.contractRedeemValue}>
+                {cartQuote ? `${formatUnitsFixed(cartQuote.amountsOut[i] ?? 0n, outDecimals, 2)} ${outSymbol}` : "…"}
+                {" "}
+                <button type="button" className={styles.button} onClick={() => onRemoveFromCart(c.token)} disabled={busy}>Remove</button>
+              </span>
+            </div>
+          ))}
+          {cartQuote && cart.length > 0 && (
+            <>
+              <div className={styles.contractRedeemPreviewRow}>
+                <span className={styles.contractRedeemLabel}>Total value</span>
+                <span className={styles.contractRedeemValue}>${formatUnitsFixed(cartQuote.usdValueIn18, 18, 2)}</span>
+              </div>
+              <div className={styles.contractRedeemPreviewRow}>
+                <span className={styles.contractRedeemLabel}>Will receive</span>
+                <span className={styles.contractRedeemValue}>{formatUnitsFixed(cartQuote.totalAmountOut, outDecimals, 2)} {outSymbol}</span>
+              </div>
+              <div className={styles.contractRedeemPreviewRow}>
+                <span className={styles.contractRedeemLabel}>Min. receive ({slippageBps / 100}% slippage)</span>
+                <span className={styles.contractRedeemValue}>{formatUnitsFixed(cartMinReceive, outDecimals, 2)} {outSymbol}</span>
+              </div>
+              <div className={styles.contractRedeemPreviewRow}>
+                <span className={styles.contractRedeemLabel}>Daily limit left after</span>
+                <span className={styles.contractRedeemValue}>${formatUnitsFixed(cartQuote.userLimitUsdAfter18, 18, 2)}</span>
+              </div>
+              {cartQuote.totalAmountOut === 0n && (
+                <div className={styles.smallMuted}>This batch would be rejected (daily limit, claim cap, oracle or vault liquidity). Remove or reduce items.</div>
+              )}
+            </>
+          )}
+        </div>
+      )}
       <div className={styles.contractRedeemButtonRow}>
-        <button type="button" className={`${styles.button} ${styles.buttonConfirm} ${styles.buttonAccent} ${confirmDisabled ? styles.buttonDisabled : ""}`} onClick={onConfirm} disabled={confirmDisabled}>{busy ? "Processing…" : "Confirm"}</button>
+        {cartMode ? (
+          <button type="button" className={`${styles.button} ${styles.buttonConfirm} ${styles.buttonAccent} ${cartConfirmDisabled ? styles.buttonDisabled : ""}`} onClick={onConfirmCart} disabled={cartConfirmDisabled}>{busy ? "Processing…" : `Confirm batch (${cart.length})`}</button>
+        ) : (
+          <button type="button" className={`${styles.button} ${styles.buttonConfirm} ${styles.buttonAccent} ${confirmDisabled ? styles.buttonDisabled : ""}`} onClick={onConfirm} disabled={confirmDisabled}>{busy ? "Processing…" : "Confirm"}</button>
+        )}
+        {!cartMode && canJoinQueue && (
+          <button type="button" className={`${styles.button} ${styles.buttonConfirm}`} onClick={onJoinQueue} disabled={busy}>{busy ? "Processing…" : "Join queue"}</button>
+        )}
       </div>
-      {receivePreview && (
+      {!cartMode && shortOfLiquidity && (
+        <div className={`${styles.alert} ${styles.warning}`}>
+          {splitOut
+            ? `The vault's ${receivePreview.symbol} and ${otherSymbol} together do not cover this redeem (top-up needs ${formatUnitsFixed(receivePreview.splitSecondaryOut ?? 0n, otherDecimals, 2)} ${otherSymbol}, ${formatUnitsFixed(otherLiquidity, otherDecimals, 2)} available). Try a smaller amount.`
+            : `Only ${formatUnitsFixed(outLiquidity, receivePreview.decimals, 2)} ${receivePreview.symbol} is available in the vault (queued requests come first), so this redeem would fail.`}
+          {splitOut ? "" : queueOn ? (canJoinQueue ? " Join the queue to keep your place: your input is held in escrow and paid in order once the vault is refunded." : "") : " Try a smaller amount or the other output token."}
+        </div>
+      )}
+      {queueEntry && (
+        <div className={styles.contractRedeemPreview}>
+          <div className={styles.contractRedeemPreviewRow}>
+            <span className={styles.contractRedeemLabel}>Queue position</span>
+            <span className={styles.contractRedeemValue}>#{queueEntry.position}{queueEntry.position > 1 ? ` (${formatUnitsFixed(queueEntry.outAhead, queueOutDecimals, 2)} ${queueOutSymbol} ahead)` : " (next)"}</span>
+          </div>
+          <div className={styles.contractRedeemPreviewRow}>
+            <span className={styles.contractRedeemLabel}>Still owed</span>
+            <span className={styles.contractRedeemValue}>{formatUnitsFixed(queueEntry.amountOut, queueOutDecimals, 2)} {queueOutSymbol}</span>
+          </div>
+          <div className={styles.contractRedeemPreviewRow}>
+            <span className={styles.contractRedeemLabel}>In escrow</span>
+            <span className={styles.contractRedeemValue}>{formatUnits(queueEntry.amountIn, queueIn?.decimals ?? 18)} {queueIn?.symbol ?? ""}</span>
+          </div>
+          <div className={styles.row}>
+            <button type="button" className={styles.button} onClick={onLeaveQueue} disabled={busy || !ctxSigner}>Cancel and refund</button>
+          </div>
+        </div>
+      )}
+      {queueClaims.length > 0 && (
+        <div className={styles.contractRedeemPreview}>
+          <div className={styles.smallMuted}>A queued payout could not be sent to this wallet; it is kept for you to claim.</div>
+          {queueClaims.map((c) => {
+            const o = outputOf(c.token);
+            return (
+              <div key={c.token} className={styles.contractRedeemPreviewRow}>
+                <span className={styles.contractRedeemValue}>{formatUnitsFixed(c.amount, o?.decimals ?? 18, 2)} {o?.symbol ?? ""}</span>
+                <button type="button" className={styles.button} onClick={() => onClaimQueue(c.token)} disabled={busy || !ctxSigner}>Claim</button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {!cartMode && receivePreview && (
         <div className={styles.contractRedeemPreview}>
           <div className={styles.contractRedeemPreviewRow}>
             <span className={styles.contractRedeemLabel}>Will receive</span>
-            <span className={styles.contractRedeemValue}>{formatUnitsFixed(receivePreview.raw, receivePreview.decimals, 2)} {receivePreview.symbol}</span>
+            <span className={styles.contractRedeemValue}>{formatUnitsFixed(receivePreview.raw, receivePreview.decimals, 2)} {payoutSymbol}</span>
           </div>
+          {splitOut && (receivePreview.splitSecondaryOut ?? 0n) > 0n && (
+            <div className={styles.contractRedeemPreviewRow}>
+              <span className={styles.contractRedeemLabel}>Paid as</span>
+              <span className={styles.contractRedeemValue}>{formatUnitsFixed(receivePreview.splitPrimaryOut ?? 0n, receivePreview.decimals, 2)} {receivePreview.symbol} + {formatUnitsFixed(receivePreview.splitSecondaryOut, otherDecimals, 2)} {otherSymbol}</span>
+            </div>
+          )}
           <div className={styles.contractRedeemPreviewRow}>
             <span className={styles.contractRedeemLabel}>Fee amount</span>
             <span className={styles.contractRedeemValue}>{formatUnits(receivePreview.feeAmountInTokenIn ?? 0n, selectedDecimals)} {selectedSymbol}</span>
           </div>
+          <div className={styles.contractRedeemPreviewRow}>
+            <span className={styles.contractRedeemLabel}>Min. receive ({slippageBps / 100}% slippage)</span>
+            <span className={styles.contractRedeemValue}>{formatUnitsFixed(minReceive, receivePreview.decimals, 2)} {payoutSymbol}</span>
+          </div>
           <div className={styles.contractRedeemPreviewRow}>
             <span className={styles.contractRedeemLabel}>Max receive</span>
-            <span className={styles.contractRedeemValue}>{formatUnitsFixed(receivePreview.maxOut ?? receivePreview.raw, receivePreview.decimals, 2)} {receivePreview.symbol}</span>
+            <span className={styles.contractRedeemValue}>{formatUnitsFixed(receivePreview.maxOut ?? receivePreview.raw, receivePreview.decimals, 2)} {payoutSymbol}</span>
           </div>
           {!!fixedPriceText && (
             <div className={styles.contractRedeemPreviewRow}>
@@ -2,7 +2,7 @@
 import React, { useCallback, useEffect, useRef, useState } from "react";
 import styles from "@/styles/Global.module.css";
 import { useOnePrice } from "@/hooks/useOnePrice";
-import { getVaultStatus, getFeeTiers, getDefaultProvider } from "@/services/vaultCore";
+import { getDefaultProvider, getVaultState, getRoundStats, getTokenStats } from "@/services/vaultCore";
 import { ethers } from "ethers";
 
 // ---------- Format helpers ----------
@@ -30,6 +30,30 @@ function formatAmount(val, maxFractionDigits = 6) {
   return n.toLocaleString(undefined, { maximumFractionDigits: mfd });
 }
 
+// Used / cap as a 0..100 percentage (bigint-safe)
+function pctOf(used, cap) {
+  const c = BigInt(cap ?? 0n);
+  if (c === 0n) return 0;
+  const u = BigInt(used ?? 0n);
+  return Math.min(100, Number((u * 10_000n) / c) / 100);
+}
+
+function CapBar({ label, used, cap, fmt, title }) {
+  const pct = pctOf(used, cap);
+  const left = BigInt(cap) > BigInt(used) ? BigInt(cap) - BigInt(used) : 0n;
+  return (
+    <div className={styles.contractFundsCap} title={title}>
+      <div className={styles.contractFundsRow}>
+        <span className={styles.contractFundsLabel}>{label}</span>
+        <span className={styles.contractFundsSubValue}>{`${fmt(used)} / ${fmt(cap)} · ${fmt(left)} left`}</span>
+      </div>
+      <div className={styles.contractFundsBar} role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={pct}>
+        <div className={`${styles.contractFundsBarFill} ${pct >= 100 ? styles.contractFundsBarFull : ""}`} style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
+
 // Compute active fee tier in "cap mode":
 // thresholds = [cap1, cap2, cap3] USD integers (ascending or not)
 // rule: pick the first threshold >= netUsd; if none, pick the last
@@ -85,11 +109,19 @@ export default function ContractFunds() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
 
-  const [usdcBalance, setUsdcBalance] = useState(0);
-  const [woneBalance, setWoneBalance] = useState(0);
+  // One row per output token the vault pays out (wONE, USDC, plus whatever the owner added)
+  const [outputs, setOutputs] = useState([]);
   const [netUsd, setNetUsd] = useState(0);
   const [lastUpdated, setLastUpdated] = useState(null);
 
+  // Round budget (USD18) and per-token round caps; null/[] when the round has none
+  const [roundBudget, setRoundBudget] = useState(null);
+  const [tokenCaps, setTokenCaps] = useState([]);
+
+  // On-chain running totals: this round's redeems and, per input token, the lifetime burned + sunk amount
+  const [roundStats, setRoundStats] = useState(null);
+  const [burnStats, setBurnStats] = useState([]);
+
   // Fee tier UI: number (1-based) + pct text
   const [activeTier, setActiveTier] = useState(null);
   const [activePct, setActivePct] = useState(null);
@@ -141,40 +173,24 @@ export default function ContractFunds() {
       const provider = getDefaultProvider() || ctxProvider;
       if (!provider) throw new Error("No provider available");
 
-      // 1) Get current balances and base status
-      const status = await getVaultStatus(provider);
+      // 1) Balances, fee tiers, round and token metadata in one read (a single eth_call when a VaultLens is configured)
+      const st = await getVaultState(provider);
       if (!isMountedRef.current) return;
 
-      const u = Number(status?.balances?.usdc ?? 0n) / 1e6;   // USDC 6 decimals
-      const w = Number(status?.balances?.wone ?? 0n) / 1e18;  // wONE 18 decimals
-      const oneUsd = oneUsdRef.current;
-
-      setUsdcBalance(u);
-      setWoneBalance(w);
+      // USD value comes from the contract (oracle / peg / fixed price), the same one the round fee basis uses
+      const rows = st.outputs.map((o) => ({
+        ...o,
+        amount: Number(ethers.formatUnits(o.balance, o.decimals)),
+        usd: Number(ethers.formatUnits(o.usd18, 18)),
+      }));
+      setOutputs(rows);
 
-      const totalUsd = u + w * oneUsd;
+      const totalUsd = rows.reduce((acc, o) => acc + o.usd, 0);
       setNetUsd(totalUsd);
 
-      // 2) Fetch fee tiers explicitly (refactor-safe)
-      // ---------- Active Fee Tier ----------
-      // Use getFeeTiers(provider) to avoid relying on old status fields
-      let thresholds = [];
-      let bps = [];
-      try {
-        const tiers = await getFeeTiers(provider);
-        thresholds = Array.isArray(tiers?.thresholds) ? tiers.thresholds : tiers?.feeThresholds;
-        bps        = Array.isArray(tiers?.bps)        ? tiers.bps        : tiers?.feeBps;
-      } catch (e) {
-        console.warn("[ContractFunds] getFeeTiers() failed, will fallback to status if present", e);
-      }
-
-      // Fallback to status (legacy) if tiers not returned
-      if ((!thresholds || thresholds.length === 0) && status?.feeThresholds?.length) {
-        thresholds = status.feeThresholds;
-        bps        = status.feeBps ?? [];
-      }
-
-      if (thresholds?.length && bps?.length) {
+      // 2) Active fee tier
+      const { thresholds, bps } = st.feeTiers;
+      if (thresholds.length && bps.length) {
         // Contract works with integer USD; align by flooring netUsd
         const netUsdInt = Math.floor(totalUsd);
         const { tier, pctText } = computeActiveTierCapMode(netUsdInt, thresholds, bps);
@@ -185,6 +201,32 @@ export default function ContractFunds() {
         setActivePct(null);
       }
 
+      // 3) Round budget and per-token caps (optional on-chain limits); st.round follows scheduled rounds
+      const { roundId, budgetUsd, budgetRemainingUsd } = st.round;
+      setRoundBudget(budgetUsd > 0n ? { used: budgetUsd - budgetRemainingUsd, cap: budgetUsd } : null);
+      setTokenCaps(st.tokens
+        .filter((t) => t.roundCap > 0n)
+        .map((t) => ({ token: t.address, symbol: t.symbol, decimals: t.decimals, cap: t.roundCap, used: t.roundRedeemed })));
+
+      // 4) Redemption totals kept by the contract
+      try {
+        const [rs, burns] = await Promise.all([
+          getRoundStats(provider, roundId),
+          Promise.all(st.tokens.map(async (t) => ({ token: t.address, symbol: t.symbol, decimals: t.decimals, ...(await getTokenStats(provider, t.address)) }))),
+        ]);
+        if (!isMountedRef.current) return;
+        const outMeta = (token) => st.outputs.find((o) => o.token.toLowerCase() === String(token).toLowerCase());
+        setRoundStats({
+          roundId,
+          ...rs,
+          paidOut: rs.paidOut.map((x) => ({ ...x, symbol: outMeta(x.token)?.symbol ?? "?", decimals: outMeta(x.token)?.decimals ?? 18 })),
+        });
+        setBurnStats(burns.filter((t) => t.burned + t.sunk > 0n));
+      } catch (e) {
+        console.warn("[ContractFunds] round stats failed", e);
+        setRoundStats(null);
+        setBurnStats([]);
+      }
 
       setLastUpdated(new Date());
     } catch (err) {
@@ -243,15 +285,14 @@ export default function ContractFunds() {
             <span className={styles.contractFundsValue}>{formatUSD(netUsd)}</span>
           </div>
 
-          <div className={styles.contractFundsRow}>
-            <span className={styles.contractFundsLabel}>wONE Balance</span>
-            <span className={styles.contractFundsValue}>{formatAmount(woneBalance, 4)}</span>
-          </div>
-
-          <div className={styles.contractFundsRow}>
-            <span className={styles.contractFundsLabel}>USDC Balance</span>
-            <span className={styles.contractFundsValue}>{formatAmount(usdcBalance, 2)}</span>
-          </div>
+          {outputs.map((o) => (
+            <div key={o.token} className={styles.contractFundsRow}>
+              <span className={styles.contractFundsLabel}>{`${o.symbol} Balance`}</span>
+              <span className={styles.contractFundsValue} title={formatUSD(o.usd)}>
+                {formatAmount(o.amount, o.pricing === 2 ? 2 : 4)}
+              </span>
+            </div>
+          ))}
 
           <div className={styles.contractFundsSep} />
 
@@ -267,6 +308,64 @@ export default function ContractFunds() {
             </span>
           </div>
 
+          {(roundBudget || tokenCaps.length > 0) && (
+            <>
+              <div className={styles.contractFundsSep} />
+              {roundBudget && (
+                <CapBar
+                  label="Round Budget"
+                  used={roundBudget.used}
+                  cap={roundBudget.cap}
+                  fmt={(v) => formatUSD(ethers.formatUnits(v, 18))}
+                  title="USD all wallets together can redeem this round"
+                />
+              )}
+              {tokenCaps.map((c) => (
+                <CapBar
+                  key={c.token}
+                  label={`${c.symbol} Round Cap`}
+                  used={c.used}
+                  cap={c.cap}
+                  fmt={(v) => formatAmount(ethers.formatUnits(v, c.decimals), 2)}
+                  title={`Max ${c.symbol} the vault takes in this round`}
+                />
+              ))}
+            </>
+          )}
+
+          {roundStats && (
+            <>
+              <div className={styles.contractFundsSep} />
+              <div className={styles.contractFundsRow}>
+                <span className={styles.contractFundsLabel}>{`Round ${String(roundStats.roundId)} Redeemed`}</span>
+                <span className={styles.contractFundsValue} title={`Fees: ${formatUSD(ethers.formatUnits(roundStats.feesUsd18, 18))}`}>
+                  {formatUSD(ethers.formatUnits(roundStats.usdIn18, 18))}
+                </span>
+              </div>
+              <div className={styles.contractFundsRow}>
+                <span className={styles.contractFundsLabel}>Paid Out</span>
+                <span className={styles.contractFundsSubValue}>
+                  {roundStats.paidOut.map((x) => `${formatAmount(ethers.formatUnits(x.amount, x.decimals), 2)} ${x.symbol}`).join(" · ")}
+                </span>
+              </div>
+              <div className={styles.contractFundsRow}>
+                <span className={styles.contractFundsLabel}>Redeemers</span>
+                <span className={styles.contractFundsSubValue}>{roundStats.redeemers.toLocaleString()}</span>
+              </div>
+              {burnStats.map((t) => (
+                <div key={t.token} className={styles.contractFundsRow}>
+                  <span className={styles.contractFundsLabel}>{`${t.symbol} Burned`}</span>
+                  <span
+                    className={styles.contractFundsSubValue}
+                    title={`burn(): ${formatAmount(ethers.formatUnits(t.burned, t.decimals), 2)} · sink: ${formatAmount(ethers.formatUnits(t.sunk, t.decimals), 2)}`}
+                  >
+                    {formatAmount(ethers.formatUnits(t.burned + t.sunk, t.decimals), 2)}
+                  </span>
+                </div>
+              ))}
+            </>
+          )}
+
           <div className={styles.contractFundsFooter}>
             <span className={styles.contractFundsTimestamp}>
               {lastUpdated ? `Last updated: ${lastUpdated.toLocaleString()}` : ""}
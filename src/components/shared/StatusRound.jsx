@@ -31,9 +31,12 @@ export default function StatusRound() {
 
   const [roundId, setRoundId] = useState(0);
   const [startTime, setStartTime] = useState(0);
+  const [endTime, setEndTime] = useState(0);
+  const [schedule, setSchedule] = useState([]);
   const [isLocked, setIsLocked] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [timeLeftSec, setTimeLeftSec] = useState(0);
+  const [countdownLabel, setCountdownLabel] = useState("Round starts in: ");
 
   const [statusLabel, setStatusLabel] = useState("Inactive");
   const [statusClass, setStatusClass] = useState("statusStopped");
@@ -75,14 +78,16 @@ export default function StatusRound() {
   // Status per especificação:
   // - Paused: info.paused === true
   // - Locked: isLocked() === true
-  // - On Hold: now < startTime (ROUND_DELAY em curso)
+  // - On Hold: now < startTime (ROUND_DELAY ou round agendado)
+  // - Ended: now >= endTime (round com fim, próximo ainda não começou)
   // - Active: now >= startTime && !paused && !locked && hasFunds
   // - Inactive: sem fundos após startTime (e não locked/paused)
-  const computeStatus = useCallback(({ paused, locked, start, hasFunds }) => {
+  const computeStatus = useCallback(({ paused, locked, start, end, hasFunds }) => {
     const now = Math.floor(Date.now() / 1000);
     if (paused) return { label: "Paused", cls: "statusPaused" };
     if (locked) return { label: "Locked", cls: "statusPaused" };
     if (start && now < start) return { label: "On Hold", cls: "statusHold" };
+    if (end && now >= end) return { label: "Ended", cls: "statusStopped" };
     if (hasFunds) return { label: "Active", cls: "statusOpen" };
     return { label: "Inactive", cls: "statusStopped" };
   }, []);
@@ -90,33 +95,37 @@ export default function StatusRound() {
   const fetchState = useCallback(async () => {
     if (!provider) throw new Error("Provider not ready");
 
-    // getRoundInfo: startTime já é o roundStart (após aplicar ROUND_DELAY no startNewRound)
-    // também retorna paused e isActive, mas seguiremos a regra explícita acima.
-    const [info, balances, locked] = await Promise.all([
+    // getRoundInfo: round em vigor agora (um round agendado conta a partir do seu início); startTime já inclui o
+    // ROUND_DELAY do startNewRound. Também retorna paused e isActive, mas seguiremos a regra explícita acima.
+    const [info, balances, locked, upcoming] = await Promise.all([
       vaultService.getRoundInfo(provider).catch(() => null),
-      vaultService.getVaultBalances(provider).catch(() => ({ woneBalance: 0n, usdcBalance: 0n })),
+      vaultService.getOutputBalances(provider).catch(() => []),
       vaultService.isLocked(provider).catch(() => false),
+      vaultService.getRoundSchedule(provider).catch(() => []),
     ]);
 
     const rid = toNum(info?.roundId, 0);
     const st = toNum(info?.startTime, 0);
+    const end = toNum(info?.endTime, 0);
     const paused = Boolean(info?.paused);
 
     // hasFunds baseado no cofre (não exibimos os valores neste card)
-    const w = balances?.woneBalance ?? 0n;
-    const u = balances?.usdcBalance ?? 0n;
-    const hasFunds = (w > 0n) || (u > 0n);
+    const hasFunds = balances.some((o) => o.balance > 0n);
 
     setRoundId(rid);
     setStartTime(st);
+    setEndTime(end);
+    setSchedule(upcoming);
     setIsLocked(Boolean(locked));
     setIsPaused(paused);
 
-    // Countdown até startTime
+    // Countdown até startTime; com o round em curso, até endTime
     const now = Math.floor(Date.now() / 1000);
-    if (st && now < st) startCountdown(st); else setTimeLeftSec(0);
+    if (st && now < st) { setCountdownLabel("Round starts in: "); startCountdown(st); }
+    else if (end && now < end) { setCountdownLabel("Round ends in: "); startCountdown(end); }
+    else setTimeLeftSec(0);
 
-    const derived = computeStatus({ paused, locked, start: st, hasFunds });
+    const derived = computeStatus({ paused, locked, start: st, end, hasFunds });
     setStatusLabel(derived.label);
     setStatusClass(derived.cls);
   }, [provider, computeStatus, startCountdown]);
@@ -168,6 +177,13 @@ export default function StatusRound() {
             <span className={styles.contractStatusSubValue}>{formatDate(startTime)}</span>
           </div>
 
+          {endTime > 0 && (
+            <div className={styles.contractStatusRow}>
+              <span className={styles.contractStatusSubLabel}>End Time</span>
+              <span className={styles.contractStatusSubValue}>{formatDate(endTime)}</span>
+            </div>
+          )}
+
           <div className={styles.contractStatusRow}>
             <span className={styles.contractStatusSubLabel}>Round ID</span>
             <span className={styles.contractStatusSubValue}>{Number.isFinite(Number(roundId)) ? Number(roundId).toLocaleString() : "—"}</span>
@@ -187,11 +203,29 @@ export default function StatusRound() {
             <>
               <div className={styles.contractStatusSep} />
               <div className={styles.contractStatusRow}>
-                <span className={styles.contractStatusSubLabel}>Round starts in: </span>
+                <span className={styles.contractStatusSubLabel}>{countdownLabel}</span>
                 <span className={styles.contractStatusSubValue}>{formatDuration(timeLeftSec)}</span>
               </div>
             </>
           )}
+
+          {schedule.length > 0 && (
+            <>
+              <div className={styles.contractStatusSep} />
+              <div className={styles.contractStatusRow}>
+                <span className={styles.contractStatusLabel}>Upcoming Rounds</span>
+              </div>
+              {schedule.map((r) => (
+                <div key={String(r.roundId)} className={styles.contractStatusRow}>
+                  <span className={styles.contractStatusSubLabel}>#{String(r.roundId)}</span>
+                  <span className={styles.contractStatusSubValue}>
+                    {formatDate(r.startTime)}{r.endTime > 0n ? ` → ${formatDate(r.endTime)}` : ""}
+                    {" · "}${Number(ethers.formatUnits(r.limitUsd, 18)).toLocaleString()}/day · fee {(r.feeBps / 100).toFixed(2)}%
+                  </span>
+                </div>
+              ))}
+            </>
+          )}
         </>
       )}
     </div>
@@ -14,6 +14,7 @@ import tokenCatalog from "@/lists/harmony-tokenlist.json"; // tokenlist with log
  * - `tokens` (optional): array of strings (addresses) OR objects { address, symbol?, logoURI? }
  * - `value`: selected address (string) OR object with `.address`
  * - `onChange(addr: string)`: called with the normalized address of the selected token
+ * - `claims` (optional): map lowercase address -> { claimed, maxAmount } (raw units); shows "claimed X of Y"
  */
 export default function TokenSelect({
   tokens,
@@ -21,10 +22,11 @@ export default function TokenSelect({
   onChange,
   placeholder = "Select token",
   label,
+  claims,
 }) {
   const rootRef = useRef(null);
   const [open, setOpen] = useState(false);
-  const [list, setList] = useState([]); // [{ address, symbol, logoURI }]
+  const [list, setList] = useState([]); // [{ address, symbol, logoURI, decimals }]
   const [loading, setLoading] = useState(false);
   const normalizeAddress = (a) => {try { return ethers.getAddress(a); } catch { return null; }};
   
@@ -78,6 +80,25 @@ export default function TokenSelect({
     } catch { return "TOKEN"; }
   }
 
+  async function fetchDecimals(addr) {
+    try {
+      if (!provider) return 18;
+      const erc = new ethers.Contract(addr, ["function decimals() view returns (uint8)"], provider);
+      return Number(await erc.decimals());
+    } catch { return 18; }
+  }
+
+  // "claimed X of Y" for a listed token, or null when no claim data
+  const claimText = (t) => {
+    const c = claims?.[String(t.address).toLowerCase()];
+    if (!c) return claims ? "no claim" : null;
+    const fmt = (v) => {
+      const n = Number(ethers.formatUnits(v ?? 0n, t.decimals ?? 18));
+      return Number.isFinite(n) ? n.toLocaleString(undefined, { maximumFractionDigits: 4 }) : "0";
+    };
+    return `claimed ${fmt(c.claimed)} of ${fmt(c.maxAmount)}`;
+  };
+
   // Build the final list:
   // - If props.tokens is provided: normalize & dedupe → validate active via supportedToken(provider, addr) → enrich with symbol/logo.
   // - If not provided: use getSupportedTokens(provider), which already returns active tokens.
@@ -122,7 +143,8 @@ export default function TokenSelect({
             let symbol = meta?.symbol;
             let logoURI = meta?.logoURI;
             if (!symbol) symbol = await fetchSymbol(addr);
-            return { address: addr, symbol, logoURI };
+            const decimals = meta?.decimals ?? await fetchDecimals(addr);
+            return { address: addr, symbol, logoURI, decimals };
           })
         );
 
@@ -243,6 +265,9 @@ export default function TokenSelect({
                 </span>
               )}
               <span>{t.symbol || "Token"}</span>
+              {claimText(t) && (
+                <span className={styles.smallMuted} style={{ marginLeft: "auto", paddingLeft: 8 }}>{claimText(t)}</span>
+              )}
             </li>
           ))}
           {list.length === 0 && (
@@ -2,19 +2,23 @@
 import React, { useEffect, useMemo, useState } from "react";
 import s from "@/styles/Global.module.css";
 import * as core from "@/services/vaultCore";
-import { Contract, ethers } from "ethers";
-import VAULT_ABI from "@/ui/abi/RecoveryVaultABI.json";
-
-// Minimal read ABI if JSON ABI is empty or incomplete
-const READ_ABI = (Array.isArray(VAULT_ABI) && VAULT_ABI.length ? VAULT_ABI : [
-  "function dailyLimitUsd() view returns (uint256)",
-  "function getUserLimit(address wallet) view returns (uint256)",
-  "function WALLET_RESET_INTERVAL() view returns (uint256)",
-  "function limitUnlockAt(address) view returns (uint256)",
-  "function periodStart(address) view returns (uint256)"
-]);
-
-export default function LimitChecker({ address }) {
+import { ethers } from "ethers";
+
+const NO_PROOF = []; // stable default: a fresh [] would re-run the load effect on every render
+
+const hoursText = (secs) => `${+(secs / 3600).toFixed(2)}h`;
+
+/** Active reset rule in words (getResetWindow: mode 0 = Rolling, 1 = Fixed UTC) */
+function describeResetRule({ interval, mode }) {
+  if (mode !== 1) return `Every ${hoursText(interval)} from your first redeem`;
+  if (interval === 86400) return "Daily at 00:00 UTC";
+  return interval % 86400 === 0 ? `Every ${interval / 86400} days at 00:00 UTC` : `Every ${hoursText(interval)} from 00:00 UTC`;
+}
+
+const formatUTC = (ts) => `${new Date(ts * 1000).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+
+// weight / proof: snapshot leaf from the whitelist; everything shown comes from the vault's getUserStatus
+export default function LimitChecker({ address, weight = 1n, proof = NO_PROOF }) {
   const provider = useMemo(
     () =>
       core.getDefaultProvider?.() ||
@@ -32,21 +36,9 @@ export default function LimitChecker({ address }) {
   const [usedUSD, setUsedUSD] = useState(0);
   const [remainingUSD, setRemainingUSD] = useState(0);
   const [timeLeftSec, setTimeLeftSec] = useState(null);
-
-  const vaultAddress = useMemo(
-    () => core?.VAULT_ADDRESS || import.meta.env.VITE_VAULT_ADDRESS,
-    []
-  );
-
-  const vault = useMemo(() => {
-    try {
-      if (!provider || !vaultAddress) return null;
-      return new Contract(vaultAddress, READ_ABI, provider);
-    } catch (e) {
-      console.error("[LimitChecker] failed to init contract", e);
-      return null;
-    }
-  }, [provider, vaultAddress]);
+  const [locked, setLocked] = useState(false); // true = limit reached, countdown is to unlockAt (else to the window end)
+  const [rule, setRule] = useState("");          // active reset rule, in words
+  const [nextReset, setNextReset] = useState(0); // unix seconds of the next reset for this wallet (0 = starts with the next redeem)
 
   // Tick local countdown every second
   useEffect(() => {
@@ -59,42 +51,33 @@ export default function LimitChecker({ address }) {
   useEffect(() => {
     let cancelled = false;
     (async () => {
-      if (!vault || !address) return;
+      if (!provider || !address) return;
       setLoading(true);
       setError("");
       try {
-        // 1) Read daily (USD18) and remaining (USD18)
-        let daily = 0n;
-        try { daily = await vault.dailyLimitUsd(); } catch (e) { console.warn("[LimitChecker] dailyLimitUsd() not found"); }
-
-        let remaining = 0n;
-        try { remaining = await vault.getUserLimit(address); } catch (e) { console.warn("[LimitChecker] getUserLimit(address) failed", e); }
-
-        // 2) Derive used (USD18)
-        let used = 0n;
-        if (daily > 0n && remaining >= 0n) {
-          used = daily > remaining ? daily - remaining : 0n;
-        }
-
-        // 3) Compute time-left ONLY when wallet is hard-locked at daily limit
+        // 1) Limit, usage and window exactly as the next redeem will see them (USD18), plus the window rule
+        const [st, win] = await Promise.all([
+          core.getUserStatus(provider, address, weight, proof),
+          core.getResetWindow(provider),
+        ]);
+
+        // 2) Next reset: the unlock when hard-locked at the limit, else the end of the open window; with no open
+        //    window, the next shared boundary in Fixed UTC mode (a rolling window only starts with a redeem)
+        const target = st.unlockAt !== 0n ? st.unlockAt : st.windowEnd !== 0n ? st.windowEnd : win.mode === 1 ? win.nextReset : 0n;
         let tleft = null;
-        try {
-          const unlockAt = await (async () => { try { return await vault.limitUnlockAt(address); } catch { return 0n; } })();
-          const block = await provider.getBlock("latest");
+        if (target !== 0n) {
+          const block = await provider.getBlock("latest").catch(() => null);
           const now = BigInt(block?.timestamp ?? Math.floor(Date.now() / 1000));
-          if (unlockAt !== 0n && now < unlockAt) {
-            tleft = unlockAt - now;
-          } else {
-            tleft = null;
-          }
-        } catch (err) {
-          console.warn("[LimitChecker] time-left calc failed", err);
+          tleft = target > now ? target - now : 0n;
         }
 
         if (!cancelled) {
-          setLimitUSD(parseFloat(ethers.formatUnits(daily, 18)));
-          setRemainingUSD(parseFloat(ethers.formatUnits(remaining, 18)));
-          setUsedUSD(parseFloat(ethers.formatUnits(used, 18)));
+          setLimitUSD(parseFloat(ethers.formatUnits(st.limitUsd18, 18)));
+          setRemainingUSD(parseFloat(ethers.formatUnits(st.remainingUsd18, 18)));
+          setUsedUSD(parseFloat(ethers.formatUnits(st.usedUsd18, 18)));
+          setLocked(st.unlockAt !== 0n);
+          setRule(describeResetRule(win));
+          setNextReset(Number(target));
           setTimeLeftSec(tleft == null ? null : Number(tleft));
         }
       } catch (e) {
@@ -107,7 +90,7 @@ export default function LimitChecker({ address }) {
     return () => {
       cancelled = true;
     };
-  }, [vault, address, provider]);
+  }, [address, weight, proof, provider]);
 
   const formatUSD = (n) =>
     Number(n ?? 0).toLocaleString(undefined, {
@@ -160,13 +143,25 @@ export default function LimitChecker({ address }) {
             <span className={s.contractLimitsSubValue}>{formatUSD(remainingUSD)}</span>
           </div>
 
+          <div className={s.contractLimitsRow}>
+            <span className={s.contractLimitsSubLabel}>Reset Rule</span>
+            <span className={s.contractLimitsSubValue}>{rule || "—"}</span>
+          </div>
+
+          <div className={s.contractLimitsRow}>
+            <span className={s.contractLimitsSubLabel}>Next Reset</span>
+            <span className={s.contractLimitsSubValue}>{nextReset ? formatUTC(nextReset) : "Window starts with your next redeem"}</span>
+          </div>
+
           <div className={s.contractLimitsFooter}>
             <span className={s.contractLimitsTimestamp}>
               {timeLeftSec == null
                 ? "Locker Status: Redeem avaialable"
                 : timeLeftSec === 0
                 ? "Locker Status: available now"
-                : `Limit reached: Next reset in: ${formatDuration(timeLeftSec)}`}
+                : locked
+                ? `Limit reached: Next reset in: ${formatDuration(timeLeftSec)}`
+                : `Locker Status: Redeem available · usage resets in ${formatDuration(timeLeftSec)}`}
             </span>
           </div>
         </>
@@ -53,7 +53,7 @@ const shorten = (addr) => (addr ? `${addr.slice(0, 6)}…${addr.slice(-4)}` : ""
  * Props:
  * - address?: string
  * - compact?: boolean
- * - onResult?: ({address, eligible, proof?: string[]}) => void
+ * - onResult?: ({address, eligible, proof?: string[], weight?: bigint}) => void
  * - className?: string
  */
 export default function WalletChecker({ address, compact = false, onResult, className }) {
@@ -65,7 +65,7 @@ export default function WalletChecker({ address, compact = false, onResult, clas
   const readProvider = useMemo(() => ctxProvider || core.getDefaultProvider?.(), [ctxProvider]);
 
   // usa a mesma lógica/caches do whitelistService
-  const { loading, ok: eligible, proof, error, chainRoot } = useWhitelist(effectiveAddress, readProvider);
+  const { loading, ok: eligible, proof, weight, error, chainRoot } = useWhitelist(effectiveAddress, readProvider);
 
   // whitelist on/off derivado do root on-chain
   const whitelistOn = !!chainRoot && !isZeroRoot(chainRoot);
@@ -77,10 +77,10 @@ export default function WalletChecker({ address, compact = false, onResult, clas
   const onResultRef = useRef(onResult);
   useEffect(() => { onResultRef.current = onResult; }, [onResult]);
   const lastRef = useRef({ addr: null, eligible: null });
-  const publish = useCallback((eligibleVal, proofVal) => {
+  const publish = useCallback((eligibleVal, proofVal, weightVal) => {
     if (lastRef.current.addr === effectiveAddress && lastRef.current.eligible === eligibleVal) return;
     lastRef.current = { addr: effectiveAddress, eligible: eligibleVal };
-    onResultRef.current?.({ address: effectiveAddress, eligible: eligibleVal, proof: proofVal || undefined });
+    onResultRef.current?.({ address: effectiveAddress, eligible: eligibleVal, proof: proofVal || undefined, weight: weightVal });
     console.info("[WalletChecker] Wallet", eligibleVal ? "is eligible:" : "is not eligible:", effectiveAddress);
   }, [effectiveAddress]);
 
@@ -94,9 +94,9 @@ export default function WalletChecker({ address, compact = false, onResult, clas
       return;
     }
 
-    if (eligible) publish(true, proof);
+    if (eligible) publish(true, proof, weight);
     else publish(false);
-  }, [effectiveAddress, readProvider, loading, eligible, proof, publish, whitelistOn]);
+  }, [effectiveAddress, readProvider, loading, eligible, proof, weight, publish, whitelistOn]);
 
   // status derivado para UI
   const status = !effectiveAddress
@@ -159,7 +159,7 @@ export default function WalletChecker({ address, compact = false, onResult, clas
   return (
     <div className={`${styles.contractLimitsCard} ${className || ""}`}>
       {/* use o mesmo endereço efetivo do checker */}
-      <LimitChecker address={effectiveAddress} />
+      <LimitChecker address={effectiveAddress} weight={eligible ? weight : 1n} proof={eligible ? proof : undefined} />
       {ui}
       {/* Opcional: detalhes da prova */}
       {/* {status === "success" && <pre className={styles.smallMuted}>{JSON.stringify(proof, null, 2)}</pre>} */}
@@ -173,8 +173,8 @@ export async function isWalletEligible(address, provider) {
   try {
     await preloadProofs();
     // use o mesmo serviço para validar (inclui verificação de merkle e root zero)
-    const { ok, proof, chainRoot, fileRoot, rootMismatch, reason } = await (await import("@/services/whitelistService")).checkWhitelist(provider, address);
-    return { eligible: !!ok, proof, chainRoot, fileRoot, rootMismatch, reason };
+    const { ok, proof, weight, chainRoot, fileRoot, rootMismatch, reason } = await (await import("@/services/whitelistService")).checkWhitelist(provider, address);
+    return { eligible: !!ok, proof, weight, chainRoot, fileRoot, rootMismatch, reason };
   } catch (err) {
     console.error("[WalletChecker] isWalletEligible error:", err);
     return { eligible: false, error: err?.message || "Unknown error" };
@@ -1,77 +1,45 @@
 // src/hooks/useLimits.js
 import { useCallback, useEffect, useState } from "react";
-import { ethers } from "ethers";
 import * as core from "@/services/vaultCore";
 
+const EMPTY = { limitUSD: 0, remainingUSD: 0, usedUSD: 0, windowEnd: 0n, unlockAt: 0n, whitelisted: false };
+const NO_PROOF = []; // default estável (um [] novo a cada render refaria a leitura)
+
 /**
  * Hook simples para ler limites do usuário (USD inteiros, como no LimitChecker).
- * Retorna: { loading, error, limitUSD, remainingUSD, usedUSD, refresh }
+ * `weight`/`proof` = leaf da whitelist; tudo vem de getUserStatus, então a UI segue exatamente o _resetIfNeeded do contrato.
+ * Retorna: { loading, error, limitUSD, remainingUSD, usedUSD, windowEnd, unlockAt, whitelisted, refresh }
  */
-export default function useLimits(address, provider) {
-  const [state, setState] = useState({
-    loading: true,
-    error: "",
-    limitUSD: 0,
-    remainingUSD: 0,
-    usedUSD: 0,
-  });
+export default function useLimits(address, provider, weight = 1n, proof = NO_PROOF) {
+  const [state, setState] = useState({ loading: true, error: "", ...EMPTY });
 
   const refresh = useCallback(async () => {
     try {
       setState((s) => ({ ...s, loading: true, error: "" }));
 
       if (!provider || !address) {
-        setState({ loading: false, error: "", limitUSD: 0, remainingUSD: 0, usedUSD: 0 });
+        setState({ loading: false, error: "", ...EMPTY });
         return;
       }
 
-      // Tenta via core; se não houver, faz leitura direta do contrato.
-      let limitRaw = 0n;
-      const VAULT_ADDRESS =
-        core.getVaultAddress?.() || import.meta.env.VITE_VAULT_ADDRESS || "";
-
-      if (typeof core.dailyLimitUsd === "function") {
-        limitRaw = await core.dailyLimitUsd(provider).catch(() => 0n);
-      } else if (VAULT_ADDRESS) {
-        const iface = new ethers.Interface(["function dailyLimitUsd() view returns (uint256)"]);
-        const contract = new ethers.Contract(VAULT_ADDRESS, iface, provider);
-        limitRaw = await contract.dailyLimitUsd().catch(() => 0n);
-      }
-
-      const r = await core.getUserLimit(provider, address).catch(() => ({ remainingUSD: 0n }));
-
-      const limitUSD = Number(limitRaw / 10n**18n);
-
-
-      let remainingUSD = 0;
-      if (r?.remainingUSD != null) {
-        remainingUSD = Number(r.remainingUSD);
-      } else if (r?.remainingUSD18 != null) {
-        // converte 1e18 -> inteiros truncando (compatível com UI atual)
-        remainingUSD = Number(core.toUsd4(r.remainingUSD18) / core.USD_SCALE_BI);
-      } else if (typeof r === "bigint") {
-        remainingUSD = Number(r);
-      }
-
-      const usedUSD = Math.max(0, Math.min(limitUSD, limitUSD - remainingUSD));
+      const st = await core.getUserStatus(provider, address, weight, proof);
+      // 1e18 -> USD inteiros truncando (compatível com UI atual)
+      const usd = (v18) => Number(v18 / 10n ** 18n);
 
       setState({
         loading: false,
         error: "",
-        limitUSD,
-        remainingUSD,
-        usedUSD,
+        limitUSD: usd(st.limitUsd18),
+        remainingUSD: usd(st.remainingUsd18),
+        usedUSD: usd(st.usedUsd18),
+        windowEnd: st.windowEnd,
+        unlockAt: st.unlockAt,
+        whitelisted: st.whitelisted,
       });
     } catch (e) {
-      setState({
-        loading: false,
-        error: e?.message || String(e),
-        limitUSD: 0,
-        remainingUSD: 0,
-        usedUSD: 0,
-      });
+      setState({ loading: false, error: e?.message || String(e), ...EMPTY });
     }
-  }, [provider, address]);
+  }, [provider, address, weight, proof]);
 
   useEffect(() => {
     refresh();
@@ -1,6 +1,6 @@
 // src/hooks/useOnePrice.js
 // Fonte única: usa o oracle do Vault via core.oracleLatest(provider)
-// (core.oracleLatest já tenta Band Adapter: latestPrice(), Chainlink, Band getReferenceData, etc.)
+// (o próprio oracle do Vault — ex.: OracleAggregator — resolve Band/Chainlink/manual on-chain)
 // Retorna preço de ONE em USD como número (float), sem depender de ABI externo no hook.
 
 import { useCallback, useEffect, useState } from "react";
@@ -17,6 +17,7 @@ import {
  *   loading,            // boolean
  *   ok,                 // boolean (true => pode prosseguir)
  *   proof,              // bytes32[] (array de hex strings)
+ *   weight,             // bigint (peso do snapshot no leaf; default 1n)
  *   chainRoot,          // string|null (0x...)
  *   fileRoot,           // string|null (0x...)
  *   rootMismatch,       // boolean (fileRoot != chainRoot)
@@ -36,6 +37,7 @@ export default function useWhitelist(address, provider, options = {}) {
     loading: !!enabled,
     ok: false,
     proof: [],
+    weight: 1n,
     chainRoot: null,
     fileRoot: null,
     rootMismatch: false,
@@ -57,6 +59,7 @@ export default function useWhitelist(address, provider, options = {}) {
           loading: false,
           ok: false,
           proof: [],
+          weight: 1n,
           chainRoot: null,
           fileRoot: null,
           rootMismatch: false,
@@ -72,6 +75,7 @@ export default function useWhitelist(address, provider, options = {}) {
         loading: false,
         ok: res.ok,
         proof: res.proof,
+        weight: res.weight,
         chainRoot: res.chainRoot,
         fileRoot: res.fileRoot,
         rootMismatch: res.rootMismatch,
@@ -83,6 +87,7 @@ export default function useWhitelist(address, provider, options = {}) {
         loading: false,
         ok: false,
         proof: [],
+        weight: 1n,
         chainRoot: null,
         fileRoot: null,
         rootMismatch: false,
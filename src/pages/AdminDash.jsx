@@ -9,7 +9,11 @@ import { useContractContext } from "@/contexts/ContractContext";
 import Footer from "@/ui/layout/footer";
 import WalletConnection from "@/components/wallet/WalletConnection";
 import * as adminService from "@/services/adminService";
-import { getReadContract } from "@/services/vaultCore"
+import * as migrationSvc from "@/services/migrationService";
+import * as timelockSvc from "@/services/timelockService";
+import * as claimWindowSvc from "@/services/claimWindowService";
+import * as queueSvc from "@/services/redemptionQueueService";
+import { getReadContract, getTokenDecimals, getVaultState, getRoundSchedule, getRoundStats, getTokenStats, getResetWindow, OUTPUT_PRICING, RESET_MODES } from "@/services/vaultCore"
 import { ethers } from "ethers";
 import { openConnect } from "@/services/appkit";
 
@@ -21,6 +25,17 @@ const isBytes32 = (h) => ethers.isHexString((h || "").trim(), 32);
 
 // --- Tx helpers ---
 function txHashOf(x){ try { return x?.hash ?? x?.transactionHash ?? (typeof x === "string" ? x : ""); } catch { return ""; } }
+// Owner-only setters may land in the VaultTimelock queue instead of applying immediately
+function ownerTxMsg(done, rc, tx){
+  const q = timelockSvc.queuedChangeOf(rc);
+  if (q) return `Queued in the timelock; executable after ${tsToUTC(q.eta)}. Tx: ${txHashOf(rc) || txHashOf(tx)}`;
+  return `${done}. Tx: ${txHashOf(rc) || txHashOf(tx)}`;
+}
+function fmtCountdown(sec) {
+  const s = Math.max(0, Math.floor(Number(sec) || 0));
+  const d = Math.floor(s / 86400), h = Math.floor((s % 86400) / 3600), m = Math.floor((s % 3600) / 60);
+  return d > 0 ? `${d}d ${h}h ${m}m` : `${h}h ${m}m ${s % 60}s`;
+}
 async function waitReceipt(tx, signerOrProvider){
   try{
     if (tx && typeof tx.wait === "function") return await tx.wait();
@@ -90,6 +105,11 @@ function AdminAlert({ type = "info", children }) {
   return (<div role="alert" className={cls(styles.alert, map[type] || styles.info)}>{children}</div>);
 }
 
+// Required role shown in a Section header; green when the connected account holds it
+function RoleBadge({ ok, label }) {
+  return <Badge ok={ok} textTrue={label} textFalse={`${label} role required`} />;
+}
+
 function Section({ title, children, right }) {
   return (
     <section className={styles.card} style={{ padding: 16 }}>
@@ -132,15 +152,22 @@ export default function AdminDash() {
   const [owner, setOwner] = useState("");
   const [account, setAccount] = useState("");
   const [isOwner, setIsOwner] = useState(false);
+  const [roles, setRoles] = useState({}); // { PAUSER_ROLE: bool, ... } for the connected account
   const [loadingOwner, setLoadingOwner] = useState(true);
-  const [roundInfo, setRoundInfo] = useState({ roundId: 0n, startTime: 0n, isActive: false, paused: false, limitUsd: 0n });
+  const [roundInfo, setRoundInfo] = useState({ roundId: 0n, startTime: 0n, isActive: false, paused: false, limitUsd: 0n, budgetUsd: 0n, budgetRemainingUsd: 0n });
 
   // Contract data / env
-  const [wone, setWone] = useState("");
-  const [usdc, setUsdc] = useState("");
-  const [woneDec, setWoneDec] = useState(18);
-  const [usdcDec, setUsdcDec] = useState(6);
-  const [balances, setBalances] = useState({ w: 0n, u: 0n });
+  // Output tokens the vault pays out: [{ token, symbol, pricing, decimals, price18, balance, usd18 }]
+  const [outputs, setOutputs] = useState([]);
+  const [outToken, setOutToken] = useState("");
+  const [outPricing, setOutPricing] = useState("2");
+  const [outPrice, setOutPrice] = useState("");
+
+  // Withdraw / rescue: output token, "native" (ONE) or "other" (typed address)
+  const [wdToken, setWdToken] = useState("");
+  const [wdOther, setWdOther] = useState("");
+  const [wdAmount, setWdAmount] = useState("");
+  const [wdTo, setWdTo] = useState("");
 
   // Supported tokens
   const [supportedTokens, setSupportedTokens] = useState([]);
@@ -153,9 +180,39 @@ export default function AdminDash() {
   // Wallets / oracle / merkle
   const [devWallet, setDevWallet] = useState("");
   const [rmcWallet, setRmcWallet] = useState("");
+  // Fee split rows [{ wallet, bps }] as strings; empty = whole fee to the dev wallet
+  const [feeSplit, setFeeSplit] = useState([]);
   const [oracleAddr, setOracleAddr] = useState("");
   const [merkleRoot, setMerkleRoot] = useState("");
+  const [capRoot, setCapRoot] = useState("");
+  const [oracleMaxAge, setOracleMaxAge] = useState("");
+  const [minPriceUsd, setMinPriceUsd] = useState("");
+  const [maxPriceUsd, setMaxPriceUsd] = useState("");
   const [newOwner, setNewOwner] = useState("");
+  const [roleKey, setRoleKey] = useState(adminService.ROLES[0].key);
+  const [roleAccount, setRoleAccount] = useState("");
+  const [roleAccountHas, setRoleAccountHas] = useState(null);
+
+  // Wallet migrations (registry + pending requests under the veto window)
+  const [migrationAddr, setMigrationAddr] = useState("");
+  const [vetoWindowHours, setVetoWindowHours] = useState("");
+  const [pendingMigrations, setPendingMigrations] = useState([]);
+
+  // Claim window (pro-rata mode), only when VITE_CLAIM_WINDOW_ADDRESS is set
+  const [claimWin, setClaimWin] = useState(null);
+  const [claimWinRole, setClaimWinRole] = useState(false);
+  const [claimStartHours, setClaimStartHours] = useState("0");
+  const [claimDurationHours, setClaimDurationHours] = useState("24");
+
+  // Redemption queue, only when VITE_REDEMPTION_QUEUE_ADDRESS is set
+  const [queueStats, setQueueStats] = useState({}); // output token => { pendingOut, length }
+  const [queueRole, setQueueRole] = useState(false);
+
+  // Timelock (when a VaultTimelock owns the vault) + queued changes
+  const [timelock, setTimelock] = useState(null); // { address, admin, delay, gracePeriod, ... }
+  const [pendingChanges, setPendingChanges] = useState([]);
+  const [timelockDelayHours, setTimelockDelayHours] = useState("");
+  const [nowSec, setNowSec] = useState(() => Math.floor(Date.now() / 1000));
 
   // Fee tiers
   const [feeThresholds, setFeeThresholds] = useState([]);
@@ -166,123 +223,100 @@ export default function AdminDash() {
 
   // Forms state (basic)
   const [dailyLimit, setDailyLimit] = useState("");
+
+  // Daily-limit window: current rule and the form (hours + ResetMode)
+  const [resetWin, setResetWin] = useState(null);
+  const [resetHours, setResetHours] = useState("");
+  const [resetMode, setResetMode] = useState("0");
   const [locked, setLocked] = useState(false);
   const [roundId, setRoundId] = useState("");
+  // Scheduled rounds: pending list + form (times as datetime-local, limit in USD, fee in bps)
+  const [roundSchedule, setRoundSchedule] = useState([]);
+
+  // Redemption statistics (current round + per input token)
+  const [roundStats, setRoundStats] = useState(null);
+  const [tokenStats, setTokenStats] = useState([]);
+  const [schedId, setSchedId] = useState("");
+  const [schedStart, setSchedStart] = useState("");
+  const [schedEnd, setSchedEnd] = useState("");
+  const [schedLimit, setSchedLimit] = useState("");
+  const [schedFee, setSchedFee] = useState("");
+  const [roundBudget, setRoundBudget] = useState("");
+  const [capToken, setCapToken] = useState("");
+  const [capAmount, setCapAmount] = useState("");
+  const [capCurrent, setCapCurrent] = useState(null); // { cap, used, decimals } of capToken in the current round
 
   // Tx states
-  const [busy, setBusy] = useState({ daily: false, lock: false, round: false, dev: false, rmc: false, oracle: false, merkle: false, token: false, tokenPrice: false, fee: false, wd: false, ownerXfer: false, delay: false });
+  const [busy, setBusy] = useState({ daily: false, lock: false, round: false, dev: false, rmc: false, oracle: false, merkle: false, capRoot: false, oracleAge: false, priceBounds: false, migration: false, vetoWindow: false, veto: "", role: false, token: false, tokenPrice: false, fee: false, wd: false, ownerXfer: false, delay: false, roundBudget: false, roundCap: false, tlDelay: false, change: "", claimWin: false, queue: "", output: false });
   const [notice, setNotice] = useState(null);
 
   const provider = useMemo(() => ctxProvider || adminService.getDefaultProvider?.() || null, [ctxProvider]);
   const canWrite = Boolean(ctxSigner);
+  // Each admin area is enabled by the role the contract checks for it (owner keeps config + role management)
+  const can = useMemo(() => ({
+    owner: canWrite && isOwner,
+    pause: canWrite && Boolean(roles.PAUSER_ROLE),
+    treasury: canWrite && Boolean(roles.TREASURER_ROLE),
+    price: canWrite && Boolean(roles.PRICE_SETTER_ROLE),
+    whitelist: canWrite && Boolean(roles.WHITELIST_MANAGER_ROLE),
+    rounds: canWrite && Boolean(roles.ROUND_OPERATOR_ROLE),
+  }), [canWrite, isOwner, roles]);
 
   // --- Load basics from contract ---
   const loadBasics = useCallback(async () => {
     try {
       setLoadingOwner(true);
       if (!provider) throw new Error("Provider not available");
-      const c = await getReadContract(provider);
-
       // Connected account from context
       const acc = ctxAccount || "";
 
-      // Parallel fetch from contract
-      const [own, ri, wAddr, uAddr, dev, rmc, ora, mroot, sup, feesRaw] = await Promise.all([
-        c.owner(),
-        c.getRoundInfo(),
-        c.wONE(),
-        c.usdc(),
-        c.devWallet(),
-        c.rmcWallet(),
-        c.oracle(),
-        c.merkleRoot(),
-        c.getSupportedTokens().catch(() => []),
-        c.getFeeTiers().catch(() => null),
-      ]);
+      // Config, round, outputs, fee tables and token metadata (one eth_call when VITE_VAULT_LENS_ADDRESS is set)
+      const st = await getVaultState(provider);
+      const round = st.round;
+      const sup = st.tokens.map((t) => t.address);
+      const symbols = Object.fromEntries(st.tokens.map((t) => [t.address, t.symbol]));
 
-      const round = {
-        roundId: ri?.roundId ?? ri?.[0] ?? 0n,
-        startTime: ri?.startTime ?? ri?.[1] ?? 0n,
-        isActive: Boolean(ri?.isActive ?? ri?.[2]),
-        paused: Boolean(ri?.paused ?? ri?.[3]),
-        limitUsd: ri?.limitUsd ?? ri?.[4] ?? 0n,
-      };
-
-      // Balances & decimals
-      let wdec = 18, udec = 6, wb = 0n, ub = 0n;
-      try {
-        const bals = await c.getVaultBalances();
-        wb = bals?.woneBalance ?? bals?.[0] ?? 0n;
-        ub = bals?.usdcBalance ?? bals?.[1] ?? 0n;
-      } catch {}
-
-      try {
-        if (ethers.isAddress(wAddr)) {
-          const ercW = new ethers.Contract(wAddr, ["function decimals() view returns (uint8)"], provider);
-          wdec = Number(await ercW.decimals());
-        }
-      } catch {}
-      try {
-        if (ethers.isAddress(uAddr)) {
-          const ercU = new ethers.Contract(uAddr, ["function decimals() view returns (uint8)"], provider);
-          udec = Number(await ercU.decimals());
-        }
-      } catch {}
-
-      // Token symbols
-      const symEntries = await Promise.all(
-        (Array.isArray(sup) ? sup : []).map(async (addr) => {
-          if (!ethers.isAddress(addr)) return [addr, addr];
-          try {
-            const erc = new ethers.Contract(addr, ["function symbol() view returns (string)"], provider);
-            const sym = await erc.symbol();
-            return [addr, sym];
-          } catch {
-            return [addr, addr];
-          }
-        })
-      );
-      const symbols = Object.fromEntries(symEntries);
+      // Fee split: the contract reports the dev wallet alone (10000 bps) while no table is set
+      const split = st.feeRecipients;
+      const unset = split.length === 1 && split[0].bps === 10000 && toLower(split[0].wallet) === toLower(st.devWallet);
+      setFeeSplit(unset ? [] : split.map((r) => ({ wallet: r.wallet, bps: String(r.bps) })));
 
       // Fee tiers
-      if (feesRaw) {
-        let thresholdsArr = [];
-        let bpsArr = [];
-        if (Array.isArray(feesRaw) && feesRaw.length >= 2) {
-          thresholdsArr = feesRaw[0] ?? [];
-          bpsArr = feesRaw[1] ?? [];
-        } else if (feesRaw.thresholds && (feesRaw.bps || feesRaw.bpsOut)) {
-          thresholdsArr = feesRaw.thresholds;
-          bpsArr = feesRaw.bps ?? feesRaw.bpsOut;
-        }
-        setFeeThresholds((thresholdsArr || []).map((x) => x.toString()));
-        setFeeBps((bpsArr || []).map((x) => x.toString()));
-      } else {
-        setFeeThresholds((prev) => prev.length ? prev : []);
-        setFeeBps((prev) => prev.length ? prev : []);
-      }
+      setFeeThresholds(st.feeTiers.thresholds.map((x) => x.toString()));
+      setFeeBps(st.feeTiers.bps.map((x) => x.toString()));
+
+      setRoundSchedule(await getRoundSchedule(provider).catch(() => []));
+      const rw = await getResetWindow(provider).catch(() => null);
+      setResetWin(rw);
+      if (rw) setResetMode(String(rw.mode));
+
+      // Totais on-chain do round atual e de cada token suportado (burned = burn(), sunk = DEAD_BURN_ADDRESS)
+      const [rStats, tStats] = await Promise.all([
+        getRoundStats(provider, round.roundId).catch(() => null),
+        Promise.all(st.tokens.map(async (t) => ({ token: t.address, decimals: t.decimals, ...(await getTokenStats(provider, t.address)) }))).catch(() => []),
+      ]);
+      setRoundStats(rStats);
+      setTokenStats(tStats);
+      setRoundDelayEnabled(round.delayEnabled);
 
-      try {
-        if (typeof c.roundDelayEnabled === "function") {
-          const val = await c.roundDelayEnabled();
-          setRoundDelayEnabled(Boolean(val));
-        }
-      } catch {}
+      const rl = await adminService.getRoles(provider, acc).catch(() => ({}));
 
-      setOwner(own);
+      setOwner(st.owner);
       setAccount(acc);
-      setIsOwner(toLower(acc) === toLower(own));
+      setIsOwner(Boolean(rl.owner)); // timelock admin when a VaultTimelock owns the vault
+      setRoles(rl);
       setRoundInfo(round);
-      setWone(wAddr);
-      setUsdc(uAddr);
-      setWoneDec(wdec);
-      setUsdcDec(udec);
-      setBalances({ w: wb, u: ub });
-      setDevWallet(dev);
-      setRmcWallet(rmc);
-      setOracleAddr(ora);
-      setMerkleRoot(mroot);
-      setSupportedTokens(Array.isArray(sup) ? sup : []);
+      setOutputs(st.outputs);
+      setDevWallet(st.devWallet);
+      setRmcWallet(st.rmcWallet);
+      setOracleAddr(st.oracle);
+      setMerkleRoot(st.merkleRoot);
+      setCapRoot(st.capRoot);
+      setMigrationAddr(st.migration === ethers.ZeroAddress ? "" : st.migration);
+      setOracleMaxAge(String(st.maxOracleAge));
+      setMinPriceUsd(st.minOnePrice18 > 0n ? ethers.formatUnits(st.minOnePrice18, 18) : "");
+      setMaxPriceUsd(st.maxOnePrice18 > 0n ? ethers.formatUnits(st.maxOnePrice18, 18) : "");
+      setSupportedTokens(sup);
       setTokenSymbols(symbols);
       setLocked(round.paused);
     } catch (e) {
@@ -343,7 +377,7 @@ export default function AdminDash() {
       if (!/^\d+(\.\d{0,4})?$/.test(raw)) throw new Error("Enter a USD amount with up to 4 decimals");
       const tx = await adminService.setDailyLimit(signer, raw); // parsed to USD×1e4 by the service
       const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `Daily limit updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("Daily limit updated", rc, tx) });
       setDailyLimit("");
       await loadBasics();
     } catch (err) {
@@ -352,6 +386,27 @@ export default function AdminDash() {
     } finally { setBusy((b) => ({ ...b, daily: false })); }
   }, [dailyLimit, requireOwnerAndSigner, loadBasics]);
 
+  const onSetResetWindow = useCallback(async () => {
+    setBusy((b) => ({ ...b, resetWin: true })); setNotice(null);
+    try {
+      const { signer } = await requireOwnerAndSigner();
+      const hours = Number(String(resetHours ?? "").trim().replace(/,/g, "."));
+      if (!Number.isFinite(hours) || hours < 1 || hours > 168) throw new Error("Window length must be between 1 and 168 hours");
+      const secs = Math.round(hours * 3600);
+      if (resetMode === "1" && 86400 % secs !== 0 && secs % 86400 !== 0) {
+        throw new Error("Fixed UTC windows must divide a day (1, 2, 3, 4, 6, 8, 12 h…) or be whole days");
+      }
+      const tx = await adminService.setResetWindow(signer, secs, Number(resetMode));
+      const rc = await waitReceipt(tx, signer);
+      setNotice({ type: "success", msg: ownerTxMsg("Reset window updated", rc, tx) });
+      setResetHours("");
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] setResetWindow error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to set reset window" });
+    } finally { setBusy((b) => ({ ...b, resetWin: false })); }
+  }, [resetHours, resetMode, requireOwnerAndSigner, loadBasics]);
+
   const onToggleLocked = useCallback(async () => {
     setBusy((b) => ({ ...b, lock: true })); setNotice(null);
     try {
@@ -367,6 +422,56 @@ export default function AdminDash() {
     } finally { setBusy((b) => ({ ...b, lock: false })); }
   }, [locked, requireOwnerAndSigner, loadBasics]);
 
+  // Current round cap/usage of the token picked in "Round Budget & Token Caps"
+  const loadCapCurrent = useCallback(async () => {
+    if (!provider || !ethers.isAddress(capToken)) { setCapCurrent(null); return; }
+    try {
+      const c = await getReadContract(provider);
+      const [cap, used, decimals] = await Promise.all([
+        c.roundTokenCap(capToken),
+        c.roundTokenRedeemed(roundInfo.roundId, capToken),
+        getTokenDecimals(provider, capToken),
+      ]);
+      setCapCurrent({ cap: BigInt(cap), used: BigInt(used), decimals });
+    } catch { setCapCurrent(null); }
+  }, [provider, capToken, roundInfo.roundId]);
+
+  useEffect(() => { loadCapCurrent(); }, [loadCapCurrent]);
+
+  const onSetRoundBudget = useCallback(async () => {
+    setBusy((b) => ({ ...b, roundBudget: true })); setNotice(null);
+    try {
+      const { signer } = await requireOwnerAndSigner();
+      const val = String(roundBudget || "").trim().replace(/,/g, "");
+      if (val && !/^\d+(\.\d{0,18})?$/.test(val)) throw new Error("Invalid USD amount");
+      const rc = await adminService.setRoundBudget(signer, val || "0");
+      setNotice({ type: "success", msg: ownerTxMsg(val && Number(val) > 0 ? "Round budget set" : "Round budget disabled", rc) });
+      setRoundBudget("");
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] setRoundBudget error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to set round budget" });
+    } finally { setBusy((b) => ({ ...b, roundBudget: false })); }
+  }, [roundBudget, requireOwnerAndSigner, loadBasics]);
+
+  const onSetRoundTokenCap = useCallback(async () => {
+    setBusy((b) => ({ ...b, roundCap: true })); setNotice(null);
+    try {
+      if (!ethers.isAddress(capToken)) throw new Error("Select a token");
+      const { signer } = await requireOwnerAndSigner();
+      const val = String(capAmount || "").trim().replace(/,/g, "");
+      const decimals = capCurrent?.decimals ?? await getTokenDecimals(provider, capToken);
+      const amount = val ? ethers.parseUnits(val, decimals) : 0n;
+      const rc = await adminService.setRoundTokenCap(signer, capToken, amount);
+      setNotice({ type: "success", msg: ownerTxMsg(amount > 0n ? "Round cap set" : "Round cap removed", rc) });
+      setCapAmount("");
+      await loadCapCurrent();
+    } catch (err) {
+      console.error("[AdminDash] setRoundTokenCap error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to set round token cap" });
+    } finally { setBusy((b) => ({ ...b, roundCap: false })); }
+  }, [capToken, capAmount, capCurrent, provider, requireOwnerAndSigner, loadCapCurrent]);
+
   const onStartNewRound = useCallback(async () => {
     setBusy((b) => ({ ...b, round: true })); setNotice(null);
     try {
@@ -384,6 +489,46 @@ export default function AdminDash() {
     } finally { setBusy((b) => ({ ...b, round: false })); }
   }, [roundId, requireOwnerAndSigner, loadBasics]);
 
+  const onScheduleRound = useCallback(async () => {
+    setBusy((b) => ({ ...b, sched: true })); setNotice(null);
+    try {
+      const id = BigInt(Math.floor(Number(String(schedId).replace(/,/g, "")) || 0));
+      if (id <= 0n) throw new Error("Invalid round id");
+      const toSec = (v) => (v ? Math.floor(new Date(v).getTime() / 1000) : 0);
+      const start = toSec(schedStart), end = toSec(schedEnd);
+      if (!Number.isFinite(start) || start <= Math.floor(Date.now() / 1000)) throw new Error("Start time must be in the future");
+      if (!Number.isFinite(end) || (end && end <= start)) throw new Error("End time must be after the start");
+      const limitStr = schedLimit.trim().replace(",", ".");
+      let limit18 = 0n;
+      if (limitStr) { try { limit18 = ethers.parseUnits(limitStr, 18); } catch { throw new Error("Invalid daily limit"); } }
+      const fee = Number(String(schedFee).trim() || "0");
+      const maxFee = Math.max(0, ...feeBps.map(Number));
+      if (!Number.isInteger(fee) || fee < 0) throw new Error("Invalid BPS value");
+      if (fee > maxFee) throw new Error(`Fee above the highest tier (${maxFee} bps)`);
+      const { signer } = await requireOwnerAndSigner();
+      const rc = await adminService.scheduleRound(signer, id, start, end, limit18, fee);
+      setNotice({ type: "success", msg: ownerTxMsg(`Round ${id} scheduled`, rc) });
+      setSchedId(""); setSchedStart(""); setSchedEnd("");
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] scheduleRound error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to schedule round" });
+    } finally { setBusy((b) => ({ ...b, sched: false })); }
+  }, [schedId, schedStart, schedEnd, schedLimit, schedFee, feeBps, requireOwnerAndSigner, loadBasics]);
+
+  const onCancelSchedule = useCallback(async () => {
+    setBusy((b) => ({ ...b, sched: true })); setNotice(null);
+    try {
+      const { signer } = await requireOwnerAndSigner();
+      const rc = await adminService.cancelScheduledRounds(signer);
+      setNotice({ type: "success", msg: ownerTxMsg("Scheduled rounds cancelled", rc) });
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] cancelScheduledRounds error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to cancel scheduled rounds" });
+    } finally { setBusy((b) => ({ ...b, sched: false })); }
+  }, [requireOwnerAndSigner, loadBasics]);
+
   // --- Advanced actions ---
   const onSetDevWallet = useCallback(async () => {
     setBusy((b) => ({ ...b, dev: true })); setNotice(null);
@@ -392,7 +537,7 @@ export default function AdminDash() {
       const { signer } = await requireOwnerAndSigner();
       const tx = await adminService.setDevWallet(signer, devWallet);
       const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `Dev wallet updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("Dev wallet updated", rc, tx) });
       await loadBasics();
     } catch (err) {
       console.error("[AdminDash] setDevWallet error:", err);
@@ -407,7 +552,7 @@ export default function AdminDash() {
       const { signer } = await requireOwnerAndSigner();
       const tx = await adminService.setRmcWallet(signer, rmcWallet);
       const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `RMC wallet updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("RMC wallet updated", rc, tx) });
       await loadBasics();
     } catch (err) {
       console.error("[AdminDash] setRmcWallet error:", err);
@@ -415,6 +560,31 @@ export default function AdminDash() {
     } finally { setBusy((b) => ({ ...b, rmc: false })); }
   }, [rmcWallet, requireOwnerAndSigner, loadBasics]);
 
+  const onSaveFeeSplit = useCallback(async () => {
+    setBusy((b) => ({ ...b, split: true })); setNotice(null);
+    try {
+      const wallets = feeSplit.map((r) => {
+        const w = String(r.wallet).trim();
+        if (!isAddr(w) || w === ethers.ZeroAddress) throw new Error("Invalid fee recipient address");
+        return w;
+      });
+      const bps = feeSplit.map((r) => {
+        const v = Number(String(r.bps).trim() || "0");
+        if (!Number.isInteger(v) || v <= 0 || v > 10000) throw new Error("Invalid BPS value");
+        return v;
+      });
+      if (bps.length && bps.reduce((a, v) => a + v, 0) !== 10000) throw new Error("Shares must add up to 10000 bps");
+      const { signer } = await requireOwnerAndSigner();
+      const tx = await adminService.setFeeRecipients(signer, wallets, bps);
+      const rc = await waitReceipt(tx, signer);
+      setNotice({ type: "success", msg: ownerTxMsg("Fee split updated", rc, tx) });
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] setFeeRecipients error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to update fee split" });
+    } finally { setBusy((b) => ({ ...b, split: false })); }
+  }, [feeSplit, requireOwnerAndSigner, loadBasics]);
+
   const onSetOracle = useCallback(async () => {
     setBusy((b) => ({ ...b, oracle: true })); setNotice(null);
     try {
@@ -422,7 +592,7 @@ export default function AdminDash() {
       const { signer } = await requireOwnerAndSigner();
       const tx = await adminService.setOracle(signer, oracleAddr);
       const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `Oracle updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("Oracle updated", rc, tx) });
       await loadBasics();
     } catch (err) {
       console.error("[AdminDash] setOracle error:", err);
@@ -437,7 +607,7 @@ export default function AdminDash() {
       const { signer } = await requireOwnerAndSigner();
       const tx = await adminService.setMerkleRoot(signer, merkleRoot);
       const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `Merkle root updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("Merkle root updated", rc, tx) });
       await loadBasics();
     } catch (err) {
       console.error("[AdminDash] setMerkleRoot error:", err);
@@ -445,6 +615,295 @@ export default function AdminDash() {
     } finally { setBusy((b) => ({ ...b, merkle: false })); }
   }, [merkleRoot, requireOwnerAndSigner, loadBasics]);
 
+  const onSetCapRoot = useCallback(async () => {
+    setBusy((b) => ({ ...b, capRoot: true })); setNotice(null);
+    try {
+      if (!isBytes32(capRoot)) throw new Error("Invalid cap root (bytes32 hex)");
+      const { signer } = await requireOwnerAndSigner();
+      const tx = await adminService.setCapRoot(signer, capRoot);
+      const rc = await waitReceipt(tx, signer);
+      setNotice({ type: "success", msg: `Claim cap root updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] setCapRoot error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to set cap root" });
+    } finally { setBusy((b) => ({ ...b, capRoot: false })); }
+  }, [capRoot, requireOwnerAndSigner, loadBasics]);
+
+  const loadMigrations = useCallback(async () => {
+    try {
+      if (!provider) return;
+      migrationSvc.invalidateRegistryCache();
+      if (!(await migrationSvc.getRegistryAddress(provider))) { setPendingMigrations([]); setVetoWindowHours(""); return; }
+      const [list, reg] = await Promise.all([
+        migrationSvc.listPendingMigrations(provider),
+        migrationSvc.getRegistry(provider, provider),
+      ]);
+      setPendingMigrations(list);
+      setVetoWindowHours(String(Number(await reg.vetoWindow()) / 3600));
+    } catch (err) {
+      console.warn("[AdminDash] loadMigrations error:", err);
+    }
+  }, [provider]);
+
+  useEffect(() => { loadMigrations(); }, [loadMigrations, migrationAddr]);
+
+  const loadClaimWindow = useCallback(async () => {
+    try {
+      if (!provider || !claimWindowSvc.getClaimWindowAddress()) return;
+      const [w, role] = await Promise.all([
+        claimWindowSvc.getCurrentWindow(provider),
+        claimWindowSvc.hasSettlementRole(provider).catch(() => false),
+      ]);
+      setClaimWin(w);
+      setClaimWinRole(role);
+    } catch (err) {
+      console.warn("[AdminDash] loadClaimWindow error:", err);
+    }
+  }, [provider]);
+
+  useEffect(() => { loadClaimWindow(); }, [loadClaimWindow]);
+
+  const onOpenClaimWindow = useCallback(async () => {
+    setBusy((b) => ({ ...b, claimWin: true })); setNotice(null);
+    try {
+      const startH = Number(claimStartHours || 0);
+      const durH = Number(claimDurationHours);
+      if (!Number.isFinite(startH) || startH < 0 || !Number.isFinite(durH) || durH <= 0) throw new Error("Invalid start/duration");
+      if (!ctxSigner) throw new Error("Connect a wallet");
+      const start = Math.floor(Date.now() / 1000) + Math.round(startH * 3600);
+      const rc = await claimWindowSvc.openWindow(ctxSigner, start, start + Math.round(durH * 3600));
+      setNotice({ type: "success", msg: `Claim window opened. Tx: ${txHashOf(rc)}` });
+      await loadClaimWindow();
+    } catch (err) {
+      console.error("[AdminDash] openWindow error:", err);
+      setNotice({ type: "error", msg: claimWindowSvc.prettyClaimWindowError(err) });
+    } finally { setBusy((b) => ({ ...b, claimWin: false })); }
+  }, [claimStartHours, claimDurationHours, ctxSigner, loadClaimWindow]);
+
+  const onGrantSettlementRole = useCallback(async () => {
+    setBusy((b) => ({ ...b, claimWin: true })); setNotice(null);
+    try {
+      const { signer } = await requireOwnerAndSigner();
+      const rc = await adminService.grantRole(signer, "SETTLEMENT_ROLE", claimWindowSvc.getClaimWindowAddress());
+      setNotice({ type: "success", msg: ownerTxMsg("Settlement role granted to the claim window", rc) });
+      await loadClaimWindow();
+    } catch (err) {
+      console.error("[AdminDash] grant SETTLEMENT_ROLE error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to grant role" });
+    } finally { setBusy((b) => ({ ...b, claimWin: false })); }
+  }, [requireOwnerAndSigner, loadClaimWindow]);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      if (!provider || !queueSvc.getQueueAddress() || outputs.length === 0) return;
+      const [stats, role] = await Promise.all([
+        Promise.all(outputs.map((o) => queueSvc.getQueueStats(provider, o.token))),
+        queueSvc.hasSettlementRole(provider).catch(() => false),
+      ]);
+      setQueueStats(Object.fromEntries(outputs.map((o, i) => [o.token, stats[i]])));
+      setQueueRole(role);
+    } catch (err) {
+      console.warn("[AdminDash] loadQueue error:", err);
+    }
+  }, [provider, outputs]);
+
+  useEffect(() => { loadQueue(); }, [loadQueue]);
+
+  const onProcessQueue = useCallback(async (token) => {
+    setBusy((b) => ({ ...b, queue: token })); setNotice(null);
+    try {
+      if (!ctxSigner) throw new Error("Connect a wallet");
+      const rc = await queueSvc.processQueue(ctxSigner, token);
+      setNotice({ type: "success", msg: `Queue processed. Tx: ${txHashOf(rc)}` });
+      await Promise.all([loadQueue(), loadBasics()]);
+    } catch (err) {
+      console.error("[AdminDash] processQueue error:", err);
+      setNotice({ type: "error", msg: queueSvc.prettyQueueError(err) });
+    } finally { setBusy((b) => ({ ...b, queue: "" })); }
+  }, [ctxSigner, loadQueue, loadBasics]);
+
+  const onGrantQueueRole = useCallback(async () => {
+    setBusy((b) => ({ ...b, queue: "role" })); setNotice(null);
+    try {
+      const { signer } = await requireOwnerAndSigner();
+      const rc = await adminService.grantRole(signer, "SETTLEMENT_ROLE", queueSvc.getQueueAddress());
+      setNotice({ type: "success", msg: ownerTxMsg("Settlement role granted to the redemption queue", rc) });
+      await loadQueue();
+    } catch (err) {
+      console.error("[AdminDash] grant SETTLEMENT_ROLE error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to grant role" });
+    } finally { setBusy((b) => ({ ...b, queue: "" })); }
+  }, [requireOwnerAndSigner, loadQueue]);
+
+  const onSetMigration = useCallback(async () => {
+    setBusy((b) => ({ ...b, migration: true })); setNotice(null);
+    try {
+      const addr = migrationAddr.trim() || ethers.ZeroAddress;
+      if (!isAddr(addr)) throw new Error("Invalid registry address");
+      const { signer } = await requireOwnerAndSigner();
+      const tx = await adminService.setMigration(signer, addr);
+      const rc = await waitReceipt(tx, signer);
+      setNotice({ type: "success", msg: ownerTxMsg("Migration registry updated", rc, tx) });
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] setMigration error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to set migration registry" });
+    } finally { setBusy((b) => ({ ...b, migration: false })); }
+  }, [migrationAddr, requireOwnerAndSigner, loadBasics]);
+
+  const onSetVetoWindow = useCallback(async () => {
+    setBusy((b) => ({ ...b, vetoWindow: true })); setNotice(null);
+    try {
+      const hours = Number(vetoWindowHours);
+      if (!Number.isFinite(hours) || hours < 0) throw new Error("Invalid veto window (hours)");
+      if (!ctxSigner) throw new Error("Connect the registry owner wallet");
+      const tx = await migrationSvc.setVetoWindow(ctxSigner, Math.round(hours * 3600));
+      const rc = await waitReceipt(tx, ctxSigner);
+      setNotice({ type: "success", msg: `Veto window updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      await loadMigrations();
+    } catch (err) {
+      console.error("[AdminDash] setVetoWindow error:", err);
+      setNotice({ type: "error", msg: migrationSvc.prettyMigrationError(err) });
+    } finally { setBusy((b) => ({ ...b, vetoWindow: false })); }
+  }, [vetoWindowHours, ctxSigner, loadMigrations]);
+
+  const onVetoMigration = useCallback(async (oldWallet) => {
+    setBusy((b) => ({ ...b, veto: oldWallet })); setNotice(null);
+    try {
+      if (!ctxSigner) throw new Error("Connect the registry owner wallet");
+      const tx = await migrationSvc.vetoMigration(ctxSigner, oldWallet);
+      const rc = await waitReceipt(tx, ctxSigner);
+      setNotice({ type: "success", msg: `Migration of ${oldWallet} vetoed. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      await loadMigrations();
+    } catch (err) {
+      console.error("[AdminDash] vetoMigration error:", err);
+      setNotice({ type: "error", msg: migrationSvc.prettyMigrationError(err) });
+    } finally { setBusy((b) => ({ ...b, veto: "" })); }
+  }, [ctxSigner, loadMigrations]);
+
+  const loadTimelock = useCallback(async () => {
+    try {
+      if (!provider) return;
+      timelockSvc.invalidateTimelockCache();
+      const info = await timelockSvc.getTimelockInfo(provider);
+      setTimelock(info);
+      if (!info) { setPendingChanges([]); setTimelockDelayHours(""); return; }
+      setTimelockDelayHours(String(Number(info.delay) / 3600));
+      setPendingChanges(await timelockSvc.listPendingChanges(provider));
+    } catch (err) {
+      console.warn("[AdminDash] loadTimelock error:", err);
+    }
+  }, [provider]);
+
+  useEffect(() => { loadTimelock(); }, [loadTimelock, owner]);
+
+  // 1s tick for the pending-change countdowns
+  useEffect(() => {
+    if (!pendingChanges.length) return undefined;
+    const t = setInterval(() => setNowSec(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(t);
+  }, [pendingChanges.length]);
+
+  const onExecuteChange = useCallback(async (change) => {
+    setBusy((b) => ({ ...b, change: change.id })); setNotice(null);
+    try {
+      if (!ctxSigner) throw new Error("Connect a wallet to send the transaction");
+      const rc = await timelockSvc.executeChange(ctxSigner, change);
+      setNotice({ type: "success", msg: `${change.fn} applied. Tx: ${txHashOf(rc)}` });
+      await Promise.all([loadTimelock(), loadBasics()]);
+    } catch (err) {
+      console.error("[AdminDash] executeChange error:", err);
+      setNotice({ type: "error", msg: timelockSvc.prettyTimelockError(err) });
+    } finally { setBusy((b) => ({ ...b, change: "" })); }
+  }, [ctxSigner, loadTimelock, loadBasics]);
+
+  const onCancelChange = useCallback(async (change) => {
+    setBusy((b) => ({ ...b, change: change.id })); setNotice(null);
+    try {
+      if (!ctxSigner) throw new Error("Connect the timelock admin wallet");
+      const rc = await timelockSvc.cancelChange(ctxSigner, change);
+      setNotice({ type: "success", msg: `${change.fn} cancelled. Tx: ${txHashOf(rc)}` });
+      await loadTimelock();
+    } catch (err) {
+      console.error("[AdminDash] cancelChange error:", err);
+      setNotice({ type: "error", msg: timelockSvc.prettyTimelockError(err) });
+    } finally { setBusy((b) => ({ ...b, change: "" })); }
+  }, [ctxSigner, loadTimelock]);
+
+  const onQueueTimelockDelay = useCallback(async () => {
+    setBusy((b) => ({ ...b, tlDelay: true })); setNotice(null);
+    try {
+      const hours = Number(timelockDelayHours);
+      if (!Number.isFinite(hours) || hours <= 0) throw new Error("Invalid delay (hours)");
+      if (!ctxSigner) throw new Error("Connect the timelock admin wallet");
+      const rc = await timelockSvc.queueSetDelay(ctxSigner, Math.round(hours * 3600));
+      setNotice({ type: "success", msg: ownerTxMsg("Delay updated", rc) });
+      await loadTimelock();
+    } catch (err) {
+      console.error("[AdminDash] queueSetDelay error:", err);
+      setNotice({ type: "error", msg: timelockSvc.prettyTimelockError(err) });
+    } finally { setBusy((b) => ({ ...b, tlDelay: false })); }
+  }, [timelockDelayHours, ctxSigner, loadTimelock]);
+
+  const onSetOracleMaxAge = useCallback(async () => {
+    setBusy((b) => ({ ...b, oracleAge: true })); setNotice(null);
+    try {
+      const v = String(oracleMaxAge ?? "").trim() || "0";
+      if (!/^\d+$/.test(v)) throw new Error("Max age must be an integer (seconds)");
+      const { signer } = await requireOwnerAndSigner();
+      const tx = await adminService.setOracleMaxAge(signer, v);
+      const rc = await waitReceipt(tx, signer);
+      setNotice({ type: "success", msg: `Oracle max age updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] setOracleMaxAge error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to set oracle max age" });
+    } finally { setBusy((b) => ({ ...b, oracleAge: false })); }
+  }, [oracleMaxAge, requireOwnerAndSigner, loadBasics]);
+
+  const onSetPriceBounds = useCallback(async () => {
+    setBusy((b) => ({ ...b, priceBounds: true })); setNotice(null);
+    try {
+      const { signer } = await requireOwnerAndSigner();
+      const tx = await adminService.setPriceBounds(signer, minPriceUsd, maxPriceUsd);
+      const rc = await waitReceipt(tx, signer);
+      setNotice({ type: "success", msg: `Oracle price bounds updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] setPriceBounds error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to set price bounds" });
+    } finally { setBusy((b) => ({ ...b, priceBounds: false })); }
+  }, [minPriceUsd, maxPriceUsd, requireOwnerAndSigner, loadBasics]);
+
+  // Role of the typed account for the selected role (Roles section)
+  useEffect(() => {
+    (async () => {
+      if (!provider || !isAddr(roleAccount)) { setRoleAccountHas(null); return; }
+      try {
+        const r = await adminService.getRoles(provider, roleAccount);
+        setRoleAccountHas(Boolean(r[roleKey]));
+      } catch { setRoleAccountHas(null); }
+    })();
+  }, [provider, roleAccount, roleKey]);
+
+  const onUpdateRole = useCallback(async (grant) => {
+    setBusy((b) => ({ ...b, role: true })); setNotice(null);
+    try {
+      if (!isAddr(roleAccount)) throw new Error("Invalid account address");
+      const { signer } = await requireOwnerAndSigner();
+      const rc = grant
+        ? await adminService.grantRole(signer, roleKey, roleAccount)
+        : await adminService.revokeRole(signer, roleKey, roleAccount);
+      setNotice({ type: "success", msg: ownerTxMsg(`Role ${grant ? "granted" : "revoked"}`, rc) });
+      setRoleAccountHas(grant);
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] updateRole error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to update role" });
+    } finally { setBusy((b) => ({ ...b, role: false })); }
+  }, [roleKey, roleAccount, requireOwnerAndSigner, loadBasics]);
+
   const onTransferOwnership = useCallback(async () => {
     setBusy((b) => ({ ...b, ownerXfer: true })); setNotice(null);
     try {
@@ -455,7 +914,7 @@ export default function AdminDash() {
         const tx = await adminService.transferOwnership(signer, newOwner);
         return await waitReceipt(tx, signer);
       })();
-      setNotice({ type: "success", msg: `Ownership transferred. Tx: ${txHashOf(rc)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("Ownership transferred", rc) });
       setNewOwner("");
       await loadBasics();
     } catch (err) {
@@ -472,7 +931,7 @@ export default function AdminDash() {
       const { signer } = await requireOwnerAndSigner();
       const tx = await adminService.setSupportedToken(signer, target, tokenAllowed);
       const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `Supported token updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("Supported token updated", rc, tx) });
       setTokenInput("");
       await loadBasics();
     } catch (err) {
@@ -493,7 +952,7 @@ export default function AdminDash() {
       const { signer } = await requireOwnerAndSigner();
       const tx = await adminService.setFixedUsdPrice(signer, target, price18);
       const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `Fixed USD price updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("Fixed USD price updated", rc, tx) });
       await loadBasics();
     } catch (err) {
       console.error("[AdminDash] setFixedUsdPrice error:", err);
@@ -518,7 +977,7 @@ export default function AdminDash() {
       const { signer } = await requireOwnerAndSigner();
       const tx = await adminService.setFeeTiers(signer, th, bps);
       const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `Fee tiers updated. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      setNotice({ type: "success", msg: ownerTxMsg("Fee tiers updated", rc, tx) });
       await loadBasics();
     } catch (err) {
       console.error("[AdminDash] setFeeTiers error:", err);
@@ -529,19 +988,55 @@ export default function AdminDash() {
   const onWithdrawFunds = useCallback(async () => {
     setBusy((b) => ({ ...b, wd: true })); setNotice(null);
     try {
-      const token = tokenSel || wone || usdc;
-      if (!isAddr(token)) throw new Error("Select a token");
-      if (toLower(token) !== toLower(wone) && toLower(token) !== toLower(usdc)) throw new Error("Token not allowed");
+      const native = wdToken === "native";
+      const token = native ? ethers.ZeroAddress : (wdToken === "other" ? wdOther.trim() : wdToken);
+      if (!native && !isAddr(token)) throw new Error("Select a token");
+      const to = wdTo.trim() || rmcWallet;
+      if (!isAddr(to) || to === ethers.ZeroAddress) throw new Error("Invalid recipient address");
+      const out = outputs.find((o) => toLower(o.token) === toLower(token));
+      const amountStr = wdAmount.trim().replace(",", ".");
+      // empty amount = whole balance, only for output tokens (rescues always name the amount)
+      if (!amountStr && !out) throw new Error("Enter the amount to rescue");
+      const decimals = out ? out.decimals : native ? 18 : await getTokenDecimals(provider, token);
+      let amount = 0n;
+      if (amountStr) {
+        try { amount = ethers.parseUnits(amountStr, decimals); } catch { throw new Error("Invalid amount"); }
+        if (amount <= 0n) throw new Error("Invalid amount");
+      }
       const { signer } = await requireOwnerAndSigner();
-      const tx = await adminService.withdrawFunds(signer, token);
-      const rc = await waitReceipt(tx, signer);
-      setNotice({ type: "success", msg: `Withdraw submitted. Tx: ${txHashOf(rc) || txHashOf(tx)}` });
+      let rc;
+      if (!out) rc = await adminService.rescueToken(signer, token, amount, to);
+      else if (!amountStr && toLower(to) === toLower(rmcWallet)) rc = await adminService.withdrawFunds(signer, token);
+      else rc = await adminService.withdrawTo(signer, token, amountStr ? amount : out.balance, to);
+      setNotice({ type: "success", msg: `${out ? "Withdraw" : "Rescue"} submitted. Tx: ${txHashOf(rc)}` });
+      setWdAmount("");
       await loadBasics();
     } catch (err) {
-      console.error("[AdminDash] withdrawFunds error:", err);
+      console.error("[AdminDash] withdraw error:", err);
       setNotice({ type: "error", msg: err?.message || "Failed to withdraw funds" });
     } finally { setBusy((b) => ({ ...b, wd: false })); }
-  }, [tokenSel, wone, usdc, requireOwnerAndSigner, loadBasics]);
+  }, [wdToken, wdOther, wdAmount, wdTo, rmcWallet, outputs, provider, requireOwnerAndSigner, loadBasics]);
+
+  // Output tokens: add / reprice (pricing 1 oracle, 2 peg $1, 3 fixed USD) or remove (pricing 0)
+  const onSetOutputToken = useCallback(async (remove = false) => {
+    setBusy((b) => ({ ...b, output: true })); setNotice(null);
+    try {
+      const token = outToken.trim();
+      if (!isAddr(token)) throw new Error("Invalid token address");
+      const pricing = remove ? 0 : Number(outPricing);
+      if (pricing === 3 && !(Number(outPrice) > 0)) throw new Error("Enter the fixed USD price");
+      const { signer } = await requireOwnerAndSigner();
+      const tx = await adminService.setOutputToken(signer, token, pricing, outPrice);
+      const rc = await waitReceipt(tx, signer);
+      setNotice({ type: "success", msg: ownerTxMsg(remove ? "Output token removed" : "Output token updated", rc, tx) });
+      setOutToken("");
+      setOutPrice("");
+      await loadBasics();
+    } catch (err) {
+      console.error("[AdminDash] setOutputToken error:", err);
+      setNotice({ type: "error", msg: err?.message || "Failed to update output token" });
+    } finally { setBusy((b) => ({ ...b, output: false })); }
+  }, [outToken, outPricing, outPrice, requireOwnerAndSigner, loadBasics]);
 
   const onToggleRoundDelay = useCallback(async () => {
     setBusy((b) => ({ ...b, delay: true })); 
@@ -573,10 +1068,10 @@ export default function AdminDash() {
   }, [roundInfo.startTime]);
 
   const fmt = (n, d=0) => { try { return Number(n).toLocaleString(undefined, { minimumFractionDigits: d, maximumFractionDigits: d }); } catch { return String(n); } };
-  const wBal = useMemo(() => { try { return ethers.formatUnits(balances.w || 0n, woneDec); } catch { return "0"; } }, [balances.w, woneDec]);
-  const uBal = useMemo(() => { try { return ethers.formatUnits(balances.u || 0n, usdcDec); } catch { return "0"; } }, [balances.u, usdcDec]);
+  const outBal = (o) => { try { return ethers.formatUnits(o.balance || 0n, o.decimals); } catch { return "0"; } };
 
-  const notOwnerUI = !loadingOwner && account && owner && toLower(account) !== toLower(owner);
+  const heldRoles = adminService.ROLES.filter((r) => roles[r.key]).map((r) => r.label);
+  const noRoleUI = !loadingOwner && account && !isOwner && heldRoles.length === 0;
 
   return (
     <div className={styles.page}>
@@ -593,12 +1088,11 @@ export default function AdminDash() {
 
           {loadingOwner ? (
             <AdminAlert type="info">Loading owner and round info…</AdminAlert>
-          ) : notOwnerUI ? (
+          ) : noRoleUI ? (
             <AdminAlert type="warning">
-              Connected account differs from on-chain owner.<br/>
+              Connected account is not the owner and holds no admin role.<br/>
               <span className={styles.smallMuted}>Connected: {account || "—"}</span><br/>
-              <span className={styles.smallMuted}>Owner: {owner || "—"}</span><br/>
-              <span className={styles.smallMuted}>You may proceed — contract will enforce ownership on-chain.</span>
+              <span className={styles.smallMuted}>Owner: {owner || "—"}</span>
             </AdminAlert>
           ) : null}
 
@@ -612,17 +1106,26 @@ export default function AdminDash() {
                 <div className={styles.row}><span className={styles.contractFundsLabel}>Active</span><Badge ok={roundInfo.isActive} textTrue="Active" textFalse="Inactive" /></div>
                 <div className={styles.row}><span className={styles.contractFundsLabel}>Locked</span><Badge ok={roundInfo.paused} textTrue="Locked" textFalse="Unlocked" /></div>
                 <div className={styles.row}><span className={styles.contractFundsLabel}>Daily Limit (USD)</span><span className={styles.contractFundsValue}>{formatUsd18(roundInfo.limitUsd)}</span></div>
+                <div className={styles.row}>
+                  <span className={styles.contractFundsLabel}>Round Budget (USD)</span>
+                  <span className={styles.contractFundsSubValue}>
+                    {BigInt(roundInfo.budgetUsd || 0n) > 0n
+                      ? `${formatUsd18(roundInfo.budgetRemainingUsd)} left of ${formatUsd18(roundInfo.budgetUsd)}`
+                      : "No budget"}
+                  </span>
+                </div>
                 </div>
             </div>
 
             <div className={styles.card}>
               <div className={styles.stackSm}>
                 <div className={styles.row}><button type="button" className={styles.button} onClick={loadBasics}>Refresh</button></div>
-                <div className={styles.smallMuted}>Owner: {owner || "—"}</div>
+                <div className={styles.smallMuted}>Owner: {owner || "—"}{timelock && ` (VaultTimelock, admin ${timelock.admin})`}</div>
                 <div className={styles.smallMuted}>Account: {account || "—"}</div>
-                <div className={styles.smallMuted}>wONE: {wone || "—"}</div>
-                <div className={styles.smallMuted}>USDC: {usdc || "—"}</div>
-                <div className={styles.smallMuted}>Vault balances → wONE: {wBal} / USDC: {uBal}</div>
+                <div className={styles.smallMuted}>Your roles: {[isOwner && "Owner", ...heldRoles].filter(Boolean).join(", ") || "—"}</div>
+                {outputs.map((o) => (
+                  <div key={o.token} className={styles.smallMuted}>{o.symbol}: {o.token} · balance {outBal(o)}</div>
+                ))}
               </div>
             </div>
           </section>
@@ -630,104 +1133,404 @@ export default function AdminDash() {
           {/* Admin Controls */}
           <section className={cls(styles.grid3, styles.gridInner)}>
             {/* Daily Limit */}
-            <Section title="Daily Limit (USD)" right={null}>
+            <Section title="Daily Limit (USD)" right={<RoleBadge ok={isOwner} label="Owner" />}>
               <div className={styles.field}>
                 <label className={styles.smallMuted}>New Limit (USD, up to 4 decimals)</label>
                 <input className={styles.input} type="text" inputMode="decimal" placeholder="e.g. 100.1234" value={dailyLimit} onChange={(e) => setDailyLimit(e.target.value)} disabled={busy.daily} />
               </div>
               <div className={styles.row}>
-                <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={onSetDailyLimit} disabled={!canWrite || busy.daily}>{busy.daily ? "Updating…" : "Set Daily Limit"}</button>
+                <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={onSetDailyLimit} disabled={!can.owner || busy.daily}>{busy.daily ? "Updating…" : "Set Daily Limit"}</button>
+              </div>
+              <div className={styles.contractFundsSep}/>
+              {resetWin && (
+                <div className={styles.smallMuted}>
+                  Resets: {RESET_MODES[resetWin.mode] ?? resetWin.mode}, every {resetWin.interval / 3600} h
+                  {resetWin.mode === 1 ? ` · next ${tsToUTC(resetWin.nextReset)}` : " from each wallet's first redeem"}
+                </div>
+              )}
+              <div className={styles.row}>
+                <input className={styles.input} style={{ maxWidth: 140 }} type="text" inputMode="decimal" placeholder="Hours (e.g. 24)" value={resetHours} onChange={(e) => setResetHours(e.target.value)} disabled={busy.resetWin} />
+                <select className={styles.select} value={resetMode} onChange={(e) => setResetMode(e.target.value)} disabled={busy.resetWin}>
+                  {Object.entries(RESET_MODES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onSetResetWindow} disabled={!can.owner || busy.resetWin}>{busy.resetWin ? "Updating…" : "Set Reset Window"}</button>
               </div>
             </Section>
 
             {/* Lock / Unlock */}
-            <Section title="Lock Status" right={null}>
+            <Section title="Lock Status" right={<RoleBadge ok={Boolean(roles.PAUSER_ROLE)} label="Pauser" />}>
               <div className={styles.row}>
                 <label className={styles.smallMuted} style={{ marginRight: 12 }}>Locked?</label>
                 <input type="checkbox" checked={locked} onChange={() => {}} disabled />
               </div>
               <div className={styles.row}>
-                <button type="button" className={styles.button} onClick={onToggleLocked} disabled={!canWrite || busy.lock}>{busy.lock ? "Updating…" : locked ? "Unlock" : "Lock"}</button>
+                <button type="button" className={styles.button} onClick={onToggleLocked} disabled={!can.pause || busy.lock}>{busy.lock ? "Updating…" : locked ? "Unlock" : "Lock"}</button>
               </div>
-              <div className={styles.contractFundsSep}/>
-
-                <div className={styles.row}>
-                  <label className={styles.smallMuted} style={{ marginRight: 12 }}>Delay enabled?</label>
-                  <input type="checkbox" checked={roundDelayEnabled} onChange={() => {}} disabled />
-                </div>
-                <div className={styles.row}>
-                  <button
-                    type="button"
-                    className={styles.button}
-                    onClick={onToggleRoundDelay}
-                    disabled={!canWrite || busy.delay}
-                  >
-                    {busy.delay ? "Updating…" : (roundDelayEnabled ? "Disable Delay" : "Enable Delay")}
-                  </button>
-                </div>
-
             </Section>
 
             {/* Start New Round */}
-            <Section title="Start New Round" right={null}>
+            <Section title="Start New Round" right={<RoleBadge ok={Boolean(roles.ROUND_OPERATOR_ROLE)} label="Round operator" />}>
               <div className={styles.field}>
                 <label className={styles.smallMuted}>Round ID</label>
                 <input className={styles.input} type="number" min={0} inputMode="numeric" placeholder="e.g. 2" value={roundId} onChange={(e) => setRoundId(e.target.value)} disabled={busy.round} />
               </div>
               <div className={styles.row}>
-                <button type="button" className={styles.button} onClick={onStartNewRound} disabled={!canWrite || busy.round}>{busy.round ? "Scheduling…" : "Start New Round"}</button>
+                <button type="button" className={styles.button} onClick={onStartNewRound} disabled={!can.rounds || busy.round}>{busy.round ? "Scheduling…" : "Start New Round"}</button>
+              </div>
+              <div className={styles.contractFundsSep}/>
+              <div className={styles.row}>
+                <label className={styles.smallMuted} style={{ marginRight: 12 }}>Delay enabled?</label>
+                <input type="checkbox" checked={roundDelayEnabled} onChange={() => {}} disabled />
+              </div>
+              <div className={styles.row}>
+                <button
+                  type="button"
+                  className={styles.button}
+                  onClick={onToggleRoundDelay}
+                  disabled={!can.rounds || busy.delay}
+                >
+                  {busy.delay ? "Updating…" : (roundDelayEnabled ? "Disable Delay" : "Enable Delay")}
+                </button>
               </div>
             </Section>
           </section>
 
           {/* Advanced sections */}
-          <section className={cls(styles.grid2, styles.gridInner)}>
+          <section className={cls(styles.grid3, styles.gridInner)}>
+            {/* Round budget & per-token caps */}
+            <Section title="Round Budget & Token Caps" right={<RoleBadge ok={Boolean(roles.ROUND_OPERATOR_ROLE)} label="Round operator" />}>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Budget per round (USD, all wallets; empty or 0 disables)</label>
+                <input className={styles.input} type="text" inputMode="decimal" placeholder="e.g. 5000" value={roundBudget} onChange={(e) => setRoundBudget(e.target.value)} disabled={busy.roundBudget} />
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onSetRoundBudget} disabled={!can.rounds || busy.roundBudget}>{busy.roundBudget ? "Saving…" : "Set Round Budget"}</button>
+              </div>
+              <div className={styles.contractFundsSep}/>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Input token</label>
+                <select className={styles.select} value={capToken} onChange={(e) => setCapToken(e.target.value)} disabled={busy.roundCap}>
+                  <option value="">—</option>
+                  {supportedTokens.map((t) => (
+                    <option key={t} value={t}>{tokenSymbols[t] ? `${tokenSymbols[t]} (${t})` : t}</option>
+                  ))}
+                </select>
+              </div>
+              {capCurrent && (
+                <div className={styles.smallMuted}>
+                  {capCurrent.cap > 0n
+                    ? `Cap ${ethers.formatUnits(capCurrent.cap, capCurrent.decimals)} · used this round ${ethers.formatUnits(capCurrent.used, capCurrent.decimals)}`
+                    : "No cap for this token"}
+                </div>
+              )}
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Cap per round (token units; empty or 0 removes)</label>
+                <input className={styles.input} type="text" inputMode="decimal" placeholder="e.g. 25000" value={capAmount} onChange={(e) => setCapAmount(e.target.value)} disabled={busy.roundCap} />
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onSetRoundTokenCap} disabled={!can.rounds || busy.roundCap || !capToken}>{busy.roundCap ? "Saving…" : "Set Token Cap"}</button>
+              </div>
+            </Section>
+
+            {/* Scheduled rounds */}
+            <Section title="Schedule Rounds" right={<RoleBadge ok={Boolean(roles.ROUND_OPERATOR_ROLE)} label="Round operator" />}>
+              <div className={styles.smallMuted}>Scheduled rounds start by themselves at their start time, with their own fee (at most the highest tier) and daily limit. Start New Round replaces anything still scheduled. Scheduling is timelocked when a VaultTimelock holds the round-operator role.</div>
+              {roundSchedule.map((r) => (
+                <div key={String(r.roundId)} className={styles.smallMuted}>
+                  #{String(r.roundId)}: {tsToUTC(r.startTime)}{r.endTime > 0n ? ` → ${tsToUTC(r.endTime)}` : " (open-ended)"} · ${ethers.formatUnits(r.limitUsd, 18)}/day · {r.feeBps} bps
+                </div>
+              ))}
+              <div className={styles.row}>
+                <input className={styles.input} style={{ maxWidth: 120 }} type="number" min={0} inputMode="numeric" placeholder="Round ID" value={schedId} onChange={(e) => setSchedId(e.target.value)} disabled={busy.sched} />
+                <input className={styles.input} style={{ maxWidth: 120 }} type="number" min={0} max={Math.max(0, ...feeBps.map(Number))} inputMode="numeric" placeholder="Fee (bps)" value={schedFee} onChange={(e) => setSchedFee(e.target.value)} disabled={busy.sched} />
+              </div>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Start / End (local time; empty end = until the next round)</label>
+                <div className={styles.row}>
+                  <input className={styles.input} type="datetime-local" value={schedStart} onChange={(e) => setSchedStart(e.target.value)} disabled={busy.sched} />
+                  <input className={styles.input} type="datetime-local" value={schedEnd} onChange={(e) => setSchedEnd(e.target.value)} disabled={busy.sched} />
+                </div>
+              </div>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Daily limit (USD; empty = vault-wide limit)</label>
+                <input className={styles.input} type="text" inputMode="decimal" placeholder="e.g. 100" value={schedLimit} onChange={(e) => setSchedLimit(e.target.value)} disabled={busy.sched} />
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onScheduleRound} disabled={!can.rounds || busy.sched}>{busy.sched ? "Saving…" : "Schedule Round"}</button>
+                <button type="button" className={styles.button} onClick={onCancelSchedule} disabled={!can.rounds || busy.sched || roundSchedule.length === 0}>Cancel Scheduled</button>
+              </div>
+            </Section>
+
+            {/* Redemption statistics */}
+            <Section title="Redemption Stats" right={<button type="button" className={styles.button} onClick={loadBasics}>Refresh</button>}>
+              {roundStats ? (
+                <>
+                  <div className={styles.smallMuted}>Round #{String(roundInfo.roundId)} (vault redeems and settlement modules)</div>
+                  <div className={styles.smallMuted}>Redeemed ${ethers.formatUnits(roundStats.usdIn18, 18)} · fees ${ethers.formatUnits(roundStats.feesUsd18, 18)} · {roundStats.redeemers} wallets</div>
+                  <div className={styles.smallMuted}>Paid out {roundStats.paidOut.map((x) => {
+                    const o = outputs.find((o) => toLower(o.token) === toLower(x.token));
+                    return `${ethers.formatUnits(x.amount, o?.decimals ?? 18)} ${o?.symbol ?? x.token}`;
+                  }).join(" · ")}</div>
+                </>
+              ) : (
+                <div className={styles.smallMuted}>No statistics available</div>
+              )}
+              <div className={styles.contractFundsSep}/>
+              {tokenStats.map((t) => (
+                <div key={t.token} className={styles.smallMuted}>
+                  {tokenSymbols[t.token] || t.token}: burned {ethers.formatUnits(t.burned, t.decimals)} · sunk {ethers.formatUnits(t.sunk, t.decimals)}
+                </div>
+              ))}
+            </Section>
+
             {/* Wallets */}
-            <Section title="Wallets (Dev / RMC)">
+            <Section title="Wallets (Dev / RMC)" right={<RoleBadge ok={isOwner} label="Owner" />}>
               <div className={styles.field}>
                 <label className={styles.smallMuted}>Dev Wallet</label>
                 <input className={styles.input} placeholder="0x..." value={devWallet} onChange={(e) => setDevWallet(e.target.value)} disabled={busy.dev} />
               </div>
               <div className={styles.row}>
-                <button type="button" className={styles.button} onClick={onSetDevWallet} disabled={!canWrite || busy.dev}>{busy.dev ? "Updating…" : "Set Dev Wallet"}</button>
+                <button type="button" className={styles.button} onClick={onSetDevWallet} disabled={!can.owner || busy.dev}>{busy.dev ? "Updating…" : "Set Dev Wallet"}</button>
               </div>
               <div className={styles.field}>
                 <label className={styles.smallMuted}>RMC Wallet</label>
                 <input className={styles.input} placeholder="0x..." value={rmcWallet} onChange={(e) => setRmcWallet(e.target.value)} disabled={busy.rmc} />
               </div>
               <div className={styles.row}>
-                <button type="button" className={styles.button} onClick={onSetRmcWallet} disabled={!canWrite || busy.rmc}>{busy.rmc ? "Updating…" : "Set RMC Wallet"}</button>
+                <button type="button" className={styles.button} onClick={onSetRmcWallet} disabled={!can.owner || busy.rmc}>{busy.rmc ? "Updating…" : "Set RMC Wallet"}</button>
+              </div>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Fee Split</label>
+                <div className={styles.smallMuted}>
+                  {feeSplit.length ? "Shares in BPS must add up to 10000." : "No split set: the whole fee goes to the Dev Wallet."}
+                  {" "}Remove every row and save to go back to the Dev Wallet only.
+                </div>
+              </div>
+              <div className={styles.stackSm}>
+                {feeSplit.map((r, i) => (
+                  <div key={i} className={styles.row}>
+                    <input className={styles.input} style={{ maxWidth: 380 }} placeholder="0x..." value={r.wallet} onChange={(e) => setFeeSplit((arr) => arr.map((v, idx) => idx === i ? { ...v, wallet: e.target.value } : v))} disabled={busy.split} />
+                    <input className={styles.input} style={{ maxWidth: 100 }} placeholder="bps" value={r.bps} onChange={(e) => setFeeSplit((arr) => arr.map((v, idx) => idx === i ? { ...v, bps: e.target.value } : v))} disabled={busy.split} />
+                    <button type="button" className={styles.button} onClick={() => setFeeSplit((arr) => arr.filter((_, idx) => idx !== i))} disabled={busy.split}>Remove</button>
+                  </div>
+                ))}
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={() => setFeeSplit((arr) => [...arr, { wallet: arr.length ? "" : devWallet, bps: arr.length ? "0" : "10000" }])} disabled={busy.split || feeSplit.length >= 5}>Add Recipient</button>
+                <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={onSaveFeeSplit} disabled={!can.owner || busy.split}>{busy.split ? "Saving…" : "Save Fee Split"}</button>
               </div>
             </Section>
 
-            {/* Oracle & Merkle */}
-            <Section title="Oracle & Merkle">
+            {/* Oracle */}
+            <Section title="Oracle & Price Bounds" right={<RoleBadge ok={Boolean(roles.PRICE_SETTER_ROLE)} label="Price setter" />}>
               <div className={styles.field}>
                 <label className={styles.smallMuted}>Oracle Address</label>
                 <input className={styles.input} placeholder="0x..." value={oracleAddr} onChange={(e) => setOracleAddr(e.target.value)} disabled={busy.oracle} />
               </div>
+              <div className={styles.smallMuted}>Swapping the oracle is timelocked when a VaultTimelock holds the price-setter role (its admin queues the change).</div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onSetOracle} disabled={!can.price || busy.oracle}>{busy.oracle ? "Updating…" : "Set Oracle"}</button>
+              </div>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Oracle Max Age (seconds, 0 disables)</label>
+                <input className={styles.input} type="text" inputMode="numeric" placeholder="e.g. 3600" value={oracleMaxAge} onChange={(e) => setOracleMaxAge(e.target.value)} disabled={busy.oracleAge} />
+              </div>
               <div className={styles.row}>
-                <button type="button" className={styles.button} onClick={onSetOracle} disabled={!canWrite || busy.oracle}>{busy.oracle ? "Updating…" : "Set Oracle"}</button>
+                <button type="button" className={styles.button} onClick={onSetOracleMaxAge} disabled={!can.price || busy.oracleAge}>{busy.oracleAge ? "Updating…" : "Set Max Age"}</button>
               </div>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>ONE Price Bounds (USD, empty disables)</label>
+                <div className={styles.row}>
+                  <input className={styles.input} type="text" inputMode="decimal" placeholder="Min e.g. 0.005" value={minPriceUsd} onChange={(e) => setMinPriceUsd(e.target.value)} disabled={busy.priceBounds} />
+                  <input className={styles.input} type="text" inputMode="decimal" placeholder="Max e.g. 0.5" value={maxPriceUsd} onChange={(e) => setMaxPriceUsd(e.target.value)} disabled={busy.priceBounds} />
+                </div>
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onSetPriceBounds} disabled={!can.price || busy.priceBounds}>{busy.priceBounds ? "Updating…" : "Set Price Bounds"}</button>
+              </div>
+            </Section>
+
+            {/* Merkle */}
+            <Section title="Whitelist & Claim Caps" right={<RoleBadge ok={Boolean(roles.WHITELIST_MANAGER_ROLE)} label="Whitelist manager" />}>
               <div className={styles.field}>
                 <label className={styles.smallMuted}>Merkle Root (bytes32)</label>
                 <input className={styles.input} placeholder="0x...32bytes" value={merkleRoot} onChange={(e) => setMerkleRoot(e.target.value)} disabled={busy.merkle} />
               </div>
+              <div className={styles.smallMuted}>The whitelist root is timelocked when a VaultTimelock holds the whitelist-manager role (its admin queues the change).</div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onSetMerkleRoot} disabled={!can.whitelist || busy.merkle}>{busy.merkle ? "Updating…" : "Set Merkle Root"}</button>
+              </div>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Claim Cap Root (bytes32, zero disables caps)</label>
+                <input className={styles.input} placeholder="0x...32bytes" value={capRoot} onChange={(e) => setCapRoot(e.target.value)} disabled={busy.capRoot} />
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onSetCapRoot} disabled={!can.whitelist || busy.capRoot}>{busy.capRoot ? "Updating…" : "Set Cap Root"}</button>
+              </div>
+            </Section>
+          </section>
+
+          {/* Timelock: queued changes */}
+          {timelock && (
+            <section className={cls(styles.grid1, styles.gridInner)}>
+              <Section title="Pending changes" right={<button type="button" className={styles.button} onClick={loadTimelock}>Refresh</button>}>
+                <div className={styles.smallMuted}>
+                  Timelock {timelock.address}: oracle, fixed prices, output tokens, fee tiers, daily limit, scheduled rounds, reset window, dev wallet, fee split, merkle root, migration registry, role grants and ownership changes wait {fmtCountdown(timelock.delay)} after being queued,
+                  then anyone can execute them within {fmtCountdown(timelock.gracePeriod)}. Only the admin can cancel.
+                </div>
+                <div className={styles.field}>
+                  <label className={styles.smallMuted}>Delay (hours; the change itself is queued)</label>
+                  <input className={styles.input} type="text" inputMode="decimal" placeholder="e.g. 48" value={timelockDelayHours} onChange={(e) => setTimelockDelayHours(e.target.value)} disabled={busy.tlDelay} />
+                </div>
+                <div className={styles.row}>
+                  <button type="button" className={styles.button} onClick={onQueueTimelockDelay} disabled={!can.owner || busy.tlDelay}>{busy.tlDelay ? "Queueing…" : "Queue Delay Change"}</button>
+                </div>
+                <div className={styles.smallMuted}>Queued ({pendingChanges.length})</div>
+                {pendingChanges.map((c) => {
+                  const left = Number(c.eta) - nowSec;
+                  const expired = nowSec > Number(c.eta + timelock.gracePeriod);
+                  return (
+                    <div key={c.id} className={styles.row}>
+                      <span className={styles.contractFundsSubValue} style={{ wordBreak: "break-all" }}>
+                        {c.label} · {expired ? "expired" : left > 0 ? `in ${fmtCountdown(left)} (${tsToUTC(c.eta)})` : "ready"}
+                      </span>
+                      <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={() => onExecuteChange(c)} disabled={!canWrite || !!busy.change || left > 0 || expired}>
+                        {busy.change === c.id ? "Working…" : "Execute"}
+                      </button>
+                      <button type="button" className={`${styles.button} ${styles.buttonWarn}`} onClick={() => onCancelChange(c)} disabled={!can.owner || !!busy.change}>Cancel</button>
+                    </div>
+                  );
+                })}
+              </Section>
+            </section>
+          )}
+
+          {/* Wallet migrations */}
+          <section className={cls(styles.grid1, styles.gridInner)}>
+            <Section title="Wallet Migrations" right={<button type="button" className={styles.button} onClick={loadMigrations}>Refresh</button>}>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Migration Registry (empty disables)</label>
+                <input className={styles.input} placeholder="0x..." value={migrationAddr} onChange={(e) => setMigrationAddr(e.target.value)} disabled={busy.migration} />
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={onSetMigration} disabled={!can.owner || busy.migration}>{busy.migration ? "Updating…" : "Set Registry"}</button>
+              </div>
+              {migrationAddr && (
+                <>
+                  <div className={styles.field}>
+                    <label className={styles.smallMuted}>Veto Window (hours)</label>
+                    <input className={styles.input} type="text" inputMode="decimal" placeholder="e.g. 48" value={vetoWindowHours} onChange={(e) => setVetoWindowHours(e.target.value)} disabled={busy.vetoWindow} />
+                  </div>
+                  <div className={styles.row}>
+                    <button type="button" className={styles.button} onClick={onSetVetoWindow} disabled={!canWrite || busy.vetoWindow}>{busy.vetoWindow ? "Updating…" : "Set Veto Window"}</button>
+                  </div>
+                  <div className={styles.smallMuted}>Pending requests ({pendingMigrations.length})</div>
+                  {pendingMigrations.map((m) => (
+                    <div key={m.oldWallet} className={styles.row}>
+                      <span className={styles.contractFundsSubValue}>{m.oldWallet} → {m.newWallet} · executable after {tsToUTC(m.readyAt)}</span>
+                      <button type="button" className={`${styles.button} ${styles.buttonWarn}`} onClick={() => onVetoMigration(m.oldWallet)} disabled={!canWrite || !!busy.veto}>
+                        {busy.veto === m.oldWallet ? "Vetoing…" : "Veto"}
+                      </button>
+                    </div>
+                  ))}
+                </>
+              )}
+            </Section>
+          </section>
+
+          {/* Claim window (pro-rata mode) */}
+          {claimWindowSvc.getClaimWindowAddress() && (
+            <section className={cls(styles.grid1, styles.gridInner)}>
+              <Section title="Claim Window (pro-rata)" right={<button type="button" className={styles.button} onClick={loadClaimWindow}>Refresh</button>}>
+                <div className={styles.smallMuted}>Module: {claimWindowSvc.getClaimWindowAddress()}</div>
+                <div className={styles.row}>
+                  <span className={styles.contractFundsLabel}>Can release vault liquidity</span>
+                  <Badge ok={claimWinRole} textTrue="Yes" textFalse="No" />
+                  {!claimWinRole && (
+                    <button type="button" className={styles.button} onClick={onGrantSettlementRole} disabled={!can.owner || busy.claimWin}>Grant SETTLEMENT_ROLE</button>
+                  )}
+                </div>
+                <div className={styles.smallMuted}>
+                  {claimWin
+                    ? `Window #${String(claimWin.id)}: ${tsToUTC(claimWin.start)} → ${tsToUTC(claimWin.end)} · ${claimWindowSvc.windowPhase(claimWin)}`
+                    : "No window opened yet"}
+                </div>
+                <div className={styles.field}>
+                  <label className={styles.smallMuted}>Opens in (hours) / Duration (hours)</label>
+                  <div className={styles.row}>
+                    <input className={styles.input} type="text" inputMode="decimal" value={claimStartHours} onChange={(e) => setClaimStartHours(e.target.value)} disabled={busy.claimWin} style={{ maxWidth: 120 }} />
+                    <input className={styles.input} type="text" inputMode="decimal" value={claimDurationHours} onChange={(e) => setClaimDurationHours(e.target.value)} disabled={busy.claimWin} style={{ maxWidth: 120 }} />
+                  </div>
+                </div>
+                <div className={styles.row}>
+                  <button type="button" className={styles.button} onClick={onOpenClaimWindow} disabled={!canWrite || busy.claimWin || (claimWin && !claimWin.finalized)}>{busy.claimWin ? "Sending…" : "Open Window"}</button>
+                </div>
+                <div className={styles.smallMuted}>Requests count against each wallet's daily limit and lifetime cap, shared with direct redeems; the vault must stay unlocked while a window runs.</div>
+              </Section>
+            </section>
+          )}
+
+          {/* Redemption queue */}
+          {queueSvc.getQueueAddress() && (
+            <section className={cls(styles.grid1, styles.gridInner)}>
+              <Section title="Redemption Queue" right={<button type="button" className={styles.button} onClick={loadQueue}>Refresh</button>}>
+                <div className={styles.smallMuted}>Module: {queueSvc.getQueueAddress()}</div>
+                <div className={styles.row}>
+                  <span className={styles.contractFundsLabel}>Can release vault liquidity</span>
+                  <Badge ok={queueRole} textTrue="Yes" textFalse="No" />
+                  {!queueRole && (
+                    <button type="button" className={styles.button} onClick={onGrantQueueRole} disabled={!can.owner || !!busy.queue}>Grant SETTLEMENT_ROLE</button>
+                  )}
+                </div>
+                {outputs.map((o) => (
+                  <div key={o.token} className={styles.row}>
+                    <span className={styles.contractFundsLabel}>{o.symbol} queue</span>
+                    <span className={styles.contractFundsValue}>
+                      {queueStats[o.token] ? `${queueStats[o.token].length} entries · ${ethers.formatUnits(queueStats[o.token].pendingOut, o.decimals)} ${o.symbol} owed` : "—"}
+                    </span>
+                    <button type="button" className={styles.button} onClick={() => onProcessQueue(o.token)} disabled={!canWrite || !!busy.queue || !queueStats[o.token]?.length || !(o.balance > 0n)}>
+                      {busy.queue === o.token ? "Processing…" : "Process"}
+                    </button>
+                  </div>
+                ))}
+                <div className={styles.smallMuted}>After funding the vault, process the queue before reopening FCFS redeems so queued wallets are paid first. Anyone can call process.</div>
+              </Section>
+            </section>
+          )}
+
+          {/* Roles */}
+          <section className={cls(styles.grid1, styles.gridInner)}>
+            <Section title="Roles" right={<RoleBadge ok={isOwner} label="Owner" />}>
+              <div className={styles.smallMuted}>
+                Operational roles are granted by the owner. Fees, wallets, tokens and the migration registry stay owner-only. With a VaultTimelock owner, leave the price-setter and whitelist-manager roles to the timelock alone so oracle and whitelist root changes are delayed too.
+              </div>
               <div className={styles.row}>
-                <button type="button" className={styles.button} onClick={onSetMerkleRoot} disabled={!canWrite || busy.merkle}>{busy.merkle ? "Updating…" : "Set Merkle Root"}</button>
+                <select className={styles.select} style={{ maxWidth: 220 }} value={roleKey} onChange={(e) => setRoleKey(e.target.value)} disabled={busy.role}>
+                  {adminService.ROLES.map((r) => <option key={r.key} value={r.key}>{r.label}</option>)}
+                </select>
+                <input className={styles.input} placeholder="0x... account" value={roleAccount} onChange={(e) => setRoleAccount(e.target.value)} disabled={busy.role} />
+              </div>
+              {roleAccountHas !== null && (
+                <div className={styles.smallMuted}>This account {roleAccountHas ? "holds" : "does not hold"} the role.</div>
+              )}
+              <div className={styles.row}>
+                <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={() => onUpdateRole(true)} disabled={!can.owner || busy.role || roleAccountHas === true}>{busy.role ? "Updating…" : "Grant"}</button>
+                <button type="button" className={`${styles.button} ${styles.buttonWarn}`} onClick={() => onUpdateRole(false)} disabled={!can.owner || busy.role || roleAccountHas === false}>Revoke</button>
               </div>
             </Section>
           </section>
 
           {/* Transfer Ownership */}
           <section className={cls(styles.grid1, styles.gridInner)}>
-            <Section title="Transfer Ownership">
+            <Section title="Transfer Ownership" right={<RoleBadge ok={isOwner} label="Owner" />}>
               <div className={styles.field}>
                 <label className={styles.smallMuted}>New Owner Address</label>
                 <input className={styles.input} placeholder="0x..." value={newOwner} onChange={(e) => setNewOwner(e.target.value)} disabled={busy.ownerXfer} />
               </div>
               <div className={styles.row}>
-                <button type="button" className={`${styles.button} ${styles.buttonWarn}`} onClick={onTransferOwnership} disabled={!canWrite || busy.ownerXfer}>
+                <button type="button" className={`${styles.button} ${styles.buttonWarn}`} onClick={onTransferOwnership} disabled={!can.owner || busy.ownerXfer}>
                   {busy.ownerXfer ? "Transferring…" : "Transfer Ownership"}
                 </button>
               </div>
@@ -737,7 +1540,7 @@ export default function AdminDash() {
 
           <section className={cls(styles.grid2, styles.gridInner)}>
             {/* Supported Tokens */}
-            <Section title="Supported Tokens">
+            <Section title="Supported Tokens" right={<RoleBadge ok={isOwner} label="Owner" />}>
               <div className={styles.field}>
                 <label className={styles.smallMuted}>Select token</label>
                 <select className={styles.select} value={tokenSel} onChange={(e) => setTokenSel(e.target.value)} disabled={busy.token || busy.tokenPrice}>
@@ -758,7 +1561,7 @@ export default function AdminDash() {
                 <input type="checkbox" checked={tokenAllowed} onChange={(e) => setTokenAllowed(e.target.checked)} disabled={busy.token || busy.tokenPrice} />
               </div>
               <div className={styles.row}>
-                <button type="button" className={styles.button} onClick={onUpdateSupportedToken} disabled={!canWrite || busy.token}>{busy.token ? "Updating…" : "Update Supported Token"}</button>
+                <button type="button" className={styles.button} onClick={onUpdateSupportedToken} disabled={!can.owner || busy.token}>{busy.token ? "Updating…" : "Update Supported Token"}</button>
               </div>
 
               <div className={styles.contractFundsSep} />
@@ -766,15 +1569,15 @@ export default function AdminDash() {
               <div className={styles.field}>
                 <label className={styles.smallMuted}>Fixed Price (USD)</label>
                 <input className={styles.input} type="number" step="any" inputMode="decimal" placeholder="e.g. 1.00 (0 to clear)" value={fixedPrice} onChange={(e) => setFixedPrice(e.target.value)} disabled={busy.tokenPrice} />
-                <div className={styles.smallMuted}>Stored on-chain as 18 decimals. Applies only to tokens where fixed pricing is used.</div>
+                <div className={styles.smallMuted}>Stored on-chain as 18 decimals. Applies only to tokens where fixed pricing is used. Requires the Price setter role.</div>
               </div>
               <div className={styles.row}>
-                <button type="button" className={styles.button} onClick={onSetFixedUsdPrice} disabled={!canWrite || busy.tokenPrice || !(tokenSel || tokenInput)}>{busy.tokenPrice ? "Saving…" : "Set Fixed USD Price"}</button>
+                <button type="button" className={styles.button} onClick={onSetFixedUsdPrice} disabled={!can.price || busy.tokenPrice || !(tokenSel || tokenInput)}>{busy.tokenPrice ? "Saving…" : "Set Fixed USD Price"}</button>
               </div>
             </Section>
 
             {/* Fee Tiers */}
-            <Section title="Fee Tiers">
+            <Section title="Fee Tiers" right={<RoleBadge ok={isOwner} label="Owner" />}>
               <div className={styles.smallMuted}>Thresholds are in whole USD. BPS must be thresholds.length + 1.</div>
               <div className={styles.stackSm}>
                 {feeThresholds.map((th, i) => (
@@ -794,23 +1597,63 @@ export default function AdminDash() {
                 </div>
               </div>
               <div className={styles.row}>
-                <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={onSaveFeeTiers} disabled={!canWrite || busy.fee}>{busy.fee ? "Saving…" : "Save Fee Tiers"}</button>
+                <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={onSaveFeeTiers} disabled={!can.owner || busy.fee}>{busy.fee ? "Saving…" : "Save Fee Tiers"}</button>
               </div>
             </Section>
           </section>
 
           <section className={cls(styles.grid1, styles.gridInner)}>
+            {/* Output Tokens */}
+            <Section title="Output Tokens" right={<RoleBadge ok={isOwner} label="Owner" />}>
+              <div className={styles.smallMuted}>Tokens redeems can pay out. Oracle uses the ONE/USD oracle, Peg counts 1 token as $1, Fixed uses the price below. Up to 8 outputs.</div>
+              {outputs.map((o) => (
+                <div key={o.token} className={styles.row}>
+                  <span className={styles.contractFundsLabel} style={{ width: 120 }}>{o.symbol}</span>
+                  <span className={styles.contractFundsValue}>
+                    {OUTPUT_PRICING[o.pricing]}{o.pricing === 3 ? ` $${ethers.formatUnits(o.price18, 18)}` : ""} · {fmt(outBal(o), o.pricing === 2 ? 2 : 4)} (${fmt(ethers.formatUnits(o.usd18, 18), 2)})
+                  </span>
+                  <button type="button" className={styles.button} onClick={() => { setOutToken(o.token); setOutPricing(String(o.pricing)); setOutPrice(o.pricing === 3 ? ethers.formatUnits(o.price18, 18) : ""); }} disabled={busy.output}>Edit</button>
+                </div>
+              ))}
+              <div className={styles.row}>
+                <input className={styles.input} style={{ maxWidth: 380 }} placeholder="Token address 0x..." value={outToken} onChange={(e) => setOutToken(e.target.value)} disabled={busy.output} />
+                <select className={styles.select} style={{ maxWidth: 140 }} value={outPricing} onChange={(e) => setOutPricing(e.target.value)} disabled={busy.output}>
+                  {Object.entries(OUTPUT_PRICING).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+                {outPricing === "3" && (
+                  <input className={styles.input} style={{ maxWidth: 140 }} type="number" step="any" inputMode="decimal" placeholder="USD price" value={outPrice} onChange={(e) => setOutPrice(e.target.value)} disabled={busy.output} />
+                )}
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={styles.button} onClick={() => onSetOutputToken(false)} disabled={!can.owner || busy.output || !outToken}>{busy.output ? "Saving…" : "Add / Update Output"}</button>
+                <button type="button" className={styles.button} onClick={() => onSetOutputToken(true)} disabled={!can.owner || busy.output || !outputs.some((o) => toLower(o.token) === toLower(outToken))}>Remove Output</button>
+              </div>
+            </Section>
+
             {/* Withdraw */}
-            <Section title="Withdraw Funds">
+            <Section title="Withdraw Funds" right={<RoleBadge ok={Boolean(roles.TREASURER_ROLE)} label="Treasurer" />}>
               <div className={styles.row}>
                 <label className={styles.smallMuted} style={{ width: 120 }}>Token</label>
-                <select className={styles.select} style={{ maxWidth: 380 }} value={tokenSel} onChange={(e) => setTokenSel(e.target.value)} disabled={busy.wd}>
+                <select className={styles.select} style={{ maxWidth: 380 }} value={wdToken} onChange={(e) => setWdToken(e.target.value)} disabled={busy.wd}>
                   <option value="">—</option>
-                  {wone && <option value={wone}>wONE ({fmt(wBal)})</option>}
-                  {usdc && <option value={usdc}>USDC ({fmt(uBal)})</option>}
+                  {outputs.map((o) => <option key={o.token} value={o.token}>{o.symbol} ({fmt(outBal(o), o.pricing === 2 ? 2 : 4)})</option>)}
+                  <option value="other">Other token (rescue)…</option>
+                  <option value="native">ONE (native, rescue)</option>
                 </select>
-                <button type="button" className={styles.button} onClick={onWithdrawFunds} disabled={!canWrite || busy.wd || !tokenSel}>{busy.wd ? "Withdrawing…" : "Withdraw"}</button>
+                {wdToken === "other" && (
+                  <input className={styles.input} style={{ maxWidth: 380 }} placeholder="Token address 0x..." value={wdOther} onChange={(e) => setWdOther(e.target.value)} disabled={busy.wd} />
+                )}
+              </div>
+              <div className={styles.row}>
+                <label className={styles.smallMuted} style={{ width: 120 }}>Amount</label>
+                <input className={styles.input} style={{ maxWidth: 200 }} placeholder={outputs.some((o) => o.token === wdToken) ? "empty = full balance" : "amount"} value={wdAmount} onChange={(e) => setWdAmount(e.target.value)} disabled={busy.wd} />
+              </div>
+              <div className={styles.row}>
+                <label className={styles.smallMuted} style={{ width: 120 }}>Recipient</label>
+                <input className={styles.input} style={{ maxWidth: 380 }} placeholder={rmcWallet ? `${rmcWallet} (RMC wallet)` : "0x..."} value={wdTo} onChange={(e) => setWdTo(e.target.value)} disabled={busy.wd} />
+                <button type="button" className={styles.button} onClick={onWithdrawFunds} disabled={!can.treasury || busy.wd || !wdToken}>{busy.wd ? "Sending…" : outputs.some((o) => o.token === wdToken) ? "Withdraw" : "Rescue"}</button>
               </div>
+              <div className={styles.smallMuted}>Output tokens go through withdrawTo / withdrawFunds; any other token (or ONE) through rescueToken, which can never move output tokens.</div>
             </Section>
           </section>
 
@@ -0,0 +1,232 @@
+// Migrate.jsx — move redeem eligibility from a compromised wallet to a new one
+// Step 1: connect the OLD wallet and sign (EIP-712) a message naming the new address
+// Step 2: connect the NEW wallet and submit the signature; the admin veto window starts
+// Step 3: after the window anyone can execute; the new wallet then redeems with the old wallet's proof
+
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import styles from "@/styles/Global.module.css";
+import { useContractContext } from "@/contexts/ContractContext";
+import Footer from "@/ui/layout/footer";
+import WalletConnection from "@/components/wallet/WalletConnection";
+import * as core from "@/services/vaultCore";
+import * as migrationSvc from "@/services/migrationService";
+import { checkWhitelist } from "@/services/whitelistService";
+import { isAddress } from "ethers";
+
+const PAYLOAD_KEY = "rv:migration";
+
+const cls = (...cx) => cx.filter(Boolean).join(" ");
+const sameAddr = (a, b) => !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+
+function tsToUTC(tsSec) {
+  const ts = Number(tsSec || 0);
+  if (!ts) return "–";
+  const d = new Date(ts * 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())} UTC`;
+}
+
+function parsePayload(text) {
+  try {
+    const p = JSON.parse(String(text || "").trim());
+    if (!isAddress(p?.oldWallet) || !isAddress(p?.newWallet) || !p?.signature || !p?.deadline) return null;
+    return p;
+  } catch { return null; }
+}
+
+function Alert({ type = "info", children }) {
+  const map = { info: styles.info, success: styles.success, warning: styles.warning, error: styles.error };
+  return (<div role="alert" className={cls(styles.alert, map[type] || styles.info)}>{children}</div>);
+}
+
+function HeaderFrame() {
+  return (
+    <header className={styles.header}>
+      <div className={styles.containerWide}>
+        <div className={styles.headerInner}>
+          <div className={styles.headerLeft}>
+            <a href="/"><img src="/logo.png" alt="Recovery Vault" className={styles.logoImg} /></a>
+          </div>
+          <div className={styles.headerCenter}>
+            <div className={styles.brandText} style={{ fontWeight: 700 }}>Wallet Migration</div>
+          </div>
+          <div className={styles.headerRight}>
+            <div className={styles.headerRightInner}>
+              <WalletConnection />
+            </div>
+          </div>
+        </div>
+      </div>
+    </header>
+  );
+}
+
+export default function Migrate() {
+  const { provider: ctxProvider, signer, account } = useContractContext();
+  const readProvider = useMemo(() => {
+    if (ctxProvider) return ctxProvider;
+    try { return core.getDefaultProvider(); } catch { return null; }
+  }, [ctxProvider]);
+
+  const [enabled, setEnabled] = useState(null); // null = loading
+  const [status, setStatus] = useState(null);
+  const [eligible, setEligible] = useState(null);
+  const [newWallet, setNewWallet] = useState("");
+  const [payloadText, setPayloadText] = useState(() => { try { return localStorage.getItem(PAYLOAD_KEY) || ""; } catch { return ""; } });
+  const [busy, setBusy] = useState("");
+  const [notice, setNotice] = useState(null);
+
+  const payload = useMemo(() => parsePayload(payloadText), [payloadText]);
+  const nowSec = Math.floor(Date.now() / 1000);
+
+  const loadStatus = useCallback(async () => {
+    if (!readProvider) return;
+    const reg = await migrationSvc.getRegistryAddress(readProvider).catch(() => null);
+    setEnabled(!!reg);
+    if (!reg || !account) { setStatus(null); setEligible(null); return; }
+    try {
+      const [st, wl] = await Promise.all([
+        migrationSvc.getMigrationStatus(readProvider, account),
+        checkWhitelist(readProvider, account).catch(() => null),
+      ]);
+      setStatus(st);
+      setEligible(!!wl?.ok);
+    } catch (e) {
+      setNotice({ type: "error", msg: migrationSvc.prettyMigrationError(e) });
+    }
+  }, [readProvider, account]);
+
+  useEffect(() => { loadStatus(); }, [loadStatus]);
+
+  const onSign = useCallback(async () => {
+    setNotice(null);
+    setBusy("sign");
+    try {
+      if (!signer) throw new Error("Connect the old (compromised) wallet first");
+      const p = await migrationSvc.signMigration(signer, newWallet.trim());
+      const text = JSON.stringify(p);
+      setPayloadText(text);
+      try { localStorage.setItem(PAYLOAD_KEY, text); } catch {}
+      setNotice({ type: "success", msg: "Signature created. Now switch to the new wallet in your wallet app and submit it below." });
+    } catch (e) {
+      setNotice({ type: "error", msg: migrationSvc.prettyMigrationError(e) });
+    } finally { setBusy(""); }
+  }, [signer, newWallet]);
+
+  const onSubmit = useCallback(async () => {
+    setNotice(null);
+    setBusy("submit");
+    try {
+      if (!signer) throw new Error("Connect the new wallet first");
+      if (!payload) throw new Error("Paste a valid migration signature");
+      const rc = await migrationSvc.requestMigration(signer, payload);
+      try { localStorage.removeItem(PAYLOAD_KEY); } catch {}
+      setNotice({ type: "success", msg: `Migration requested in block ${rc?.blockNumber}. It can be executed after the veto window.` });
+      await loadStatus();
+    } catch (e) {
+      setNotice({ type: "error", msg: migrationSvc.prettyMigrationError(e) });
+    } finally { setBusy(""); }
+  }, [signer, payload, loadStatus]);
+
+  const onExecute = useCallback(async (oldWallet) => {
+    setNotice(null);
+    setBusy("execute");
+    try {
+      if (!signer) throw new Error("Connect a wallet to send the transaction");
+      const rc = await migrationSvc.executeMigration(signer, oldWallet);
+      setNotice({ type: "success", msg: `Migration executed in block ${rc?.blockNumber}.` });
+      await loadStatus();
+    } catch (e) {
+      setNotice({ type: "error", msg: migrationSvc.prettyMigrationError(e) });
+    } finally { setBusy(""); }
+  }, [signer, loadStatus]);
+
+  const newWalletValid = isAddress(newWallet.trim()) && !sameAddr(newWallet.trim(), account);
+  const canSubmit = !!payload && sameAddr(payload.newWallet, account) && Number(payload.deadline) > nowSec;
+  const vetoHours = status ? Number(status.vetoWindow) / 3600 : null;
+
+  // Pending request seen from either side (old wallet: pendingTo; new wallet: pendingFrom)
+  const pendingOld = status?.pendingTo ? account : status?.pendingFrom;
+
+  return (
+    <div className={styles.page}>
+      <HeaderFrame />
+      <main className={styles.content}>
+        <div className={styles.containerWide}>
+          {notice && <Alert type={notice.type}>{notice.msg}</Alert>}
+          {enabled === false && <Alert type="warning">Wallet migration is not enabled on this vault.</Alert>}
+          {!account && <Alert type="info">Connect a wallet to continue.</Alert>}
+
+          {account && status && (
+            <section className={styles.card} style={{ padding: 16 }}>
+              <h3 className={styles.h3} style={{ marginTop: 0 }}>Connected wallet</h3>
+              <div className={styles.smallMuted}>{account}</div>
+              {status.migratedFrom && <Alert type="success">This wallet redeems on behalf of {status.migratedFrom}.</Alert>}
+              {status.migratedTo && <Alert type="info">Eligibility of this wallet was moved to {status.migratedTo}.</Alert>}
+              {pendingOld && (
+                <Alert type="warning">
+                  Migration {status.pendingTo ? `to ${status.pendingTo}` : `from ${status.pendingFrom}`} is pending. Both wallets are frozen until it is executed.
+                  {status.pendingTo && <> Executable after {tsToUTC(status.readyAt)}.</>}
+                </Alert>
+              )}
+              {pendingOld && status.pendingTo && (
+                <div className={styles.row}>
+                  <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={() => onExecute(pendingOld)} disabled={!!busy || Number(status.readyAt) > nowSec}>
+                    {busy === "execute" ? "Executing…" : "Execute migration"}
+                  </button>
+                </div>
+              )}
+              {!status.migratedFrom && !status.migratedTo && !pendingOld && eligible === false && (
+                <div className={styles.smallMuted}>This wallet is not on the pre-hack whitelist; it can only be used as a new wallet.</div>
+              )}
+            </section>
+          )}
+
+          <section className={cls(styles.grid2, styles.gridInner)}>
+            <section className={styles.card} style={{ padding: 16 }}>
+              <h3 className={styles.h3} style={{ marginTop: 0 }}>1. Sign with the old wallet</h3>
+              <div className={styles.smallMuted}>
+                Connect the whitelisted (compromised) wallet and name the new address. This only signs a message; no gas is spent.
+              </div>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>New wallet address</label>
+                <input className={styles.input} type="text" placeholder="0x…" value={newWallet} onChange={(e) => setNewWallet(e.target.value)} disabled={!!busy} spellCheck={false} />
+              </div>
+              <div className={styles.row}>
+                <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={onSign} disabled={!enabled || !signer || !newWalletValid || !eligible || !!busy}>
+                  {busy === "sign" ? "Signing…" : "Sign migration"}
+                </button>
+              </div>
+              {account && eligible === false && <div className={styles.smallMuted}>The connected wallet is not eligible, so it cannot be migrated.</div>}
+            </section>
+
+            <section className={styles.card} style={{ padding: 16 }}>
+              <h3 className={styles.h3} style={{ marginTop: 0 }}>2. Submit from the new wallet</h3>
+              <div className={styles.smallMuted}>
+                Switch to the new wallet and submit the signature. {vetoHours != null && `The request can be vetoed by the admin for ${vetoHours}h before it can be executed.`}
+              </div>
+              <div className={styles.field}>
+                <label className={styles.smallMuted}>Migration signature</label>
+                <textarea className={styles.input} rows={4} value={payloadText} onChange={(e) => setPayloadText(e.target.value)} disabled={!!busy} spellCheck={false} />
+              </div>
+              {payload && (
+                <div className={styles.smallMuted}>
+                  {payload.oldWallet} → {payload.newWallet}, valid until {tsToUTC(payload.deadline)}
+                </div>
+              )}
+              {payload && account && !sameAddr(payload.newWallet, account) && (
+                <div className={styles.smallMuted}>Connected wallet is not the new wallet named in the signature.</div>
+              )}
+              <div className={styles.row}>
+                <button type="button" className={cls(styles.button, styles.buttonAccent)} onClick={onSubmit} disabled={!enabled || !signer || !canSubmit || !!busy}>
+                  {busy === "submit" ? "Submitting…" : "Submit migration"}
+                </button>
+              </div>
+            </section>
+          </section>
+        </div>
+      </main>
+      <Footer className={styles.footer} />
+    </div>
+  );
+}
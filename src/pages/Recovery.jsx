@@ -8,6 +8,7 @@ import { useAppKitAccount } from "@reown/appkit/react";
 import WalletConnection from "@/components/wallet/WalletConnection";
 import WalletChecker from "@/components/wallet/WalletChecker";
 import RedeemForm from "@/components/redeem/RedeemForm";
+import ClaimWindowPanel from "@/components/redeem/ClaimWindowPanel";
 import ContractFunds from "@/components/shared/ContractFunds";
 import StatusRound from "@/components/shared/StatusRound";
 
@@ -68,6 +69,7 @@ export default function Recovery() {
   const [theme, setTheme] = useState(() => localStorage.getItem("theme") || "dark");
   const [eligible, setEligible] = useState(null);
   const [proof, setProof] = useState(null);
+  const [weight, setWeight] = useState(1n); // snapshot weight from the whitelist leaf
 
   // Stable URL to avoid re-fetch loops (cache bust via env version)
   const PROOFS_URL = useMemo(
@@ -76,9 +78,10 @@ export default function Recovery() {
   );
 
   // Stable callback to avoid re-renders/loops in WalletChecker
-  const handleEligibility = useCallback(({ eligible, proof }) => {
+  const handleEligibility = useCallback(({ eligible, proof, weight }) => {
     setEligible(eligible);
     setProof(proof || null);
+    setWeight(weight ?? 1n);
   }, []);
 
   useEffect(() => {
@@ -114,7 +117,7 @@ export default function Recovery() {
           if (alive) setUserInfo({ connected: false, address: "", limitText: "-" });
           return;
         }
-        const { remainingUSD } = await vaultService.getUserLimit(readProvider, addr);
+        const { remainingUSD } = await vaultService.getUserLimit(readProvider, addr, weight);
         const limitText = `${remainingUSD?.toString?.() ?? "0"} USD`;
         if (alive) setUserInfo({ connected: true, address: addr, limitText });
       } catch {
@@ -122,12 +125,13 @@ export default function Recovery() {
       }
     })();
     return () => { alive = false; };
-  }, [account, readProvider, appkitAccount?.address]);
+  }, [account, readProvider, appkitAccount?.address, weight]);
 
   // Reset eligibility when account changes
   useEffect(() => {
     setEligible(null);
     setProof(null);
+    setWeight(1n);
   }, [account]);
 
   const onToggleTheme = useCallback(() => {
@@ -156,6 +160,13 @@ export default function Recovery() {
           <RedeemForm address={userInfo.address || account} eligible={eligible} proof={proof} />
           <div></div>
         </section>
+
+        {/* Pro-rata claim window (only rendered when VITE_CLAIM_WINDOW_ADDRESS is set and a window exists) */}
+        <section className={`${styles.grid3} `}>
+          <div></div>
+          <ClaimWindowPanel address={userInfo.address || account} />
+          <div></div>
+        </section>
       </ContentFrame>
       <Footer className={styles.footer} />
     </div>
@@ -1,21 +1,37 @@
 // src/services/adminService.js
-import { Contract, parseUnits } from "ethers";
-import { getWriteContract, getReadContract  } from "@/services/vaultCore";
+import { Contract, formatUnits, id as keccakId, parseUnits } from "ethers";
+import { getWriteContract, getReadContract, parseVaultError } from "@/services/vaultCore";
+import { ownerCall, roleCall, effectiveOwner, getTimelockAddress } from "@/services/timelockService";
 
-// --- ABI mínimo p/ oracles que expõem latestPrice() (int256,uint8) ---
+// --- ABI mínimo p/ oracles que expõem latestPrice() (int256,uint8,uint256) ---
 const IORACLE_ABI = [
   {
     inputs: [],
     name: "latestPrice",
     outputs: [
       { internalType: "int256", name: "price", decimals: undefined, type: "int256" },
-      { internalType: "uint8",  name: "decimals", type: "uint8" }
+      { internalType: "uint8",  name: "decimals", type: "uint8" },
+      { internalType: "uint256", name: "updatedAt", type: "uint256" }
     ],
     stateMutability: "view",
     type: "function"
   }
 ];
 
+// --- Papéis operacionais do vault (o owner concede/revoga; ver RecoveryVault.sol) ---
+export const ROLES = [
+  { key: "PAUSER_ROLE", label: "Pauser" },
+  { key: "TREASURER_ROLE", label: "Treasurer" },
+  { key: "PRICE_SETTER_ROLE", label: "Price setter" },
+  { key: "WHITELIST_MANAGER_ROLE", label: "Whitelist manager" },
+  { key: "ROUND_OPERATOR_ROLE", label: "Round operator" },
+  { key: "SETTLEMENT_ROLE", label: "Settlement module" },
+];
+export const roleId = (key) => keccakId(key);
+// Papéis que um VaultTimelock owner deve deter sozinho para atrasar setOracle / setMerkleRoot / scheduleRound (o admin age por ele)
+export const TIMELOCK_ROLES = ["PRICE_SETTER_ROLE", "WHITELIST_MANAGER_ROLE", "ROUND_OPERATOR_ROLE"];
+const roleLabel = (idHex) => ROLES.find((r) => roleId(r.key) === String(idHex).toLowerCase())?.label || String(idHex);
+
 // ---------- helpers ----------
 const b = (v) => {
   try { return BigInt(v ?? 0n); } catch { return 0n; }
@@ -26,19 +42,39 @@ function sameAddr(a, b) {
   return String(a).toLowerCase() === String(b).toLowerCase();
 }
 
-async function readVaultBalances(contractLike) {
+// Saldos do vault em cada token de saída (wONE, USDC e os que o owner adicionou)
+async function readOutputBalances(contractLike) {
   try {
-    const res = await contractLike.getVaultBalances();
-    // Pode vir como tupla [w,u] ou objeto { woneBalance, usdcBalance }
-    if (Array.isArray(res)) return { w: b(res[0]), u: b(res[1]) };
-    if (res && typeof res === "object") {
-      return { w: b(res.woneBalance), u: b(res.usdcBalance) };
-    }
+    const res = await contractLike.getOutputBalances();
+    return [...(res?.balances ?? res?.[3] ?? [])].map(b);
   } catch { /* ignore */ }
-  return { w: 0n, u: 0n };
+  return [];
 }
 
 function prettyRevert(e, fallback) {
+  // Custom errors: ethers decodes them with the vault ABI; raw eth_call data is parsed here
+  const custom = e?.revert?.name
+    ? e.revert
+    : parseVaultError(e?.data?.data || e?.info?.error?.data || e?.error?.data || e?.data);
+  if (custom) {
+    const a = custom.args || [];
+    switch (custom.name) {
+      case "InvalidOracle": return "Invalid Oracle  (latestPrice <= 0 or ABI dont match).";
+      case "StaleOracle": return `Oracle price is older than the max age (last update ${new Date(Number(a[0]) * 1000).toLocaleString()}).`;
+      case "OraclePriceOutOfBounds": return `Oracle price ($${formatUnits(a[0], 18)}) outside min/max bounds.`;
+      case "InvalidPriceBounds": return "Min price must be <= max price.";
+      case "NoFunds": return "Vault holds none of its output tokens.";
+      case "RoundIdMustIncrease": return `Round ID need be higher than active (${a[0]}).`;
+      case "InvalidFeeConfig": return "Fee tiers need exactly one more bps entry than thresholds.";
+      case "TokenNotSupported": return "Token is not supported by the vault.";
+      case "TokenNotAllowed": return "Only output tokens can be withdrawn.";
+      case "InvalidOutputConfig": return "Invalid output token config (fixed price needs a price; only listed tokens can be removed; max 8 outputs).";
+      case "NothingToWithdraw": return "Nothing to withdraw.";
+      case "UnsupportedValuation": return "Not supported valuation Token (adjust oracle/ Fixed Price).";
+      case "MissingRole": return `Connected account lacks the ${roleLabel(a[0])} role.`;
+      default: return custom.name;
+    }
+  }
   const msg =
     e?.reason ||
     e?.shortMessage ||
@@ -48,14 +84,8 @@ function prettyRevert(e, fallback) {
     e?.message ||
     fallback ||
     "Transaction failed";
-  if (/Exceeds daily limit/i.test(msg)) return "Daily limit exceeded (USD×1e4). Try a smaller amount.";
-  if (/Invalid oracle/i.test(msg)) return "Invalid Oracle  (latestPrice <= 0 or ABI dont match).";
-  if (/No funds/i.test(msg)) return "Vault empty (wONE/USDC).";
-  if (/Round ID must increase/i.test(msg)) return "Round ID need be higher than active.";
   if (/caller is not the owner/i.test(msg)) return "You´re not owner, fonzie!.";
   if (/missing revert data/i.test(msg)) return "Reverted by contract (unknown).";
-  if (/Round not initialized/i.test(msg)) return "Round not started.";
-  if (/Unsupported valuation/i.test(msg)) return "Not supported valuation Token (adjust oracle/ Fixed Price).";
 
   return msg;
 }
@@ -65,22 +95,23 @@ async function preflightOracle(provider, oracleAddr) {
     throw new Error("Oracle not configured in Vault");
   }
   const o = new Contract(oracleAddr, IORACLE_ABI, provider);
-  let price, dec;
+  let price, dec, updatedAt;
   try {
     const r = await o.latestPrice();
     // ethers v6: pode vir tuple ou objeto
     price = r?.price ?? (Array.isArray(r) ? r[0] : r);
     dec   = r?.decimals ?? (Array.isArray(r) ? r[1] : undefined);
+    updatedAt = r?.updatedAt ?? (Array.isArray(r) ? r[2] : undefined);
   } catch {
     throw new Error("Oracle call failed (check ABI)");
   }
   const p = b(price);
   if (p <= 0n) throw new Error("Invalid oracle");
-  return { price: p, decimals: Number(dec ?? 18) };
+  return { price: p, decimals: Number(dec ?? 18), updatedAt: b(updatedAt) };
 }
 
 // Simula a chamada on-chain para capturar reverts sem gastar gas.
-// Usa provider.call com o `from` do signer, para satisfazer onlyOwner.
+// Usa provider.call com o `from` do signer, para satisfazer onlyRole(ROUND_OPERATOR_ROLE).
 async function simulateStartNewRound(contract, signer, nextRound) {
   try {
     const addr = await signer.getAddress();
@@ -99,9 +130,9 @@ async function simulateStartNewRound(contract, signer, nextRound) {
 }
 
 // -------- Admin API --------
+// Setters owner-only passam por ownerCall: com um VaultTimelock como owner, os sensíveis entram na fila (queue)
 export async function setDailyLimit(signer, amountLike){
   if (!signer) throw new Error("Signer indisponible (presumably not logged in)");
-  const v = getWriteContract(signer);
   // O contrato espera USD * 1e18. Aceitamos bigint já em 1e18
   // ou string/number que converteremos com 18 casas.
   let usd18;
@@ -112,26 +143,40 @@ export async function setDailyLimit(signer, amountLike){
     if (!s || !/^\d*(\.\d*)?$/.test(s)) throw new Error("Invalid amount");
     usd18 = BigInt(parseUnits(s, 18));
   }
-  const tx = await v.setDailyLimit(usd18);
-  return await tx.wait();
+  return await ownerCall(signer, "setDailyLimit", [usd18]);
 }
 
 export async function setDevWallet(signer, wallet){
-  const v = getWriteContract(signer);
-  const tx = await v.setDevWallet(wallet);
-  return await tx.wait();
+  return await ownerCall(signer, "setDevWallet", [wallet]);
 }
 
 export async function setFeeTiers(signer, thresholds, bpsArr){
-  const v = getWriteContract(signer);
-  const tx = await v.setFeeTiers(thresholds, bpsArr);
-  return await tx.wait();
+  return await ownerCall(signer, "setFeeTiers", [thresholds, bpsArr]);
+}
+
+// Agenda um round: início/fim em unix seconds (fim 0 = até o próximo round), limite diário USD18 (0 = global), fee fixa em bps
+// (até a maior faixa). Com o timelock como único ROUND_OPERATOR_ROLE, entra na fila como setFeeTiers / setDailyLimit.
+export async function scheduleRound(signer, roundId, startTime, endTime, dailyLimitUsd18, feeBps){
+  return await roleCall(signer, "ROUND_OPERATOR_ROLE", "scheduleRound",
+    [BigInt(roundId), BigInt(startTime), BigInt(endTime ?? 0), BigInt(dailyLimitUsd18 ?? 0), Number(feeBps)]);
+}
+
+export async function cancelScheduledRounds(signer){
+  return await roleCall(signer, "ROUND_OPERATOR_ROLE", "cancelScheduledRounds");
+}
+
+// Fee split: shares in bps summing to 10000; arrays vazios devolvem a fee inteira ao devWallet
+export async function setFeeRecipients(signer, wallets, bps){
+  return await ownerCall(signer, "setFeeRecipients", [wallets, bps]);
+}
+
+// intervalSec: duração da janela; mode: 0 = Rolling (a partir do 1º redeem), 1 = Fixed UTC (fronteiras comuns)
+export async function setResetWindow(signer, intervalSec, mode){
+  return await ownerCall(signer, "setResetWindow", [BigInt(intervalSec), Number(mode)]);
 }
 
 export async function setFixedUsdPrice(signer, token, usdPrice18){
-  const v = getWriteContract(signer);
-  const tx = await v.setFixedUsdPrice(token, usdPrice18);
-  return await tx.wait();
+  return await roleCall(signer, "PRICE_SETTER_ROLE", "setFixedUsdPrice", [token, usdPrice18]);
 }
 
 export async function setLocked(signer, status) {
@@ -144,28 +189,57 @@ export async function setLocked(signer, status) {
   }
 }
 
+// Setters de papel passam por roleCall: quem tem o papel chama direto; o admin do timelock age pelo timelock
 export async function setMerkleRoot(signer, root){
-  const v = getWriteContract(signer);
-  const tx = await v.setMerkleRoot(root);
-  return await tx.wait();
+  return await roleCall(signer, "WHITELIST_MANAGER_ROLE", "setMerkleRoot", [root]);
+}
+
+// Root of the (user, token, maxAmount) lifetime-cap tree; 0x00…00 disables caps
+export async function setCapRoot(signer, root){
+  return await roleCall(signer, "WHITELIST_MANAGER_ROLE", "setCapRoot", [root]);
+}
+
+// Registry WalletMigration consultado pelo vault; address(0) desativa migrações
+export async function setMigration(signer, addr){
+  return await ownerCall(signer, "setMigration", [addr]);
 }
 
 export async function setOracle(signer, addr){
-  const v = getWriteContract(signer);
-  const tx = await v.setOracle(addr);
-  return await tx.wait();
+  return await roleCall(signer, "PRICE_SETTER_ROLE", "setOracle", [addr]);
+}
+
+// Idade máxima do oracle em segundos (0 desativa)
+export async function setOracleMaxAge(signer, seconds){
+  return await roleCall(signer, "PRICE_SETTER_ROLE", "setOracleMaxAge", [BigInt(seconds ?? 0)]);
+}
+
+// Limites USD/ONE; aceita string decimal ("0.005") ou bigint já em 1e18. Vazio/0 desativa.
+export async function setPriceBounds(signer, minLike, maxLike){
+  const to18 = (x) => {
+    if (typeof x === "bigint") return x;
+    const s = String(x ?? "").trim().replace(",", ".");
+    if (!s) return 0n;
+    if (!/^\d*(\.\d*)?$/.test(s)) throw new Error("Invalid price");
+    return BigInt(parseUnits(s, 18));
+  };
+  return await roleCall(signer, "PRICE_SETTER_ROLE", "setPriceBounds", [to18(minLike), to18(maxLike)]);
 }
 
 export async function setRmcWallet(signer, wallet){
-  const v = getWriteContract(signer);
-  const tx = await v.setRmcWallet(wallet);
-  return await tx.wait();
+  return await ownerCall(signer, "setRmcWallet", [wallet]);
 }
 
 export async function setSupportedToken(signer, token, allowed){
-  const v = getWriteContract(signer);
-  const tx = await v.setSupportedToken(token, allowed);
-  return await tx.wait();
+  return await ownerCall(signer, "setSupportedToken", [token, allowed]);
+}
+
+// Token de saída: pricing 1 = oracle ONE/USD, 2 = peg $1, 3 = preço fixo (USD, ex. "2000"); 0 remove da lista
+export async function setOutputToken(signer, token, pricing, priceLike){
+  const mode = Number(pricing);
+  const price18 = mode !== 3 ? 0n
+    : typeof priceLike === "bigint" ? priceLike
+    : BigInt(parseUnits(String(priceLike ?? "").trim().replace(",", ".") || "0", 18));
+  return await ownerCall(signer, "setOutputToken", [token, mode, price18]);
 }
 
 export async function startNewRound(signer, roundId) {
@@ -175,20 +249,24 @@ export async function startNewRound(signer, roundId) {
   const provider = signer.provider;
   if (!provider) throw new Error("Provider not available from signer");
 
-  // 0) opcional: confirma owner
+  // 0) opcional: confirma ROUND_OPERATOR_ROLE (direto, ou via o timelock que detém o papel)
+  let allowed = true;
+  let viaTimelock = false;
   try {
-    const [owner, me] = await Promise.all([c.owner(), signer.getAddress()]);
-    if (!sameAddr(owner, me)) {
-      throw new Error(`Account is not owner.\nOwner: ${owner}\nYou:  ${me}`);
+    allowed = await c.hasRole(roleId("ROUND_OPERATOR_ROLE"), await signer.getAddress());
+    if (!allowed) {
+      const tl = await getTimelockAddress(provider);
+      viaTimelock = Boolean(tl) && (await c.hasRole(roleId("ROUND_OPERATOR_ROLE"), tl));
     }
   } catch {
-    // se falhar a leitura, seguimos (onlyOwner vai proteger)
+    // se falhar a leitura, seguimos (onlyRole vai proteger)
   }
+  if (!allowed && !viaTimelock) throw new Error("Account lacks the Round operator role.");
 
   // 1) Ler estado atual
   const [currentRound, balances, oracleAddr] = await Promise.all([
     c.currentRound().catch(() => 0n),
-    readVaultBalances(c),
+    readOutputBalances(c),
     c.oracle().catch(() => null),
   ]);
 
@@ -200,15 +278,17 @@ export async function startNewRound(signer, roundId) {
     throw new Error(`Round ID should be higher than active.  (${curr}). Sugest: ${curr + 1n}`);
   }
 
-  // 3) Validar liquidez do cofre (wONE/USDC)
-  const { w, u } = balances;
-  if (w === 0n && u === 0n) {
-    throw new Error("Cofre sem liquidez (wONE/USDC). Deposite fundos antes de iniciar um novo round.");
+  // 3) Validar liquidez do cofre (tokens de saída)
+  if (!balances.some((x) => x > 0n)) {
+    throw new Error("Cofre sem liquidez (tokens de saída). Deposite fundos antes de iniciar um novo round.");
   }
 
   // 4) Pré-checar oracle (contrato exige latestPrice() > 0)
   await preflightOracle(provider, oracleAddr);
 
+  // startNewRound não é timelocked: o timelock repassa na hora (a simulação a partir do admin reverteria por papel)
+  if (viaTimelock) return await roleCall(signer, "ROUND_OPERATOR_ROLE", "startNewRound", [next]);
+
   // 5) (Opcional, seguro) Simular chamada para capturar revert antes do envio
   //    Evita dependência de c.estimateGas.* que pode não existir em alguns runners.
   await simulateStartNewRound(c, signer, next);
@@ -224,6 +304,17 @@ export async function startNewRound(signer, roundId) {
   }
 }
 
+// Orçamento USD do round para todas as carteiras; aceita "5000" (USD) ou bigint USD18. Vazio/0 desativa.
+export async function setRoundBudget(signer, usdLike){
+  const usd18 = typeof usdLike === "bigint" ? usdLike : BigInt(parseUnits(String(usdLike ?? "").trim().replace(",", ".") || "0", 18));
+  return await roleCall(signer, "ROUND_OPERATOR_ROLE", "setRoundBudget", [usd18]);
+}
+
+// Teto por round de um token de entrada, em unidades do token (0 desativa)
+export async function setRoundTokenCap(signer, token, amount){
+  return await roleCall(signer, "ROUND_OPERATOR_ROLE", "setRoundTokenCap", [token, BigInt(amount ?? 0n)]);
+}
+
 export async function suggestNextRoundId(providerOrSigner) {
   const c = providerOrSigner && providerOrSigner.provider
     ? await getReadContract(providerOrSigner.provider)
@@ -242,20 +333,69 @@ export async function setRoundDelayEnabled(signer, enabled) {
   return c.setRoundDelayEnabled(Boolean(enabled));
 }
 
+/**
+ * { owner, PAUSER_ROLE, TREASURER_ROLE, ... } booleans for `account`; `owner` is the timelock admin when a VaultTimelock
+ * owns the vault, and that admin also gets the TIMELOCK_ROLES the timelock holds (it acts through it, see roleCall)
+ */
+export async function getRoles(provider, account) {
+  const out = { owner: false };
+  for (const r of ROLES) out[r.key] = false;
+  if (!provider || !account) return out;
+  const c = await getReadContract(provider);
+  const [own, tl, ...has] = await Promise.all([
+    effectiveOwner(provider).catch(() => ""),
+    getTimelockAddress(provider).catch(() => null),
+    ...ROLES.map((r) => c.hasRole(roleId(r.key), account).catch(() => false)),
+  ]);
+  out.owner = sameAddr(own, account);
+  ROLES.forEach((r, i) => { out[r.key] = Boolean(has[i]); });
+  if (out.owner && tl) {
+    const viaTimelock = await Promise.all(TIMELOCK_ROLES.map((k) => c.hasRole(roleId(k), tl).catch(() => false)));
+    TIMELOCK_ROLES.forEach((k, i) => { out[k] = out[k] || Boolean(viaTimelock[i]); });
+  }
+  return out;
+}
+
+export async function grantRole(signer, roleKey, account){
+  try {
+    return await ownerCall(signer, "grantRole", [roleId(roleKey), account]);
+  } catch (e) {
+    throw new Error(prettyRevert(e, "Failed to grant role"));
+  }
+}
+
+export async function revokeRole(signer, roleKey, account){
+  try {
+    return await ownerCall(signer, "revokeRole", [roleId(roleKey), account]);
+  } catch (e) {
+    throw new Error(prettyRevert(e, "Failed to revoke role"));
+  }
+}
+
 export async function transferOwnership(signer, newOwner){
+  return await ownerCall(signer, "transferOwnership", [newOwner]);
+}
+
+export async function renounceOwnership(signer){
+  return await ownerCall(signer, "renounceOwnership", []);
+}
+
+export async function withdrawFunds(signer, token){
   const v = getWriteContract(signer);
-  const tx = await v.transferOwnership(newOwner);
+  const tx = await v.withdrawFunds(token);
   return await tx.wait();
 }
 
-export async function renounceOwnership(signer){
+// Envia `amount` (unidades do token) de um output token para `to`
+export async function withdrawTo(signer, token, amount, to){
   const v = getWriteContract(signer);
-  const tx = await v.renounceOwnership();
+  const tx = await v.withdrawTo(token, BigInt(amount), to);
   return await tx.wait();
 }
 
-export async function withdrawFunds(signer, token){
+// Devolve um token enviado por engano (address(0) = ONE nativo); output tokens são rejeitados pelo contrato
+export async function rescueToken(signer, token, amount, to){
   const v = getWriteContract(signer);
-  const tx = await v.withdrawFunds(token);
+  const tx = await v.rescueToken(token, BigInt(amount), to);
   return await tx.wait();
 }
@@ -0,0 +1,119 @@
+// src/services/claimCapService.js
+import { ethers } from "ethers";
+import { useCallback, useEffect, useState } from "react";
+import * as core from "@/services/vaultCore";
+import { fetchJsonPlus } from "@/debug/fetchPlus";
+import { isZeroRoot, verifyLeafProof } from "@/services/whitelistService";
+import { resolveAccount } from "@/services/migrationService";
+
+/**
+ * Tetos vitalícios por (wallet, token) a partir do snapshot de saldos pré-hack.
+ *
+ * Leaf on-chain: keccak256(abi.encodePacked(address user, address token, uint256 maxAmount)),
+ * verificado contra `capRoot` (root zero = tetos desativados).
+ *
+ * Arquivos aceitos (mesma base de VITE_PROOF_BASE_PATH):
+ *  - /caps/<root>/<address>.json   { "<token>": { maxAmount, proof } }
+ *  - /caps/<address>.json          (legacy, sem root)
+ *  - /data/caps.json               { caps: { "<address>": { "<token>": { maxAmount, proof } } } }
+ */
+
+const BASE = (import.meta?.env?.VITE_PROOF_BASE_PATH || "").replace(/\/+$/, "");
+const BIG_URLS = [`${BASE}/data/caps.json`, `${BASE}/caps.json`];
+
+const inflight = new Map(); // root::address -> Promise<entries>
+
+function toBigIntSafe(v) {
+  try { return BigInt(v ?? 0); } catch { return 0n; }
+}
+
+function toBytes32Array(arr) {
+  if (!Array.isArray(arr)) return [];
+  const out = [];
+  for (const v of arr) {
+    try { out.push(ethers.zeroPadValue(ethers.hexlify(v), 32)); } catch { /* ignore */ }
+  }
+  return out;
+}
+
+function leafForCap(user, token, maxAmount) {
+  // keccak256(abi.encodePacked(address user, address token, uint256 maxAmount))
+  return ethers.solidityPackedKeccak256(["address", "address", "uint256"], [user, token, maxAmount]);
+}
+
+// { "<token>": { maxAmount, proof } } -> [{ token, maxAmount, proof }]
+function normalizeEntries(obj) {
+  if (!obj || typeof obj !== "object") return [];
+  const out = [];
+  for (const [token, v] of Object.entries(obj)) {
+    if (!ethers.isAddress(token) || !v) continue;
+    out.push({ token: ethers.getAddress(token), maxAmount: toBigIntSafe(v.maxAmount), proof: toBytes32Array(v.proof) });
+  }
+  return out;
+}
+
+async function fetchCapEntries(root, address) {
+  const a = String(address).toLowerCase();
+  const candidates = [`${BASE}/caps/${root}/${a}.json`, `${BASE}/caps/${a}.json`];
+  for (const url of candidates) {
+    const j = await fetchJsonPlus([url], { timeoutMs: 6000 }).catch(() => null);
+    const entries = normalizeEntries(j);
+    if (entries.length) return entries;
+  }
+  const big = await fetchJsonPlus(BIG_URLS, { timeoutMs: 20000 }).catch(() => null);
+  return normalizeEntries(big?.caps?.[a] || big?.[a]);
+}
+
+/**
+ * Retorna { enabled, root, caps } onde caps é indexado por token (lowercase):
+ * { token, maxAmount, proof, claimed, remaining, valid }
+ */
+export async function getClaimCaps(provider, wallet) {
+  if (!provider || !wallet) return { enabled: false, root: null, caps: {} };
+
+  const root = await core.capRoot(provider).catch(() => null);
+  if (isZeroRoot(root)) return { enabled: false, root, caps: {} };
+
+  // Carteira migrada: tetos e consumo pertencem ao endereço do snapshot
+  const address = await resolveAccount(provider, wallet);
+  if (!address) return { enabled: true, root, caps: {} };
+
+  const key = `${root.toLowerCase()}::${String(address).toLowerCase()}`;
+  if (!inflight.has(key)) {
+    inflight.set(key, fetchCapEntries(root, address).finally(() => inflight.delete(key)));
+  }
+  const entries = await inflight.get(key);
+
+  const caps = {};
+  await Promise.all(entries.map(async (e) => {
+    const claimed = await core.claimedAmount(provider, address, e.token).catch(() => 0n);
+    const valid = verifyLeafProof(leafForCap(address, e.token, e.maxAmount), e.proof, root);
+    const remaining = e.maxAmount > claimed ? e.maxAmount - claimed : 0n;
+    caps[e.token.toLowerCase()] = { ...e, claimed, remaining, valid };
+  }));
+
+  return { enabled: true, root, caps };
+}
+
+/** Hook para UI: { loading, enabled, caps, error, refresh } */
+export function useClaimCaps(address, provider) {
+  const [state, setState] = useState({ loading: true, enabled: false, caps: {}, error: undefined });
+  const [nonce, setNonce] = useState(0);
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      try {
+        setState((s) => ({ ...s, loading: true, error: undefined }));
+        const r = await getClaimCaps(provider, address);
+        if (alive) setState({ loading: false, enabled: r.enabled, caps: r.caps, error: undefined });
+      } catch (e) {
+        if (alive) setState({ loading: false, enabled: false, caps: {}, error: e?.message || String(e) });
+      }
+    })();
+    return () => { alive = false; };
+  }, [address, provider, nonce]);
+
+  const refresh = useCallback(() => setNonce((n) => n + 1), []);
+  return { ...state, refresh };
+}
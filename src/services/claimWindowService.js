@@ -0,0 +1,134 @@
+// src/services/claimWindowService.js
+// ClaimWindow (modo pró-rata): pedidos ficam em escrow durante a janela; após o fim, finalize fixa a taxa de
+// preenchimento por token de saída e cada usuário saca a sua parte (o input não preenchido é devolvido)
+import { Contract, getAddress, isAddress } from "ethers";
+import { ensureAllowance } from "@/services/tokenService";
+import * as core from "@/services/vaultCore";
+
+const CLAIM_WINDOW_ABI = [
+  "function vault() view returns (address)",
+  "function windowCount() view returns (uint256)",
+  "function windows(uint256) view returns (uint64 start, uint64 end, bool finalized)",
+  "function totalRequested(uint256, address) view returns (uint256)",
+  "function fillRate(uint256, address) view returns (uint256)",
+  "function estimatedFill(uint256 id, address redeemIn) view returns (uint256)",
+  "function requestOf(uint256 id, address wallet) view returns (tuple(address tokenIn, address redeemIn, uint256 amountIn, uint256 feeIn, uint256 amountOut, uint256 reservation) r, uint256 fill18, uint256 estimatedOut)",
+  "function openWindow(uint64 start, uint64 end) returns (uint256 id)",
+  "function request(address tokenIn, uint256 amountIn, address redeemIn, uint256 weight, bytes32[] proof, uint256 maxAmount, bytes32[] capProof)",
+  "function cancelRequest()",
+  "function finalize(uint256 id)",
+  "function withdraw(uint256 id)",
+  "event RequestRegistered(uint256 indexed id, address indexed account, address tokenIn, uint256 amountIn, address redeemIn, uint256 amountOut)",
+  "event WindowFinalized(uint256 indexed id, address indexed redeemIn, uint256 requested, uint256 released)",
+  "event RequestSettled(uint256 indexed id, address indexed account, address to, uint256 amountOut, uint256 usedIn, uint256 refundIn)",
+];
+
+export const FILL_SCALE = 10n ** 18n; // fill18: 1e18 = 100%
+
+/** ClaimWindow configurado via VITE_CLAIM_WINDOW_ADDRESS (null = modo desativado) */
+export function getClaimWindowAddress() {
+  const a = import.meta.env.VITE_CLAIM_WINDOW_ADDRESS;
+  return a && isAddress(a) ? getAddress(a) : null;
+}
+
+export function getClaimWindow(runner) {
+  const addr = getClaimWindowAddress();
+  if (!addr) throw new Error("Claim window mode is not configured");
+  return new Contract(addr, CLAIM_WINDOW_ABI, runner);
+}
+
+/** "upcoming" | "open" | "closed" (aguardando finalize) | "finalized" */
+export function windowPhase(w, nowSec = Math.floor(Date.now() / 1000)) {
+  if (!w) return null;
+  if (w.finalized) return "finalized";
+  const now = BigInt(nowSec);
+  if (now < w.start) return "upcoming";
+  return now < w.end ? "open" : "closed";
+}
+
+/** Janela mais recente { id, start, end, finalized } ou null (nenhuma aberta / modo desativado) */
+export async function getCurrentWindow(provider) {
+  if (!getClaimWindowAddress() || !provider) return null;
+  const c = getClaimWindow(provider);
+  const id = BigInt(await c.windowCount());
+  if (id === 0n) return null;
+  const w = await c.windows(id);
+  return { id, start: BigInt(w.start), end: BigInt(w.end), finalized: Boolean(w.finalized) };
+}
+
+/** Pedido da carteira na janela `id` com a estimativa de preenchimento, ou null se não houver */
+export async function getRequestOf(provider, id, wallet) {
+  if (!wallet) return null;
+  const c = getClaimWindow(provider);
+  const [r, fill18, estimatedOut] = await c.requestOf(id, wallet);
+  if (BigInt(r.amountIn) === 0n) return null;
+  const amountIn = BigInt(r.amountIn);
+  const fill = BigInt(fill18);
+  return {
+    tokenIn: r.tokenIn,
+    redeemIn: r.redeemIn,
+    amountIn,
+    feeIn: BigInt(r.feeIn),
+    amountOut: BigInt(r.amountOut),   // saída com preenchimento total
+    fill18: fill,
+    estimatedOut: BigInt(estimatedOut),
+    estimatedRefund: amountIn - (amountIn * fill) / FILL_SCALE,
+  };
+}
+
+/** Owner do ClaimWindow: abre uma janela (a anterior precisa estar finalizada) */
+export async function openWindow(signer, startSec, endSec) {
+  const tx = await getClaimWindow(signer).openWindow(BigInt(startSec), BigInt(endSec));
+  return await tx.wait();
+}
+
+/** true quando o vault concedeu SETTLEMENT_ROLE ao módulo (necessário para o finalize) */
+export async function hasSettlementRole(provider) {
+  const v = await core.getReadContract(provider);
+  return Boolean(await v.hasRole(await v.SETTLEMENT_ROLE(), getClaimWindowAddress()));
+}
+
+/** Aprova (se preciso) e registra o pedido; mesmos argumentos do redeem do vault */
+export async function requestClaim(signer, { tokenIn, amountIn, redeemIn, weight = 1n, proof = [], maxAmount = 0n, capProof = [] }) {
+  if (!signer) throw new Error("Signer indisponible (presumably not logged in)");
+  const c = getClaimWindow(signer);
+  const owner = await signer.getAddress();
+  await ensureAllowance(signer, tokenIn, owner, await c.getAddress(), BigInt(amountIn));
+  const tx = await c.request(tokenIn, BigInt(amountIn), redeemIn, BigInt(weight ?? 1n), proof || [], BigInt(maxAmount ?? 0n), capProof || []);
+  return await tx.wait();
+}
+
+export async function cancelRequest(signer) {
+  const tx = await getClaimWindow(signer).cancelRequest();
+  return await tx.wait();
+}
+
+/** Qualquer um: fecha a janela e puxa a liquidez do vault (o módulo precisa do SETTLEMENT_ROLE) */
+export async function finalizeWindow(signer, id) {
+  const tx = await getClaimWindow(signer).finalize(id);
+  return await tx.wait();
+}
+
+export async function withdrawShare(signer, id) {
+  const tx = await getClaimWindow(signer).withdraw(id);
+  return await tx.wait();
+}
+
+export function prettyClaimWindowError(e) {
+  // reverts bubbled from the vault (release / quoteRedeem) carry its custom errors
+  const custom = core.parseVaultError(e?.data ?? e?.info?.error?.data);
+  if (custom?.name === "MissingRole") return "The claim window module is not allowed to release vault liquidity yet.";
+  if (custom) return `${custom.name} (vault)`;
+  const msg = e?.reason || e?.shortMessage || e?.info?.error?.message || e?.message || String(e || "");
+  if (/Window closed/i.test(msg)) return "The claim window is not accepting requests right now.";
+  if (/Window open/i.test(msg)) return "The claim window is still open; it can be finalized after it ends.";
+  if (/Already requested/i.test(msg)) return "You already have a request in this window. Cancel it to change it.";
+  if (/Request blocked/i.test(msg)) return "Request blocked by the vault (daily limit, claim cap, round cap or oracle guard).";
+  if (/Not whitelisted/i.test(msg)) return "Address not whitelisted";
+  if (/Wallet frozen/i.test(msg)) return "This wallet has a pending or completed migration.";
+  if (/Wrap ONE first/i.test(msg)) return "Wrap ONE to wONE before requesting.";
+  if (/No request/i.test(msg)) return "No request found for this wallet.";
+  if (/Not finalized/i.test(msg)) return "The window has not been finalized yet.";
+  if (/user rejected|ACTION_REJECTED/i.test(msg)) return "Request rejected by user";
+  return msg || "Claim window call failed";
+}
@@ -15,10 +15,11 @@ function sameAddr(a, b) {
 /**
  * Lê o restante do limite como USD *1e18 (compat com UI antiga).
  * Usa getUserLimit (que retorna USD inteiro) e converte.
+ * `weight` = peso do snapshot (leaf da whitelist).
  */
-export async function fetchRemainingUsd18(provider, address) {
+export async function fetchRemainingUsd18(provider, address, weight = 1n) {
   if (!provider || !address) return 0n;
-  const r = await vaultService.getUserLimit(provider, address).catch(() => null);
+  const r = await vaultService.getUserLimit(provider, address, weight).catch(() => null);
   if (!r) return 0n;
 
   // compat: se algum caller antigo devolver already-in-18
@@ -30,9 +31,9 @@ export async function fetchRemainingUsd18(provider, address) {
 }
 
 /** Novo: restante do limite em USD inteiro (exatamente como o contrato usa) */
-export async function fetchRemainingUsdInt(provider, address) {
+export async function fetchRemainingUsdInt(provider, address, weight = 1n) {
   if (!provider || !address) return 0n;
-  const r = await vaultService.getUserLimit(provider, address).catch(() => null);
+  const r = await vaultService.getUserLimit(provider, address, weight).catch(() => null);
   if (!r) return 0n;
   if (r.remainingUSD != null) return BigInt(r.remainingUSD);
   // compat caso algum wrapper devolva bigint direto
@@ -115,7 +116,8 @@ export async function preflightAmountAgainstLimit(
   address,
   tokenAddress,
   amountHuman,
-  tokenDecimals = 18
+  tokenDecimals = 18,
+  weight = 1n
 ) {
   try {
     if (!provider) return { ok: false, reason: "Provider not ready" };
@@ -124,7 +126,7 @@ export async function preflightAmountAgainstLimit(
 
     const [{ usd18: amountUSD18, usdInt: amountUSDInt }, remainingUSDInt] = await Promise.all([
       quoteAmountUsd(provider, tokenAddress, amountHuman, tokenDecimals),
-      fetchRemainingUsdInt(provider, address),
+      fetchRemainingUsdInt(provider, address, weight),
     ]);
 
     const remainingUSD18 = remainingUSDInt * p10(18);
@@ -0,0 +1,171 @@
+// src/services/migrationService.js
+// Migração de elegibilidade: carteira comprometida (old) -> nova carteira (new), via WalletMigration (EIP-712)
+import { Contract, getAddress, isAddress } from "ethers";
+import * as core from "@/services/vaultCore";
+
+const MIGRATION_ABI = [
+  "function nonces(address) view returns (uint256)",
+  "function vetoWindow() view returns (uint256)",
+  "function pending(address) view returns (address newWallet, uint64 readyAt)",
+  "function pendingFrom(address) view returns (address)",
+  "function migratedTo(address) view returns (address)",
+  "function migratedFrom(address) view returns (address)",
+  "function accountOf(address) view returns (address)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function requestMigration(address oldWallet, uint256 deadline, bytes signature)",
+  "function executeMigration(address oldWallet)",
+  "function vetoMigration(address oldWallet)",
+  "function setVetoWindow(uint256 vetoWindow)",
+  "event MigrationRequested(address indexed oldWallet, address indexed newWallet, uint256 readyAt)",
+  "event MigrationExecuted(address indexed oldWallet, address indexed newWallet, address indexed account)",
+  "event MigrationVetoed(address indexed oldWallet, address indexed newWallet)",
+];
+
+const MIGRATION_TYPES = {
+  Migration: [
+    { name: "oldWallet", type: "address" },
+    { name: "newWallet", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+export const DEFAULT_SIGNATURE_TTL_SEC = Number(import.meta.env.VITE_MIGRATION_SIGNATURE_TTL_SEC ?? 7 * 24 * 3600);
+const EVENTS_FROM_BLOCK = Number(import.meta.env.VITE_MIGRATION_FROM_BLOCK ?? 0); // registry deploy block
+
+const isZero = (a) => !a || /^0x0{40}$/i.test(String(a));
+
+const REGISTRY_TTL_MS = 60_000;
+let registryCache = { ts: 0, value: null };
+
+export function invalidateRegistryCache() {
+  registryCache = { ts: 0, value: null };
+}
+
+/** Registry address configured in the vault (null when migrations are disabled) */
+export async function getRegistryAddress(provider) {
+  if (registryCache.value !== null && Date.now() - registryCache.ts < REGISTRY_TTL_MS) return registryCache.value || null;
+  let addr = "";
+  try { addr = await core.migration(provider); } catch { addr = ""; }
+  registryCache = { ts: Date.now(), value: isZero(addr) ? "" : getAddress(addr) };
+  return registryCache.value || null;
+}
+
+export async function getRegistry(runner, provider) {
+  const addr = await getRegistryAddress(provider ?? runner?.provider ?? runner);
+  if (!addr) throw new Error("Wallet migration is not enabled on this vault");
+  return new Contract(addr, MIGRATION_ABI, runner);
+}
+
+/**
+ * Snapshot address `wallet` acts for. Returns `wallet` when migrations are off,
+ * the original address for a migrated wallet, or null if `wallet` migrated away / is frozen by a pending request.
+ */
+export async function resolveAccount(provider, wallet) {
+  if (!wallet) return null;
+  const addr = await getRegistryAddress(provider);
+  if (!addr) return wallet;
+  try {
+    const acct = await new Contract(addr, MIGRATION_ABI, provider).accountOf(wallet);
+    return isZero(acct) ? null : getAddress(acct);
+  } catch {
+    return wallet;
+  }
+}
+
+/** Migration status of a wallet, seen both as an old and as a new wallet */
+export async function getMigrationStatus(provider, wallet) {
+  const r = await getRegistry(provider, provider);
+  const [pending, pendingFrom, migratedTo, migratedFrom, vetoWindow] = await Promise.all([
+    r.pending(wallet), r.pendingFrom(wallet), r.migratedTo(wallet), r.migratedFrom(wallet), r.vetoWindow(),
+  ]);
+  return {
+    pendingTo: isZero(pending[0]) ? null : pending[0],
+    readyAt: BigInt(pending[1] ?? 0n),
+    pendingFrom: isZero(pendingFrom) ? null : pendingFrom,
+    migratedTo: isZero(migratedTo) ? null : migratedTo,
+    migratedFrom: isZero(migratedFrom) ? null : migratedFrom,
+    vetoWindow: BigInt(vetoWindow ?? 0n),
+  };
+}
+
+/**
+ * Step 1 (old wallet): signs Migration(oldWallet, newWallet, nonce, deadline).
+ * Returns a JSON-serialisable payload to be submitted by the new wallet.
+ */
+export async function signMigration(oldSigner, newWallet, ttlSec = DEFAULT_SIGNATURE_TTL_SEC) {
+  if (!isAddress(newWallet)) throw new Error("Invalid new wallet address");
+  const oldWallet = await oldSigner.getAddress();
+  if (oldWallet.toLowerCase() === String(newWallet).toLowerCase()) throw new Error("New wallet must differ from the connected wallet");
+
+  const r = await getRegistry(oldSigner, oldSigner.provider);
+  const d = await r.eip712Domain();
+  const domain = { name: d[1], version: d[2], chainId: d[3], verifyingContract: d[4] };
+  const nonce = await r.nonces(oldWallet);
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + Number(ttlSec));
+  const message = { oldWallet, newWallet: getAddress(newWallet), nonce, deadline };
+  const signature = await oldSigner.signTypedData(domain, MIGRATION_TYPES, message);
+  return { oldWallet, newWallet: message.newWallet, deadline: deadline.toString(), signature };
+}
+
+/** Step 2 (new wallet): submits the old wallet's signature; starts the veto window */
+export async function requestMigration(newSigner, payload) {
+  const me = await newSigner.getAddress();
+  if (String(payload?.newWallet).toLowerCase() !== me.toLowerCase()) {
+    throw new Error("Connect the new wallet named in the signature to submit it");
+  }
+  const r = await getRegistry(newSigner, newSigner.provider);
+  const tx = await r.requestMigration(payload.oldWallet, BigInt(payload.deadline), payload.signature);
+  return await tx.wait();
+}
+
+/** Step 3 (anyone): finalises after the veto window */
+export async function executeMigration(signer, oldWallet) {
+  const r = await getRegistry(signer, signer.provider);
+  const tx = await r.executeMigration(oldWallet);
+  return await tx.wait();
+}
+
+/** Admin: cancels a pending request */
+export async function vetoMigration(signer, oldWallet) {
+  const r = await getRegistry(signer, signer.provider);
+  return await r.vetoMigration(oldWallet);
+}
+
+/** Admin: veto window in seconds */
+export async function setVetoWindow(signer, seconds) {
+  const r = await getRegistry(signer, signer.provider);
+  return await r.setVetoWindow(BigInt(seconds));
+}
+
+/** Pending requests (requested and not yet executed/vetoed), newest first */
+export async function listPendingMigrations(provider, fromBlock = EVENTS_FROM_BLOCK) {
+  const r = await getRegistry(provider, provider);
+  const [req, done, vetoed] = await Promise.all([
+    r.queryFilter(r.filters.MigrationRequested(), fromBlock),
+    r.queryFilter(r.filters.MigrationExecuted(), fromBlock),
+    r.queryFilter(r.filters.MigrationVetoed(), fromBlock),
+  ]);
+  const closed = new Map(); // oldWallet -> last closing block
+  for (const ev of [...done, ...vetoed]) {
+    const k = String(ev.args[0]).toLowerCase();
+    closed.set(k, Math.max(closed.get(k) ?? 0, ev.blockNumber));
+  }
+  return req
+    .filter((ev) => (closed.get(String(ev.args[0]).toLowerCase()) ?? -1) < ev.blockNumber)
+    .map((ev) => ({ oldWallet: ev.args[0], newWallet: ev.args[1], readyAt: BigInt(ev.args[2]), blockNumber: ev.blockNumber }))
+    .reverse();
+}
+
+export function prettyMigrationError(e) {
+  const msg = e?.reason || e?.shortMessage || e?.info?.error?.message || e?.message || String(e || "");
+  if (/Invalid signature/i.test(msg)) return "Signature does not match the old wallet and this new wallet (or was already used).";
+  if (/Signature expired/i.test(msg)) return "Signature expired. Sign again with the old wallet.";
+  if (/Already migrated/i.test(msg)) return "The old wallet already has a pending or completed migration.";
+  if (/New wallet in use/i.test(msg)) return "This new wallet is already part of another migration.";
+  if (/Veto window open/i.test(msg)) return "The veto window has not elapsed yet.";
+  if (/No pending migration/i.test(msg)) return "No pending migration for this wallet.";
+  if (/caller is not the owner/i.test(msg)) return "Only the registry owner can veto.";
+  if (/user rejected|ACTION_REJECTED/i.test(msg)) return "Request rejected by user";
+  return msg || "Migration failed";
+}
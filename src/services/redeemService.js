@@ -1,6 +1,6 @@
 // src/services/redeemService.js
 // Ethers v6 compatible
-import { Contract, Interface, parseUnits } from "ethers";
+import { Contract, Interface, Signature, TypedDataEncoder, ZeroAddress, formatUnits, parseUnits } from "ethers";
 import {
   getWriteContract,
   allowance,
@@ -23,27 +23,62 @@ const ERC20_ABI = [
   "function approve(address spender, uint256 value) returns (bool)",
 ];
 
+// EIP-2612 (permit) + ERC-5267 (eip712Domain) probes
+const PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
 // Built-in error interface for require/revert strings and panics
 const BUILTIN_ERROR_IFACE = new Interface([
   "error Error(string)",
   "error Panic(uint256)",
 ]);
 
-// Optional: if the Solidity contract migrates to custom errors in the future
+// RecoveryVault custom errors (USD amounts are USD18, token amounts in that token's units, times in unix seconds)
 const VAULT_ERROR_IFACE = new Interface([
   "error NotWhitelisted()",
+  "error RoundNotInitialized()",
   "error ContractLocked()",
-  "error RoundNotStarted()",
+  "error RoundNotStarted(uint256 startTime)",
+  "error RoundEnded(uint256 endTime)",
   "error NoFunds()",
-  "error TokenNotSupported()",
+  "error DeadlineExpired(uint256 deadline)",
+  "error PermitRequiresERC20()",
+  "error PermitFailed()",
+  "error InvalidRecipient()",
+  "error NativeTransferFailed()",
+  "error InvalidBatch()",
   "error InvalidRedeemToken()",
-  "error InsufficientLiquidity()",
-  "error InvalidOracle()",
-  "error UnsupportedValuation()",
-  "error UnsupportedRedeemToken()",
+  "error DailyLimitLocked(uint256 unlockAt)",
   "error DailyLimitExceeded(uint256 remaining, uint256 requested)",
+  "error DuplicateToken(address token)",
   "error MismatchONEAmount()",
   "error DoNotSendONEWithERC20()",
+  "error TokenNotSupported(address token)",
+  "error InvalidClaimCap(address token)",
+  "error ClaimCapExceeded(address token, uint256 remaining, uint256 requested)",
+  "error RoundBudgetExceeded(uint256 remaining, uint256 requested)",
+  "error RoundTokenCapExceeded(address token, uint256 remaining, uint256 requested)",
+  "error SlippageExceeded(uint256 amountOut, uint256 minAmountOut)",
+  "error InsufficientLiquidity(address token, uint256 available, uint256 requested)",
+  "error InvalidOracle()",
+  "error StaleOracle(uint256 updatedAt)",
+  "error OraclePriceOutOfBounds(uint256 price18)",
+  "error UnsupportedValuation(address token)",
+  "error UnsupportedRedeemToken()",
 ]);
 
 const TTL = { ADDR: 60_000, DEC: 300_000, ORACLE: 30_000, FEES: 300_000 };
@@ -53,8 +88,32 @@ const metaCache = new Map();
 const oracleCache = new Map();
 const feeTiersCache = new Map();
 
-// Fallback gas limit when estimateGas fails without revert data (Harmony quirk)
-const GAS_FALLBACK_LIMIT = BigInt(Number(import.meta.env.VITE_REDEEM_GAS_FALLBACK ?? 500000));
+// Fallback gas limit when estimateGas fails without revert data (Harmony quirk), por método com folga sobre o gás
+// medido nos testes: redeem ~553k, redeemSplit ~577k, redeemMany ~659k com 2 tokens (~106k por token a mais).
+// VITE_REDEEM_GAS_FALLBACK, se definido, vale para todos.
+const GAS_FALLBACK_OVERRIDE = import.meta.env.VITE_REDEEM_GAS_FALLBACK;
+const GAS_FALLBACK = {
+  redeem: 700_000n,
+  redeemSplit: 750_000n,
+  redeemManyBase: 550_000n,
+  redeemManyPerToken: 150_000n,
+};
+
+function fallbackGasLimit(method, tokenCount = 1) {
+  if (GAS_FALLBACK_OVERRIDE) return BigInt(Number(GAS_FALLBACK_OVERRIDE));
+  if (method === "redeemMany") return GAS_FALLBACK.redeemManyBase + GAS_FALLBACK.redeemManyPerToken * BigInt(tokenCount);
+  return GAS_FALLBACK[method] ?? GAS_FALLBACK.redeem;
+}
+
+// Slippage protection defaults (redeemWithSlippage)
+export const DEFAULT_SLIPPAGE_BPS = Number(import.meta.env.VITE_REDEEM_SLIPPAGE_BPS ?? 50); // 0.5%
+const DEFAULT_DEADLINE_SEC = Number(import.meta.env.VITE_REDEEM_DEADLINE_SEC ?? 1200);     // 20 min
+
+/** amountOut * (1 - bps/10000), clamped to [0, 100%] */
+export function applySlippage(amountOut, slippageBps) {
+  const bps = BigInt(Math.max(0, Math.min(10_000, Math.floor(Number(slippageBps) || 0))));
+  return (BigInt(amountOut ?? 0n) * (10_000n - bps)) / 10_000n;
+}
 
 // Resolve vault spender address without relying on getVaultAddress export
 async function getVaultSpender(signer) {
@@ -120,29 +179,77 @@ function decodePanic(codeBn) {
   return map[c] || `Panic(0x${c.toString(16)})`;
 }
 
-function decodeRevert(e) {
+const fmtUsd18 = (v) => `$${Number(formatUnits(BigInt(v ?? 0n), 18)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const fmtTime = (ts) => new Date(Number(ts ?? 0) * 1000).toLocaleString();
+
+// metas: { [tokenLower]: { decimals, symbol } }; falls back to raw units when the token is unknown
+function fmtToken(amount, token, metas) {
+  const m = metas?.[String(token || "").toLowerCase()];
+  if (!m) return String(amount ?? 0n);
+  const n = Number(formatUnits(BigInt(amount ?? 0n), Number(m.decimals ?? 18)));
+  return `${n.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${m.symbol}`;
+}
+
+/** Custom error from raw revert data, or the one ethers already decoded via the vault ABI */
+function parseVaultError(e) {
+  return parseWith(VAULT_ERROR_IFACE, extractRevertData(e)) || (e?.revert?.name ? e.revert : null);
+}
+
+function decodeRevert(e, metas = {}) {
   const data = extractRevertData(e);
 
-  // 1) Try future custom errors (no-op if contract uses only require strings)
-  const custom = parseWith(VAULT_ERROR_IFACE, data);
+  // 1) RecoveryVault custom errors
+  const custom = parseVaultError(e);
   if (custom) {
+    const a = custom.args || [];
     switch (custom.name) {
       case "NotWhitelisted": return "Address not whitelisted";
+      case "RoundNotInitialized": return "No round has been started yet";
       case "ContractLocked": return "Contract is locked";
-      case "RoundNotStarted": return "Round not started";
+      case "RoundNotStarted": return `Round not started. Redeems open at ${fmtTime(a[0])}.`;
+      case "RoundEnded": return `This round ended at ${fmtTime(a[0])}. Please wait for the next round.`;
       case "NoFunds": return "Vault has no funds";
-      case "TokenNotSupported": return "Token not supported";
-      case "InvalidRedeemToken": return "Redeem token must be wONE or USDC";
-      case "InsufficientLiquidity": return "Vault has insufficient funds for the selected output";
-      case "InvalidOracle": return "Invalid oracle";
-      case "UnsupportedValuation": return "Unsupported valuation";
-      case "UnsupportedRedeemToken": return "Unsupported redeem token";
+      case "DeadlineExpired": return "Transaction deadline expired before it was mined. Please retry.";
+      case "PermitRequiresERC20": return "Permit is only available for ERC-20 tokens.";
+      case "PermitFailed": return "Permit signature rejected by the token. Please retry (an approve transaction may be needed).";
+      case "InvalidRecipient": return "Invalid recipient address for the payout.";
+      case "NativeTransferFailed": return "The vault could not send native ONE to this wallet; receive wONE instead.";
+      case "InvalidBatch": return "Invalid batch: add between 1 and 8 tokens with matching amounts.";
+      case "InvalidRedeemToken": return "Redeem token must be one of the vault's output tokens";
+      case "DailyLimitLocked": return `Daily limit reached. You can redeem again after ${fmtTime(a[0])}.`;
       case "DailyLimitExceeded": {
-        const [remaining, requested] = custom.args || [];
-        return `Daily limit exceeded (remaining $${remaining} vs requested $${requested})`;
+        const [remaining, requested] = a;
+        if (!BigInt(remaining ?? 0n)) return "No limit left for the current window. Please wait for it to reset.";
+        return `Limit for the current window exceeded: you can redeem up to ${fmtUsd18(remaining)} now (requested ${fmtUsd18(requested)}).`;
       }
+      case "DuplicateToken": return "The same token appears twice in the batch.";
       case "MismatchONEAmount": return "Mismatch ONE amount";
       case "DoNotSendONEWithERC20": return "Do not send ONE with ERC20";
+      case "TokenNotSupported": return "Token not supported";
+      case "InvalidClaimCap": return "Claim cap proof not found or invalid for this token.";
+      case "ClaimCapExceeded": {
+        const [token, remaining, requested] = a;
+        return `Lifetime claim cap reached for this token: ${fmtToken(remaining, token, metas)} left (requested ${fmtToken(requested, token, metas)}).`;
+      }
+      case "RoundBudgetExceeded": {
+        const [remaining, requested] = a;
+        if (!BigInt(remaining ?? 0n)) return "This round's redemption budget is used up. Please wait for the next round.";
+        return `Round budget nearly used: ${fmtUsd18(remaining)} left for everyone this round (requested ${fmtUsd18(requested)}).`;
+      }
+      case "RoundTokenCapExceeded": {
+        const [token, remaining, requested] = a;
+        return `Round cap for this token reached: ${fmtToken(remaining, token, metas)} left this round (requested ${fmtToken(requested, token, metas)}).`;
+      }
+      case "SlippageExceeded": return "Price moved beyond your slippage tolerance. Try again or raise the tolerance.";
+      case "InsufficientLiquidity": {
+        const [token, available, requested] = a;
+        return `Vault has insufficient funds for the selected output: ${fmtToken(available, token, metas)} available, ${fmtToken(requested, token, metas)} needed.`;
+      }
+      case "InvalidOracle": return "Invalid oracle";
+      case "StaleOracle": return `Oracle price is stale (last update ${fmtTime(a[0])}). Redeems are paused until the feed updates.`;
+      case "OraclePriceOutOfBounds": return `Oracle price (${fmtUsd18(a[0])}/ONE) is outside the safety bounds. Redeems are paused.`;
+      case "UnsupportedValuation": return "Unsupported valuation";
+      case "UnsupportedRedeemToken": return "Unsupported redeem token";
       default: return `${custom.name} (custom error)`;
     }
   }
@@ -161,19 +268,14 @@ function decodeRevert(e) {
 
   // 3) Fallback: try to read reason from thrown message
   const raw = pickMsg(e);
-  if (/Exceeds daily limit/i.test(String(raw))) return "Daily limit exceeded (USD×1e4). Reduce the amount.";
-  if (/Daily limit locked/i.test(String(raw))) return "Daily limit reached. Please wait for your 24h window to reset.";
   const m = /execution reverted(?::|: )?\s*(.*)$/i.exec(String(raw || ""));
   if (m && m[1]) return m[1].trim();
   return "";
 }
 
-export function rpcFriendly(e) {
-  const decoded = decodeRevert(e);
+export function rpcFriendly(e, metas) {
+  const decoded = decodeRevert(e, metas);
   const raw = pickMsg(e);
-
-  if (/Exceeds daily limit/i.test(String(raw))) return "Daily limit exceeded (USD×1e4). Reduce the amount.";
-  if (/Daily limit locked/i.test(String(raw))) return "Daily limit reached. Please wait for your 24h window to reset.";
   if (decoded) return decoded;
 
   const code = e?.code;
@@ -256,6 +358,18 @@ export async function getTokenMeta(provider, token) {
   return val;
 }
 
+// Decimals/symbols used to format token amounts in revert messages (native ONE is reported as wONE)
+async function tokenMetas(provider, tokens) {
+  const out = {};
+  try {
+    const wone = await getWONE(provider);
+    const list = tokens.map((t) => (!t || /^0x0{40}$/i.test(String(t)) ? wone : t)).filter(Boolean);
+    const metas = await Promise.all(list.map((t) => getTokenMeta(provider, t)));
+    list.forEach((t, i) => { out[String(t).toLowerCase()] = metas[i]; });
+  } catch { /* messages fall back to raw units */ }
+  return out;
+}
+
 export async function computeUsd18(provider, tokenIn, amountRaw) {
   const [woneAddr, usdcAddr] = await Promise.all([
     getWONE(provider),
@@ -398,9 +512,102 @@ export async function approveForVaultIfNeeded(signer, token, owner, amount) {
   return await approveIfNeeded(signer, token, owner, spender, amount);
 }
 
-export async function redeem(signer, tokenIn, amountIn, redeemIn, proof = [], overrides = {}) {
+const permitDomainCache = new Map(); // chainId:token -> domain | null
+
+/**
+ * Resolve o domínio EIP-712 do token se ele suporta EIP-2612 (nonces + DOMAIN_SEPARATOR).
+ * O domínio montado é conferido contra DOMAIN_SEPARATOR(); se não bater, retorna null (usa approve).
+ */
+export async function getPermitDomain(provider, token) {
+  if (!provider || !token || /^0x0{40}$/i.test(String(token))) return null;
+  const chainId = await chainKey(provider);
+  const key = `${chainId}:${String(token).toLowerCase()}`;
+  if (permitDomainCache.has(key)) return permitDomainCache.get(key);
+
+  let domain = null;
+  try {
+    const c = new Contract(token, PERMIT_ABI, provider);
+    const [separator] = await Promise.all([c.DOMAIN_SEPARATOR(), c.nonces(ZeroAddress)]);
+    let name, version;
+    try {
+      const d = await c.eip712Domain();
+      name = d.name; version = d.version;
+    } catch {
+      name = await c.name();
+      version = await c.version().catch(() => "1");
+    }
+    const candidate = { name, version, chainId: BigInt(chainId), verifyingContract: token };
+    if (TypedDataEncoder.hashDomain(candidate) === separator) domain = candidate;
+  } catch {
+    domain = null;
+  }
+  permitDomainCache.set(key, domain);
+  return domain;
+}
+
+export async function supportsPermit(provider, token) {
+  return Boolean(await getPermitDomain(provider, token));
+}
+
+/** Assina um permit(owner -> vault, amount, deadline). Retorna { v, r, s, deadline } */
+export async function signPermitForVault(signer, token, owner, amount, deadline) {
+  const domain = await getPermitDomain(signer.provider, token);
+  if (!domain) throw new Error("Token does not support permit");
+  const spender = await getVaultSpender(signer);
+  if (!spender) throw new Error("Vault contract not configured");
+  const c = new Contract(token, PERMIT_ABI, signer.provider);
+  const nonce = await c.nonces(owner);
+  const value = { owner, spender, value: BigInt(amount), nonce, deadline: BigInt(deadline) };
+  try {
+    const sig = Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, value));
+    return { v: sig.v, r: sig.r, s: sig.s, deadline: BigInt(deadline) };
+  } catch (e) {
+    throw new Error(rpcFriendly(e));
+  }
+}
+
+/**
+ * Autoriza o vault a puxar `amount` de `token`:
+ *  - allowance já suficiente / ONE nativo -> null
+ *  - token com EIP-2612 -> assinatura off-chain { v, r, s, deadline } (sem tx de approve)
+ *  - caso contrário -> tx de approve (fluxo antigo), retorna null
+ */
+export async function permitOrApproveForVault(signer, token, owner, amount, deadlineSec = DEFAULT_DEADLINE_SEC) {
+  if (!token || /^0x0{40}$/i.test(String(token))) return null;
+  const spender = await getVaultSpender(signer);
+  if (!spender) throw new Error("Vault contract not configured");
+  const cur = await allowance(signer.provider, token, owner, spender).catch(() => 0n);
+  if (BigInt(cur) >= BigInt(amount)) return null;
+  if (await supportsPermit(signer.provider, token)) {
+    const deadline = Math.floor(Date.now() / 1000) + Number(deadlineSec);
+    return await signPermitForVault(signer, token, owner, amount, deadline);
+  }
+  await approveIfNeeded(signer, token, owner, spender, amount);
+  return null;
+}
+
+// weight: peso do snapshot vinculado ao leaf (address, weight) da whitelist
+// maxAmount/capProof: teto vitalício por (wallet, token); ignorados on-chain se capRoot == 0
+/**
+ * Executes redeem. With `opts.slippageBps` (or an explicit `opts.minAmountOut`) it calls
+ * redeemWithSlippage, deriving minAmountOut from the on-chain quoteRedeem and a deadline of now + deadlineSec.
+ * With `opts.permit` ({ v, r, s, deadline } from permitOrApproveForVault) it calls redeemWithPermit
+ * and the permit deadline is used for the redeem as well.
+ * With `opts.recipient` (other than the signer) it calls redeemTo: limits stay on the signer, the payout
+ * goes to the recipient. Not combinable with a permit.
+ * With `opts.split` it calls redeemSplit: redeemIn is the preferred output, any shortfall is paid in the
+ * other output token (see quoteRedeem.splitPrimaryOut / splitSecondaryOut). Not combinable with permit/recipient.
+ * With `opts.native` it calls redeemNative: redeemIn must be wONE, which the vault unwraps and sends as native ONE
+ * to the signer. Not combinable with permit/recipient/split.
+ * @param opts { slippageBps?, minAmountOut?, deadlineSec?, permit?, recipient?, split?, native? }
+ */
+export async function redeem(signer, tokenIn, amountIn, redeemIn, weight = 1n, proof = [], maxAmount = 0n, capProof = [], opts = {}, overrides = {}) {
   const v = getWriteContract(signer);
-  const args = [tokenIn, amountIn, redeemIn, Array.isArray(proof) ? proof : []];
+  const args = [
+    tokenIn, amountIn, redeemIn,
+    BigInt(weight ?? 1n), Array.isArray(proof) ? proof : [],
+    BigInt(maxAmount ?? 0n), Array.isArray(capProof) ? capProof : [],
+  ];
   const from = await signer.getAddress?.();
   const baseOverrides = { from, ...(overrides || {}) };
   // Native ONE path (contract expects msg.value == amountIn)
@@ -409,17 +616,12 @@ export async function redeem(signer, tokenIn, amountIn, redeemIn, proof = [], ov
   }
 
   // 0) Extra preflight via view: quoteRedeem (best-effort; some RPCs return 0x and break decoding)
+  let quotedOut = null;
   try {
     if (v.quoteRedeem && typeof v.quoteRedeem.staticCall === "function") {
       try {
-        await v.quoteRedeem.staticCall(
-          from,
-          tokenIn,
-          amountIn,
-          redeemIn,
-          Array.isArray(proof) ? proof : [],
-          baseOverrides
-        );
+        const q = await v.quoteRedeem.staticCall(from, ...args, baseOverrides);
+        quotedOut = BigInt(q?.amountOutRedeemToken ?? q?.[11] ?? 0n);
       } catch (pre) {
         const code = pre?.code;
         const msg = (pickMsg(pre) || "").toLowerCase();
@@ -435,21 +637,113 @@ export async function redeem(signer, tokenIn, amountIn, redeemIn, proof = [], ov
     throw new Error(rpcFriendly(e));
   }
 
+  // Slippage/deadline/permit/recipient: pick redeemWithSlippage / redeemWithPermit / redeemTo when requested
+  let fn = v.redeem;
+  let callArgs = args;
+  const permit = opts?.permit || null;
+  const recipient = opts?.recipient && String(opts.recipient).toLowerCase() !== String(from).toLowerCase()
+    ? opts.recipient
+    : null;
+  if (recipient && permit) throw new Error("Permit is not supported with a custom recipient; approve the token instead");
+  if (opts?.split && (recipient || permit)) throw new Error("Auto payout is not supported with a permit or a custom recipient");
+  if (opts?.native && (recipient || permit || opts?.split)) throw new Error("Native ONE payout goes to the connected wallet and needs an approve (no permit)");
+  if (opts?.native || opts?.split || permit || recipient || (opts && (opts.slippageBps != null || opts.minAmountOut != null))) {
+    let minOut = opts.minAmountOut != null ? BigInt(opts.minAmountOut) : null;
+    if (minOut == null && opts.slippageBps != null) {
+      if (!quotedOut) throw new Error("Quote not available for slippage protection");
+      minOut = applySlippage(quotedOut, opts.slippageBps);
+    }
+    const deadline = permit
+      ? BigInt(permit.deadline)
+      : BigInt(Math.floor(Date.now() / 1000) + Number(opts.deadlineSec ?? DEFAULT_DEADLINE_SEC));
+    if (opts.native) {
+      fn = v.redeemNative;
+      callArgs = [tokenIn, amountIn, ...args.slice(3), minOut ?? 0n, deadline];
+    } else if (opts.split) {
+      fn = v.redeemSplit;
+      callArgs = [...args, minOut ?? 0n, deadline];
+    } else if (recipient) {
+      fn = v.redeemTo;
+      callArgs = [tokenIn, amountIn, redeemIn, recipient, ...args.slice(3), minOut ?? 0n, deadline];
+    } else if (permit) {
+      fn = v.redeemWithPermit;
+      callArgs = [...args, minOut ?? 0n, deadline, permit.v, permit.r, permit.s];
+    } else {
+      fn = v.redeemWithSlippage;
+      callArgs = [...args, minOut, deadline];
+    }
+  }
+
+  const metas = await tokenMetas(signer.provider, [tokenIn, redeemIn]);
+  const fallbackGas = fallbackGasLimit(opts?.split ? "redeemSplit" : "redeem");
+  return await simulateAndSend(fn, callArgs, baseOverrides, "redeem", metas, fallbackGas);
+}
+
+/**
+ * Batch redeem (redeemMany): several input tokens, one payout in redeemIn.
+ * The daily limit applies to the batch total. ERC20 legs must already be approved
+ * (see approveForVaultIfNeeded); a native ONE leg is sent as msg.value.
+ * opts: { slippageBps?, minAmountOut?, deadlineSec? }
+ */
+export async function redeemMany(signer, tokensIn, amountsIn, redeemIn, weight = 1n, proof = [], maxAmounts = [], capProofs = [], opts = {}, overrides = {}) {
+  const v = getWriteContract(signer);
+  const amounts = amountsIn.map((a) => BigInt(a));
+  const caps = (maxAmounts || []).map((a) => BigInt(a ?? 0n));
+  const capPf = Array.isArray(capProofs) ? capProofs : [];
+  const pf = Array.isArray(proof) ? proof : [];
+  const w = BigInt(weight ?? 1n);
+
+  const from = await signer.getAddress?.();
+  const baseOverrides = { from, ...(overrides || {}) };
+  const nativeIdx = tokensIn.findIndex((t) => !t || /^0x0{40}$/i.test(String(t)));
+  if (nativeIdx >= 0) baseOverrides.value = amounts[nativeIdx];
+
+  // 0) Preflight via quoteRedeemMany (needed for slippage; policy blocks return totalAmountOut = 0)
+  let quotedOut = null;
+  try {
+    const q = await v.quoteRedeemMany.staticCall(from, tokensIn, amounts, redeemIn, w, pf, caps, capPf);
+    quotedOut = BigInt(q?.totalAmountOut ?? q?.[8] ?? 0n);
+  } catch (pre) {
+    const msg = (pickMsg(pre) || "").toLowerCase();
+    if (pre?.code === "BAD_DATA" || /could not decode result data|^0x$/.test(msg)) {
+      console.warn("[redeemMany.quoteRedeemMany] skipping preflight due to BAD_DATA/empty 0x", pre);
+    } else {
+      console.error("[redeemMany.quoteRedeemMany] revert", pre);
+      throw new Error(rpcFriendly(pre));
+    }
+  }
+
+  let minOut = opts?.minAmountOut != null ? BigInt(opts.minAmountOut) : 0n;
+  if (opts?.minAmountOut == null && opts?.slippageBps != null) {
+    if (!quotedOut) throw new Error("Quote not available for slippage protection");
+    minOut = applySlippage(quotedOut, opts.slippageBps);
+  }
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + Number(opts?.deadlineSec ?? DEFAULT_DEADLINE_SEC));
+
+  const callArgs = [tokensIn, amounts, redeemIn, w, pf, caps, capPf, minOut, deadline];
+  const metas = await tokenMetas(signer.provider, [...tokensIn, redeemIn]);
+  const fallbackGas = fallbackGasLimit("redeemMany", tokensIn.length);
+  return await simulateAndSend(v.redeemMany, callArgs, baseOverrides, "redeemMany", metas, fallbackGas);
+}
+
+
+// staticCall -> estimateGas -> send, shared by redeem and redeemMany
+async function simulateAndSend(fn, callArgs, baseOverrides, tag, metas, fallbackGas) {
   // 1) Static check (captures revert reasons via eth_call)
   try {
-    await v.redeem.staticCall(...args, baseOverrides);
+    await fn.staticCall(...callArgs, baseOverrides);
   } catch (e) {
-    console.error("[redeem.staticCall] revert", e);
-    throw new Error(rpcFriendly(e));
+    console.error(`[${tag}.staticCall] revert`, e);
+    throw new Error(rpcFriendly(e, metas));
   }
 
   // 2) Estimate gas (second opinion). Some Harmony RPCs fail with missing revert data; tolerate & fallback.
   let useFallbackGas = false;
   try {
-    await v.redeem.estimateGas(...args, baseOverrides);
+    await fn.estimateGas(...callArgs, baseOverrides);
   } catch (e) {
-    console.warn("[redeem.estimateGas] fallback gasLimit due to:", e);
-    const decoded = decodeRevert(e);
+    console.warn(`[${tag}.estimateGas] fallback gasLimit due to:`, e);
+    const decoded = decodeRevert(e, metas);
     if (decoded) {
       // A real revert reason was decoded -> surface it
       throw new Error(decoded);
@@ -466,14 +760,14 @@ export async function redeem(signer, tokenIn, amountIn, redeemIn, proof = [], ov
   try {
     const sendOpts = { ...baseOverrides };
     if (useFallbackGas && sendOpts.gasLimit == null) {
-      sendOpts.gasLimit = GAS_FALLBACK_LIMIT; // e.g. 500,000 gas
+      sendOpts.gasLimit = fallbackGas; // por método (fallbackGasLimit)
     }
-    const tx = await v.redeem(...args, sendOpts);
+    const tx = await fn(...callArgs, sendOpts);
     return await tx.wait();
   } catch (e) {
-    console.error("[redeem.send] revert", e);
-    const decoded = decodeRevert(e);
+    console.error(`[${tag}.send] revert`, e);
+    const decoded = decodeRevert(e, metas);
     if (decoded) throw new Error(decoded);
-    throw new Error(rpcFriendly(e));
+    throw new Error(rpcFriendly(e, metas));
   }
 }
@@ -0,0 +1,128 @@
+// src/services/redemptionQueueService.js
+// RedemptionQueue: quando o vault não tem liquidez do token de saída, o pedido entra numa fila FIFO com o input em
+// escrow; ao refinanciar o vault, process() paga os pedidos em ordem (o primeiro pode ser parcial). Um pagamento que a
+// carteira não pode receber (ex.: blacklist do token) fica creditado à conta e sai com claim()
+import { Contract, getAddress, isAddress } from "ethers";
+import { ensureAllowance } from "@/services/tokenService";
+import { resolveAccount } from "@/services/migrationService";
+import * as core from "@/services/vaultCore";
+
+const QUEUE_ABI = [
+  "function vault() view returns (address)",
+  "function entryCount() view returns (uint256)",
+  "function head(address) view returns (uint256)",
+  "function pendingOut(address) view returns (uint256)",
+  "function openEntryOf(address) view returns (uint256)",
+  "function queueLength(address redeemIn) view returns (uint256)",
+  "function positionOf(address wallet) view returns (uint256 id, tuple(address wallet, address account, address tokenIn, address redeemIn, uint256 amountIn, uint256 feeIn, uint256 amountOut, uint256 reservation) e, uint256 position, uint256 outAhead)",
+  "function join(address tokenIn, uint256 amountIn, address redeemIn, uint256 weight, bytes32[] proof, uint256 maxAmount, bytes32[] capProof) returns (uint256 id)",
+  "function cancel()",
+  "function process(address redeemIn, uint256 maxEntries) returns (uint256 filled)",
+  "function claimable(address account, address redeemIn) view returns (uint256)",
+  "function claim(address redeemIn)",
+  "event QueueJoined(uint256 indexed id, address indexed account, address wallet, address tokenIn, uint256 amountIn, address indexed redeemIn, uint256 amountOut)",
+  "event QueueFilled(uint256 indexed id, address indexed account, uint256 amountOut, uint256 usedIn, uint256 remainingOut)",
+  "event QueueCancelled(uint256 indexed id, address indexed account, uint256 refundIn)",
+  "event FillCredited(uint256 indexed id, address indexed account, address indexed redeemIn, uint256 amountOut)",
+  "event FillClaimed(address indexed account, address indexed wallet, address indexed redeemIn, uint256 amountOut)",
+];
+
+const PROCESS_BATCH = Number(import.meta.env.VITE_QUEUE_PROCESS_BATCH ?? 25); // entries per process() tx
+
+/** RedemptionQueue configurada via VITE_REDEMPTION_QUEUE_ADDRESS (null = fila desativada) */
+export function getQueueAddress() {
+  const a = import.meta.env.VITE_REDEMPTION_QUEUE_ADDRESS;
+  return a && isAddress(a) ? getAddress(a) : null;
+}
+
+export function getQueue(runner) {
+  const addr = getQueueAddress();
+  if (!addr) throw new Error("Redemption queue is not configured");
+  return new Contract(addr, QUEUE_ABI, runner);
+}
+
+/** Pedido aberto da carteira { id, tokenIn, redeemIn, amountIn, amountOut, position, outAhead } ou null */
+export async function getPositionOf(provider, wallet) {
+  if (!getQueueAddress() || !provider || !wallet) return null;
+  const [id, e, position, outAhead] = await getQueue(provider).positionOf(wallet);
+  if (BigInt(id) === 0n) return null;
+  return {
+    id: BigInt(id),
+    wallet: e.wallet,
+    tokenIn: e.tokenIn,
+    redeemIn: e.redeemIn,
+    amountIn: BigInt(e.amountIn),   // escrow ainda não usado
+    amountOut: BigInt(e.amountOut), // saída ainda devida
+    position: Number(position),     // 1 = próximo a ser pago
+    outAhead: BigInt(outAhead),     // saída devida aos pedidos à frente
+  };
+}
+
+/** { pendingOut, length } da fila de `redeemIn` */
+export async function getQueueStats(provider, redeemIn) {
+  if (!getQueueAddress() || !provider || !redeemIn) return { pendingOut: 0n, length: 0 };
+  const q = getQueue(provider);
+  const [pending, len] = await Promise.all([q.pendingOut(redeemIn), q.queueLength(redeemIn)]);
+  return { pendingOut: BigInt(pending), length: Number(len) };
+}
+
+/** Pagamentos não entregues da conta de `wallet`, por token de saída: [{ token, amount }] só com saldo > 0 */
+export async function getClaimable(provider, wallet, redeemTokens = []) {
+  if (!getQueueAddress() || !provider || !wallet) return [];
+  const account = await resolveAccount(provider, wallet);
+  if (!account) return [];
+  const q = getQueue(provider);
+  const amounts = await Promise.all(redeemTokens.map((t) => q.claimable(account, t).catch(() => 0n)));
+  return redeemTokens.map((token, i) => ({ token, amount: BigInt(amounts[i]) })).filter((c) => c.amount > 0n);
+}
+
+export async function claimFills(signer, redeemIn) {
+  const tx = await getQueue(signer).claim(redeemIn);
+  return await tx.wait();
+}
+
+/** true quando o vault concedeu SETTLEMENT_ROLE à fila (necessário para o process) */
+export async function hasSettlementRole(provider) {
+  const v = await core.getReadContract(provider);
+  return Boolean(await v.hasRole(await v.SETTLEMENT_ROLE(), getQueueAddress()));
+}
+
+/** Aprova (se preciso) e entra na fila; mesmos argumentos do redeem do vault */
+export async function joinQueue(signer, { tokenIn, amountIn, redeemIn, weight = 1n, proof = [], maxAmount = 0n, capProof = [] }) {
+  if (!signer) throw new Error("Signer indisponible (presumably not logged in)");
+  const q = getQueue(signer);
+  const owner = await signer.getAddress();
+  await ensureAllowance(signer, tokenIn, owner, await q.getAddress(), BigInt(amountIn));
+  const tx = await q.join(tokenIn, BigInt(amountIn), redeemIn, BigInt(weight ?? 1n), proof || [], BigInt(maxAmount ?? 0n), capProof || []);
+  return await tx.wait();
+}
+
+export async function leaveQueue(signer) {
+  const tx = await getQueue(signer).cancel();
+  return await tx.wait();
+}
+
+/** Qualquer um: paga a fila de `redeemIn` com o saldo atual do vault */
+export async function processQueue(signer, redeemIn, maxEntries = PROCESS_BATCH) {
+  const tx = await getQueue(signer).process(redeemIn, BigInt(maxEntries));
+  return await tx.wait();
+}
+
+export function prettyQueueError(e) {
+  // reverts bubbled from the vault (release / quoteRedeem) carry its custom errors
+  const custom = core.parseVaultError(e?.data ?? e?.info?.error?.data);
+  if (custom?.name === "MissingRole") return "The redemption queue is not allowed to release vault liquidity yet.";
+  if (custom) return `${custom.name} (vault)`;
+  const msg = e?.reason || e?.shortMessage || e?.info?.error?.message || e?.message || String(e || "");
+  if (/Already queued/i.test(msg)) return "You already have a queued request. Cancel it to change it.";
+  if (/Not queued/i.test(msg)) return "No queued request found for this wallet.";
+  if (/Nothing to claim/i.test(msg)) return "Nothing to claim for this token.";
+  if (/Round not active/i.test(msg)) return "Round is not active";
+  if (/Request blocked/i.test(msg)) return "Request blocked by the vault (daily limit, claim cap, round cap or oracle guard).";
+  if (/Not whitelisted/i.test(msg)) return "Address not whitelisted";
+  if (/Wallet frozen/i.test(msg)) return "This wallet has a pending or completed migration.";
+  if (/Wrap ONE first/i.test(msg)) return "Wrap ONE to wONE before queueing.";
+  if (/Invalid redeem token/i.test(msg)) return "Select one of the vault's output tokens";
+  if (/user rejected|ACTION_REJECTED/i.test(msg)) return "Request rejected by user";
+  return msg || "Redemption queue call failed";
+}
@@ -0,0 +1,192 @@
+// src/services/timelockService.js
+// VaultTimelock: quando o owner do vault é um timelock, mudanças sensíveis passam por queue -> (delay) -> execute
+import { Contract, Interface, getAddress, id as keccakId } from "ethers";
+import * as core from "@/services/vaultCore";
+
+const TIMELOCK_ABI = [
+  "function vault() view returns (address)",
+  "function owner() view returns (address)",
+  "function delay() view returns (uint256)",
+  "function GRACE_PERIOD() view returns (uint256)",
+  "function MIN_DELAY() view returns (uint256)",
+  "function MAX_DELAY() view returns (uint256)",
+  "function queuedEta(bytes32) view returns (uint256)",
+  "function isTimelocked(bytes4) view returns (bool)",
+  "function queue(address target, bytes data) returns (bytes32 id)",
+  "function execute(address target, bytes data, uint256 eta) returns (bytes)",
+  "function cancel(address target, bytes data, uint256 eta)",
+  "function forward(bytes data) returns (bytes)",
+  "function setDelay(uint256 delay)",
+  "function setTimelocked(bytes4 selector, bool timelocked)",
+  "event ChangeQueued(bytes32 indexed id, address indexed target, bytes4 indexed selector, bytes data, uint256 eta)",
+  "event ChangeExecuted(bytes32 indexed id, address indexed target, bytes4 indexed selector, bytes data, uint256 eta)",
+  "event ChangeCancelled(bytes32 indexed id, address indexed target, bytes4 indexed selector, bytes data, uint256 eta)",
+  "event CallForwarded(bytes4 indexed selector, bytes data)",
+  "event DelayUpdated(uint256 delay)",
+];
+const timelockIface = new Interface(TIMELOCK_ABI);
+
+const EVENTS_FROM_BLOCK = Number(import.meta.env.VITE_TIMELOCK_FROM_BLOCK ?? 0); // timelock deploy block
+
+const sameAddr = (a, b) => !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+
+const TIMELOCK_TTL_MS = 60_000;
+let timelockCache = { ts: 0, value: null };
+
+export function invalidateTimelockCache() {
+  timelockCache = { ts: 0, value: null };
+}
+
+/** VaultTimelock that owns the vault, or null when the owner is a plain account */
+export async function getTimelockAddress(provider) {
+  if (timelockCache.value !== null && Date.now() - timelockCache.ts < TIMELOCK_TTL_MS) return timelockCache.value || null;
+  let addr = "";
+  try {
+    const own = await core.owner(provider);
+    const code = await provider.getCode(own);
+    if (code && code !== "0x") {
+      const vault = await new Contract(own, TIMELOCK_ABI, provider).vault();
+      if (sameAddr(vault, core.getVaultAddress())) addr = getAddress(own);
+    }
+  } catch { addr = ""; }
+  timelockCache = { ts: Date.now(), value: addr };
+  return addr || null;
+}
+
+export async function getTimelock(runner, provider) {
+  const addr = await getTimelockAddress(provider ?? runner?.provider ?? runner);
+  if (!addr) throw new Error("Vault owner is not a timelock");
+  return new Contract(addr, TIMELOCK_ABI, runner);
+}
+
+/** { address, admin, delay, gracePeriod, minDelay, maxDelay } or null when no timelock owns the vault */
+export async function getTimelockInfo(provider) {
+  const addr = await getTimelockAddress(provider);
+  if (!addr) return null;
+  const t = new Contract(addr, TIMELOCK_ABI, provider);
+  const [admin, delay, grace, min, max] = await Promise.all([t.owner(), t.delay(), t.GRACE_PERIOD(), t.MIN_DELAY(), t.MAX_DELAY()]);
+  return { address: addr, admin, delay: BigInt(delay), gracePeriod: BigInt(grace), minDelay: BigInt(min), maxDelay: BigInt(max) };
+}
+
+/** Account that effectively owns the vault: the timelock admin when a timelock is the owner */
+export async function effectiveOwner(provider) {
+  const info = await getTimelockInfo(provider).catch(() => null);
+  return info ? info.admin : await core.owner(provider);
+}
+
+/**
+ * Sends an owner-only vault call. Without a timelock it goes straight to the vault; with one, timelocked
+ * selectors are queued and the rest are forwarded immediately. Returns the receipt (see `queuedChangeOf`).
+ */
+export async function ownerCall(signer, fn, args = []) {
+  if (!signer) throw new Error("Signer indisponible (presumably not logged in)");
+  const tlAddr = await getTimelockAddress(signer.provider);
+  if (!tlAddr) {
+    const tx = await core.getWriteContract(signer)[fn](...args);
+    return await tx.wait();
+  }
+  const data = core.getVaultInterface().encodeFunctionData(fn, args);
+  const t = new Contract(tlAddr, TIMELOCK_ABI, signer);
+  const locked = await t.isTimelocked(data.slice(0, 10));
+  const tx = locked ? await t.queue(core.getVaultAddress(), data) : await t.forward(data);
+  return await tx.wait();
+}
+
+/**
+ * Sends a role-gated vault call (e.g. setOracle needs PRICE_SETTER_ROLE). An account holding `role` calls the vault
+ * directly; the timelock admin goes through the timelock when the timelock holds the role (see ownerCall).
+ */
+export async function roleCall(signer, role, fn, args = []) {
+  if (!signer) throw new Error("Signer indisponible (presumably not logged in)");
+  const vault = core.getWriteContract(signer);
+  const tlAddr = await getTimelockAddress(signer.provider);
+  if (tlAddr) {
+    const [mine, viaTimelock] = await Promise.all([
+      vault.hasRole(keccakId(role), await signer.getAddress()),
+      vault.hasRole(keccakId(role), tlAddr),
+    ]);
+    if (!mine && viaTimelock) return await ownerCall(signer, fn, args);
+  }
+  const tx = await vault[fn](...args);
+  return await tx.wait();
+}
+
+/** Queues a change of the timelock delay (itself timelocked) */
+export async function queueSetDelay(signer, seconds) {
+  const t = await getTimelock(signer, signer.provider);
+  const data = timelockIface.encodeFunctionData("setDelay", [BigInt(seconds)]);
+  const tx = await t.queue(await t.getAddress(), data);
+  return await tx.wait();
+}
+
+/** { id, eta } of the change queued in `receipt`, or null when the call went through directly */
+export function queuedChangeOf(receipt) {
+  for (const log of receipt?.logs || []) {
+    try {
+      const ev = timelockIface.parseLog(log);
+      if (ev?.name === "ChangeQueued") return { id: ev.args.id, eta: BigInt(ev.args.eta) };
+    } catch { /* not a timelock log */ }
+  }
+  return null;
+}
+
+/** Human-readable form of queued calldata, e.g. "setOracle(0xabc…)" */
+export function describeChange(target, data) {
+  const iface = sameAddr(target, core.getVaultAddress()) ? core.getVaultInterface() : timelockIface;
+  try {
+    const tx = iface.parseTransaction({ data });
+    const args = tx.args.map((a) => (Array.isArray(a) ? `[${a.map(String).join(", ")}]` : String(a)));
+    return { fn: tx.name, args, label: `${tx.name}(${args.join(", ")})` };
+  } catch {
+    return { fn: data.slice(0, 10), args: [], label: data.slice(0, 10) };
+  }
+}
+
+/** Queued changes not yet executed or cancelled, soonest first */
+export async function listPendingChanges(provider, fromBlock = EVENTS_FROM_BLOCK) {
+  const t = await getTimelock(provider, provider);
+  const [queued, done, cancelled] = await Promise.all([
+    t.queryFilter(t.filters.ChangeQueued(), fromBlock),
+    t.queryFilter(t.filters.ChangeExecuted(), fromBlock),
+    t.queryFilter(t.filters.ChangeCancelled(), fromBlock),
+  ]);
+  const closed = new Set([...done, ...cancelled].map((ev) => String(ev.args.id).toLowerCase()));
+  return queued
+    .filter((ev) => !closed.has(String(ev.args.id).toLowerCase()))
+    .map((ev) => ({
+      id: ev.args.id,
+      target: ev.args.target,
+      data: ev.args.data,
+      eta: BigInt(ev.args.eta),
+      blockNumber: ev.blockNumber,
+      ...describeChange(ev.args.target, ev.args.data),
+    }))
+    .sort((a, b) => (a.eta < b.eta ? -1 : a.eta > b.eta ? 1 : 0));
+}
+
+/** Anyone: applies a change whose delay has passed */
+export async function executeChange(signer, change) {
+  const t = await getTimelock(signer, signer.provider);
+  const tx = await t.execute(change.target, change.data, change.eta);
+  return await tx.wait();
+}
+
+/** Timelock admin: drops a queued change */
+export async function cancelChange(signer, change) {
+  const t = await getTimelock(signer, signer.provider);
+  const tx = await t.cancel(change.target, change.data, change.eta);
+  return await tx.wait();
+}
+
+export function prettyTimelockError(e) {
+  const msg = e?.reason || e?.shortMessage || e?.info?.error?.message || e?.message || String(e || "");
+  if (/Change not ready/i.test(msg)) return "The delay for this change has not elapsed yet.";
+  if (/Change expired/i.test(msg)) return "The grace period ended; queue the change again.";
+  if (/Change not queued/i.test(msg)) return "This change is no longer queued (executed or cancelled).";
+  if (/Already queued/i.test(msg)) return "The same change is already queued.";
+  if (/Selector is timelocked/i.test(msg)) return "This setting must go through the timelock queue.";
+  if (/Invalid delay/i.test(msg)) return "Delay is outside the timelock's min/max.";
+  if (/caller is not the owner/i.test(msg)) return "Only the timelock admin can queue or cancel changes.";
+  if (/user rejected|ACTION_REJECTED/i.test(msg)) return "Request rejected by user";
+  return msg || "Timelock call failed";
+}
@@ -1,11 +1,14 @@
 // src/services/vaultCore.js
 import { Contract, JsonRpcProvider, Interface, getAddress, ethers } from "ethers";
 import VaultArtifact from "@/ui/abi/RecoveryVaultABI.json";
+import LensArtifact from "@/ui/abi/VaultLensABI.json";
 
 const VAULT_ABI = VaultArtifact.abi ?? VaultArtifact;
+const LENS_ABI = LensArtifact.abi ?? LensArtifact;
 
 const ERC20_ABI = [
   "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
   "function balanceOf(address) view returns (uint256)",
   "function allowance(address owner, address spender) view returns (uint256)",
   "function approve(address spender, uint256 amount) returns (bool)"
@@ -75,13 +78,33 @@ export async function ROUND_DELAY(p){ return b(await (await getReadContract(p)).
 export async function roundDelayEnabled(p){ return bool(await (await getReadContract(p)).roundDelayEnabled()); }
 export async function roundBps(p){ return Number(await (await getReadContract(p)).roundBps()); }
 export async function roundFeeBasisUsd(p){ return b(await (await getReadContract(p)).roundFeeBasisUsd()); }
+export async function roundBudgetUsd(p){ return b(await (await getReadContract(p)).roundBudgetUsd()); }
+export async function roundTokenCap(p, token){ return b(await (await getReadContract(p)).roundTokenCap(token)); }
+export async function roundRedeemedUsd(p, roundId){ return b(await (await getReadContract(p)).roundRedeemedUsd(roundId)); }
+export async function roundTokenRedeemed(p, roundId, token){ return b(await (await getReadContract(p)).roundTokenRedeemed(roundId, token)); }
 export async function roundFeeLocked(p){ return bool(await (await getReadContract(p)).roundFeeLocked()); }
 export async function WALLET_RESET_INTERVAL(p){ return b(await (await getReadContract(p)).WALLET_RESET_INTERVAL()); }
+
+/** Modo da janela do limite diário (enum ResetMode do vault) */
+export const RESET_MODES = { 0: "Rolling", 1: "Fixed UTC" };
+
+// Regra da janela: { interval (s), mode (0 = a partir do 1º redeem da carteira, 1 = fronteiras fixas UTC), nextReset }
+// nextReset: próxima fronteira comum no modo Fixed UTC; 0 no Rolling (cada carteira tem a sua, ver getUserStatus)
+export async function getResetWindow(p){
+  const r = await (await getReadContract(p)).getResetWindow();
+  return { interval: n(r[0]), mode: n(r[1]), nextReset: b(r[2]) };
+}
 export async function currentRound(p){ return b(await (await getReadContract(p)).currentRound()); }
 export async function roundStart(p){ return b(await (await getReadContract(p)).roundStart()); }
 export async function dailyLimitUsd(p){ return b(await (await getReadContract(p)).dailyLimitUsd()); }
 export async function isLocked(p){ return bool(await (await getReadContract(p)).isLocked()); }
 export async function merkleRoot(p){ return await (await getReadContract(p)).merkleRoot(); }
+export async function maxOracleAge(p){ return b(await (await getReadContract(p)).maxOracleAge()); }
+export async function minOnePrice18(p){ return b(await (await getReadContract(p)).minOnePrice18()); }
+export async function maxOnePrice18(p){ return b(await (await getReadContract(p)).maxOnePrice18()); }
+export async function capRoot(p){ return await (await getReadContract(p)).capRoot(); }
+export async function migration(p){ return await (await getReadContract(p)).migration(); }
+export async function claimedAmount(p, user, token){ return b(await (await getReadContract(p)).claimedAmount(user, token)); }
 
 export async function fixedUsdPrice(p, token){ return b(await (await getReadContract(p)).fixedUsdPrice(token)); }
 export async function supportedToken(p, token){ return bool(await (await getReadContract(p)).supportedToken(token)); }
@@ -90,6 +113,13 @@ export async function getSupportedTokens(p){ return await (await getReadContract
 
 export async function feeThresholds(p, i){ return b(await (await getReadContract(p)).feeThresholds(i)); }
 export async function feeBps(p, i){ return n(await (await getReadContract(p)).feeBps(i)); }
+// Fee split [{ wallet, bps }] (bps sum to 10000); o contrato devolve só o devWallet quando não há tabela
+export async function getFeeRecipients(p){
+  const r = await (await getReadContract(p)).getFeeRecipients();
+  const wallets = Array.isArray(r?.[0]) ? r[0] : [];
+  const bps = Array.isArray(r?.[1]) ? r[1] : [];
+  return wallets.map((wallet, i) => ({ wallet, bps: Number(bps[i] ?? 0) }));
+}
 export async function getFeeTiers(p){
   const v = await getReadContract(p);
   const r = await v.getFeeTiers();
@@ -100,16 +130,69 @@ export async function getFeeTiers(p){
   return { thresholds, bps };
 }
 
-export async function getUserLimit(p, wallet){
-  const r = await (await getReadContract(p)).getUserLimit(wallet);
+// weight: peso do snapshot (leaf da whitelist); o limite diário é dailyLimitUsd * weight
+export async function getUserLimit(p, wallet, weight = 1n){
+  const r = await (await getReadContract(p)).getUserLimit(wallet, BigInt(weight ?? 1n));
   return b(r ?? 0n);
 }
 
+// Estado completo do limite diário numa leitura (mesma regra do _resetIfNeeded do contrato). USD18; timestamps em
+// segundos, 0 = sem janela / sem lock
+export async function getUserStatus(p, wallet, weight = 1n, proof = []){
+  return userStatusOf(await (await getReadContract(p)).getUserStatus(wallet, BigInt(weight ?? 1n), proof || []));
+}
+
+function userStatusOf(r){
+  return {
+    whitelisted: Boolean(r.whitelisted),
+    limitUsd18: b(r.limitUsd),
+    usedUsd18: b(r.usedUsd),
+    remainingUsd18: b(r.remainingUsd),
+    windowStart: b(r.windowStart),
+    windowEnd: b(r.windowEnd),
+    unlockAt: b(r.unlockAt),
+    lastRedeemAt: b(r.lastRedeemAt),
+    roundRedeemedUsd18: b(r.roundRedeemedUsd),
+  };
+}
+
 export async function getVaultBalances(p){
   const r = await (await getReadContract(p)).getVaultBalances();
   return { woneBalance: b(r[0]), usdcBalance: b(r[1]) };
 }
 
+/** Fonte de preço dos tokens de saída (enum OutputPricing do vault; 0 = não é saída) */
+export const OUTPUT_PRICING = { 1: "Oracle", 2: "Peg", 3: "Fixed" };
+
+export async function getOutputTokens(p){ return await (await getReadContract(p)).getOutputTokens(); }
+export async function outputToken(p, token){
+  const r = await (await getReadContract(p)).outputToken(token);
+  return { pricing: n(r[0]), decimals: n(r[1]), price18: b(r[2]) };
+}
+
+/** Tokens de saída configurados no vault: [{ token, symbol, pricing, decimals, price18, balance, usd18 }] */
+export async function getOutputBalances(p){
+  const v = await getReadContract(p);
+  const r = await v.getOutputBalances();
+  const tokens = [...(r[0] || [])];
+  const [symbols, cfgs, avail] = await Promise.all([
+    Promise.all(tokens.map((t) => new Contract(t, ERC20_ABI, p).symbol().catch(() => `${String(t).slice(0, 6)}…`))),
+    Promise.all(tokens.map((t) => v.outputToken(t))),
+    // saldo fora da reserva das filas (RedemptionQueue); vault antigo sem availableOutput = saldo inteiro
+    Promise.all(tokens.map((t, i) => v.availableOutput(t, ethers.ZeroAddress).catch(() => r[3][i]))),
+  ]);
+  return tokens.map((token, i) => ({
+    token,
+    symbol: String(symbols[i]),
+    pricing: n(r[1][i]),
+    decimals: n(r[2][i]),
+    price18: b(cfgs[i][2]), // só o modo Fixed usa
+    balance: b(r[3][i]),
+    available: b(avail[i]), // o que um redeem direto pode levar
+    usd18: b(r[4][i]),
+  }));
+}
+
 export async function getLastRedeemTimestamp(p, user){
   return b(await (await getReadContract(p)).getLastRedeemTimestamp(user));
 }
@@ -129,17 +212,76 @@ export async function getRoundInfo(p){
     delayEnabled: bool(r[5]),
     roundFeeBps: Number(r[6]),
     roundFeeBasis: b(r[7]),
+    budgetUsd: b(r[8]),          // USD18, 0 = sem orçamento
+    budgetRemainingUsd: b(r[9]), // USD18, MaxUint256 = sem orçamento
+    endTime: b(r[10] ?? 0n),     // 0 = até o próximo round começar
+  };
+}
+
+// Qualquer round (passado, atual ou agendado): { roundId, exists, startTime, endTime, limitUsd, feeBps, isActive, redeemedUsd }
+export async function getRoundById(p, roundId){
+  const r = await (await getReadContract(p))["getRoundInfo(uint256)"](BigInt(roundId));
+  return {
+    roundId: b(roundId),
+    exists: bool(r[0]),
+    startTime: b(r[1]),
+    endTime: b(r[2]),
+    limitUsd: b(r[3]),   // USD18 (limite global quando o round não define um)
+    feeBps: Number(r[4]),
+    isActive: bool(r[5]),
+    redeemedUsd: b(r[6]),
   };
 }
 
+// Rounds agendados que ainda não começaram, em ordem de início
+export async function getRoundSchedule(p){
+  const ids = await (await getReadContract(p)).getScheduledRounds();
+  return await Promise.all(Array.from(ids || []).map((id) => getRoundById(p, id)));
+}
+
+// Totais on-chain de um round (redeems do vault + módulos de liquidação):
+// { usdIn18, feesUsd18, redeemers, paidOut: [{ token, amount }] } — paidOut na ordem de getOutputTokens
+export async function getRoundStats(p, roundId){
+  const r = await (await getReadContract(p)).getRoundStats(BigInt(roundId));
+  const tokens = [...(r[3] || [])];
+  return { usdIn18: b(r[0]), feesUsd18: b(r[1]), redeemers: Number(r[2]), paidOut: tokens.map((token, i) => ({ token, amount: b(r[4][i]) })) };
+}
+
+// Totais de um token de entrada (unidades do token): { burned, sunk } — sunk = enviado ao DEAD_BURN_ADDRESS
+export async function getTokenStats(p, token){
+  const r = await (await getReadContract(p)).getTokenStats(token);
+  return { burned: b(r[0]), sunk: b(r[1]) };
+}
+
+// Orçamento do round + tetos por token (só tokens com teto > 0): { roundId, budgetUsd18, usedUsd18, tokens: [{ token, cap, used }] }
+export async function getRoundCaps(p){
+  const v = await getReadContract(p);
+  // getRoundInfo()[0] já considera um round agendado que começou (currentRound só muda no primeiro redeem)
+  const [info, budget, tokens] = await Promise.all([v.getRoundInfo(), v.roundBudgetUsd(), v.getSupportedTokens()]);
+  const roundId = info[0];
+  const [used, caps] = await Promise.all([
+    v.roundRedeemedUsd(roundId),
+    Promise.all((tokens || []).map(async (token) => {
+      const cap = b(await v.roundTokenCap(token));
+      return { token, cap, used: cap > 0n ? b(await v.roundTokenRedeemed(roundId, token)) : 0n };
+    })),
+  ]);
+  return { roundId: b(roundId), budgetUsd18: b(budget), usedUsd18: b(used), tokens: caps.filter((c) => c.cap > 0n) };
+}
+
 
 export async function redeemedInRound(p, roundId, wallet){
   return b(await (await getReadContract(p)).redeemedInRound(roundId, wallet));
 }
 
-export async function quoteRedeem(p, user, tokenIn, amountIn, redeemIn, proof = []) {
+// maxAmount/capProof: teto vitalício (user, token, maxAmount); ignorados on-chain se capRoot == 0
+export async function quoteRedeem(p, user, tokenIn, amountIn, redeemIn, weight = 1n, proof = [], maxAmount = 0n, capProof = []) {
   const v = await getReadContract(p);
-  const r = await v.quoteRedeem(user, tokenIn, amountIn, redeemIn, Array.isArray(proof) ? proof : []);
+  const r = await v.quoteRedeem(
+    user, tokenIn, amountIn, redeemIn,
+    BigInt(weight ?? 1n), Array.isArray(proof) ? proof : [],
+    BigInt(maxAmount ?? 0n), Array.isArray(capProof) ? capProof : []
+  );
 
   const b = (x) => BigInt(x);
   const n = (x) => Number(x);
@@ -165,6 +307,39 @@ export async function quoteRedeem(p, user, tokenIn, amountIn, redeemIn, proof =
     oraclePrice:        b(r[9]),
     oracleDecimals:     n(r[10]),
     amountOutRedeemToken: b(r[11]),
+    oracleOk:           Boolean(r[12]), // false => stale or out-of-bounds price; redeem would revert
+    roundBudgetRemaining18: b(r[13]),   // USD18 left for the whole round; MaxUint256 = no budget
+    roundTokenRemaining:  b(r[14]),     // tokenIn units left this round; MaxUint256 = no cap
+    splitPrimaryOut:      b(r[15]),     // redeemSplit: redeemIn leg for the current vault balances
+    splitSecondaryOut:    b(r[16]),     // redeemSplit: top-up in the other output token (wONE <-> USDC)
+  };
+}
+
+// Cotação de um lote (redeemMany): limite diário aplicado ao total; totalAmountOut = 0 se o lote seria bloqueado
+export async function quoteRedeemMany(p, user, tokensIn, amountsIn, redeemIn, weight = 1n, proof = [], maxAmounts = [], capProofs = []) {
+  const v = await getReadContract(p);
+  const r = await v.quoteRedeemMany(
+    user, tokensIn, amountsIn.map((a) => BigInt(a)), redeemIn,
+    BigInt(weight ?? 1n), Array.isArray(proof) ? proof : [],
+    (maxAmounts || []).map((a) => BigInt(a ?? 0n)), Array.isArray(capProofs) ? capProofs : []
+  );
+
+  const b = (x) => BigInt(x);
+  const to4 = (x18) => (BigInt(x18) * USD_SCALE_BI) / (10n ** 18n);
+
+  return {
+    whitelisted:          Boolean(r[0]),
+    roundIsActive:        Boolean(r[1]),
+    oracleOk:             Boolean(r[2]),
+    usdValueIn:           to4(r[3]),
+    userLimitUsdBefore:   to4(r[4]),
+    userLimitUsdAfter:    to4(r[5]),
+    usdValueIn18:         b(r[3]),
+    userLimitUsdBefore18: b(r[4]),
+    userLimitUsdAfter18:  b(r[5]),
+    feesInTokenIn:        Array.from(r[6]).map(b),
+    amountsOut:           Array.from(r[7]).map(b),
+    totalAmountOut:       b(r[8]),
   };
 }
 
@@ -197,6 +372,21 @@ export async function getAllFixedPrices(p, tokens) {
   return out;
 }
 
+/** Vault ABI as an ethers Interface (calldata/event decoding, e.g. timelocked changes) */
+export function getVaultInterface() {
+  return new Interface(VAULT_ABI);
+}
+
+/** Decodes RecoveryVault custom-error revert data ({ name, args }) or returns null */
+export function parseVaultError(data) {
+  try {
+    if (!data || typeof data !== "string" || !data.startsWith("0x")) return null;
+    return new Interface(VAULT_ABI).parseError(data);
+  } catch {
+    return null;
+  }
+}
+
 export function getEventTopics() {
   const iface = new Interface(VAULT_ABI);
   return {
@@ -211,6 +401,10 @@ export function getEventTopics() {
     RoundDelayToggled: iface.getEventTopic("RoundDelayToggled"),
     RedeemValuationUSD18: iface.getEventTopic("RedeemValuationUSD18"),
     TokenSinkFallback:    iface.getEventTopic("TokenSinkFallback"),
+    OracleUpdated: iface.getEventTopic("OracleUpdated"),
+    MerkleRootUpdated: iface.getEventTopic("MerkleRootUpdated"),
+    DailyLimitUpdated: iface.getEventTopic("DailyLimitUpdated"),
+    DevWalletUpdated: iface.getEventTopic("DevWalletUpdated"),
 
   };
 }
@@ -218,8 +412,8 @@ export function getEventTopics() {
 const oracleCache = new WeakMap();
 const ORACLE_TTL_MS = Number(import.meta.env.VITE_ORACLE_TTL_MS ?? 10000);
 
-export async function getUserLimitObject(p, wallet){
-  const v18 = await getUserLimit(p, wallet);
+export async function getUserLimitObject(p, wallet, weight = 1n){
+  const v18 = await getUserLimit(p, wallet, weight);
   const v4  = toUsd4(v18);
   return { remainingUSD: v4, remainingUSD18: v18 };
 }
@@ -240,99 +434,28 @@ export async function oracleLatest(p) {
   const hit = map.get(key);
   if (hit && now - hit.t < ORACLE_TTL_MS) return hit.v;
 
-  // env flags
-  const invertEnv = String(import.meta.env.VITE_ORACLE_INVERT || "").toLowerCase() === "true";
-  const ORACLE_BASE = String(import.meta.env.VITE_ORACLE_BASE || "ONE");
-  const ORACLE_QUOTE = String(import.meta.env.VITE_ORACLE_QUOTE || "USD");
-
-  // Normalize to USD/ONE with 18 decimals, regardless of underlying oracle format
-  const normalize = (rawPrice, rawDecimals, opts = {}) => {
-    const price = BigInt(rawPrice ?? 0);
-    const decimals = Number(rawDecimals ?? 18);
-    const invert = !!opts.invert;
-    if (price <= 0n) return null;
-    if (invert) {
-      // If oracle returns ONE/USD with D decimals, invert to USD/ONE in 1e18
-      const num = (10n ** 18n) * (10n ** BigInt(decimals));
-      const val = num / price; // safe because price > 0
-      return { price: val, decimals: 18 };
-    }
-    // If oracle returns USD/ONE with D decimals, scale to 1e18
-    const val = (price * (10n ** 18n)) / (10n ** BigInt(decimals));
-    return { price: val, decimals: 18 };
-  };
-
-  // 1) Band Protocol: getReferenceData(base, quote) -> rate (1e18)
+  // O vault só aceita IOracle.latestPrice() -> (price, decimals, updatedAt).
+  // Fallback/mediana entre Band, Chainlink e preço manual ficam on-chain (OracleAggregator).
   try {
     const abi = [{
-      inputs: [{ name: "base", type: "string" }, { name: "quote", type: "string" }],
-      name: "getReferenceData",
+      inputs: [], name: "latestPrice",
       outputs: [
-        { name: "rate", type: "uint256" },
-        { name: "lastUpdatedBase", type: "uint256" },
-        { name: "lastUpdatedQuote", type: "uint256" }
+        { name: "price", type: "int256" },
+        { name: "decimals", type: "uint8" },
+        { name: "updatedAt", type: "uint256" }
       ],
       stateMutability: "view", type: "function"
     }];
     const c = new Contract(o, abi, p);
-    const r = await c.getReferenceData(ORACLE_BASE, ORACLE_QUOTE);
-    const out = normalize(BigInt(r[0]), 18, { invert: false });
-    if (out) { map.set(key, { t: now, v: out }); return out; }
-  } catch {}
-
-  // 2) Custom: latestPrice() -> (price, decimals). Assume USD/ONE unless inverted by env.
-  try {
-    const abi = [{
-      inputs: [], name: "latestPrice",
-      outputs: [{ name: "price", type: "int256" }, { name: "decimals", type: "uint8" }],
-      stateMutability: "view", type: "function"
-    }];
-    const c = new Contract(o, abi, p);
     const r = await c.latestPrice();
-    const out = normalize(BigInt(r[0]), Number(r[1]), { invert: invertEnv });
-    if (out) { map.set(key, { t: now, v: out }); return out; }
-  } catch {}
-
-  // 3) Chainlink-style: latestAnswer()/decimals(). Assume USD/ONE unless inverted by env.
-  try {
-    const abi = [
-      { inputs: [], name: "latestAnswer", outputs: [{ type: "int256" }], stateMutability: "view", type: "function" },
-      { inputs: [], name: "decimals", outputs: [{ type: "uint8" }], stateMutability: "view", type: "function" }
-    ];
-    const c = new Contract(o, abi, p);
-    const [ans, dec] = await Promise.all([c.latestAnswer(), c.decimals()]);
-    const out = normalize(BigInt(ans), Number(dec), { invert: invertEnv });
-    if (out) { map.set(key, { t: now, v: out }); return out; }
-  } catch {}
-
-  // 4) Chainlink-style: latestRoundData(int256)/decimals()
-  try {
-    const abi = [
-      { inputs: [], name: "latestRoundData", outputs: [
-        { type: "uint80" }, { type: "int256" }, { type: "uint256" }, { type: "uint256" }, { type: "uint80" }
-      ], stateMutability: "view", type: "function" },
-      { inputs: [], name: "decimals", outputs: [{ type: "uint8" }], stateMutability: "view", type: "function" }
-    ];
-    const c = new Contract(o, abi, p);
-    const data = await c.latestRoundData();
-    const dec = await c.decimals();
-    const out = normalize(BigInt(data[1]), Number(dec), { invert: invertEnv });
-    if (out) { map.set(key, { t: now, v: out }); return out; }
-  } catch {}
-
-  // 5) Chainlink-style: latestRoundData(uint256)/decimals()
-  try {
-    const abi = [
-      { inputs: [], name: "latestRoundData", outputs: [
-        { type: "uint80" }, { type: "uint256" }, { type: "uint256" }, { type: "uint256" }, { type: "uint80" }
-      ], stateMutability: "view", type: "function" },
-      { inputs: [], name: "decimals", outputs: [{ type: "uint8" }], stateMutability: "view", type: "function" }
-    ];
-    const c = new Contract(o, abi, p);
-    const data = await c.latestRoundData();
-    const dec = await c.decimals();
-    const out = normalize(BigInt(data[1]), Number(dec), { invert: invertEnv });
-    if (out) { map.set(key, { t: now, v: out }); return out; }
+    const price = BigInt(r[0] ?? 0);
+    const decimals = Number(r[1] ?? 18);
+    if (price > 0n) {
+      // normaliza para USD/ONE em 1e18
+      const out = { price: (price * (10n ** 18n)) / (10n ** BigInt(decimals)), decimals: 18, updatedAt: BigInt(r[2] ?? 0) };
+      map.set(key, { t: now, v: out });
+      return out;
+    }
   } catch {}
 
   throw new Error("Oracle read failed");
@@ -355,9 +478,150 @@ export async function getVaultStatus(p) {
     delayEnabled: bool(ri[5]),
     roundFeeBps: Number(ri[6]),
     roundFeeBasis: b(ri[7]),
+    budgetUsd: b(ri[8]),
+    budgetRemainingUsd: b(ri[9]),
     locked: bool(locked),
     balances: { wone: b(balances[0]), usdc: b(balances[1]) },
     feeThresholds: (feeTiers[0] || []).map(b),
     feeBps: (feeTiers[1] || []).map(n),
   };
 }
+
+// ===== VaultLens (hub/VaultLens.sol) =====
+// Com VITE_VAULT_LENS_ADDRESS, getVaultState / getUserState saem num único eth_call; sem ela, fazem as leituras
+// individuais de sempre. Os dois caminhos devolvem o mesmo formato (round = getRoundInfo, outputs = getOutputBalances).
+
+/** VaultLens configurada via VITE_VAULT_LENS_ADDRESS (null = leituras individuais) */
+export function getLensAddress() {
+  const a = import.meta.env.VITE_VAULT_LENS_ADDRESS;
+  return a && ethers.isAddress(a) ? getAddress(a) : null;
+}
+
+const shortAddr = (a) => `${String(a).slice(0, 6)}…`;
+
+function lensVaultState(s) {
+  const r = s.round;
+  return {
+    owner: s.owner,
+    devWallet: s.devWallet,
+    rmcWallet: s.rmcWallet,
+    oracle: s.oracle,
+    migration: s.migration,
+    merkleRoot: s.merkleRoot,
+    capRoot: s.capRoot,
+    dailyLimitUsd: b(s.dailyLimitUsd),
+    maxOracleAge: b(s.maxOracleAge),
+    minOnePrice18: b(s.minOnePrice18),
+    maxOnePrice18: b(s.maxOnePrice18),
+    round: {
+      roundId: b(r.roundId),
+      startTime: b(r.startTime),
+      isActive: bool(r.isActive),
+      paused: bool(r.paused),
+      limitUsd: b(r.limitUsd),
+      delayEnabled: bool(r.delayEnabled),
+      roundFeeBps: n(r.feeBps),
+      roundFeeBasis: b(r.feeBasisUsd),
+      budgetUsd: b(r.budgetUsd),
+      budgetRemainingUsd: b(r.budgetRemainingUsd),
+      endTime: b(r.endTime),
+    },
+    outputs: s.outputs.map((o) => ({
+      token: o.token,
+      symbol: o.symbol || shortAddr(o.token),
+      pricing: n(o.pricing),
+      decimals: n(o.decimals),
+      price18: b(o.price18),
+      balance: b(o.balance),
+      available: b(o.available),
+      usd18: b(o.usdValue18),
+    })),
+    tokens: s.tokens.map((t) => ({
+      address: t.token,
+      symbol: t.symbol || shortAddr(t.token),
+      decimals: n(t.decimals),
+      fixedUsdPrice18: b(t.fixedUsdPrice18), // 0 = sem preço fixo
+      roundCap: b(t.roundCap),               // 0 = sem teto
+      roundRedeemed: b(t.roundRedeemed),
+    })),
+    feeTiers: { thresholds: [...s.feeThresholds].map(b), bps: [...s.feeBps].map(n) },
+    feeRecipients: [...s.feeRecipients].map((wallet, i) => ({ wallet, bps: n(s.feeRecipientBps[i]) })),
+  };
+}
+
+/**
+ * Estado do vault para as páginas: config, round em vigor, saldos das saídas, tabelas de taxa e tokens suportados
+ * com symbol/decimals/preço fixo. Um eth_call com a lens.
+ */
+export async function getVaultState(p) {
+  const lens = getLensAddress();
+  if (lens) return lensVaultState(await new Contract(lens, LENS_ABI, p).getVaultState(getVaultAddress()));
+
+  const v = await getReadContract(p);
+  const [owner, devWallet, rmcWallet, oracle, migration, merkleRoot, capRoot, dailyLimit, maxAge, pMin, pMax, sup, round, outputs, feeTiers, feeRecipients] = await Promise.all([
+    v.owner(), v.devWallet(), v.rmcWallet(), v.oracle(), v.migration(), v.merkleRoot(), v.capRoot(),
+    v.dailyLimitUsd(), v.maxOracleAge(), v.minOnePrice18(), v.maxOnePrice18(), v.getSupportedTokens(),
+    getRoundInfo(p), getOutputBalances(p), getFeeTiers(p), getFeeRecipients(p),
+  ]);
+  const tokens = await Promise.all([...sup].map(async (t) => {
+    const erc = new Contract(t, ERC20_ABI, p);
+    const [symbol, decimals, fixedUsdPrice18, roundCap, roundRedeemed] = await Promise.all([
+      erc.symbol().catch(() => shortAddr(t)),
+      erc.decimals().catch(() => 18),
+      v.fixedUsdPrice(t),
+      v.roundTokenCap(t),
+      v.roundTokenRedeemed(round.roundId, t),
+    ]);
+    return { address: t, symbol: String(symbol), decimals: n(decimals), fixedUsdPrice18: b(fixedUsdPrice18), roundCap: b(roundCap), roundRedeemed: b(roundRedeemed) };
+  }));
+  return {
+    owner, devWallet, rmcWallet, oracle, migration, merkleRoot, capRoot,
+    dailyLimitUsd: b(dailyLimit), maxOracleAge: b(maxAge), minOnePrice18: b(pMin), maxOnePrice18: b(pMax),
+    round, outputs, tokens, feeTiers, feeRecipients,
+  };
+}
+
+/**
+ * getVaultState + dados da carteira: { vault, user: { nativeBalance, limits (= getUserStatus), tokens: [{ address,
+ * balance, allowance, claimed }], outputBalances (ordem de vault.outputs) } }. Um eth_call com a lens.
+ */
+export async function getUserState(p, wallet, weight = 1n, proof = []) {
+  const lens = getLensAddress();
+  if (lens) {
+    const [s, u] = await new Contract(lens, LENS_ABI, p).getUserState(getVaultAddress(), wallet, BigInt(weight ?? 1n), proof || []);
+    return {
+      vault: lensVaultState(s),
+      user: {
+        nativeBalance: b(u.nativeBalance),
+        limits: userStatusOf(u.limits),
+        tokens: u.tokens.map((t) => ({ address: t.token, balance: b(t.balance), allowance: b(t.allowance), claimed: b(t.claimed) })),
+        outputBalances: [...u.outputBalances].map(b),
+      },
+    };
+  }
+
+  const vaultAddr = getVaultAddress();
+  const [vault, limits, nativeBalance] = await Promise.all([
+    getVaultState(p),
+    getUserStatus(p, wallet, weight, proof),
+    p.getBalance(wallet),
+  ]);
+  // claimedAmount é por conta do snapshot: carteira migrada lê a conta que representa
+  const account = vault.migration === ethers.ZeroAddress
+    ? wallet
+    : await new Contract(vault.migration, ["function accountOf(address) view returns (address)"], p).accountOf(wallet);
+  const v = await getReadContract(p);
+  const [tokens, outputBalances] = await Promise.all([
+    Promise.all(vault.tokens.map(async ({ address }) => {
+      const erc = new Contract(address, ERC20_ABI, p);
+      const [balance, allowance, claimed] = await Promise.all([
+        erc.balanceOf(wallet),
+        erc.allowance(wallet, vaultAddr),
+        account === ethers.ZeroAddress ? 0n : v.claimedAmount(account, address),
+      ]);
+      return { address, balance: b(balance), allowance: b(allowance), claimed: b(claimed) };
+    })),
+    Promise.all(vault.outputs.map(({ token }) => new Contract(token, ERC20_ABI, p).balanceOf(wallet).then(b))),
+  ]);
+  return { vault, user: { nativeBalance: b(nativeBalance), limits, tokens, outputBalances } };
+}
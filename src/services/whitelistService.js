@@ -3,6 +3,7 @@ import { ethers } from "ethers";
 import * as core from "@/services/vaultCore";
 import { fetchJsonPlus } from "@/debug/fetchPlus";
 import { log, ok, warn, error } from "@/debug/logger";
+import { resolveAccount } from "@/services/migrationService";
 
 /**
  * Estratégia:
@@ -14,6 +15,9 @@ import { log, ok, warn, error } from "@/debug/logger";
  *    - /proofs/<shard>.json                    (shard legacy)
  *    - Fallback: proofs.json grande            (como hoje)
  * 3) Cache local em localStorage por root+address.
+ *
+ * Leaf on-chain: keccak256(abi.encodePacked(address, uint256 weight)).
+ * Entradas podem ser { proof: [...], weight } ou array puro (legacy → weight 1).
  */
 
 // -------- config & cache --------
@@ -39,7 +43,7 @@ const CACHE = {
 };
 // Single-flight caches
 let rootInflight = null;                     // mantido para compat; não usado diretamente
-const proofInflight = new Map();             // chave: LS_KEY(root,address) -> Promise<bytes32[]>
+const proofInflight = new Map();             // chave: LS_KEY(root,address) -> Promise<{ proof, weight }>
 
 // -------- helpers --------
 async function fetchJson(url, { timeoutMs = 6000 } = {}) {
@@ -72,6 +76,26 @@ function toBytes32Array(arr) {
   return out;
 }
 
+// Snapshot weight (uint256). Ausente/inválido → 1 (peso padrão do snapshot)
+function toWeight(v) {
+  try {
+    if (v === undefined || v === null || v === "") return 1n;
+    const w = BigInt(v);
+    return w > 0n ? w : 1n;
+  } catch {
+    return 1n;
+  }
+}
+
+// Normaliza uma entrada de prova: array puro (legacy) ou { proof, weight }
+function toProofEntry(v) {
+  if (Array.isArray(v)) return { proof: toBytes32Array(v), weight: 1n };
+  if (v && Array.isArray(v.proof)) return { proof: toBytes32Array(v.proof), weight: toWeight(v.weight) };
+  return { proof: [], weight: 1n };
+}
+
+const EMPTY_ENTRY = Object.freeze({ proof: [], weight: 1n });
+
 function addrShard(addr) {
   const low = String(addr || "").toLowerCase();
   // ex.: 0xabc... -> "ab"
@@ -133,39 +157,35 @@ async function tryFetchProofSmart(root, address) {
     if (!j) continue;
 
     // Formatos aceitos:
-    // 1) Arquivo per-address: array puro ["0x...", ...] ou { proof: [...] }
-    if (Array.isArray(j)) {
-      const proof = toBytes32Array(j);
-      if (proof.length) return proof;
-    }
-    if (j && Array.isArray(j.proof)) {
-      const proof = toBytes32Array(j.proof);
-      if (proof.length) return proof;
+    // 1) Arquivo per-address: array puro ["0x...", ...] ou { proof: [...], weight }
+    if (Array.isArray(j) || (j && Array.isArray(j.proof))) {
+      const entry = toProofEntry(j);
+      if (entry.proof.length) return entry;
     }
 
-    // 2) Arquivo shard: { "0xaddr": ["0x...", ...], ... }
+    // 2) Arquivo shard: { "0xaddr": ["0x...", ...] | { proof, weight }, ... }
     if (j && typeof j === "object" && j[a]) {
-      const proof = toBytes32Array(j[a]);
-      if (proof.length) return proof;
+      const entry = toProofEntry(j[a]);
+      if (entry.proof.length) return entry;
     }
 
-    // 3) Formato antigo gigante: { proofs: { "0xaddr": [...] }, merkleRoot?: "0x..." }
+    // 3) Formato antigo gigante: { proofs: { "0xaddr": [...] | { proof, weight } }, merkleRoot?: "0x..." }
     if (j && j.proofs && typeof j.proofs === "object") {
-      const proof = toBytes32Array(j.proofs[a] || []);
-      if (proof.length) return proof;
+      const entry = toProofEntry(j.proofs[a]);
+      if (entry.proof.length) return entry;
     }
   }
 
   // Fallback final: arquivo grande
   const big = await fetchFirstOk(URLS.bigProofs);
   if (big) {
-    if (Array.isArray(big[a])) return toBytes32Array(big[a]);
+    if (big[a]) return toProofEntry(big[a]);
     if (big.proofs && typeof big.proofs === "object") {
-      return toBytes32Array(big.proofs[a] || []);
+      return toProofEntry(big.proofs[a]);
     }
   }
 
-  return [];
+  return EMPTY_ENTRY;
 }
 
 // --- merkle verification helpers (OZ-compatible) ---
@@ -173,9 +193,9 @@ function normHex32(x) {
   return ethers.zeroPadValue(ethers.hexlify(x), 32);
 }
 
-function leafForAddress(addr) {
-  // keccak256(abi.encodePacked(address))
-  return ethers.solidityPackedKeccak256(["address"], [addr]);
+function leafForAddress(addr, weight = 1n) {
+  // keccak256(abi.encodePacked(address, uint256 weight))
+  return ethers.solidityPackedKeccak256(["address", "uint256"], [addr, toWeight(weight)]);
 }
 
 function hashPair(aHex, bHex) {
@@ -203,13 +223,17 @@ function processProofUnsorted(leafHex, proof32) {
   return computed;
 }
 
-/** Verifica proof contra root. Tenta modo sorted (OZ) e, se falhar, unsorted */
-function verifyMerkleProof(address, proofArr, rootHex) {
+/** Verifica proof (address, weight) contra root. Tenta modo sorted (OZ) e, se falhar, unsorted */
+function verifyMerkleProof(address, weight, proofArr, rootHex) {
+  return verifyLeafProof(leafForAddress(address, weight), proofArr, rootHex);
+}
+
+/** Verifica um leaf arbitrário (bytes32) contra root — reutilizado por outras árvores (ex.: claim caps) */
+export function verifyLeafProof(leafHex, proofArr, rootHex) {
   if (!Array.isArray(proofArr) || !proofArr.length) return false;
   if (!rootHex) return false;
 
   const proof32 = proofArr.map(normHex32);
-  const leafHex = leafForAddress(address);
   const root = ethers.hexlify(rootHex).toLowerCase();
 
   const sortedComputed   = processProofSorted(leafHex, proof32).toLowerCase();
@@ -233,22 +257,21 @@ export async function getChainRoot(provider) {
   return await getChainMerkleRoot(provider);
 }
 
-/** Busca a prova de forma rápida, com cache local por root+address */
-export async function getProofFast(provider, address) {
-  if (!provider || !address) return [];
+/** Busca prova + weight de forma rápida, com cache local por root+address */
+export async function getProofEntryFast(provider, address) {
+  if (!provider || !address) return EMPTY_ENTRY;
 
   // 1) lê o root on-chain (whitelist desativada? retorna vazio)
   const chainRoot = await getChainMerkleRoot(provider);
-  if (isZeroRoot(chainRoot)) return [];
+  if (isZeroRoot(chainRoot)) return EMPTY_ENTRY;
 
   // 2) cache em localStorage
   const lsKey = LS_KEY(chainRoot, address);
   try {
     const cached = localStorage.getItem(lsKey);
     if (cached) {
-      const arr = JSON.parse(cached);
-      const proof = toBytes32Array(arr);
-      if (proof.length) return proof;
+      const entry = toProofEntry(JSON.parse(cached));
+      if (entry.proof.length) return entry;
     }
   } catch { /* ignore */ }
 
@@ -259,13 +282,15 @@ export async function getProofFast(provider, address) {
 
   const promise = (async () => {
     // Busca “smart” (per-address, shard, legacy, fallback gigante)
-    const proof = await tryFetchProofSmart(chainRoot, address);
+    const entry = await tryFetchProofSmart(chainRoot, address);
 
     // Cacheia se achou
-    if (proof.length) {
-      try { localStorage.setItem(lsKey, JSON.stringify(proof)); } catch {}
+    if (entry.proof.length) {
+      try {
+        localStorage.setItem(lsKey, JSON.stringify({ proof: entry.proof, weight: entry.weight.toString() }));
+      } catch {}
     }
-    return proof;
+    return entry;
   })();
 
   proofInflight.set(lsKey, promise);
@@ -277,6 +302,12 @@ export async function getProofFast(provider, address) {
   }
 }
 
+/** Compat: apenas a prova (bytes32[]) */
+export async function getProofFast(provider, address) {
+  const { proof } = await getProofEntryFast(provider, address);
+  return proof;
+}
+
 export async function hasFileProof(provider, address) {
   const p = await getProofFast(provider, address);
   return p.length > 0;
@@ -302,13 +333,28 @@ export async function checkWhitelist(provider, address) {
       ok: false,
       reason: "Whitelist disabled on-chain (merkleRoot is zero)",
       proof: [],
+      weight: 1n,
+      chainRoot,
+      fileRoot,
+      rootMismatch: false
+    };
+  }
+
+  // Carteira migrada: a leaf continua sendo a do endereço do snapshot
+  const account = await resolveAccount(provider, address);
+  if (!account) {
+    return {
+      ok: false,
+      reason: "This wallet migrated its eligibility to another address (or has a migration pending)",
+      proof: [],
+      weight: 1n,
       chainRoot,
       fileRoot,
       rootMismatch: false
     };
   }
 
-  const proof = await getProofFast(provider, address);
+  const { proof, weight } = await getProofEntryFast(provider, account);
   const rootMismatch =
     !!fileRoot && !!chainRoot && String(fileRoot).toLowerCase() !== String(chainRoot).toLowerCase();
 
@@ -317,6 +363,7 @@ export async function checkWhitelist(provider, address) {
       ok: false,
       reason: "",
       proof,
+      weight,
       chainRoot,
       fileRoot,
       rootMismatch,
@@ -324,25 +371,27 @@ export async function checkWhitelist(provider, address) {
   }
 
   // ✅ valida a proof contra o root on-chain
-  const valid = verifyMerkleProof(address, proof, chainRoot);
+  const valid = verifyMerkleProof(account, weight, proof, chainRoot);
   if (!valid) {
     return {
       ok: false,
-      reason: "Invalid Merkle proof for this wallet (root mismatch)",
+      reason: "Invalid Merkle proof for this wallet (root or weight mismatch)",
       proof,
+      weight,
       chainRoot,
       fileRoot,
       rootMismatch,
     };
   }
 
-  return { ok: true, proof, chainRoot, fileRoot, rootMismatch };
+  return { ok: true, proof, weight, chainRoot, fileRoot, rootMismatch, account };
 }
 
+/** Retorna { proof, weight } ou lança erro se a carteira não estiver na whitelist */
 export async function ensureWhitelistedOrThrow(provider, address) {
   const r = await checkWhitelist(provider, address);
   if (!r.ok) throw new Error(r.reason || "Address not whitelisted");
-  return r.proof;
+  return { proof: r.proof, weight: r.weight };
 }
 
 // -------- Hook para UI (inalterado na interface) --------
@@ -352,6 +401,7 @@ export function useWhitelist(address, provider) {
     loading: true,
     ok: false,
     proof: [],
+    weight: 1n,
     chainRoot: null,
     fileRoot: null,
     rootMismatch: false,
@@ -364,7 +414,7 @@ export function useWhitelist(address, provider) {
       try {
         setState((s) => ({ ...s, loading: true, error: undefined }));
         if (!provider || !address) {
-          if (alive) setState((s) => ({ ...s, loading: false, ok: false, proof: [] }));
+          if (alive) setState((s) => ({ ...s, loading: false, ok: false, proof: [], weight: 1n }));
           return;
         }
         await preloadProofs(); // só carrega root (rápido)
@@ -374,6 +424,7 @@ export function useWhitelist(address, provider) {
           loading: false,
           ok: res.ok,
           proof: res.proof,
+          weight: res.weight,
           chainRoot: res.chainRoot,
           fileRoot: res.fileRoot,
           rootMismatch: res.rootMismatch,
@@ -387,6 +438,7 @@ export function useWhitelist(address, provider) {
           loading: false,
           ok: false,
           proof: [],
+          weight: 1n,
           chainRoot: null,
           fileRoot: null,
           rootMismatch: false,
@@ -0,0 +1,138 @@
+// test/integration/ClaimWindow.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployVaultFixture } = require("./helpers/vault");
+const { capTree } = require("./helpers/merkle");
+const { HOUR, increaseTime, now } = require("./helpers/time");
+const { parseUnits } = ethers;
+
+describe("ClaimWindow", function () {
+  let owner, alice, bob, outsider, vault, window, usdc, wONE, proof;
+
+  const requestFrom = async (signer, amount) =>
+    window.connect(signer).request(await usdc.getAddress(), parseUnits(amount, 6), await wONE.getAddress(), 1, proof[signer.address] || [], 0, []);
+
+  beforeEach(async () => {
+    [owner, alice, bob, outsider] = await ethers.getSigners();
+
+    ({ vault, usdc, wONE, proof } = await deployVaultFixture({
+      whitelist: [alice.address, bob.address, owner.address],
+      users: [alice, bob, outsider],
+      funds: { wONE: "100" },
+      startRound: false,
+    }));
+
+    const ClaimWindow = await ethers.getContractFactory("ClaimWindow");
+    window = await ClaimWindow.deploy(owner.address, await vault.getAddress());
+
+    for (const s of [alice, bob, outsider]) await usdc.connect(s).approve(await window.getAddress(), ethers.MaxUint256);
+    // requests are booked against the vault's limits, which needs the settlement role
+    await vault.grantRole(await vault.SETTLEMENT_ROLE(), await window.getAddress());
+    const t = await now();
+    await window.openWindow(t, t + 24 * HOUR);
+  });
+
+  it("fills every request by the same ratio when the vault is short", async () => {
+    await expect(requestFrom(alice, "40")).to.emit(window, "RequestRegistered");
+    await requestFrom(bob, "60");
+    const id = await window.windowCount();
+    const out = await wONE.getAddress();
+    const ra = await window.requests(id, alice.address);
+    const rb = await window.requests(id, bob.address);
+    const need = ra.amountOut + rb.amountOut;
+    expect(await window.totalRequested(id, out)).to.equal(need);
+    expect(need).to.be.gt(parseUnits("100", 18));
+
+    const fill = (parseUnits("100", 18) * 10n ** 18n) / need;
+    const [, estFill, estOut] = await window.requestOf(id, alice.address);
+    expect(estFill).to.equal(fill);
+    expect(estOut).to.equal((ra.amountOut * fill) / 10n ** 18n);
+
+    await expect(window.finalize(id)).to.be.revertedWith("Window open");
+    await increaseTime(24 * HOUR);
+    await expect(requestFrom(outsider, "10")).to.be.revertedWith("Window closed");
+    // the module needs the vault's SETTLEMENT_ROLE to pull liquidity
+    await vault.revokeRole(await vault.SETTLEMENT_ROLE(), await window.getAddress());
+    await expect(window.finalize(id)).to.be.revertedWithCustomError(vault, "MissingRole");
+    await vault.grantRole(await vault.SETTLEMENT_ROLE(), await window.getAddress());
+    await expect(window.finalize(id))
+      .to.emit(window, "WindowFinalized").withArgs(id, out, need, parseUnits("100", 18))
+      .and.to.emit(vault, "LiquidityReleased").withArgs(await window.getAddress(), out, parseUnits("100", 18));
+    expect(await wONE.balanceOf(await vault.getAddress())).to.equal(0n);
+
+    const usedIn = (ra.amountIn * fill) / 10n ** 18n;
+    const feeIn = (ra.feeIn * fill) / 10n ** 18n;
+    const tx = window.connect(alice).withdraw(id);
+    await expect(tx).to.changeTokenBalance(wONE, alice, (ra.amountOut * fill) / 10n ** 18n);
+    await expect(tx).to.changeTokenBalances(usdc, [alice, owner], [ra.amountIn - usedIn, feeIn]);
+    // the used input goes through the vault, which sinks it (ERC20Mock has no burn()) and books it
+    await expect(tx).to.emit(vault, "TokenSinkFallback").withArgs(await usdc.getAddress(), usedIn - feeIn);
+    expect((await vault.getTokenStats(await usdc.getAddress())).sunk).to.equal(usedIn - feeIn);
+    await expect(window.connect(alice).withdraw(id)).to.be.revertedWith("No request");
+    // only the filled part stays booked against alice's limits
+    expect(await vault.claimedAmount(alice.address, await usdc.getAddress())).to.equal(usedIn);
+
+    await window.connect(bob).withdraw(id);
+    // floor rounding (1e18 fill ratio) can only leave wei-level dust in the module, never overpay
+    expect(await wONE.balanceOf(await window.getAddress())).to.be.lt(1_000_000n);
+  });
+
+  it("validates requests through the vault and lets users cancel while open", async () => {
+    await expect(requestFrom(outsider, "10")).to.be.revertedWith("Not whitelisted");
+    await expect(requestFrom(alice, "150")).to.be.revertedWith("Request blocked"); // over the $100 daily limit
+
+    await requestFrom(alice, "40");
+    expect(await vault.getUserLimit(alice.address, 1)).to.equal(parseUnits("60", 18));
+    await expect(requestFrom(alice, "10")).to.be.revertedWith("Already requested");
+    await expect(window.connect(alice).cancelRequest())
+      .to.changeTokenBalance(usdc, alice, parseUnits("40", 6));
+    expect(await vault.getUserLimit(alice.address, 1)).to.equal(parseUnits("100", 18));
+    await vault.setLocked(true);
+    await expect(requestFrom(alice, "40")).to.be.revertedWithCustomError(vault, "ContractLocked");
+    await vault.setLocked(false);
+    const id = await window.windowCount();
+    expect(await window.totalRequested(id, await wONE.getAddress())).to.equal(0n);
+    await expect(window.openWindow(0, (await now()) + HOUR)).to.be.revertedWith("Previous window not finalized");
+
+    // fully funded: a lone request is filled completely
+    await requestFrom(bob, "20");
+    await increaseTime(24 * HOUR);
+    await window.finalize(id);
+    expect(await window.fillRate(id, await wONE.getAddress())).to.equal(10n ** 18n);
+    const rb = await window.requests(id, bob.address);
+    await expect(window.connect(bob).withdraw(id)).to.changeTokenBalance(wONE, bob, rb.amountOut);
+  });
+
+  it("books requests against the vault limits shared with direct redeems", async () => {
+    const [tokenIn, out, vaultAddr] = [await usdc.getAddress(), await wONE.getAddress(), await vault.getAddress()];
+    // Cap tree: (alice, usdc, 50) + (bob, usdc, 50)
+    const cap = parseUnits("50", 6);
+    const caps = capTree([[alice.address, tokenIn, cap], [bob.address, tokenIn, cap]]);
+    await vault.setCapRoot(caps.root);
+    const capProof = caps.proof[alice.address];
+    await vault.setRoundDelayEnabled(false);
+    await vault.startNewRound(1);
+    await usdc.connect(alice).approve(vaultAddr, ethers.MaxUint256);
+
+    await window.connect(alice).request(tokenIn, parseUnits("40", 6), out, 1, proof[alice.address], cap, capProof);
+    expect(await vault.claimedAmount(alice.address, tokenIn)).to.equal(parseUnits("40", 6));
+    expect(await vault.getUserLimit(alice.address, 1)).to.equal(parseUnits("60", 18));
+
+    // the pending request already counts: a direct redeem cannot take the cap a second time
+    await expect(
+      vault.connect(alice).redeem(tokenIn, parseUnits("20", 6), out, 1, proof[alice.address], cap, capProof)
+    ).to.be.revertedWithCustomError(vault, "ClaimCapExceeded").withArgs(tokenIn, parseUnits("10", 6), parseUnits("20", 6));
+    await vault.connect(alice).redeem(tokenIn, parseUnits("10", 6), out, 1, proof[alice.address], cap, capProof);
+    expect(await vault.getUserLimit(alice.address, 1)).to.equal(parseUnits("50", 18));
+
+    const id = await window.windowCount();
+    await increaseTime(24 * HOUR);
+    await window.finalize(id);
+    expect(await window.fillRate(id, out)).to.equal(10n ** 18n);
+    await window.connect(alice).withdraw(id);
+    expect(await vault.claimedAmount(alice.address, tokenIn)).to.equal(cap);
+    await expect(
+      vault.connect(alice).redeem(tokenIn, parseUnits("1", 6), out, 1, proof[alice.address], cap, capProof)
+    ).to.be.revertedWithCustomError(vault, "ClaimCapExceeded").withArgs(tokenIn, 0n, parseUnits("1", 6));
+  });
+});
@@ -1,6 +1,7 @@
 // test/integration/Integration.test.js
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployVault } = require("./helpers/vault");
 
 describe("Integration - Full redeem flow", () => {
   let vault, wONE, usdc, oracle, devWallet, rmcWallet, user;
@@ -18,8 +19,7 @@ describe("Integration - Full redeem flow", () => {
     const Oracle = await ethers.getContractFactory("MockOracle");
     oracle = await Oracle.deploy("820000", 6); // 0.82 USD per ONE
 
-    const RecoveryVault = await ethers.getContractFactory("RecoveryVault");
-    vault = await RecoveryVault.deploy(
+    vault = await deployVault(
       owner.address,
       dev.address,
       rmc.address,
@@ -45,6 +45,6 @@ describe("Integration - Full redeem flow", () => {
 
     await expect(
       vault.connect(user).quoteRedeem(user.address, wONE.address, ethers.utils.parseEther("10"), wONE.address, proof)
-    ).to.be.revertedWith("Exceeds daily limit");
+    ).to.be.revertedWithCustomError(vault, "DailyLimitExceeded");
   });
 });
@@ -0,0 +1,79 @@
+// test/integration/OracleAggregator.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseUnits } = ethers;
+
+describe("OracleAggregator", function () {
+  let owner, other, band, chainlink, feed, manual, agg;
+
+  beforeEach(async () => {
+    [owner, other] = await ethers.getSigners();
+
+    const MockOracle = await ethers.getContractFactory("MockOracle");
+    band = await MockOracle.deploy(parseUnits("0.020", 18), 18);
+
+    const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+    feed = await MockChainlinkFeed.deploy(parseUnits("0.0202", 8), 8);
+    const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+    chainlink = await ChainlinkAdapter.deploy(await feed.getAddress());
+
+    const ManualOracle = await ethers.getContractFactory("ManualOracle");
+    manual = await ManualOracle.deploy(owner.address);
+    await manual.setPrice(parseUnits("0.0199", 6), 6);
+
+    const OracleAggregator = await ethers.getContractFactory("OracleAggregator");
+    agg = await OracleAggregator.deploy(
+      owner.address,
+      [await band.getAddress(), await chainlink.getAddress(), await manual.getAddress()],
+      500 // 5%
+    );
+  });
+
+  it("returns the 18-decimal median of all sources", async () => {
+    const [price, decimals] = await agg.latestPrice();
+    expect(decimals).to.equal(18);
+    expect(price).to.equal(parseUnits("0.020", 18));
+
+    const [prices18, , ok] = await agg.readSources();
+    expect(ok).to.deep.equal([true, true, true]);
+    expect(prices18[1]).to.equal(parseUnits("0.0202", 18));
+  });
+
+  it("falls back in priority order when sources revert", async () => {
+    await band.setReverts(true);
+    expect((await agg.latestPrice())[0]).to.equal(parseUnits("0.0202", 18));
+
+    await feed.setAnsweredInRound(0); // Chainlink adapter rejects the stale round
+    expect((await agg.latestPrice())[0]).to.equal(parseUnits("0.0199", 18));
+
+
+    await agg.setSources([await band.getAddress(), await chainlink.getAddress()]);
+    await expect(agg.latestPrice()).to.be.revertedWith("No valid oracle source");
+  });
+
+  it("rejects the read when sources disagree beyond the deviation", async () => {
+    await feed.setAnswer(parseUnits("0.030", 8));
+    await expect(agg.latestPrice()).to.be.revertedWith("Oracle deviation too high");
+
+    await agg.setMaxDeviationBps(0);
+    expect((await agg.latestPrice())[0]).to.equal(parseUnits("0.020", 18));
+  });
+
+  it("skips stale sources and reports the oldest timestamp", async () => {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await band.setUpdatedAt(now - 7200);
+    await agg.setMaxSourceAge(3600);
+
+    const [price, , updatedAt] = await agg.latestPrice();
+    expect(price).to.equal(parseUnits("0.0202", 18)); // band skipped -> chainlink first in order
+    expect(updatedAt).to.be.lessThan(now + 10);
+    expect(updatedAt).to.be.greaterThan(now - 3600);
+  });
+
+  it("restricts admin setters to the owner", async () => {
+    await expect(agg.connect(other).setMaxDeviationBps(100)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(agg.connect(other).setSources([await band.getAddress()])).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(manual.connect(other).setPrice(1, 18)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(agg.setSources([])).to.be.revertedWith("Invalid sources length");
+  });
+});
@@ -1,6 +1,9 @@
 // test/integration/RecoveryVault.test.js
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployVault, deployVaultFixture } = require("./helpers/vault");
+const { capTree } = require("./helpers/merkle");
+const { DAY, increaseTime, now } = require("./helpers/time");
 const { parseUnits } = ethers;
 
 describe("RecoveryVault - Integration (ERC20 and native ONE)", function () {
@@ -16,8 +19,7 @@ describe("RecoveryVault - Integration (ERC20 and native ONE)", function () {
     const MockOracle = await ethers.getContractFactory("MockOracle");
     oracle = await MockOracle.deploy(parseUnits("0.82", 6), 6); // 1 ONE = 0.82 USD
 
-    const RecoveryVault = await ethers.getContractFactory("RecoveryVault");
-    vault = await RecoveryVault.deploy(
+    vault = await deployVault(
       owner.address,
       devWallet.address,
       rmcWallet.address,
@@ -44,9 +46,921 @@ describe("RecoveryVault - Integration (ERC20 and native ONE)", function () {
         ethers.constants.AddressZero,
         parseUnits("1", 18),
         wONE.address,
+        1, // snapshot weight
         proof,
+        0, // claim cap (capRoot unset)
+        [],
         { value: parseUnits("1", 18) }
       )
     ).to.changeEtherBalance(user, parseUnits("-1", 18));
   });
 });
+
+describe("RecoveryVault - weighted daily limits", function () {
+  let vault, usdc, wONE, owner, user, other, proof;
+  const WEIGHT = 3n;
+
+  beforeEach(async () => {
+    [owner, user, other] = await ethers.getSigners();
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({
+      whitelist: [[user.address, WEIGHT], [other.address, 1n]],
+      users: [user],
+    }));
+    proof = tree[user.address];
+  });
+
+  it("scales getUserLimit and quoteRedeem by the leaf weight", async () => {
+    expect(await vault.getUserLimit(user.address, WEIGHT)).to.equal(parseUnits("300", 18));
+
+    const amountIn = parseUnits("250", 6);
+    const ok = await vault.quoteRedeem(user.address, await usdc.getAddress(), amountIn, await wONE.getAddress(), WEIGHT, proof, 0, []);
+    expect(ok.whitelisted).to.equal(true);
+    expect(ok.userLimitUsdBefore).to.equal(parseUnits("300", 18));
+    expect(ok.amountOutRedeemToken).to.be.gt(0n);
+
+    // Claiming weight 1 does not match the leaf
+    const bad = await vault.quoteRedeem(user.address, await usdc.getAddress(), amountIn, await wONE.getAddress(), 1, proof, 0, []);
+    expect(bad.whitelisted).to.equal(false);
+  });
+
+  it("lets a weighted wallet redeem above the base limit but rejects an inflated weight", async () => {
+    const amountIn = parseUnits("250", 6);
+    await expect(
+      vault.connect(user).redeem(await usdc.getAddress(), amountIn, await wONE.getAddress(), WEIGHT + 1n, proof, 0, [])
+    ).to.be.revertedWithCustomError(vault, "NotWhitelisted");
+
+    await vault.connect(user).redeem(await usdc.getAddress(), amountIn, await wONE.getAddress(), WEIGHT, proof, 0, []);
+    expect(await vault.getUserLimit(user.address, WEIGHT)).to.equal(parseUnits("50", 18));
+  });
+
+  it("reports the remaining limit, unlock time and liquidity in custom errors", async () => {
+    const [usdcAddr, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    await vault.connect(user).redeem(usdcAddr, parseUnits("250", 6), out, WEIGHT, proof, 0, []);
+    await expect(
+      vault.connect(user).redeem(usdcAddr, parseUnits("60", 6), out, WEIGHT, proof, 0, [])
+    ).to.be.revertedWithCustomError(vault, "DailyLimitExceeded").withArgs(parseUnits("50", 18), parseUnits("60", 18));
+
+    // the vault holds no USDC, so a USDC payout reports what is available vs required
+    const q = await vault.quoteRedeem(user.address, usdcAddr, parseUnits("10", 6), usdcAddr, WEIGHT, proof, 0, []);
+    await expect(
+      vault.connect(user).redeem(usdcAddr, parseUnits("10", 6), usdcAddr, WEIGHT, proof, 0, [])
+    ).to.be.revertedWithCustomError(vault, "InsufficientLiquidity").withArgs(usdcAddr, 0n, q.amountOutRedeemToken);
+
+    // reaching the limit exactly locks the wallet until the end of its 24h window
+    await vault.connect(user).redeem(usdcAddr, parseUnits("50", 6), out, WEIGHT, proof, 0, []);
+    const unlockAt = await vault.limitUnlockAt(user.address);
+    expect(unlockAt).to.equal((await vault.periodStart(user.address)) + 24n * 3600n);
+    await expect(
+      vault.connect(user).redeem(usdcAddr, parseUnits("1", 6), out, WEIGHT, proof, 0, [])
+    ).to.be.revertedWithCustomError(vault, "DailyLimitLocked").withArgs(unlockAt);
+  });
+
+  it("reports the whole limit window in getUserStatus, matching what the next redeem sees", async () => {
+    const [usdcAddr, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    let s = await vault.getUserStatus(user.address, WEIGHT, proof);
+    expect(s.whitelisted).to.equal(true);
+    expect(s.limitUsd).to.equal(parseUnits("300", 18));
+    expect(s.remainingUsd).to.equal(parseUnits("300", 18));
+    expect(s.windowStart).to.equal(0n);
+    expect((await vault.getUserStatus(user.address, 1, proof)).whitelisted).to.equal(false);
+
+    await vault.connect(user).redeem(usdcAddr, parseUnits("250", 6), out, WEIGHT, proof, 0, []);
+    const start = await vault.periodStart(user.address);
+    s = await vault.getUserStatus(user.address, WEIGHT, proof);
+    expect(s.usedUsd).to.equal(parseUnits("250", 18));
+    expect(s.remainingUsd).to.equal(parseUnits("50", 18));
+    expect(s.windowStart).to.equal(start);
+    expect(s.windowEnd).to.equal(start + 24n * 3600n);
+    expect(s.unlockAt).to.equal(0n);
+    expect(s.lastRedeemAt).to.equal(start);
+
+    // hitting the limit: locked until the window ends, remaining 0
+    await vault.connect(user).redeem(usdcAddr, parseUnits("50", 6), out, WEIGHT, proof, 0, []);
+    s = await vault.getUserStatus(user.address, WEIGHT, proof);
+    expect(s.remainingUsd).to.equal(0n);
+    expect(s.unlockAt).to.equal(start + 24n * 3600n);
+
+    // once the window elapses the usage is gone, the round total stays
+    await increaseTime(DAY);
+    s = await vault.getUserStatus(user.address, WEIGHT, proof);
+    expect(s.usedUsd).to.equal(0n);
+    expect(s.remainingUsd).to.equal(parseUnits("300", 18));
+    expect([s.windowStart, s.windowEnd, s.unlockAt]).to.deep.equal([0n, 0n, 0n]);
+    expect(s.roundRedeemedUsd).to.equal(parseUnits("300", 18));
+    await vault.connect(user).redeem(usdcAddr, parseUnits("300", 6), out, WEIGHT, proof, 0, []);
+  });
+
+  it("resets on a configurable rolling window or at a fixed UTC boundary", async () => {
+    const [usdcAddr, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    const HOUR = 3600n, DAY = 24n * HOUR;
+    await expect(vault.setResetWindow(30 * 60, 0)).to.be.revertedWithCustomError(vault, "InvalidResetWindow");
+    await expect(vault.setResetWindow(5n * HOUR, 1)).to.be.revertedWithCustomError(vault, "InvalidResetWindow"); // 5h does not divide a day
+    await expect(vault.connect(user).setResetWindow(12n * HOUR, 0)).to.be.reverted;
+
+    // rolling 12h: the window runs from the first redeem
+    await expect(vault.setResetWindow(12n * HOUR, 0)).to.emit(vault, "ResetWindowUpdated").withArgs(12n * HOUR, 0);
+    await vault.connect(user).redeem(usdcAddr, parseUnits("250", 6), out, WEIGHT, proof, 0, []);
+    const first = await vault.periodStart(user.address);
+    expect((await vault.getUserStatus(user.address, WEIGHT, proof)).windowEnd).to.equal(first + 12n * HOUR);
+    expect((await vault.getResetWindow()).nextReset).to.equal(0n);
+    await ethers.provider.send("evm_setNextBlockTimestamp", [Number(first + 12n * HOUR)]);
+    await ethers.provider.send("evm_mine", []);
+    expect(await vault.getUserLimit(user.address, WEIGHT)).to.equal(parseUnits("300", 18));
+
+    // fixed UTC day: a redeem one minute before midnight resets at midnight, and so does the lock
+    await vault.setResetWindow(DAY, 1);
+    const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+    const midnight = (now / DAY + 2n) * DAY; // a day past the UTC day of the rolling redeem above
+    await ethers.provider.send("evm_setNextBlockTimestamp", [Number(midnight - 60n)]);
+    await vault.connect(user).redeem(usdcAddr, parseUnits("300", 6), out, WEIGHT, proof, 0, []);
+    const s = await vault.getUserStatus(user.address, WEIGHT, proof);
+    expect([s.windowStart, s.windowEnd, s.unlockAt]).to.deep.equal([midnight - DAY, midnight, midnight]);
+    expect((await vault.getResetWindow()).nextReset).to.equal(midnight);
+    const q = await vault.quoteRedeem(user.address, usdcAddr, parseUnits("10", 6), out, WEIGHT, proof, 0, []);
+    expect(q.amountOutRedeemToken).to.equal(0n);
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [Number(midnight)]);
+    await ethers.provider.send("evm_mine", []);
+    expect((await vault.quoteRedeem(user.address, usdcAddr, parseUnits("10", 6), out, WEIGHT, proof, 0, [])).userLimitUsdBefore)
+      .to.equal(parseUnits("300", 18));
+    await vault.connect(user).redeem(usdcAddr, parseUnits("300", 6), out, WEIGHT, proof, 0, []);
+  });
+});
+
+describe("RecoveryVault - lifetime claim caps", function () {
+  let vault, usdc, wONE, owner, user, proof, capProof;
+  const CAP = parseUnits("40", 6);
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({ whitelist: [user.address, owner.address], users: [user] }));
+    proof = tree[user.address];
+
+    const caps = capTree([[user.address, await usdc.getAddress(), CAP], [owner.address, await usdc.getAddress(), 1n]]);
+    await vault.setCapRoot(caps.root);
+    capProof = caps.proof[user.address];
+  });
+
+  it("tracks claimed amounts and stops at the snapshot cap", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+
+    await vault.connect(user).redeem(tokenIn, parseUnits("30", 6), out, 1, proof, CAP, capProof);
+    expect(await vault.claimedAmount(user.address, tokenIn)).to.equal(parseUnits("30", 6));
+
+    const q = await vault.quoteRedeem(user.address, tokenIn, parseUnits("20", 6), out, 1, proof, CAP, capProof);
+    expect(q.amountOutRedeemToken).to.equal(0n);
+
+    await expect(
+      vault.connect(user).redeem(tokenIn, parseUnits("20", 6), out, 1, proof, CAP, capProof)
+    ).to.be.revertedWithCustomError(vault, "ClaimCapExceeded").withArgs(tokenIn, parseUnits("10", 6), parseUnits("20", 6));
+    await expect(
+      vault.connect(user).redeem(tokenIn, parseUnits("5", 6), out, 1, proof, CAP * 2n, capProof)
+    ).to.be.revertedWithCustomError(vault, "InvalidClaimCap").withArgs(tokenIn);
+
+    await vault.connect(user).redeem(tokenIn, parseUnits("10", 6), out, 1, proof, CAP, capProof);
+    expect(await vault.claimedAmount(user.address, tokenIn)).to.equal(CAP);
+  });
+});
+
+describe("RecoveryVault - oracle guards", function () {
+  let vault, usdc, wONE, oracle, owner, user, proof;
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    let tree;
+    ({ vault, usdc, wONE, oracle, proof: tree } = await deployVaultFixture({ whitelist: [user.address, owner.address], users: [user] }));
+    proof = tree[user.address];
+  });
+
+  it("rejects stale prices once a max age is set", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+
+    await oracle.setUpdatedAt(now - 7200);
+    await expect(vault.setOracleMaxAge(3600)).to.emit(vault, "OracleGuardsUpdated").withArgs(3600, 0, 0);
+
+    const q = await vault.quoteRedeem(user.address, tokenIn, parseUnits("10", 6), out, 1, proof, 0, []);
+    expect(q.oracleOk).to.equal(false);
+    expect(q.amountOutRedeemToken).to.equal(0n);
+
+    await expect(
+      vault.connect(user).redeem(tokenIn, parseUnits("10", 6), out, 1, proof, 0, [])
+    ).to.be.revertedWithCustomError(vault, "StaleOracle");
+    await expect(vault.startNewRound(2)).to.be.revertedWithCustomError(vault, "StaleOracle");
+
+    await oracle.setUpdatedAt(0); // fresh again
+    await vault.connect(user).redeem(tokenIn, parseUnits("10", 6), out, 1, proof, 0, []);
+  });
+
+  it("rejects prices outside the configured bounds", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+
+    await expect(vault.setPriceBounds(parseUnits("1", 18), parseUnits("0.1", 18))).to.be.revertedWithCustomError(vault, "InvalidPriceBounds");
+    await vault.setPriceBounds(parseUnits("0.1", 18), parseUnits("1", 18));
+
+    await oracle.setPrice(parseUnits("2", 6));
+    const q = await vault.quoteRedeem(user.address, tokenIn, parseUnits("10", 6), out, 1, proof, 0, []);
+    expect(q.oracleOk).to.equal(false);
+    await expect(
+      vault.connect(user).redeem(tokenIn, parseUnits("10", 6), out, 1, proof, 0, [])
+    ).to.be.revertedWithCustomError(vault, "OraclePriceOutOfBounds");
+
+    await oracle.setPrice(parseUnits("0.05", 6));
+    await expect(
+      vault.connect(user).redeem(tokenIn, parseUnits("10", 6), out, 1, proof, 0, [])
+    ).to.be.revertedWithCustomError(vault, "OraclePriceOutOfBounds");
+
+    await oracle.setPrice(parseUnits("0.5", 6));
+    const ok = await vault.quoteRedeem(user.address, tokenIn, parseUnits("10", 6), out, 1, proof, 0, []);
+    expect(ok.oracleOk).to.equal(true);
+    await vault.connect(user).redeem(tokenIn, parseUnits("10", 6), out, 1, proof, 0, []);
+  });
+});
+
+describe("RecoveryVault - slippage and deadline", function () {
+  let vault, usdc, wONE, oracle, owner, user, proof;
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    let tree;
+    ({ vault, usdc, wONE, oracle, proof: tree } = await deployVaultFixture({ whitelist: [user.address, owner.address], users: [user] }));
+    proof = tree[user.address];
+  });
+
+  it("enforces minAmountOut against the execution price", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    const amountIn = parseUnits("10", 6);
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+
+    const q = await vault.quoteRedeem(user.address, tokenIn, amountIn, out, 1, proof, 0, []);
+    const minOut = (q.amountOutRedeemToken * 9950n) / 10000n; // 0.5%
+
+    // ONE pumps 10% while the tx is pending -> fewer wONE out
+    await oracle.setPrice(parseUnits("0.55", 6));
+    await expect(
+      vault.connect(user).redeemWithSlippage(tokenIn, amountIn, out, 1, proof, 0, [], minOut, deadline)
+    ).to.be.revertedWithCustomError(vault, "SlippageExceeded");
+
+    await oracle.setPrice(parseUnits("0.5", 6));
+    await expect(
+      vault.connect(user).redeemWithSlippage(tokenIn, amountIn, out, 1, proof, 0, [], minOut, deadline)
+    ).to.changeTokenBalance(wONE, user, q.amountOutRedeemToken);
+  });
+
+  it("rejects transactions mined after the deadline", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp - 1;
+
+    await expect(
+      vault.connect(user).redeemWithSlippage(tokenIn, parseUnits("10", 6), out, 1, proof, 0, [], 0, deadline)
+    ).to.be.revertedWithCustomError(vault, "DeadlineExpired").withArgs(deadline);
+  });
+});
+
+describe("RecoveryVault - redeem with permit", function () {
+  let vault, token, wONE, usdc, owner, user, proof;
+
+  const signPermit = async (signer, value, deadline) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "Legacy", version: "1", chainId, verifyingContract: await token.getAddress() };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const msg = { owner: signer.address, spender: await vault.getAddress(), value, nonce: await token.nonces(signer.address), deadline };
+    return ethers.Signature.from(await signer.signTypedData(domain, types, msg));
+  };
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    const ERC20PermitMock = await ethers.getContractFactory("ERC20PermitMock");
+    token = await ERC20PermitMock.deploy("Legacy", "LGC", 18);
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({
+      whitelist: [user.address, owner.address],
+      usdcInput: false,
+      inputs: [await token.getAddress()],
+    }));
+    proof = tree[user.address];
+    await vault.setFixedUsdPrice(await token.getAddress(), parseUnits("1", 18));
+    await token.mint(user.address, parseUnits("100", 18));
+  });
+
+  it("redeems without a prior approve and survives a front-run permit", async () => {
+    const [tokenIn, out] = [await token.getAddress(), await wONE.getAddress()];
+    const amountIn = parseUnits("10", 18);
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+
+    let sig = await signPermit(user, amountIn, deadline);
+    await vault.connect(user).redeemWithPermit(tokenIn, amountIn, out, 1, proof, 0, [], 0, deadline, sig.v, sig.r, sig.s);
+    expect(await token.balanceOf(user.address)).to.equal(parseUnits("90", 18));
+    expect(await token.allowance(user.address, await vault.getAddress())).to.equal(0n);
+
+    // Someone submits the permit first: redeem still goes through on the resulting allowance
+    sig = await signPermit(user, amountIn, deadline);
+    await token.permit(user.address, await vault.getAddress(), amountIn, deadline, sig.v, sig.r, sig.s);
+    await vault.connect(user).redeemWithPermit(tokenIn, amountIn, out, 1, proof, 0, [], 0, deadline, sig.v, sig.r, sig.s);
+    expect(await token.balanceOf(user.address)).to.equal(parseUnits("80", 18));
+  });
+
+  it("rejects an invalid signature without allowance", async () => {
+    const [tokenIn, out] = [await token.getAddress(), await wONE.getAddress()];
+    const amountIn = parseUnits("10", 18);
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+
+    const sig = await signPermit(owner, amountIn, deadline); // wrong signer
+    await expect(
+      vault.connect(user).redeemWithPermit(tokenIn, amountIn, out, 1, proof, 0, [], 0, deadline, sig.v, sig.r, sig.s)
+    ).to.be.revertedWithCustomError(vault, "PermitFailed");
+  });
+});
+
+describe("RecoveryVault - batch redeem", function () {
+  let vault, usdc, wONE, busd, owner, user, proof, deadline;
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    const MockERC20 = await ethers.getContractFactory("ERC20Mock");
+    busd = await MockERC20.deploy("BUSD", "BUSD", 18);
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({
+      whitelist: [user.address, owner.address],
+      users: [user],
+      inputs: [await busd.getAddress()],
+    }));
+    proof = tree[user.address];
+    await vault.setFixedUsdPrice(await busd.getAddress(), parseUnits("1", 18));
+    await busd.mint(user.address, parseUnits("1000", 18));
+    await busd.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  });
+
+  it("redeems several tokens in one tx and matches quoteRedeemMany", async () => {
+    const tokens = [await usdc.getAddress(), await busd.getAddress()];
+    const amounts = [parseUnits("30", 6), parseUnits("40", 18)];
+    const out = await wONE.getAddress();
+
+    const q = await vault.quoteRedeemMany(user.address, tokens, amounts, out, 1, proof, [], []);
+    expect(q.usdValueIn).to.equal(parseUnits("70", 18));
+    expect(q.userLimitUsdAfter).to.equal(parseUnits("30", 18));
+    expect(q.totalAmountOut).to.equal(q.amountsOut[0] + q.amountsOut[1]);
+
+    const tx = vault.connect(user).redeemMany(tokens, amounts, out, 1, proof, [], [], q.totalAmountOut, deadline);
+    await expect(tx).to.changeTokenBalance(wONE, user, q.totalAmountOut);
+    await expect(tx).to.emit(vault, "RedeemProcessed").withArgs(user.address, tokens[0], amounts[0], q.amountsOut[0]);
+    await expect(tx).to.emit(vault, "RedeemProcessed").withArgs(user.address, tokens[1], amounts[1], q.amountsOut[1]);
+    expect(await vault.getUserLimit(user.address, 1)).to.equal(parseUnits("30", 18));
+  });
+
+  it("checks the daily limit against the batch total", async () => {
+    const tokens = [await usdc.getAddress(), await busd.getAddress()];
+    const amounts = [parseUnits("60", 6), parseUnits("60", 18)]; // each fits, the sum does not
+    const out = await wONE.getAddress();
+
+    const q = await vault.quoteRedeemMany(user.address, tokens, amounts, out, 1, proof, [], []);
+    expect(q.totalAmountOut).to.equal(0n);
+    await expect(
+      vault.connect(user).redeemMany(tokens, amounts, out, 1, proof, [], [], 0, deadline)
+    ).to.be.revertedWithCustomError(vault, "DailyLimitExceeded").withArgs(parseUnits("100", 18), parseUnits("120", 18));
+  });
+
+  it("rejects duplicate tokens and empty batches", async () => {
+    const usdcAddr = await usdc.getAddress();
+    const out = await wONE.getAddress();
+    await expect(
+      vault.connect(user).redeemMany([usdcAddr, usdcAddr], [1, 1], out, 1, proof, [], [], 0, deadline)
+    ).to.be.revertedWithCustomError(vault, "DuplicateToken").withArgs(usdcAddr);
+    await expect(
+      vault.connect(user).redeemMany([], [], out, 1, proof, [], [], 0, deadline)
+    ).to.be.revertedWithCustomError(vault, "InvalidBatch");
+  });
+});
+
+describe("RecoveryVault - redeem to recipient", function () {
+  let vault, usdc, wONE, owner, user, fresh, proof, deadline;
+
+  beforeEach(async () => {
+    [owner, user, fresh] = await ethers.getSigners();
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({ whitelist: [user.address, owner.address], users: [user] }));
+    proof = tree[user.address];
+    deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  });
+
+  it("pays the recipient but charges the caller's limit", async () => {
+    const amountIn = parseUnits("40", 6);
+    const q = await vault.quoteRedeem(user.address, await usdc.getAddress(), amountIn, await wONE.getAddress(), 1, proof, 0, []);
+    const out = q.amountOutRedeemToken;
+
+    const tx = vault.connect(user).redeemTo(
+      await usdc.getAddress(), amountIn, await wONE.getAddress(), fresh.address, 1, proof, 0, [], out, deadline
+    );
+    await expect(tx).to.changeTokenBalances(wONE, [user, fresh], [0, out]);
+    await expect(tx).to.emit(vault, "RedeemRecipient").withArgs(user.address, fresh.address, await wONE.getAddress(), out);
+    expect(await vault.getUserLimit(user.address, 1)).to.equal(parseUnits("60", 18));
+    expect(await vault.getUserLimit(fresh.address, 1)).to.equal(parseUnits("100", 18));
+  });
+
+  it("rejects a zero recipient and a non-whitelisted caller", async () => {
+    const args = [await usdc.getAddress(), parseUnits("1", 6), await wONE.getAddress()];
+    await expect(
+      vault.connect(user).redeemTo(...args, ethers.ZeroAddress, 1, proof, 0, [], 0, deadline)
+    ).to.be.revertedWithCustomError(vault, "InvalidRecipient");
+    await expect(
+      vault.connect(fresh).redeemTo(...args, fresh.address, 1, proof, 0, [], 0, deadline)
+    ).to.be.revertedWithCustomError(vault, "NotWhitelisted");
+  });
+});
+
+describe("RecoveryVault - split payout", function () {
+  let vault, usdc, wONE, owner, user, proof, deadline;
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    let tree;
+    // 20 wONE ($10) and 100 USDC: a $40 redeem does not fit in wONE alone
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({
+      whitelist: [user.address, owner.address],
+      users: [user],
+      funds: { wONE: "20", usdc: "100" },
+    }));
+    proof = tree[user.address];
+    deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  });
+
+  it("fills from the preferred token and tops up with the other at the oracle rate", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    const amountIn = parseUnits("40", 6);
+    await expect(vault.connect(user).redeem(tokenIn, amountIn, out, 1, proof, 0, []))
+      .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+
+    const q = await vault.quoteRedeem(user.address, tokenIn, amountIn, out, 1, proof, 0, []);
+    const primary = parseUnits("20", 18);
+    // missing wONE at $0.50, paid in USDC (6 decimals)
+    const secondary = ((q.amountOutRedeemToken - primary) * parseUnits("0.5", 18)) / 10n ** 18n / 10n ** 12n;
+    expect(q.splitPrimaryOut).to.equal(primary);
+    expect(q.splitSecondaryOut).to.equal(secondary);
+
+    await expect(vault.connect(user).redeemSplit(tokenIn, amountIn, out, 1, proof, 0, [], q.amountOutRedeemToken + 1n, deadline))
+      .to.be.revertedWithCustomError(vault, "SlippageExceeded");
+    const tx = vault.connect(user).redeemSplit(tokenIn, amountIn, out, 1, proof, 0, [], q.amountOutRedeemToken, deadline);
+    await expect(tx).to.changeTokenBalance(wONE, user, primary);
+    await expect(tx).to.changeTokenBalance(usdc, user, secondary - amountIn);
+    await expect(tx).to.emit(vault, "PayoutSplit").withArgs(user.address, out, primary, tokenIn, secondary);
+    expect(await vault.getUserLimit(user.address, 1)).to.equal(parseUnits("60", 18));
+  });
+
+  it("pays in the preferred token only while it covers the quote", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    const q = await vault.quoteRedeem(user.address, tokenIn, parseUnits("5", 6), out, 1, proof, 0, []);
+    expect(q.splitPrimaryOut).to.equal(q.amountOutRedeemToken);
+    expect(q.splitSecondaryOut).to.equal(0n);
+    const tx = vault.connect(user).redeemSplit(tokenIn, parseUnits("5", 6), out, 1, proof, 0, [], 0, deadline);
+    await expect(tx).to.changeTokenBalance(wONE, user, q.amountOutRedeemToken);
+    await expect(tx).not.to.emit(vault, "PayoutSplit");
+
+    // neither token covers the rest: the top-up leg reports the shortfall
+    await vault.setDailyLimit(parseUnits("1000", 18));
+    await expect(vault.connect(user).redeemSplit(tokenIn, parseUnits("500", 6), out, 1, proof, 0, [], 0, deadline))
+      .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+  });
+});
+
+describe("RecoveryVault - native ONE payout", function () {
+  let vault, usdc, wONE, owner, user, proof, deadline;
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    const WETH = await ethers.getContractFactory("IWETHMock");
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({
+      whitelist: [user.address, owner.address],
+      users: [user],
+      wONE: await WETH.deploy(),
+      startRound: false,
+    }));
+    proof = tree[user.address];
+
+    // the vault holds 100 wONE ($50), wrapped by the owner
+    await wONE.deposit({ value: parseUnits("100", 18) });
+    await wONE.transfer(await vault.getAddress(), parseUnits("100", 18));
+    await vault.setRoundDelayEnabled(false);
+    await vault.startNewRound(1);
+    deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  });
+
+  it("unwraps the wONE payout and sends native ONE to the caller", async () => {
+    const tokenIn = await usdc.getAddress();
+    const amountIn = parseUnits("20", 6);
+    const q = await vault.quoteRedeem(user.address, tokenIn, amountIn, await wONE.getAddress(), 1, proof, 0, []);
+    const out = q.amountOutRedeemToken;
+
+    await expect(vault.connect(user).redeemNative(tokenIn, amountIn, 1, proof, 0, [], out + 1n, deadline))
+      .to.be.revertedWithCustomError(vault, "SlippageExceeded");
+    const tx = vault.connect(user).redeemNative(tokenIn, amountIn, 1, proof, 0, [], out, deadline);
+    await expect(tx).to.changeEtherBalances([user, vault], [out, 0]);
+    await expect(tx).to.changeTokenBalances(wONE, [user, vault], [0, -out]);
+    await expect(tx).to.emit(vault, "PayoutNative").withArgs(user.address, out);
+    expect(await vault.getUserLimit(user.address, 1)).to.equal(parseUnits("80", 18));
+  });
+
+  it("checks wONE liquidity and accepts native ONE only from wONE", async () => {
+    await expect(vault.connect(user).redeemNative(await usdc.getAddress(), parseUnits("60", 6), 1, proof, 0, [], 0, deadline))
+      .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+    await expect(user.sendTransaction({ to: await vault.getAddress(), value: 1n }))
+      .to.be.revertedWithCustomError(vault, "UnexpectedNativeSender");
+  });
+});
+
+describe("RecoveryVault - output tokens", function () {
+  let vault, usdc, wONE, usdt, eth, owner, user, proof, deadline;
+  const [ORACLE, PEG, FIXED] = [1, 2, 3];
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({
+      whitelist: [user.address, owner.address],
+      users: [user],
+      startRound: false,
+    }));
+    proof = tree[user.address];
+
+    // $5000 in wONE, $50 in USDT, $2000 in 1ETH; no USDC
+    const MockERC20 = await ethers.getContractFactory("ERC20Mock");
+    usdt = await MockERC20.deploy("Tether USD", "USDT", 6);
+    eth = await MockERC20.deploy("Ethereum", "1ETH", 18);
+    await usdt.mint(await vault.getAddress(), parseUnits("50", 6));
+    await eth.mint(await vault.getAddress(), parseUnits("1", 18));
+    await vault.setRoundDelayEnabled(false);
+    await vault.startNewRound(1);
+    deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  });
+
+  const addOutputs = async () => {
+    await vault.setOutputToken(await usdt.getAddress(), PEG, 0);
+    await vault.setOutputToken(await eth.getAddress(), FIXED, parseUnits("2000", 18));
+  };
+
+  it("pays in outputs added after deploy, valued by their source", async () => {
+    const [tokenIn, usdtAddr, ethAddr] = [await usdc.getAddress(), await usdt.getAddress(), await eth.getAddress()];
+    await expect(vault.connect(user).redeem(tokenIn, parseUnits("40", 6), usdtAddr, 1, proof, 0, []))
+      .to.be.revertedWithCustomError(vault, "InvalidRedeemToken");
+    await expect(vault.connect(user).setOutputToken(usdtAddr, PEG, 0)).to.be.reverted;
+    await expect(vault.setOutputToken(ethAddr, FIXED, 0)).to.be.revertedWithCustomError(vault, "InvalidOutputConfig");
+    await expect(vault.setOutputToken(usdtAddr, PEG, 1)).to.be.revertedWithCustomError(vault, "InvalidOutputConfig");
+
+    await expect(vault.setOutputToken(usdtAddr, PEG, 0)).to.emit(vault, "OutputTokenUpdated").withArgs(usdtAddr, PEG, 0);
+    await vault.setOutputToken(ethAddr, FIXED, parseUnits("2000", 18));
+    expect(await vault.getOutputTokens()).to.deep.equal([await wONE.getAddress(), tokenIn, usdtAddr, ethAddr]);
+    const o = await vault.getOutputBalances();
+    expect(o.pricing).to.deep.equal([BigInt(ORACLE), BigInt(PEG), BigInt(PEG), BigInt(FIXED)]);
+    expect(o.decimals).to.deep.equal([18n, 6n, 6n, 18n]);
+    expect(o.balances).to.deep.equal([parseUnits("10000", 18), 0n, parseUnits("50", 6), parseUnits("1", 18)]);
+    expect(o.usdValues18).to.deep.equal([parseUnits("5000", 18), 0n, parseUnits("50", 18), parseUnits("2000", 18)]);
+
+    // the round locked the 0.1% tier ($5000 basis): $40 -> 39.96 USDT at the peg, $20 -> $19.98 of 1ETH at $2000
+    const q = await vault.quoteRedeem(user.address, tokenIn, parseUnits("40", 6), usdtAddr, 1, proof, 0, []);
+    expect(q.redeemInDecimals).to.equal(6n);
+    expect(q.amountOutRedeemToken).to.equal(parseUnits("39.96", 6));
+    await expect(vault.connect(user).redeem(tokenIn, parseUnits("40", 6), usdtAddr, 1, proof, 0, []))
+      .to.changeTokenBalance(usdt, user, parseUnits("39.96", 6));
+    await expect(vault.connect(user).redeem(tokenIn, parseUnits("20", 6), ethAddr, 1, proof, 0, []))
+      .to.changeTokenBalance(eth, user, parseUnits("0.00999", 18));
+
+    // the round fee tier is picked from the value of every output: $5000 + $10.04 + $1980.02
+    await expect(vault.startNewRound(2)).to.emit(vault, "RoundFeeLocked").withArgs(2, 10, 6990);
+  });
+
+  it("removes outputs and tops up split payouts from the largest other output", async () => {
+    await addOutputs();
+    const [tokenIn, usdtAddr] = [await usdc.getAddress(), await usdt.getAddress()];
+
+    // 59.94 USDT owed, 50 held: the $9.94 left comes from wONE ($5000), not 1ETH ($2000) or USDC ($0)
+    const tx = vault.connect(user).redeemSplit(tokenIn, parseUnits("60", 6), usdtAddr, 1, proof, 0, [], 0, deadline);
+    await expect(tx).to.emit(vault, "PayoutSplit")
+      .withArgs(user.address, usdtAddr, parseUnits("50", 6), await wONE.getAddress(), parseUnits("19.88", 18));
+
+    await expect(vault.setOutputToken(usdtAddr, 0, 0)).to.emit(vault, "OutputTokenUpdated").withArgs(usdtAddr, 0, 0);
+    await expect(vault.setOutputToken(usdtAddr, 0, 0)).to.be.revertedWithCustomError(vault, "InvalidOutputConfig");
+    expect(await vault.isOutputToken(usdtAddr)).to.equal(false);
+    expect(await vault.getOutputTokens()).to.have.lengthOf(3);
+    await expect(vault.connect(user).redeem(tokenIn, parseUnits("1", 6), usdtAddr, 1, proof, 0, []))
+      .to.be.revertedWithCustomError(vault, "InvalidRedeemToken");
+
+    // withdrawals follow the output list
+    const ethAddr = await eth.getAddress();
+    await expect(vault.withdrawFunds(ethAddr)).to.changeTokenBalance(eth, owner, parseUnits("1", 18));
+    await expect(vault.withdrawFunds(usdtAddr)).to.be.revertedWithCustomError(vault, "TokenNotAllowed");
+  });
+});
+
+describe("RecoveryVault - round budget and token caps", function () {
+  let vault, usdc, wONE, owner, alice, bob, proof;
+
+  beforeEach(async () => {
+    [owner, alice, bob] = await ethers.getSigners();
+    // alice and bob share one proof each in a three-leaf tree padded with the owner
+    ({ vault, usdc, wONE, proof } = await deployVaultFixture({
+      whitelist: [alice.address, bob.address, owner.address],
+      users: [alice, bob],
+    }));
+  });
+
+  const redeemFrom = async (signer, amount) =>
+    vault.connect(signer).redeem(await usdc.getAddress(), parseUnits(amount, 6), await wONE.getAddress(), 1, proof[signer.address], 0, []);
+
+  it("stops the round once the shared USD budget is used", async () => {
+    await expect(vault.connect(alice).setRoundBudget(1)).to.be.revertedWithCustomError(vault, "MissingRole");
+    await expect(vault.setRoundBudget(parseUnits("150", 18)))
+      .to.emit(vault, "RoundBudgetUpdated").withArgs(parseUnits("150", 18));
+
+    await redeemFrom(alice, "80");
+    const info = await vault.getRoundInfo();
+    expect(info.budgetUsd).to.equal(parseUnits("150", 18));
+    expect(info.budgetRemainingUsd).to.equal(parseUnits("70", 18));
+
+    const usdcAddr = await usdc.getAddress();
+    const q = await vault.quoteRedeem(bob.address, usdcAddr, parseUnits("80", 6), await wONE.getAddress(), 1, proof[bob.address], 0, []);
+    expect(q.roundBudgetRemaining).to.equal(parseUnits("70", 18));
+    expect(q.amountOutRedeemToken).to.equal(0n);
+    await expect(redeemFrom(bob, "80"))
+      .to.be.revertedWithCustomError(vault, "RoundBudgetExceeded").withArgs(parseUnits("70", 18), parseUnits("80", 18));
+    await redeemFrom(bob, "70");
+    expect(await vault.roundRedeemedUsd(1)).to.equal(parseUnits("150", 18));
+
+    // a new round starts with the full budget again
+    await vault.startNewRound(2);
+    expect((await vault.getRoundInfo()).budgetRemainingUsd).to.equal(parseUnits("150", 18));
+  });
+
+  it("caps how much of one input token a round takes in", async () => {
+    const usdcAddr = await usdc.getAddress();
+    expect((await vault.getRoundInfo()).budgetRemainingUsd).to.equal(ethers.MaxUint256);
+    await expect(vault.setRoundTokenCap(usdcAddr, parseUnits("50", 6)))
+      .to.emit(vault, "RoundTokenCapUpdated").withArgs(usdcAddr, parseUnits("50", 6));
+
+    await redeemFrom(alice, "30");
+    const q = await vault.quoteRedeem(bob.address, usdcAddr, parseUnits("30", 6), await wONE.getAddress(), 1, proof[bob.address], 0, []);
+    expect(q.roundTokenRemaining).to.equal(parseUnits("20", 6));
+    await expect(redeemFrom(bob, "30"))
+      .to.be.revertedWithCustomError(vault, "RoundTokenCapExceeded").withArgs(usdcAddr, parseUnits("20", 6), parseUnits("30", 6));
+    await expect(redeemFrom(bob, "20")).to.emit(vault, "RedeemProcessed");
+    expect(await vault.roundTokenRedeemed(1, usdcAddr)).to.equal(parseUnits("50", 6));
+  });
+});
+
+describe("RecoveryVault - scheduled rounds", function () {
+  let vault, usdc, wONE, owner, user, proof;
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({ whitelist: [user.address], users: [user] }));
+    proof = tree[user.address];
+  });
+
+  const redeem = async (amount) =>
+    vault.connect(user).redeem(await usdc.getAddress(), parseUnits(amount, 6), await wONE.getAddress(), 1, proof, 0, []);
+
+  it("starts and ends scheduled rounds on time with their own limit and fee", async () => {
+    const start = (await now()) + 3600;
+    const end = start + 2 * 86400;
+    await expect(vault.scheduleRound(2, start, end, parseUnits("50", 18), 0))
+      .to.emit(vault, "RoundScheduled").withArgs(2n, start, end, parseUnits("50", 18), 0);
+    expect(await vault.getScheduledRounds()).to.deep.equal([2n]);
+    let info = await vault["getRoundInfo(uint256)"](2);
+    expect(info.exists).to.equal(true);
+    expect(info.limitUsd).to.equal(parseUnits("50", 18));
+    expect(info.isActive).to.equal(false);
+
+    // round 1 runs until round 2 starts
+    await redeem("10");
+    expect((await vault.getRoundInfo()).roundId).to.equal(1n);
+
+    await increaseTime(3600);
+    info = await vault.getRoundInfo();
+    expect(info.roundId).to.equal(2n);
+    expect(info.endTime).to.equal(BigInt(end));
+    expect(info.roundFeeBps).to.equal(0n);
+    expect(await vault.getUserLimit(user.address, 1)).to.equal(parseUnits("50", 18));
+    expect(await vault.getScheduledRounds()).to.deep.equal([]);
+
+    // the first redeem moves the vault over; the round's fee (0) and limit apply
+    const q = await vault.quoteRedeem(user.address, await usdc.getAddress(), parseUnits("50", 6), await wONE.getAddress(), 1, proof, 0, []);
+    expect(q.feeAmountInTokenIn).to.equal(0n);
+    await expect(redeem("50")).to.emit(vault, "NewRoundStarted");
+    expect(await vault.currentRound()).to.equal(2n);
+    expect((await vault["getRoundInfo(uint256)"](2)).redeemedUsd).to.equal(parseUnits("50", 18));
+    expect((await vault["getRoundInfo(uint256)"](1)).redeemedUsd).to.equal(parseUnits("10", 18));
+
+    await increaseTime(2 * 86400);
+    expect((await vault.getRoundInfo()).isActive).to.equal(false);
+    await expect(redeem("1")).to.be.revertedWithCustomError(vault, "RoundEnded").withArgs(end);
+  });
+
+  it("validates the schedule and lets startNewRound replace it", async () => {
+    const start = (await now()) + 3600;
+    await expect(vault.connect(user).scheduleRound(2, start, 0, 0, 10)).to.be.revertedWithCustomError(vault, "MissingRole");
+    await expect(vault.scheduleRound(1, start, 0, 0, 10)).to.be.revertedWithCustomError(vault, "RoundIdMustIncrease").withArgs(1n);
+    await expect(vault.scheduleRound(2, start, start, 0, 10)).to.be.revertedWithCustomError(vault, "InvalidRoundSchedule");
+    // the fee may not exceed the highest tier (100 bps by default)
+    await expect(vault.scheduleRound(2, start, 0, 0, 101)).to.be.revertedWithCustomError(vault, "InvalidRoundSchedule");
+
+    await vault.scheduleRound(2, start, start + 86400, 0, 10);
+    // the next round may not start before round 2 ends
+    await expect(vault.scheduleRound(3, start + 3600, 0, 0, 10)).to.be.revertedWithCustomError(vault, "InvalidRoundSchedule");
+    await vault.scheduleRound(3, start + 86400, 0, 0, 10);
+    expect(await vault.getScheduledRounds()).to.deep.equal([2n, 3n]);
+
+    await vault.cancelScheduledRounds();
+    expect(await vault.getScheduledRounds()).to.deep.equal([]);
+    expect((await vault["getRoundInfo(uint256)"](3)).exists).to.equal(false);
+
+    await vault.scheduleRound(4, start, 0, 0, 10);
+    await vault.startNewRound(5);
+    expect(await vault.getScheduledRounds()).to.deep.equal([]);
+    await increaseTime(7200);
+    expect((await vault.getRoundInfo()).roundId).to.equal(5n);
+  });
+});
+
+describe("RecoveryVault - statistics", function () {
+  let vault, usdc, wONE, owner, alice, bob, proof;
+
+  beforeEach(async () => {
+    [owner, alice, bob] = await ethers.getSigners();
+    ({ vault, usdc, wONE, proof } = await deployVaultFixture({ whitelist: [alice.address, bob.address], users: [alice, bob] }));
+  });
+
+  const redeemFrom = async (signer, amount) =>
+    vault.connect(signer).redeem(await usdc.getAddress(), parseUnits(amount, 6), await wONE.getAddress(), 1, proof[signer.address], 0, []);
+
+  it("keeps per-round and per-token running totals", async () => {
+    const q = await vault.quoteRedeem(alice.address, await usdc.getAddress(), parseUnits("20", 6), await wONE.getAddress(), 1, proof[alice.address], 0, []);
+    await redeemFrom(alice, "20");
+    await redeemFrom(alice, "20");
+    await redeemFrom(bob, "10");
+
+    const st = await vault.getRoundStats(1);
+    expect(st.usdIn).to.equal(parseUnits("50", 18));
+    expect(st.feesUsd).to.equal(parseUnits("0.05", 18)); // 10 bps of $50
+    expect(st.outputs).to.deep.equal([await wONE.getAddress(), await usdc.getAddress()]);
+    expect(st.paidOut).to.deep.equal([q.amountOutRedeemToken * 5n / 2n, 0n]);
+    expect(st.redeemers).to.equal(2n);
+    expect(await vault.roundPaidOut(1, await wONE.getAddress())).to.equal(st.paidOut[0]);
+
+    // ERC20Mock has no burn(): the net input goes to the sink
+    const tk = await vault.getTokenStats(await usdc.getAddress());
+    expect(tk.burned).to.equal(0n);
+    expect(tk.sunk).to.equal(parseUnits("50", 6) - q.feeAmountInTokenIn * 5n / 2n);
+
+    // a new round starts from zero
+    await vault.startNewRound(2);
+    expect((await vault.getRoundStats(2)).redeemers).to.equal(0n);
+    await redeemFrom(alice, "1");
+    expect((await vault.getRoundStats(2)).redeemers).to.equal(1n);
+  });
+});
+
+describe("RecoveryVault - fee split", function () {
+  let vault, usdc, wONE, owner, user, dev, rmc, fund, proof;
+
+  beforeEach(async () => {
+    [owner, user, dev, rmc, fund] = await ethers.getSigners();
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({
+      whitelist: [user.address],
+      users: [user],
+      dev: dev.address,
+      rmc: rmc.address,
+    }));
+    proof = tree[user.address];
+  });
+
+  const redeem = (amount) => vault.connect(user).redeem(
+    usdc.getAddress(), parseUnits(amount, 6), wONE.getAddress(), 1, proof, 0, []
+  );
+
+  it("pays the whole fee to the dev wallet until a split is set", async () => {
+    const [wallets, bps] = await vault.getFeeRecipients();
+    expect(wallets).to.deep.equal([dev.address]);
+    expect(bps).to.deep.equal([10000n]);
+
+    const q = await vault.quoteRedeem(user.address, await usdc.getAddress(), parseUnits("40", 6), await wONE.getAddress(), 1, proof, 0, []);
+    const tx = redeem("40");
+    await expect(tx).to.changeTokenBalance(usdc, dev, q.feeAmountInTokenIn);
+    await expect(tx).to.emit(vault, "FeeCollected").withArgs(1n, await usdc.getAddress(), q.feeAmountInTokenIn);
+  });
+
+  it("splits each fee by the configured shares", async () => {
+    await expect(vault.setFeeRecipients([dev.address, rmc.address, fund.address], [5000, 3000, 2000]))
+      .to.emit(vault, "FeeRecipientsUpdated");
+    const q = await vault.quoteRedeem(user.address, await usdc.getAddress(), parseUnits("40", 6), await wONE.getAddress(), 1, proof, 0, []);
+    const fee = q.feeAmountInTokenIn;
+    const tx = redeem("40");
+    await expect(tx).to.changeTokenBalances(
+      usdc, [dev, rmc, fund], [fee * 5000n / 10000n, fee * 3000n / 10000n, fee - fee * 5000n / 10000n - fee * 3000n / 10000n]
+    );
+    await expect(tx).to.emit(vault, "FeeCollected").withArgs(1n, await usdc.getAddress(), fee);
+
+    // empty table goes back to the dev wallet
+    await vault.setFeeRecipients([], []);
+    expect((await vault.getFeeRecipients()).wallets).to.deep.equal([dev.address]);
+  });
+
+  it("rejects splits that do not add up to 100%", async () => {
+    await expect(vault.setFeeRecipients([dev.address, rmc.address], [5000, 4000]))
+      .to.be.revertedWithCustomError(vault, "InvalidFeeConfig");
+    await expect(vault.setFeeRecipients([dev.address, ethers.ZeroAddress], [5000, 5000]))
+      .to.be.revertedWithCustomError(vault, "InvalidFeeConfig");
+    await expect(vault.setFeeRecipients([dev.address], [10000, 0]))
+      .to.be.revertedWithCustomError(vault, "InvalidFeeConfig");
+    await expect(vault.connect(user).setFeeRecipients([user.address], [10000]))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+  });
+});
+
+describe("RecoveryVault - roles", function () {
+  let vault, usdc, wONE, owner, pauser, treasurer, rmc;
+  const role = (name) => ethers.id(name);
+
+  beforeEach(async () => {
+    [owner, pauser, treasurer, rmc] = await ethers.getSigners();
+    ({ vault, usdc, wONE } = await deployVaultFixture({ rmc: rmc.address, funds: { wONE: "1000" }, startRound: false }));
+  });
+
+  it("starts with every role on the owner and lets it hand them out", async () => {
+    for (const r of ["PAUSER_ROLE", "TREASURER_ROLE", "PRICE_SETTER_ROLE", "WHITELIST_MANAGER_ROLE", "ROUND_OPERATOR_ROLE"]) {
+      expect(await vault[r]()).to.equal(role(r));
+      expect(await vault.hasRole(role(r), owner.address)).to.equal(true);
+    }
+
+    await expect(vault.grantRole(role("PAUSER_ROLE"), pauser.address))
+      .to.emit(vault, "RoleGranted").withArgs(role("PAUSER_ROLE"), pauser.address, owner.address);
+    await expect(vault.connect(pauser).setLocked(true)).to.emit(vault, "VaultPaused").withArgs(true);
+
+    // a pauser cannot move funds or touch other settings
+    await expect(vault.connect(pauser).withdrawFunds(await wONE.getAddress()))
+      .to.be.revertedWithCustomError(vault, "MissingRole").withArgs(role("TREASURER_ROLE"), pauser.address);
+    await expect(vault.connect(pauser).setMerkleRoot(ethers.ZeroHash))
+      .to.be.revertedWithCustomError(vault, "MissingRole").withArgs(role("WHITELIST_MANAGER_ROLE"), pauser.address);
+    await expect(vault.connect(pauser).setOracle(pauser.address))
+      .to.be.revertedWithCustomError(vault, "MissingRole").withArgs(role("PRICE_SETTER_ROLE"), pauser.address);
+    await expect(vault.connect(pauser).grantRole(role("TREASURER_ROLE"), pauser.address))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+
+    await expect(vault.connect(pauser).renounceRole(role("PAUSER_ROLE")))
+      .to.emit(vault, "RoleRevoked").withArgs(role("PAUSER_ROLE"), pauser.address, pauser.address);
+    await expect(vault.connect(pauser).setLocked(false)).to.be.revertedWithCustomError(vault, "MissingRole");
+  });
+
+  it("separates the treasury key from the owner", async () => {
+    await vault.grantRole(role("TREASURER_ROLE"), treasurer.address);
+    await expect(vault.revokeRole(role("TREASURER_ROLE"), owner.address))
+      .to.emit(vault, "RoleRevoked").withArgs(role("TREASURER_ROLE"), owner.address, owner.address);
+
+    await expect(vault.withdrawFunds(await wONE.getAddress())).to.be.revertedWithCustomError(vault, "MissingRole");
+    await expect(vault.connect(treasurer).withdrawFunds(await wONE.getAddress()))
+      .to.changeTokenBalance(wONE, rmc, parseUnits("1000", 18));
+  });
+
+  it("sends partial amounts anywhere and rescues stray tokens, never output tokens", async () => {
+    await vault.grantRole(role("TREASURER_ROLE"), treasurer.address);
+    const out = await wONE.getAddress();
+
+    await expect(vault.connect(treasurer).withdrawTo(out, parseUnits("300", 18), pauser.address))
+      .to.emit(vault, "FundsWithdrawn").withArgs(out, pauser.address, parseUnits("300", 18));
+    expect(await wONE.balanceOf(pauser.address)).to.equal(parseUnits("300", 18));
+    await expect(vault.connect(treasurer).withdrawTo(out, 1, ethers.ZeroAddress))
+      .to.be.revertedWithCustomError(vault, "InvalidRecipient");
+    await expect(vault.connect(treasurer).withdrawTo(out, 0, pauser.address))
+      .to.be.revertedWithCustomError(vault, "NothingToWithdraw");
+    await expect(vault.connect(pauser).withdrawTo(out, 1, pauser.address))
+      .to.be.revertedWithCustomError(vault, "MissingRole").withArgs(role("TREASURER_ROLE"), pauser.address);
+    await expect(vault.connect(treasurer).withdrawFunds(out))
+      .to.emit(vault, "FundsWithdrawn").withArgs(out, rmc.address, parseUnits("700", 18));
+
+    // a token sent by mistake can be returned; output tokens are off limits for the rescue path
+    const MockERC20 = await ethers.getContractFactory("ERC20Mock");
+    const stray = await MockERC20.deploy("Stray", "STR", 18);
+    await stray.mint(await vault.getAddress(), parseUnits("5", 18));
+    await expect(vault.connect(treasurer).rescueToken(await stray.getAddress(), parseUnits("5", 18), pauser.address))
+      .to.emit(vault, "TokenRescued").withArgs(await stray.getAddress(), pauser.address, parseUnits("5", 18));
+    expect(await stray.balanceOf(pauser.address)).to.equal(parseUnits("5", 18));
+    await usdc.mint(await vault.getAddress(), parseUnits("10", 6));
+    await expect(vault.connect(treasurer).rescueToken(await usdc.getAddress(), 1, pauser.address))
+      .to.be.revertedWithCustomError(vault, "TokenNotAllowed");
+    await expect(vault.connect(treasurer).rescueToken(await stray.getAddress(), 1, await vault.getAddress()))
+      .to.be.revertedWithCustomError(vault, "InvalidRecipient");
+    await expect(vault.connect(pauser).rescueToken(await stray.getAddress(), 1, pauser.address))
+      .to.be.revertedWithCustomError(vault, "MissingRole");
+  });
+});
@@ -0,0 +1,218 @@
+// test/integration/RedemptionQueue.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployVaultFixture } = require("./helpers/vault");
+const { capTree } = require("./helpers/merkle");
+const { parseUnits } = ethers;
+
+describe("RedemptionQueue", function () {
+  let owner, alice, bob, outsider, vault, queue, usdc, wONE, proof;
+
+  const joinFrom = async (signer, amount) =>
+    queue.connect(signer).join(await usdc.getAddress(), parseUnits(amount, 6), await wONE.getAddress(), 1, proof[signer.address] || [], 0, []);
+
+  beforeEach(async () => {
+    [owner, alice, bob, outsider] = await ethers.getSigners();
+
+    // the round opens with USDC only, so wONE redemptions have nothing to pay out
+    ({ vault, usdc, wONE, proof } = await deployVaultFixture({
+      whitelist: [alice.address, bob.address, owner.address],
+      users: [alice, bob, outsider],
+      funds: { usdc: "10" },
+    }));
+
+    const RedemptionQueue = await ethers.getContractFactory("RedemptionQueue");
+    queue = await RedemptionQueue.deploy(await vault.getAddress());
+    await vault.grantRole(await vault.SETTLEMENT_ROLE(), await queue.getAddress());
+    for (const s of [alice, bob, outsider]) await usdc.connect(s).approve(await queue.getAddress(), ethers.MaxUint256);
+  });
+
+  it("fills queued requests in order once the vault is funded", async () => {
+    const out = await wONE.getAddress();
+    // the vault holds no wONE: a direct redeem fails, the queue accepts the same request
+    await usdc.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256);
+    await expect(vault.connect(alice).redeem(await usdc.getAddress(), parseUnits("40", 6), out, 1, proof[alice.address], 0, []))
+      .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+    await expect(joinFrom(alice, "40")).to.emit(queue, "QueueJoined");
+    await joinFrom(bob, "60");
+
+    const ea = await queue.entries(1);
+    const eb = await queue.entries(2);
+    expect(await queue.pendingOut(out)).to.equal(ea.amountOut + eb.amountOut);
+    let pos = await queue.positionOf(bob.address);
+    expect(pos.id).to.equal(2n);
+    expect(pos.position).to.equal(2n);
+    expect(pos.outAhead).to.equal(ea.amountOut);
+
+    // nothing to pay yet
+    await queue.process(out, 10);
+    expect(await queue.head(out)).to.equal(0n);
+
+    // funding covers alice and part of bob
+    const funded = ea.amountOut + eb.amountOut / 4n;
+    await wONE.mint(await vault.getAddress(), funded);
+    const tx = queue.connect(outsider).process(out, 10);
+    await expect(tx).to.changeTokenBalances(wONE, [alice, bob], [ea.amountOut, eb.amountOut / 4n]);
+    await expect(tx).to.emit(queue, "QueueFilled").withArgs(2n, bob.address, eb.amountOut / 4n, eb.amountIn / 4n, eb.amountOut - eb.amountOut / 4n);
+    expect(await wONE.balanceOf(await vault.getAddress())).to.equal(0n);
+    expect(await queue.openEntryOf(alice.address)).to.equal(0n);
+    expect(await queue.head(out)).to.equal(1n);
+
+    // the fee share of the used input goes to the dev wallet, the rest is burned
+    expect(await usdc.balanceOf(owner.address)).to.equal(ea.feeIn + eb.feeIn / 4n);
+    pos = await queue.positionOf(bob.address);
+    expect(pos.position).to.equal(1n);
+
+    // bob leaves with the unused three quarters of his input, which no longer count against his limits
+    await expect(queue.connect(bob).cancel())
+      .to.changeTokenBalance(usdc, bob, eb.amountIn - eb.amountIn / 4n);
+    expect(await vault.claimedAmount(bob.address, await usdc.getAddress())).to.equal(eb.amountIn / 4n);
+    expect(await vault.getUserLimit(bob.address, 1)).to.equal(parseUnits("85", 18));
+    expect(await queue.pendingOut(out)).to.equal(0n);
+    expect(await usdc.balanceOf(await queue.getAddress())).to.equal(0n);
+  });
+
+  it("validates requests through the vault and skips cancelled entries", async () => {
+    await expect(joinFrom(outsider, "10")).to.be.revertedWith("Not whitelisted");
+    await vault.setLocked(true);
+    await expect(joinFrom(alice, "10")).to.be.revertedWith("Round not active");
+    await vault.setLocked(false);
+    await expect(joinFrom(alice, "150")).to.be.revertedWith("Request blocked"); // over the $100 daily limit
+    await expect(queue.connect(alice).join(await usdc.getAddress(), 1, await vault.getAddress(), 1, proof[alice.address], 0, []))
+      .to.be.revertedWith("Invalid redeem token");
+
+    await joinFrom(alice, "40");
+    await expect(joinFrom(alice, "10")).to.be.revertedWith("Already queued");
+    await joinFrom(bob, "20");
+    await expect(queue.connect(alice).cancel()).to.changeTokenBalance(usdc, alice, parseUnits("40", 6));
+    await expect(queue.connect(alice).cancel()).to.be.revertedWith("Not queued");
+    expect((await queue.positionOf(bob.address)).position).to.equal(1n);
+
+    const eb = await queue.entries(2);
+    await wONE.mint(await vault.getAddress(), parseUnits("1000", 18));
+    await expect(queue.process(await wONE.getAddress(), 10)).to.changeTokenBalance(wONE, bob, eb.amountOut);
+    expect(await queue.queueLength(await wONE.getAddress())).to.equal(0n);
+  });
+
+  it("counts queued fills against the daily limit and the lifetime cap", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    // Cap tree: (alice, usdc, 70) + (bob, usdc, 70)
+    const cap = parseUnits("70", 6);
+    const caps = capTree([[alice.address, tokenIn, cap], [bob.address, tokenIn, cap]]);
+    await vault.setCapRoot(caps.root);
+    const capProof = caps.proof[alice.address];
+
+    await queue.connect(alice).join(tokenIn, parseUnits("60", 6), out, 1, proof[alice.address], cap, capProof);
+    const e = await queue.entries(1);
+    await wONE.mint(await vault.getAddress(), parseUnits("1000", 18));
+    // paused vault: nothing leaves it, not even through a module
+    await vault.setLocked(true);
+    await expect(queue.process(out, 10)).to.be.revertedWithCustomError(vault, "ContractLocked");
+    await vault.setLocked(false);
+    await expect(queue.process(out, 10)).to.changeTokenBalance(wONE, alice, e.amountOut);
+    // queued requests show up in the round stats like direct redeems
+    const st = await vault.getRoundStats(1);
+    expect(st.usdIn).to.equal(parseUnits("60", 18));
+    expect(st.redeemers).to.equal(1n);
+    expect(st.paidOut[0]).to.equal(e.amountOut);
+
+    expect(await vault.claimedAmount(alice.address, tokenIn)).to.equal(parseUnits("60", 6));
+    expect(await vault.getUserLimit(alice.address, 1)).to.equal(parseUnits("40", 18));
+    await usdc.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256);
+    await expect(
+      vault.connect(alice).redeem(tokenIn, parseUnits("20", 6), out, 1, proof[alice.address], cap, capProof)
+    ).to.be.revertedWithCustomError(vault, "ClaimCapExceeded").withArgs(tokenIn, parseUnits("10", 6), parseUnits("20", 6));
+    await vault.connect(alice).redeem(tokenIn, parseUnits("10", 6), out, 1, proof[alice.address], cap, capProof);
+    expect(await vault.getUserLimit(alice.address, 1)).to.equal(parseUnits("30", 18));
+  });
+
+  it("books queue burns in the token stats and drops fully cancelled redeemers", async () => {
+    const [tokenIn, out] = [await usdc.getAddress(), await wONE.getAddress()];
+    await joinFrom(alice, "40");
+    await joinFrom(bob, "20");
+    expect((await vault.getRoundStats(1)).redeemers).to.equal(2n);
+
+    // bob leaves before any fill: nothing of his is left in the round
+    await queue.connect(bob).cancel();
+    expect((await vault.getRoundStats(1)).redeemers).to.equal(1n);
+    expect(await vault.roundRedeemedBy(1, bob.address)).to.equal(0n);
+
+    // ERC20Mock has no burn(): the vault sinks the used input and books it like a redeem
+    const e = await queue.entries(1);
+    await wONE.mint(await vault.getAddress(), e.amountOut);
+    const vaultUsdc = await usdc.balanceOf(await vault.getAddress());
+    await expect(queue.process(out, 10))
+      .to.emit(vault, "TokenSinkFallback").withArgs(tokenIn, e.amountIn - e.feeIn);
+    const tk = await vault.getTokenStats(tokenIn);
+    expect(tk.sunk).to.equal(e.amountIn - e.feeIn);
+    expect(await usdc.balanceOf(await queue.getAddress())).to.equal(0n);
+    expect(await usdc.balanceOf(await vault.getAddress())).to.equal(vaultUsdc);
+    // a filled request keeps counting
+    expect((await vault.getRoundStats(1)).redeemers).to.equal(1n);
+  });
+
+  it("holds queued output back from direct redeems and other modules", async () => {
+    const [tokenIn, out, vaultAddr, queueAddr] =
+      [await usdc.getAddress(), await wONE.getAddress(), await vault.getAddress(), await queue.getAddress()];
+    await joinFrom(alice, "40");
+    const ea = await queue.entries(1);
+    expect(await vault.getReservedOutput(out, queueAddr)).to.deep.equal([ea.amountOut, ea.amountOut]);
+
+    // a deposit covering the queue is not up for grabs
+    await wONE.mint(vaultAddr, ea.amountOut);
+    expect(await vault.availableOutput(out, ethers.ZeroAddress)).to.equal(0n);
+    expect(await vault.availableOutput(out, outsider.address)).to.equal(0n);
+    expect(await vault.availableOutput(out, queueAddr)).to.equal(ea.amountOut);
+    await usdc.connect(bob).approve(vaultAddr, ethers.MaxUint256);
+    await expect(vault.connect(bob).redeem(tokenIn, parseUnits("20", 6), out, 1, proof[bob.address], 0, []))
+      .to.be.revertedWithCustomError(vault, "InsufficientLiquidity").withArgs(out, 0n, (x) => x > 0n);
+
+    // only the balance above the hold goes to direct redeems
+    await wONE.mint(vaultAddr, parseUnits("1000", 18));
+    await vault.connect(bob).redeem(tokenIn, parseUnits("20", 6), out, 1, proof[bob.address], 0, []);
+    await expect(queue.process(out, 10)).to.changeTokenBalance(wONE, alice, ea.amountOut);
+    expect(await vault.getReservedOutput(out, queueAddr)).to.deep.equal([0n, 0n]);
+
+    // a cancelled entry drops its hold
+    await joinFrom(bob, "20");
+    expect((await vault.getReservedOutput(out, queueAddr)).total).to.be.gt(0n);
+    await queue.connect(bob).cancel();
+    expect((await vault.getReservedOutput(out, queueAddr)).total).to.equal(0n);
+  });
+
+  it("credits fills a wallet cannot receive and keeps the queue moving", async () => {
+    // wONE that reverts transfers to blacklisted holders
+    const Blacklist = await ethers.getContractFactory("ERC20BlacklistMock");
+    ({ vault, usdc, wONE, proof } = await deployVaultFixture({
+      whitelist: [alice.address, bob.address, owner.address],
+      users: [alice, bob],
+      wONE: await Blacklist.deploy("Wrapped ONE", "wONE", 18),
+      funds: { usdc: "10" },
+    }));
+    const RedemptionQueue = await ethers.getContractFactory("RedemptionQueue");
+    queue = await RedemptionQueue.deploy(await vault.getAddress());
+    await vault.grantRole(await vault.SETTLEMENT_ROLE(), await queue.getAddress());
+    for (const s of [alice, bob]) await usdc.connect(s).approve(await queue.getAddress(), ethers.MaxUint256);
+    const out = await wONE.getAddress();
+
+    await joinFrom(alice, "40");
+    await joinFrom(bob, "20");
+    const [ea, eb] = [await queue.entries(1), await queue.entries(2)];
+    await wONE.setBlacklisted(alice.address, true);
+    await wONE.mint(await vault.getAddress(), parseUnits("1000", 18));
+
+    const tx = queue.process(out, 10);
+    await expect(tx).to.emit(queue, "FillCredited").withArgs(1n, alice.address, out, ea.amountOut);
+    await expect(tx).to.changeTokenBalance(wONE, bob, eb.amountOut);
+    expect(await queue.head(out)).to.equal(2n);
+    expect(await queue.claimable(alice.address, out)).to.equal(ea.amountOut);
+
+    await expect(queue.connect(alice).claim(out)).to.be.revertedWith("Blacklisted");
+    await expect(queue.connect(bob).claim(out)).to.be.revertedWith("Nothing to claim");
+    await wONE.setBlacklisted(alice.address, false);
+    await expect(queue.connect(alice).claim(out))
+      .to.emit(queue, "FillClaimed").withArgs(alice.address, alice.address, out, ea.amountOut);
+    expect(await wONE.balanceOf(alice.address)).to.equal(ea.amountOut);
+    expect(await queue.claimable(alice.address, out)).to.equal(0n);
+  });
+});
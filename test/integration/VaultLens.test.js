@@ -0,0 +1,82 @@
+// test/integration/VaultLens.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployVaultFixture } = require("./helpers/vault");
+const { parseUnits } = ethers;
+
+describe("VaultLens", function () {
+  let owner, user, vault, lens, usdc, wONE, oracle;
+
+  beforeEach(async () => {
+    [owner, user] = await ethers.getSigners();
+
+    // single-leaf tree: the root is the leaf, the proof is empty
+    ({ vault, usdc, wONE, oracle } = await deployVaultFixture({ whitelist: [user.address], funds: { wONE: "1000" } }));
+    await vault.setFixedUsdPrice(await usdc.getAddress(), parseUnits("0.8", 18));
+
+    const VaultLens = await ethers.getContractFactory("VaultLens");
+    lens = await VaultLens.deploy();
+  });
+
+  it("returns config, round, outputs, fees and token metadata in one call", async () => {
+    const s = await lens.getVaultState(await vault.getAddress());
+    expect(s.owner).to.equal(owner.address);
+    expect(s.oracle).to.equal(await oracle.getAddress());
+    expect(s.dailyLimitUsd).to.equal(parseUnits("100", 18));
+    expect(s.oracleOk).to.equal(true);
+    expect(s.oraclePrice).to.equal(parseUnits("0.5", 6));
+
+    const ri = await vault.getRoundInfo();
+    expect(s.round.roundId).to.equal(1n);
+    expect(s.round.isActive).to.equal(ri.isActive);
+    expect(s.round.feeBps).to.equal(ri.roundFeeBps);
+
+    expect(s.outputs.map((o) => o.symbol)).to.deep.equal(["wONE", "USDC"]);
+    expect(s.outputs[0].balance).to.equal(parseUnits("1000", 18));
+    expect(s.outputs[0].available).to.equal(parseUnits("1000", 18));
+    expect(s.outputs[0].usdValue18).to.equal(parseUnits("500", 18));
+
+    expect(s.tokens).to.have.length(1);
+    expect(s.tokens[0].symbol).to.equal("USDC");
+    expect(s.tokens[0].decimals).to.equal(6n);
+    expect(s.tokens[0].fixedUsdPrice18).to.equal(parseUnits("0.8", 18));
+    expect(s.feeThresholds).to.deep.equal(await vault.getFeeTiers().then((r) => r.thresholds));
+    expect(s.feeRecipients).to.deep.equal([owner.address]);
+  });
+
+  it("adds the wallet's balances, allowances, claims and limit status", async () => {
+    const usdcAddr = await usdc.getAddress();
+    await usdc.mint(user.address, parseUnits("500", 6));
+    await usdc.connect(user).approve(await vault.getAddress(), parseUnits("300", 6));
+    await vault.connect(user).redeem(usdcAddr, parseUnits("50", 6), await wONE.getAddress(), 1, [], 0, []);
+
+    const [s, u] = await lens.getUserState(await vault.getAddress(), user.address, 1, []);
+    expect(s.tokens[0].roundRedeemed).to.equal(parseUnits("50", 6));
+    expect(u.nativeBalance).to.equal(await ethers.provider.getBalance(user.address));
+    expect(u.tokens[0].balance).to.equal(parseUnits("450", 6));
+    expect(u.tokens[0].allowance).to.equal(parseUnits("250", 6));
+    expect(u.tokens[0].claimed).to.equal(parseUnits("50", 6));
+    expect(u.outputBalances[0]).to.equal(await wONE.balanceOf(user.address));
+
+    const status = await vault.getUserStatus(user.address, 1, []);
+    expect(u.limits.whitelisted).to.equal(true);
+    expect(u.limits.usedUsd).to.equal(status.usedUsd);
+    expect(u.limits.remainingUsd).to.equal(status.remainingUsd);
+    expect(u.limits.windowEnd).to.equal(status.windowEnd);
+    // wrong weight: not whitelisted, the rest still reads
+    expect((await lens.getUserState(await vault.getAddress(), user.address, 2, []))[1].limits.whitelisted).to.equal(false);
+  });
+
+  it("still reads balances while the oracle reverts", async () => {
+    await oracle.setReverts(true);
+    await expect(vault.getOutputBalances()).to.be.reverted;
+
+    const [s, u] = await lens.getUserState(await vault.getAddress(), user.address, 1, []);
+    expect(s.oracleOk).to.equal(false);
+    expect(s.outputs.map((o) => o.symbol)).to.deep.equal(["wONE", "USDC"]);
+    expect(s.outputs[0].decimals).to.equal(18n);
+    expect(s.outputs[0].balance).to.equal(parseUnits("1000", 18));
+    expect(s.outputs.map((o) => o.usdValue18)).to.deep.equal([0n, 0n]);
+    expect(u.limits.whitelisted).to.equal(true);
+  });
+});
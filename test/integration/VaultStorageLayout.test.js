@@ -0,0 +1,41 @@
+// test/integration/VaultStorageLayout.test.js
+// RecoveryVault delegatecalls RecoveryVaultExtension, which delegatecalls RecoveryVaultViews: all three must lay out
+// storage exactly like RecoveryVaultBase, or a part reads and writes the wrong slots.
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { deployVaultFixture } = require("./helpers/vault");
+const { parseUnits } = ethers;
+
+const PARTS = ["RecoveryVault", "RecoveryVaultExtension", "RecoveryVaultViews"];
+
+/** Storage variables of `name` as "slot:offset label type", from the compiler's storageLayout output */
+async function layoutOf(name) {
+  const fqn = `contracts/${name}.sol:${name}`;
+  const buildInfo = await artifacts.getBuildInfo(fqn);
+  const { storage, types } = buildInfo.output.contracts[`contracts/${name}.sol`][name].storageLayout;
+  return storage.map((v) => `${v.slot}:${v.offset} ${v.label} ${types[v.type].label}`);
+}
+
+describe("Vault storage layout", function () {
+  it("is the same in the vault, the extension and the views contract", async () => {
+    const [vault, ...others] = await Promise.all(PARTS.map(layoutOf));
+    expect(vault.length).to.be.gt(0);
+    others.forEach((layout, i) => expect(layout, PARTS[i + 1]).to.deep.equal(vault));
+  });
+
+  it("reads state written through one part back through the others", async () => {
+    const [, user] = await ethers.getSigners();
+    const { vault, usdc, wONE, proof } = await deployVaultFixture({ whitelist: [user.address], users: [user] });
+
+    // extension write, vault getter and views read
+    await vault.setDailyLimit(parseUnits("250", 18));
+    expect(await vault.dailyLimitUsd()).to.equal(parseUnits("250", 18));
+    expect(await vault.getUserLimit(user.address, 1)).to.equal(parseUnits("250", 18));
+
+    // vault write (redeem), views read
+    await usdc.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(user).redeem(await usdc.getAddress(), parseUnits("10", 6), await wONE.getAddress(), 1, proof[user.address], 0, []);
+    expect(await vault.getUserLimit(user.address, 1)).to.equal(parseUnits("240", 18));
+    expect((await vault.getRoundStats(1)).redeemers).to.equal(1n);
+  });
+});
@@ -0,0 +1,134 @@
+// test/integration/VaultTimelock.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployVaultFixture } = require("./helpers/vault");
+const { DAY, increaseTime, now } = require("./helpers/time");
+const { parseUnits } = ethers;
+
+describe("VaultTimelock", function () {
+  let owner, admin, outsider, timelock, vault, oracle2;
+
+  // eta of the change queued by `tx`
+  const etaOf = async (tx) => {
+    const rc = await tx.wait();
+    const ev = rc.logs.map((l) => { try { return timelock.interface.parseLog(l); } catch { return null; } }).find((e) => e?.name === "ChangeQueued");
+    return ev.args.eta;
+  };
+
+  beforeEach(async () => {
+    [owner, admin, outsider] = await ethers.getSigners();
+
+    ({ vault } = await deployVaultFixture({ startRound: false }));
+    const MockOracle = await ethers.getContractFactory("MockOracle");
+    oracle2 = await MockOracle.deploy(parseUnits("0.6", 6), 6);
+
+    const VaultTimelock = await ethers.getContractFactory("VaultTimelock");
+    timelock = await VaultTimelock.deploy(admin.address, await vault.getAddress(), 2 * DAY);
+    // oracle, whitelist root and round schedule are role-gated: the timelock holds those roles alone so their changes are delayed too
+    for (const r of ["PRICE_SETTER_ROLE", "WHITELIST_MANAGER_ROLE", "ROUND_OPERATOR_ROLE"]) {
+      await vault.grantRole(await vault[r](), await timelock.getAddress());
+      await vault.renounceRole(await vault[r]());
+    }
+    await vault.transferOwnership(await timelock.getAddress());
+  });
+
+  it("applies a queued oracle change only after the delay", async () => {
+    const vaultAddr = await vault.getAddress();
+    const data = vault.interface.encodeFunctionData("setOracle", [await oracle2.getAddress()]);
+
+    await expect(timelock.connect(outsider).queue(vaultAddr, data)).to.be.revertedWith("Ownable: caller is not the owner");
+    const tx = await timelock.connect(admin).queue(vaultAddr, data);
+    await expect(tx).to.emit(timelock, "ChangeQueued");
+    const eta = await etaOf(tx);
+    expect(eta).to.equal(BigInt((await ethers.provider.getBlock("latest")).timestamp + 2 * DAY));
+
+    await expect(timelock.execute(vaultAddr, data, eta)).to.be.revertedWith("Change not ready");
+    await increaseTime(2 * DAY);
+    // anyone can execute once the delay has passed
+    await expect(timelock.connect(outsider).execute(vaultAddr, data, eta))
+      .to.emit(vault, "OracleUpdated").withArgs(await oracle2.getAddress())
+      .and.to.emit(timelock, "ChangeExecuted");
+    expect(await vault.oracle()).to.equal(await oracle2.getAddress());
+    await expect(timelock.execute(vaultAddr, data, eta)).to.be.revertedWith("Change not queued");
+  });
+
+  it("blocks direct and forwarded sensitive setters but forwards other owner calls", async () => {
+    await expect(vault.setDailyLimit(1)).to.be.revertedWith("Ownable: caller is not the owner");
+    const limit = vault.interface.encodeFunctionData("setDailyLimit", [1]);
+    await expect(timelock.connect(admin).forward(limit)).to.be.revertedWith("Selector is timelocked");
+    const xfer = vault.interface.encodeFunctionData("transferOwnership", [admin.address]);
+    await expect(timelock.connect(admin).forward(xfer)).to.be.revertedWith("Selector is timelocked");
+    const registry = vault.interface.encodeFunctionData("setMigration", [outsider.address]);
+    await expect(timelock.connect(admin).forward(registry)).to.be.revertedWith("Selector is timelocked");
+    // repricing changes every payout: output tokens and fixed prices wait like the oracle
+    const output = vault.interface.encodeFunctionData("setOutputToken", [outsider.address, 3, parseUnits("1", 18)]);
+    await expect(timelock.connect(admin).forward(output)).to.be.revertedWith("Selector is timelocked");
+    await expect(vault.setFixedUsdPrice(outsider.address, parseUnits("1", 18))).to.be.revertedWithCustomError(vault, "MissingRole");
+    const fixed = vault.interface.encodeFunctionData("setFixedUsdPrice", [outsider.address, parseUnits("1", 18)]);
+    await expect(timelock.connect(admin).forward(fixed)).to.be.revertedWith("Selector is timelocked");
+
+    const rmc = vault.interface.encodeFunctionData("setRmcWallet", [outsider.address]);
+    await expect(timelock.connect(admin).forward(rmc)).to.emit(timelock, "CallForwarded");
+    expect(await vault.rmcWallet()).to.equal(outsider.address);
+
+    // role-gated: the oracle and root go through the queue, a grant cannot hand the role out right away
+    await expect(vault.setOracle(await oracle2.getAddress())).to.be.revertedWithCustomError(vault, "MissingRole");
+    const oracle = vault.interface.encodeFunctionData("setOracle", [await oracle2.getAddress()]);
+    await expect(timelock.connect(admin).forward(oracle)).to.be.revertedWith("Selector is timelocked");
+    const grant = vault.interface.encodeFunctionData("grantRole", [await vault.PRICE_SETTER_ROLE(), admin.address]);
+    await expect(timelock.connect(admin).forward(grant)).to.be.revertedWith("Selector is timelocked");
+    // other setters of a role the timelock holds are forwarded
+    const maxAge = vault.interface.encodeFunctionData("setOracleMaxAge", [3600]);
+    await expect(timelock.connect(admin).forward(maxAge)).to.emit(vault, "OracleGuardsUpdated");
+  });
+
+  it("queues scheduled rounds, whose fee and limit override the tiers and the daily limit", async () => {
+    const vaultAddr = await vault.getAddress();
+    const start = (await now()) + 3 * DAY;
+    const data = vault.interface.encodeFunctionData("scheduleRound", [1, start, 0, parseUnits("1000", 18), 100]);
+    await expect(vault.scheduleRound(1, start, 0, parseUnits("1000", 18), 100)).to.be.revertedWithCustomError(vault, "MissingRole");
+    await expect(timelock.connect(admin).forward(data)).to.be.revertedWith("Selector is timelocked");
+
+    const eta = await etaOf(await timelock.connect(admin).queue(vaultAddr, data));
+    await increaseTime(2 * DAY);
+    await expect(timelock.execute(vaultAddr, data, eta)).to.emit(vault, "RoundScheduled");
+    expect((await vault["getRoundInfo(uint256)"](1)).limitUsd).to.equal(parseUnits("1000", 18));
+
+    // starting a round right away stays immediate: it uses the current fee tiers and daily limit
+    const startNow = vault.interface.encodeFunctionData("startNewRound", [2]);
+    await expect(timelock.connect(admin).forward(startNow)).to.emit(vault, "NewRoundStarted");
+  });
+
+  it("lets the admin cancel and expires stale changes", async () => {
+    const vaultAddr = await vault.getAddress();
+    const data = vault.interface.encodeFunctionData("setDevWallet", [outsider.address]);
+    let eta = await etaOf(await timelock.connect(admin).queue(vaultAddr, data));
+    await expect(timelock.connect(outsider).cancel(vaultAddr, data, eta)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(timelock.connect(admin).cancel(vaultAddr, data, eta)).to.emit(timelock, "ChangeCancelled");
+    await increaseTime(2 * DAY);
+    await expect(timelock.execute(vaultAddr, data, eta)).to.be.revertedWith("Change not queued");
+
+    eta = await etaOf(await timelock.connect(admin).queue(vaultAddr, data));
+    await increaseTime(2 * DAY + Number(await timelock.GRACE_PERIOD()) + 1);
+    await expect(timelock.execute(vaultAddr, data, eta)).to.be.revertedWith("Change expired");
+  });
+
+  it("changes its own delay through the queue", async () => {
+    const self = await timelock.getAddress();
+    await expect(timelock.connect(admin).setDelay(DAY)).to.be.revertedWith("Only via queue");
+    await expect(timelock.connect(admin).queue(outsider.address, "0x12345678")).to.be.revertedWith("Invalid target");
+
+    const data = timelock.interface.encodeFunctionData("setDelay", [DAY]);
+    const eta = await etaOf(await timelock.connect(admin).queue(self, data));
+    await increaseTime(2 * DAY);
+    await expect(timelock.execute(self, data, eta)).to.emit(timelock, "DelayUpdated").withArgs(DAY);
+    expect(await timelock.delay()).to.equal(DAY);
+
+    // reverts from the target bubble up and keep the change queued
+    const bad = timelock.interface.encodeFunctionData("setDelay", [60]);
+    const eta2 = await etaOf(await timelock.connect(admin).queue(self, bad));
+    await increaseTime(DAY);
+    await expect(timelock.execute(self, bad, eta2)).to.be.revertedWith("Invalid delay");
+    expect(await timelock.queuedEta(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes", "uint256"], [self, bad, eta2])))).to.equal(eta2);
+  });
+});
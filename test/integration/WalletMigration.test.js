@@ -0,0 +1,101 @@
+// test/integration/WalletMigration.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployVaultFixture } = require("./helpers/vault");
+const { DAY, increaseTime } = require("./helpers/time");
+const { parseUnits } = ethers;
+
+async function signMigration(registry, oldSigner, newWallet, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = { name: "RecoveryVault Migration", version: "1", chainId, verifyingContract: await registry.getAddress() };
+  const types = {
+    Migration: [
+      { name: "oldWallet", type: "address" },
+      { name: "newWallet", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const nonce = await registry.nonces(oldSigner.address);
+  return oldSigner.signTypedData(domain, types, { oldWallet: oldSigner.address, newWallet, nonce, deadline });
+}
+
+describe("WalletMigration", function () {
+  let owner, victim, fresh, attacker, registry, vault, usdc, wONE, proof, deadline;
+
+  beforeEach(async () => {
+    [owner, victim, fresh, attacker] = await ethers.getSigners();
+
+    const WalletMigration = await ethers.getContractFactory("WalletMigration");
+    registry = await WalletMigration.deploy(owner.address, 2 * DAY);
+
+    let tree;
+    ({ vault, usdc, wONE, proof: tree } = await deployVaultFixture({
+      whitelist: [victim.address, owner.address],
+      users: [victim, fresh],
+    }));
+    proof = tree[victim.address];
+    await expect(vault.setMigration(await registry.getAddress()))
+      .to.emit(vault, "MigrationSet").withArgs(await registry.getAddress());
+    deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  });
+
+  const redeemFrom = async (signer, amount = "10") =>
+    vault.connect(signer).redeem(await usdc.getAddress(), parseUnits(amount, 6), await wONE.getAddress(), 1, proof, 0, []);
+
+  it("moves eligibility and usage to the new wallet after the veto window", async () => {
+    await redeemFrom(victim, "30");
+    const sig = await signMigration(registry, victim, fresh.address, deadline);
+
+    await expect(registry.connect(fresh).requestMigration(victim.address, deadline, sig))
+      .to.emit(registry, "MigrationRequested");
+    // both wallets are frozen while the request can still be vetoed
+    await expect(redeemFrom(victim)).to.be.revertedWithCustomError(vault, "NotWhitelisted");
+    await expect(redeemFrom(fresh)).to.be.revertedWithCustomError(vault, "NotWhitelisted");
+    await expect(registry.executeMigration(victim.address)).to.be.revertedWith("Veto window open");
+
+    await increaseTime(2 * DAY);
+    await expect(registry.executeMigration(victim.address))
+      .to.emit(registry, "MigrationExecuted").withArgs(victim.address, fresh.address, victim.address);
+
+    expect(await registry.accountOf(fresh.address)).to.equal(victim.address);
+    expect(await registry.accountOf(victim.address)).to.equal(ethers.ZeroAddress);
+    await expect(redeemFrom(victim)).to.be.revertedWithCustomError(vault, "NotWhitelisted");
+
+    // the 24h window elapsed, so the snapshot account has its full limit back, now usable from the new wallet
+    expect(await vault.getUserLimit(fresh.address, 1)).to.equal(parseUnits("100", 18));
+    await expect(redeemFrom(fresh, "20")).to.emit(vault, "RedeemProcessed");
+    expect(await vault.getUserLimit(fresh.address, 1)).to.equal(parseUnits("80", 18));
+  });
+
+  it("lets the owner veto a request and restores the old wallet", async () => {
+    const sig = await signMigration(registry, victim, attacker.address, deadline);
+    await registry.connect(attacker).requestMigration(victim.address, deadline, sig);
+
+    await expect(registry.connect(attacker).vetoMigration(victim.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(registry.vetoMigration(victim.address))
+      .to.emit(registry, "MigrationVetoed").withArgs(victim.address, attacker.address);
+
+    expect(await registry.accountOf(victim.address)).to.equal(victim.address);
+    await increaseTime(2 * DAY);
+    await expect(registry.executeMigration(victim.address)).to.be.revertedWith("No pending migration");
+    await expect(redeemFrom(victim)).to.emit(vault, "RedeemProcessed");
+  });
+
+  it("rejects signatures from another key, replays and expired deadlines", async () => {
+    const forged = await signMigration(registry, attacker, fresh.address, deadline);
+    await expect(registry.connect(fresh).requestMigration(victim.address, deadline, forged)).to.be.revertedWith("Invalid signature");
+
+    // signed for `fresh` but submitted by someone else
+    const sig = await signMigration(registry, victim, fresh.address, deadline);
+    await expect(registry.connect(attacker).requestMigration(victim.address, deadline, sig)).to.be.revertedWith("Invalid signature");
+
+    await registry.connect(fresh).requestMigration(victim.address, deadline, sig);
+    await registry.vetoMigration(victim.address);
+    await expect(registry.connect(fresh).requestMigration(victim.address, deadline, sig)).to.be.revertedWith("Invalid signature");
+
+    const past = (await ethers.provider.getBlock("latest")).timestamp - 1;
+    const expired = await signMigration(registry, victim, fresh.address, past);
+    await expect(registry.connect(fresh).requestMigration(victim.address, past, expired)).to.be.revertedWith("Signature expired");
+  });
+});
@@ -0,0 +1,44 @@
+// test/integration/helpers/merkle.js
+// Sorted-pair Merkle trees as the vault verifies them: whitelist leaves (account, weight) and claim-cap leaves
+// (account, token, maxAmount).
+const { ethers } = require("hardhat");
+
+const hashPair = (a, b) => ethers.keccak256(ethers.concat(a.toLowerCase() <= b.toLowerCase() ? [a, b] : [b, a]));
+const whitelistLeaf = (account, weight = 1n) => ethers.solidityPackedKeccak256(["address", "uint256"], [account, weight]);
+const capLeaf = (account, token, maxAmount) =>
+  ethers.solidityPackedKeccak256(["address", "address", "uint256"], [account, token, maxAmount]);
+
+/** Root of a tree over `leaves` and `proof(index)`; an odd node moves up a level unchanged, one leaf is its own root */
+function merkleTree(leaves) {
+  const layers = [[...leaves]];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    layers.push(next);
+  }
+  const proof = (index) => {
+    const p = [];
+    for (const layer of layers.slice(0, -1)) {
+      if ((index ^ 1) < layer.length) p.push(layer[index ^ 1]);
+      index >>= 1;
+    }
+    return p;
+  };
+  return { root: layers[layers.length - 1][0], proof };
+}
+
+/** Whitelist over `entries` (`address` for weight 1, or `[address, weight]`): { root, proof: { [address]: bytes32[] } } */
+function whitelistTree(entries) {
+  const list = entries.map((e) => (Array.isArray(e) ? e : [e, 1n]));
+  const tree = merkleTree(list.map(([account, weight]) => whitelistLeaf(account, weight)));
+  return { root: tree.root, proof: Object.fromEntries(list.map(([account], i) => [account, tree.proof(i)])) };
+}
+
+/** Claim caps over `[address, token, maxAmount]` entries (one token per address): { root, proof: { [address]: bytes32[] } } */
+function capTree(entries) {
+  const tree = merkleTree(entries.map(([account, token, maxAmount]) => capLeaf(account, token, maxAmount)));
+  return { root: tree.root, proof: Object.fromEntries(entries.map(([account], i) => [account, tree.proof(i)])) };
+}
+
+module.exports = { hashPair, whitelistLeaf, capLeaf, merkleTree, whitelistTree, capTree };
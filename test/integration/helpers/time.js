@@ -0,0 +1,17 @@
+// test/integration/helpers/time.js
+const { ethers } = require("hardhat");
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+async function increaseTime(sec) {
+  await ethers.provider.send("evm_increaseTime", [sec]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+/** Timestamp of the latest block */
+async function now() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+module.exports = { HOUR, DAY, increaseTime, now };
@@ -0,0 +1,85 @@
+// test/integration/helpers/vault.js
+// RecoveryVault delegatecalls admin and round functions to RecoveryVaultExtension, which forwards quotes and views to
+// RecoveryVaultViews: tests talk to all three at the vault address through the combined ABI.
+const { ethers, artifacts } = require("hardhat");
+const { whitelistTree } = require("./merkle");
+
+async function vaultAbi() {
+  const [core, ext, views] = await Promise.all([
+    artifacts.readArtifact("RecoveryVault"),
+    artifacts.readArtifact("RecoveryVaultExtension"),
+    artifacts.readArtifact("RecoveryVaultViews"),
+  ]);
+  const seen = new Set();
+  return [...core.abi, ...ext.abi, ...views.abi].filter((f) => {
+    if (f.type === "constructor") return f === core.abi.find((x) => x.type === "constructor");
+    const key = `${f.type}:${f.name ?? ""}(${(f.inputs || []).map((i) => i.type).join(",")})`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/** Deploys RecoveryVaultViews, RecoveryVaultExtension and RecoveryVault (each wired to the previous one) and returns the vault with the combined ABI */
+async function deployVault(...args) {
+  // args: owner, dev, rmc, wONE, USDC, supportedTokens, dailyLimitUsd18, oracle
+  const Views = await ethers.getContractFactory("RecoveryVaultViews");
+  const views = await Views.deploy(args[3], args[4]);
+  await views.waitForDeployment();
+  const Extension = await ethers.getContractFactory("RecoveryVaultExtension");
+  const extension = await Extension.deploy(args[3], args[4], await views.getAddress());
+  await extension.waitForDeployment();
+  const RecoveryVault = await ethers.getContractFactory("RecoveryVault");
+  const vault = await RecoveryVault.deploy(...args, await extension.getAddress());
+  await vault.waitForDeployment();
+  return ethers.getContractAt(await vaultAbi(), await vault.getAddress(), RecoveryVault.runner);
+}
+
+/**
+ * Common suite setup: USDC (6 decimals) and wONE (18) ERC20Mocks, a MockOracle at $0.50 per ONE and a vault with a
+ * $100 daily limit accepting USDC, with the first signer as owner, dev and RMC wallet.
+ * @param {object} [o]
+ * @param {Array} [o.whitelist] Leaves as `address` (weight 1) or `[address, weight]`; no root is set when omitted
+ * @param {Array} [o.users] Signers that get 1000 USDC approved to the vault
+ * @param {object} [o.funds] Output tokens minted to the vault before the round, by name (default `{ wONE: "10000" }`)
+ * @param {boolean} [o.startRound] Start round 1 right away with the round delay off (default true)
+ * @param {string[]} [o.inputs] Supported input tokens besides USDC (`usdcInput: false` drops USDC)
+ * @param {object} [o.wONE] Wrapped-ONE contract to use instead of an ERC20Mock (funding it is then up to the caller)
+ * @returns {Promise<{ owner, vault, usdc, wONE, oracle, proof: Object<string, string[]> }>}
+ */
+async function deployVaultFixture(o = {}) {
+  const [owner] = await ethers.getSigners();
+  const MockERC20 = await ethers.getContractFactory("ERC20Mock");
+  const usdc = await MockERC20.deploy("USDC", "USDC", 6);
+  const wONE = o.wONE || (await MockERC20.deploy("Wrapped ONE", "wONE", 18));
+  const MockOracle = await ethers.getContractFactory("MockOracle");
+  const oracle = await MockOracle.deploy(ethers.parseUnits("0.5", 6), 6);
+
+  const inputs = [...(o.usdcInput === false ? [] : [await usdc.getAddress()]), ...(o.inputs || [])];
+  const vault = await deployVault(
+    owner.address, o.dev || owner.address, o.rmc || owner.address,
+    await wONE.getAddress(), await usdc.getAddress(), inputs,
+    ethers.parseUnits("100", 18), await oracle.getAddress()
+  );
+
+  let proof = {};
+  if (o.whitelist) {
+    const tree = whitelistTree(o.whitelist);
+    await vault.setMerkleRoot(tree.root);
+    proof = tree.proof;
+  }
+  const funds = o.funds || (o.wONE ? {} : { wONE: "10000" });
+  if (funds.wONE) await wONE.mint(await vault.getAddress(), ethers.parseUnits(funds.wONE, 18));
+  if (funds.usdc) await usdc.mint(await vault.getAddress(), ethers.parseUnits(funds.usdc, 6));
+  for (const s of o.users || []) {
+    await usdc.mint(s.address, ethers.parseUnits("1000", 6));
+    await usdc.connect(s).approve(await vault.getAddress(), ethers.MaxUint256);
+  }
+  if (o.startRound !== false) {
+    await vault.setRoundDelayEnabled(false);
+    await vault.startNewRound(1);
+  }
+  return { owner, vault, usdc, wONE, oracle, proof };
+}
+
+module.exports = { deployVault, deployVaultFixture, vaultAbi };